@@ -1,5 +1,7 @@
 // controllers/area_controller.js
-const supabase = require("../db/supabase");
+const supabase = require("../db");
+const { parseAreaBoundary } = require("../services/area_boundary");
+const { softDelete } = require("../services/trash");
 
 const controller = {};
 
@@ -16,6 +18,15 @@ controller.createArea = async (req, res) => {
       });
     }
 
+    // Optional polygon or center + radius used to infer event areas
+    const boundary = parseAreaBoundary(req.body);
+    if (!boundary.valid) {
+      return res.status(400).json({
+        success: false,
+        message: boundary.message,
+      });
+    }
+
     // Check if area name already exists
     const { data: existingArea, error: checkError } = await supabase
       .from("area")
@@ -36,6 +47,7 @@ controller.createArea = async (req, res) => {
       .from("area")
       .insert({
         name: name.trim(),
+        ...boundary.data,
       })
       .select()
       .single();
@@ -89,6 +101,7 @@ controller.getAllAreas = async (req, res) => {
     let query = supabase
       .from("area")
       .select("*", { count: "exact" })
+      .is("deleted_at", null)
       .order(sortBy, { ascending: sortOrder === "asc" });
     // .range(offset, offset + limit - 1);
 
@@ -144,6 +157,7 @@ controller.getAreaById = async (req, res) => {
     const { data, error } = await supabase
       .from("area")
       .select("*")
+      .is("deleted_at", null)
       .eq("id", id)
       .single();
 
@@ -190,6 +204,7 @@ controller.getAreaWithCount = async (req, res) => {
         event:area_id (count)
       `
       )
+      .is("deleted_at", null)
       .eq("id", id)
       .single();
 
@@ -231,10 +246,15 @@ controller.getAllAreasWithCount = async (req, res) => {
       ? sort_order
       : "asc";
 
-    let query = supabase.from("area").select(`
+    let query = supabase
+      .from("area")
+      .select(
+        `
         *,
         event:area_id (count)
-      `);
+      `
+      )
+      .is("deleted_at", null);
 
     // Add search if provided
     if (search) {
@@ -296,6 +316,7 @@ controller.getAreasDropdown = async (req, res) => {
     const { data, error } = await supabase
       .from("area")
       .select("id, name")
+      .is("deleted_at", null)
       .order("name", { ascending: true });
 
     if (error) {
@@ -335,8 +356,18 @@ controller.updateArea = async (req, res) => {
       });
     }
 
-    // Validate required fields
-    if (!name || name.trim() === "") {
+    const boundary = parseAreaBoundary(req.body);
+    if (!boundary.valid) {
+      return res.status(400).json({
+        success: false,
+        message: boundary.message,
+      });
+    }
+
+    // Name is required unless only the boundary changes
+    const boundaryOnly =
+      name === undefined && Object.keys(boundary.data).length > 0;
+    if (!boundaryOnly && (!name || name.trim() === "")) {
       return res.status(400).json({
         success: false,
         message: "Area name is required",
@@ -347,6 +378,7 @@ controller.updateArea = async (req, res) => {
     const { data: existingArea, error: fetchError } = await supabase
       .from("area")
       .select("*")
+      .is("deleted_at", null)
       .eq("id", id)
       .single();
 
@@ -358,12 +390,15 @@ controller.updateArea = async (req, res) => {
     }
 
     // Check if new name already exists (excluding current area)
-    const { data: duplicateArea, error: duplicateError } = await supabase
-      .from("area")
-      .select("id, name")
-      .ilike("name", name.trim())
-      .neq("id", id)
-      .single();
+    const { data: duplicateArea, error: duplicateError } =
+      name === undefined
+        ? { data: null, error: null }
+        : await supabase
+            .from("area")
+            .select("id, name")
+            .ilike("name", name.trim())
+            .neq("id", id)
+            .single();
 
     if (duplicateArea) {
       return res.status(400).json({
@@ -377,7 +412,8 @@ controller.updateArea = async (req, res) => {
     const { data, error } = await supabase
       .from("area")
       .update({
-        name: name.trim(),
+        ...(name !== undefined && { name: name.trim() }),
+        ...boundary.data,
       })
       .eq("id", id)
       .select()
@@ -429,6 +465,7 @@ controller.deleteArea = async (req, res) => {
     const { data: existingArea, error: fetchError } = await supabase
       .from("area")
       .select("*")
+      .is("deleted_at", null)
       .eq("id", id)
       .single();
 
@@ -443,6 +480,7 @@ controller.deleteArea = async (req, res) => {
     const { data: associatedEvents, error: eventsError } = await supabase
       .from("event")
       .select("id, name")
+      .is("deleted_at", null)
       .eq("area_id", id)
       .limit(5); // Limit to show examples
 
@@ -467,25 +505,13 @@ controller.deleteArea = async (req, res) => {
       });
     }
 
-    // Delete area
-    const { error: deleteError } = await supabase
-      .from("area")
-      .delete()
-      .eq("id", id);
-
-    if (deleteError) {
-      console.error("Delete area error:", deleteError);
-      return res.status(500).json({
-        success: false,
-        message: "Failed to delete area",
-        error: deleteError.message,
-      });
-    }
+    // Moved to the trash until it is restored or purged (services/trash.js)
+    const deletedArea = await softDelete("area", id, req.user.id);
 
     res.json({
       success: true,
-      message: "Area deleted successfully",
-      deletedArea: existingArea,
+      message: "Area moved to trash",
+      deletedArea,
       affected_events_count: associatedEvents ? associatedEvents.length : 0,
     });
   } catch (error) {
@@ -570,7 +596,8 @@ controller.getAreaStatistics = async (req, res) => {
     // Get total areas count
     const { count: totalAreas, error: countError } = await supabase
       .from("area")
-      .select("*", { count: "exact", head: true });
+      .select("*", { count: "exact", head: true })
+      .is("deleted_at", null);
 
     if (countError) {
       throw countError;
@@ -586,6 +613,7 @@ controller.getAreaStatistics = async (req, res) => {
         event:area_id (count)
       `
       )
+      .is("deleted_at", null)
       .order("name", { ascending: true });
 
     if (eventsError) {
@@ -0,0 +1,254 @@
+// controllers/attendance_controller.js
+const supabase = require("../db");
+const { isApproved } = require("../services/event_review");
+const { hasEnded } = require("../services/rating_eligibility");
+
+const controller = {};
+
+// CREATE - Register the logged-in user as attending an event
+controller.registerAttendance = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: event, error: eventError } = await supabase
+      .from("event")
+      .select("id, name, start_date, end_date, review_status")
+      .is("deleted_at", null)
+      .eq("id", id)
+      .single();
+
+    if (eventError || !event || !isApproved(event)) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found",
+      });
+    }
+
+    // Registering afterwards would unlock rating for people who weren't there
+    if (hasEnded(event)) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot register attendance for an event that has ended",
+      });
+    }
+
+    const { data: existing } = await supabase
+      .from("event_attendance")
+      .select("id")
+      .eq("event_id", id)
+      .eq("user_id", req.user.id)
+      .maybeSingle();
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: "You are already registered for this event",
+      });
+    }
+
+    const { data, error } = await supabase
+      .from("event_attendance")
+      .insert({
+        event_id: parseInt(id),
+        user_id: req.user.id,
+        registered_at: new Date().toISOString(),
+      })
+      .select("*")
+      .single();
+
+    if (error) {
+      console.error("Register attendance error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to register attendance",
+        error: error.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Attendance registered successfully",
+      data,
+    });
+  } catch (error) {
+    console.error("Register attendance error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// DELETE - Cancel the logged-in user's registration before the event starts
+controller.cancelAttendance = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: attendance, error: fetchError } = await supabase
+      .from("event_attendance")
+      .select("id, event:event_id (id, start_date)")
+      .eq("event_id", id)
+      .eq("user_id", req.user.id)
+      .maybeSingle();
+
+    if (fetchError || !attendance) {
+      return res.status(404).json({
+        success: false,
+        message: "Attendance registration not found",
+      });
+    }
+
+    if (new Date(attendance.event.start_date) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot cancel attendance once the event has started",
+      });
+    }
+
+    const { error } = await supabase
+      .from("event_attendance")
+      .delete()
+      .eq("id", attendance.id);
+
+    if (error) {
+      console.error("Cancel attendance error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to cancel attendance",
+        error: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Attendance cancelled successfully",
+    });
+  } catch (error) {
+    console.error("Cancel attendance error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// UPDATE - Check an attendee in at the event (event owner or admin, checked
+// by the route). Only checked-in attendees may rate the event.
+controller.checkInAttendee = async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+
+    const { data: event, error: eventError } = await supabase
+      .from("event")
+      .select("id, start_date")
+      .is("deleted_at", null)
+      .eq("id", id)
+      .single();
+
+    if (eventError || !event) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found",
+      });
+    }
+
+    if (new Date(event.start_date) > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "Attendees can only be checked in once the event has started",
+      });
+    }
+
+    const { data: attendance, error: fetchError } = await supabase
+      .from("event_attendance")
+      .select("id, checked_in_at")
+      .eq("event_id", id)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (fetchError || !attendance) {
+      return res.status(404).json({
+        success: false,
+        message: "Attendance registration not found",
+      });
+    }
+
+    if (attendance.checked_in_at) {
+      return res.status(409).json({
+        success: false,
+        message: "Attendee is already checked in",
+      });
+    }
+
+    const { data, error } = await supabase
+      .from("event_attendance")
+      .update({
+        checked_in_at: new Date().toISOString(),
+        checked_in_by: req.user.id,
+      })
+      .eq("id", attendance.id)
+      .select("*")
+      .single();
+
+    if (error) {
+      console.error("Check in attendee error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to check in attendee",
+        error: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Attendee checked in successfully",
+      data,
+    });
+  } catch (error) {
+    console.error("Check in attendee error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// READ - Attendees of an event (event owner or admin, checked by the route)
+controller.getEventAttendance = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await supabase
+      .from("event_attendance")
+      .select("*, user:user_id (id, first_name, last_name, email)")
+      .eq("event_id", id)
+      .order("registered_at", { ascending: true });
+
+    if (error) {
+      console.error("Get event attendance error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to fetch attendance",
+        error: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+      total: data.length,
+    });
+  } catch (error) {
+    console.error("Get event attendance error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = controller;
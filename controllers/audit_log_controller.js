@@ -0,0 +1,100 @@
+// controllers/audit_log_controller.js
+const supabase = require("../db");
+const {
+  EXPORT_MAX_ROWS,
+  parseAuditFilters,
+  applyAuditFilters,
+  listAuditEntries,
+  toCsv,
+} = require("../services/audit_log");
+
+const controller = {};
+
+// READ - Audit log, newest first (admin). Filters: actor_id, entity_type,
+// entity_id, action, from, to
+controller.getAuditLogs = async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const parsed = parseAuditFilters(req.query);
+    if (!parsed.valid) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.message,
+      });
+    }
+
+    const query = supabase
+      .from("audit_log")
+      .select("*", { count: "exact" })
+      .order("created_at", { ascending: false })
+      .order("id", { ascending: false })
+      .range(offset, offset + parseInt(limit) - 1);
+
+    const { data, error, count } = await applyAuditFilters(
+      query,
+      parsed.filters
+    );
+
+    if (error) {
+      console.error("Get audit logs error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to fetch audit logs",
+        error: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get audit logs error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// READ - Audit log as CSV with the same filters (admin), at most
+// EXPORT_MAX_ROWS entries
+controller.exportAuditLogs = async (req, res) => {
+  try {
+    const parsed = parseAuditFilters(req.query);
+    if (!parsed.valid) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.message,
+      });
+    }
+
+    const entries = await listAuditEntries(parsed.filters);
+    const fileName = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    res.set({
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${fileName}"`,
+      "X-Truncated": String(entries.length >= EXPORT_MAX_ROWS),
+    });
+    res.send(toCsv(entries));
+  } catch (error) {
+    console.error("Export audit logs error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = controller;
@@ -1,12 +1,41 @@
 const express = require("express");
-const supabase = require("../db/supabase");
+const supabase = require("../db");
+const { notify } = require("../services/notifications");
+const { checkPassword, deleteAccount } = require("../services/account");
+const {
+  USER_STATUS,
+  withUserStatus,
+  getSuspension,
+  applyStatusFilter,
+  parseSuspension,
+  suspendUser,
+  unsuspendUser,
+} = require("../services/user_suspension");
+const { getVendorRatingSummaries } = require("../services/vendor_rating");
+const {
+  recordSession,
+  rotateSession,
+  listSessions,
+  revokeSessions,
+} = require("../services/auth_session");
+const { disconnect } = require("../services/notification_stream");
 
 const controller = {};
 
+const MIN_PASSWORD_LENGTH = 6;
+const ALLOWED_ROLES = ["admin", "vendor", "user"];
+// Booths and ratings listed in the admin user detail
+const USER_DETAIL_LIST_LIMIT = 20;
+const MAX_USER_PAGE_SIZE = 100;
+
+// Frontend the password reset and email verification links lead to
+const getAppUrl = () => process.env.APP_URL || "http://localhost:3000";
+
 controller.signup = async (req, res) => {
   try {
-    const { email, password, first_name, last_name, role = "user" } = req.body;
-    console.log("Signup request body:", req.body);
+    // Role is never taken from the client: new accounts are always users and
+    // become vendors through an approved vendor application
+    const { email, password, first_name, last_name } = req.body;
 
     // Sign up user
     const { data: authData, error: authError } = await supabase.auth.signUp({
@@ -27,7 +56,7 @@ controller.signup = async (req, res) => {
           id: authData.user.id,
           email: email,
           //   password: null, // Note: Storing password in plain text is not recommended
-          role: role, // Default role
+          role: "user",
           first_name: first_name,
           last_name: last_name,
         })
@@ -36,6 +65,13 @@ controller.signup = async (req, res) => {
 
       if (profileError) {
         console.error("Profile creation error:", profileError);
+      } else {
+        await notify(profileData.id, "welcome");
+      }
+
+      // No session when Supabase waits for the email to be confirmed
+      if (authData.session) {
+        await recordSession(req, authData.user.id, authData.session);
       }
 
       res.json({
@@ -58,7 +94,6 @@ controller.signup = async (req, res) => {
 controller.login = async (req, res) => {
   try {
     const { email, password } = req.body;
-    console.log("Login request body:", req.body);
 
     const { data: authData, error: authError } =
       await supabase.auth.signInWithPassword({
@@ -78,15 +113,31 @@ controller.login = async (req, res) => {
       .eq("id", authData.user.id)
       .single();
 
-    console.log("User profile data:", profile);
+    // Supabase refuses banned users already; this covers a ban that did not
+    // reach Supabase Auth
+    const suspension = profile && getSuspension(profile);
+    if (suspension) {
+      await supabase.auth.admin.signOut(authData.session.access_token, "local");
+      return res.status(403).json({
+        error: suspension.until ? "Account suspended" : "Account banned",
+        message: suspension.reason,
+        suspended_until: suspension.until,
+      });
+    }
+
     console.log("User ID:", authData.user.id);
-    console.log("Session token:", authData.session.access_token);
 
+    await recordSession(req, authData.user.id, authData.session);
+
+    // `session` is the access token; once it expires (`expires_at`, in
+    // seconds) POST /auth/refresh trades `refresh_token` for a new one
     res.status(200).json({
       user: authData.user,
       user_id: authData.user.id,
       profile: profile,
       session: authData.session.access_token,
+      refresh_token: authData.session.refresh_token,
+      expires_at: authData.session.expires_at,
     });
   } catch (error) {
     console.error("Login error:", error);
@@ -120,8 +171,9 @@ controller.logout = async (req, res) => {
       });
     }
 
-    // Perform the logout with the specific session
-    const { error } = await supabase.auth.admin.signOut(token);
+    // Perform the logout with the specific session; other devices stay
+    // signed in
+    const { error } = await supabase.auth.admin.signOut(token, "local");
 
     if (error) {
       console.error("Logout error:", error);
@@ -131,6 +183,11 @@ controller.logout = async (req, res) => {
       });
     }
 
+    await revokeSessions(user.id, { only: token });
+    // Streams are per user, so the other devices open theirs again with a new
+    // ticket
+    disconnect(user.id, "logged_out");
+
     // Log the logout event (optional but recommended)
     console.log(`User ${user.email} logged out successfully`);
 
@@ -147,6 +204,315 @@ controller.logout = async (req, res) => {
   }
 };
 
+// Trades a refresh token for a new session. Refresh tokens are single use:
+// the response carries the one to use next time.
+controller.refresh = async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({
+        success: false,
+        message: "refresh_token is required",
+      });
+    }
+
+    const { data, error } = await supabase.auth.refreshSession({
+      refresh_token,
+    });
+
+    if (error || !data.session) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired refresh token",
+        error: error?.message,
+      });
+    }
+
+    await rotateSession(req, data.user.id, refresh_token, data.session);
+
+    res.json({
+      success: true,
+      user_id: data.user.id,
+      session: data.session.access_token,
+      refresh_token: data.session.refresh_token,
+      expires_at: data.session.expires_at,
+    });
+  } catch (error) {
+    console.error("Refresh session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Emails a password reset link leading to APP_URL/reset-password. The answer
+// is the same whether or not the account exists.
+controller.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== "string" || email.trim() === "") {
+      return res.status(400).json({
+        success: false,
+        message: "Email is required",
+      });
+    }
+
+    const { error } = await supabase.auth.resetPasswordForEmail(email.trim(), {
+      redirectTo: `${getAppUrl()}/reset-password`,
+    });
+
+    if (error) {
+      console.error("Send password reset error:", error);
+    }
+
+    res.json({
+      success: true,
+      message:
+        "If an account exists for this email, a password reset link has been sent",
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Sets a new password with the `token_hash` of a reset link and signs the
+// account out everywhere
+controller.resetPassword = async (req, res) => {
+  try {
+    const { token_hash, password } = req.body;
+
+    if (!token_hash || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "token_hash and password are required",
+      });
+    }
+
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
+    const { data, error } = await supabase.auth.verifyOtp({
+      token_hash,
+      type: "recovery",
+    });
+
+    if (error || !data.user) {
+      return res.status(400).json({
+        success: false,
+        message: "Reset link is invalid or has expired",
+        error: error?.message,
+      });
+    }
+
+    const { error: updateError } = await supabase.auth.admin.updateUserById(
+      data.user.id,
+      { password }
+    );
+
+    // The link opened a session of its own; it goes either way
+    if (data.session) {
+      await supabase.auth.admin.signOut(
+        data.session.access_token,
+        updateError ? "local" : "global"
+      );
+    }
+
+    if (updateError) {
+      console.error("Reset password error:", updateError);
+      return res.status(400).json({
+        success: false,
+        message: updateError.message,
+      });
+    }
+
+    await revokeSessions(data.user.id);
+
+    res.json({
+      success: true,
+      message: "Password reset successfully, please log in again",
+    });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Changes the password of the signed-in user, who has to confirm the current
+// one. Other devices are signed out.
+controller.changePassword = async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    if (!current_password || !new_password) {
+      return res.status(400).json({
+        success: false,
+        message: "current_password and new_password are required",
+      });
+    }
+
+    if (String(new_password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
+    if (current_password === new_password) {
+      return res.status(400).json({
+        success: false,
+        message: "New password must be different from the current one",
+      });
+    }
+
+    if (!(await checkPassword(req.user.email, current_password))) {
+      return res.status(400).json({
+        success: false,
+        message: "Current password is incorrect",
+      });
+    }
+
+    const { error: updateError } = await supabase.auth.admin.updateUserById(
+      req.user.id,
+      { password: new_password }
+    );
+
+    if (updateError) {
+      console.error("Change password error:", updateError);
+      return res.status(400).json({
+        success: false,
+        message: updateError.message,
+      });
+    }
+
+    await supabase.auth.admin.signOut(req.accessToken, "others");
+    const signedOut = await revokeSessions(req.user.id, {
+      except: req.accessToken,
+    });
+
+    res.json({
+      success: true,
+      message: "Password changed successfully",
+      data: { signed_out_sessions: signedOut },
+    });
+  } catch (error) {
+    console.error("Change password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Sends the signup confirmation email again, leading to
+// APP_URL/verify-email. The answer is the same whether or not the address is
+// waiting for verification.
+controller.resendVerificationEmail = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== "string" || email.trim() === "") {
+      return res.status(400).json({
+        success: false,
+        message: "Email is required",
+      });
+    }
+
+    const { error } = await supabase.auth.resend({
+      type: "signup",
+      email: email.trim(),
+      options: { emailRedirectTo: `${getAppUrl()}/verify-email` },
+    });
+
+    if (error) {
+      console.error("Resend verification email error:", error);
+    }
+
+    res.json({
+      success: true,
+      message:
+        "If this email is waiting for verification, a new link has been sent",
+    });
+  } catch (error) {
+    console.error("Resend verification email error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// READ - Devices the user is signed in on; `current` marks this one
+controller.getSessions = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await listSessions(req.user.id, req.accessToken),
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// DELETE - Signs out every device but this one
+controller.revokeOtherSessions = async (req, res) => {
+  try {
+    const { error } = await supabase.auth.admin.signOut(
+      req.accessToken,
+      "others"
+    );
+
+    if (error) {
+      console.error("Revoke sessions error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to sign out other sessions",
+        error: error.message,
+      });
+    }
+
+    const signedOut = await revokeSessions(req.user.id, {
+      except: req.accessToken,
+    });
+
+    res.json({
+      success: true,
+      message: "Signed out of all other sessions",
+      data: { signed_out_sessions: signedOut },
+    });
+  } catch (error) {
+    console.error("Revoke sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
 // controller.logout = async (req, res) => {
 //   try {
 //     const { error } = await supabase.auth.signOut();
@@ -198,14 +564,211 @@ controller.getProfile = async (req, res) => {
   }
 };
 
+// READ - Users, paginated (admin). `search` matches email, first and last
+// name; filters: role, status (active, suspended, banned)
 controller.GetAdminAllUsers = async (req, res) => {
   try {
-    const { data, error } = await supabase.from("user").select("*");
+    const {
+      page = 1,
+      limit = 20,
+      search,
+      role,
+      status,
+      sort_by = "created_at",
+      sort_order = "desc",
+    } = req.query;
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(
+      Math.max(parseInt(limit) || 20, 1),
+      MAX_USER_PAGE_SIZE
+    );
+    const offset = (pageNumber - 1) * pageSize;
+    // A repeated `search` arrives as an array
+    const searchText = (
+      Array.isArray(search) ? search.join(" ") : String(search ?? "")
+    ).trim();
+
+    if (role && !ALLOWED_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `role must be one of: ${ALLOWED_ROLES.join(", ")}`,
+      });
+    }
+
+    const statuses = Object.values(USER_STATUS);
+    if (status && !statuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${statuses.join(", ")}`,
+      });
+    }
+
+    const allowedSortBy = ["created_at", "email", "first_name", "last_name"];
+    const sortBy = allowedSortBy.includes(sort_by) ? sort_by : "created_at";
+    const sortOrder = sort_order === "asc" ? "asc" : "desc";
+
+    let query = supabase
+      .from("user")
+      .select("*", { count: "exact" })
+      .order(sortBy, { ascending: sortOrder === "asc" })
+      .order("id", { ascending: true })
+      .range(offset, offset + pageSize - 1);
+
+    if (searchText) {
+      // Commas and parentheses would end the `or` filter early
+      const term = searchText.replace(/[,()]/g, " ").trim();
+      query = query.or(
+        `email.ilike.%${term}%,first_name.ilike.%${term}%,last_name.ilike.%${term}%`
+      );
+    }
+    if (role) {
+      query = query.eq("role", role);
+    }
+    if (status) {
+      query = applyStatusFilter(query, status);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      console.error("Get users error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to fetch users",
+        error: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: data.map((user) => withUserStatus(user)),
+      pagination: {
+        total: count,
+        page: pageNumber,
+        limit: pageSize,
+        totalPages: Math.ceil(count / pageSize),
+      },
+    });
+  } catch (error) {
+    console.error("Get users error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// READ - One user with their vendor profile, latest booths and the ratings
+// they gave (admin)
+controller.AdminGetUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const { data: user, error } = await supabase
+      .from("user")
+      .select("*")
+      .eq("id", userId)
+      .maybeSingle();
 
     if (error) throw error;
-    res.json(data);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const { data: vendor, error: vendorError } = await supabase
+      .from("vendor")
+      .select("*")
+      .eq("user_id", userId)
+      .is("deleted_at", null)
+      .maybeSingle();
+
+    if (vendorError) throw vendorError;
+
+    const {
+      data: booths,
+      error: boothError,
+      count: boothCount,
+    } = await supabase
+      .from("booth")
+      .select(
+        `
+        *,
+        event:event_id (id, name, start_date, end_date)
+      `,
+        { count: "exact" }
+      )
+      .eq("user_id", userId)
+      .order("created_at", { ascending: false })
+      .limit(USER_DETAIL_LIST_LIMIT);
+
+    if (boothError) throw boothError;
+
+    const {
+      data: ratings,
+      error: ratingError,
+      count: ratingCount,
+    } = await supabase
+      .from("rating")
+      .select(
+        `
+        *,
+        event:event_id (id, name)
+      `,
+        { count: "exact" }
+      )
+      .eq("user_id", userId)
+      .order("created_at", { ascending: false })
+      .limit(USER_DETAIL_LIST_LIMIT);
+
+    if (ratingError) throw ratingError;
+
+    const {
+      data: vendorRatings,
+      error: vendorRatingError,
+      count: vendorRatingCount,
+    } = await supabase
+      .from("vendor_rating")
+      .select(
+        `
+        *,
+        vendor:vendor_id (id, name),
+        event:event_id (id, name)
+      `,
+        { count: "exact" }
+      )
+      .eq("rater_id", userId)
+      .order("created_at", { ascending: false })
+      .limit(USER_DETAIL_LIST_LIMIT);
+
+    if (vendorRatingError) throw vendorRatingError;
+
+    const ratingSummaries = vendor
+      ? await getVendorRatingSummaries([vendor.id])
+      : {};
+
+    res.json({
+      success: true,
+      data: {
+        ...withUserStatus(user),
+        vendor: vendor
+          ? { ...vendor, rating_summary: ratingSummaries[vendor.id] }
+          : null,
+        booths: { total: boothCount, data: booths },
+        ratings: { total: ratingCount, data: ratings },
+        vendor_ratings: { total: vendorRatingCount, data: vendorRatings },
+      },
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    console.error("AdminGetUser error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
   }
 };
 
@@ -223,9 +786,8 @@ controller.AdminChangeUserRole = async (req, res) => {
       });
     }
 
-    // Validate role values (adjust based on your allowed roles)
-    const allowedRoles = ["admin", "vendor", "user"]; // Add your allowed roles
-    if (!allowedRoles.includes(role)) {
+    // Validate role values
+    if (!ALLOWED_ROLES.includes(role)) {
       console.error("Invalid role specified:", role);
       return res.status(400).json({
         success: false,
@@ -233,6 +795,14 @@ controller.AdminChangeUserRole = async (req, res) => {
       });
     }
 
+    // Admins cannot change their own role, so there is always one left
+    if (userId === req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Cannot change your own role",
+      });
+    }
+
     // Check if user exists first
     const { data: existingUser, error: fetchError } = await supabase
       .from("user")
@@ -248,6 +818,14 @@ controller.AdminChangeUserRole = async (req, res) => {
       });
     }
 
+    // Admins cannot be suspended, so a suspended user is not made one
+    if (role === "admin" && getSuspension(existingUser)) {
+      return res.status(409).json({
+        success: false,
+        message: "Lift the suspension before making this user an admin",
+      });
+    }
+
     // Prepare update data
     const updateData = { role };
 
@@ -301,6 +879,110 @@ controller.AdminChangeUserRole = async (req, res) => {
   }
 };
 
+// UPDATE - Suspends a user until `until`, or bans them without it (admin).
+// `reason` is required and shown to the user when they are turned away.
+controller.AdminSuspendUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const parsed = parseSuspension(req.body);
+    if (!parsed.valid) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.message,
+      });
+    }
+
+    if (userId === req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Cannot suspend your own account",
+      });
+    }
+
+    const { data: existingUser, error: fetchError } = await supabase
+      .from("user")
+      .select("*")
+      .eq("id", userId)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (existingUser.role === "admin") {
+      return res.status(409).json({
+        success: false,
+        message: "Change the role of an admin before suspending them",
+      });
+    }
+
+    const user = await suspendUser(userId, parsed.data, req.user.id);
+
+    res.json({
+      success: true,
+      message: user.suspended_until
+        ? "User suspended successfully"
+        : "User banned successfully",
+      data: withUserStatus(user),
+    });
+  } catch (error) {
+    console.error("AdminSuspendUser error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// UPDATE - Lifts a suspension or ban (admin)
+controller.AdminUnsuspendUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const { data: existingUser, error: fetchError } = await supabase
+      .from("user")
+      .select("id, suspended_at")
+      .eq("id", userId)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (!existingUser.suspended_at) {
+      return res.status(409).json({
+        success: false,
+        message: "User is not suspended",
+      });
+    }
+
+    const user = await unsuspendUser(userId);
+
+    res.json({
+      success: true,
+      message: "Suspension lifted successfully",
+      data: withUserStatus(user),
+    });
+  } catch (error) {
+    console.error("AdminUnsuspendUser error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
 controller.AdminDeleteUser = async (req, res) => {
   try {
     const { userId } = req.params;
@@ -340,83 +1022,19 @@ controller.AdminDeleteUser = async (req, res) => {
       `Admin ${adminUser.email} attempting to delete user: ${existingUser.email}`
     );
 
-    // SECOND: Check if auth user exists (but don't fail if it doesn't)
-    let authUserExists = false;
+    // SECOND: Delete the account and clean up what belongs to it
+    let result;
     try {
-      const { data: authUser, error: authFetchError } =
-        await supabase.auth.admin.getUserById(userId);
-
-      if (!authFetchError && authUser?.user) {
-        authUserExists = true;
-        console.log("Auth user found, will delete from both auth and profile");
-      } else {
-        console.log("Auth user not found, will only delete from profile");
-      }
-    } catch (authError) {
-      console.log("Error checking auth user:", authError.message);
-      // Continue with profile deletion even if auth check fails
-    }
-
-    // THIRD: Delete from auth if exists
-    if (authUserExists) {
-      try {
-        const { error: authDeleteError } = await supabase.auth.admin.deleteUser(
-          userId
-        );
-
-        if (authDeleteError) {
-          console.error("Auth delete error:", authDeleteError);
-          return res.status(500).json({
-            success: false,
-            message: "Failed to delete user from authentication system",
-            error: authDeleteError.message,
-          });
-        }
-        console.log("Successfully deleted from auth");
-      } catch (authError) {
-        console.error("Unexpected auth delete error:", authError);
-        return res.status(500).json({
+      result = await deleteAccount(existingUser, { deletedBy: adminUser.id });
+    } catch (deleteError) {
+      if (deleteError.status) {
+        return res.status(deleteError.status).json({
           success: false,
-          message: "Failed to delete user from authentication system",
-          error: authError.message,
+          message: deleteError.message,
+          error: deleteError.details,
         });
       }
-    }
-
-    // FOURTH: Delete user profile
-    const { error: deleteError } = await supabase
-      .from("user")
-      .delete()
-      .eq("id", userId);
-
-    if (deleteError) {
-      console.error("Profile delete error:", deleteError);
-      return res.status(500).json({
-        success: false,
-        message: authUserExists
-          ? "Auth user deleted but failed to delete profile"
-          : "Failed to delete user profile",
-        error: deleteError.message,
-      });
-    }
-
-    // FIFTH: Clean up related data (optional)
-    try {
-      // Delete related vendor data if user was a vendor
-      if (existingUser.role === "vendor") {
-        const { error: vendorDeleteError } = await supabase
-          .from("vendor")
-          .delete()
-          .eq("user_id", userId);
-
-        if (vendorDeleteError) {
-          console.error("Vendor cleanup error:", vendorDeleteError);
-          // Don't fail the request, just log the error
-        }
-      }
-    } catch (cleanupError) {
-      console.error("Cleanup error:", cleanupError);
-      // Don't fail the request for cleanup errors
+      throw deleteError;
     }
 
     console.log(`Successfully deleted user: ${existingUser.email}`);
@@ -427,8 +1045,9 @@ controller.AdminDeleteUser = async (req, res) => {
       data: {
         deletedUserId: userId,
         deletedUserEmail: existingUser.email,
-        deletedFromAuth: authUserExists,
+        deletedFromAuth: result.deletedFromAuth,
         deletedFromProfile: true,
+        trashedVendorId: result.trashedVendorId,
         timestamp: new Date().toISOString(),
       },
     });
@@ -1,81 +1,34 @@
 // controllers/banner_controller.js
-const supabase = require("../db/supabase");
-const multer = require("multer");
-const { v4: uuidv4 } = require("uuid");
+const supabase = require("../db");
+const {
+  IMAGE_TYPES,
+  createUpload,
+  uploadImage,
+  deleteUpload,
+  deleteImage,
+} = require("../services/media");
+const {
+  BANNER_SELECT,
+  withBannerStatus,
+  applyLiveFilter,
+  applyTargetFilter,
+  parseBannerSchedule,
+  validateBannerReferences,
+} = require("../services/banner_schedule");
+const {
+  BANNER_EVENT,
+  getClickUrl,
+  getBannerTarget,
+  trackBannerEvents,
+  parseAnalyticsRange,
+  getBannerAnalytics,
+} = require("../services/banner_tracking");
 
 const controller = {};
 
-// Configure multer for memory storage
-const storage = multer.memoryStorage();
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    // Check if file is an image
-    if (file.mimetype.startsWith("image/")) {
-      cb(null, true);
-    } else {
-      cb(new Error("Only image files are allowed!"), false);
-    }
-  },
-});
-
-// Helper function to upload image to Supabase Storage
-const uploadImageToStorage = async (file, folder = "banners") => {
-  try {
-    // Generate unique filename
-    const fileExt = file.originalname.split(".").pop();
-    const fileName = `${uuidv4()}.${fileExt}`;
-    const filePath = `${folder}/${fileName}`;
-
-    // Upload to Supabase Storage
-    const { data, error } = await supabase.storage
-      .from("banners")
-      .upload(filePath, file.buffer, {
-        contentType: file.mimetype,
-        upsert: false,
-      });
+const BANNER_BUCKET = "banners";
 
-    if (error) {
-      throw error;
-    }
-
-    // Get public URL
-    const {
-      data: { publicUrl },
-    } = supabase.storage.from("banners").getPublicUrl(filePath);
-
-    return {
-      success: true,
-      filePath: data.path,
-      publicUrl: publicUrl,
-    };
-  } catch (error) {
-    console.error("Upload error:", error);
-    return {
-      success: false,
-      error: error.message,
-    };
-  }
-};
-
-// Helper function to delete image from storage
-const deleteImageFromStorage = async (filePath) => {
-  try {
-    const { error } = await supabase.storage.from("banners").remove([filePath]);
-
-    if (error) {
-      console.error("Delete file error:", error);
-      return false;
-    }
-    return true;
-  } catch (error) {
-    console.error("Delete file error:", error);
-    return false;
-  }
-};
+const upload = createUpload({ banner_image: IMAGE_TYPES });
 
 // CREATE - Add new banner with image upload
 controller.createBanner = async (req, res) => {
@@ -103,10 +56,31 @@ controller.createBanner = async (req, res) => {
       });
     }
 
+    const schedule = parseBannerSchedule(req.body);
+    if (!schedule.valid) {
+      return res.status(400).json({
+        success: false,
+        message: schedule.message,
+      });
+    }
+
+    const referenceError = await validateBannerReferences(schedule.data);
+    if (referenceError) {
+      return res.status(400).json({
+        success: false,
+        message: referenceError,
+      });
+    }
+
+    // New banners are live right away and shown first unless scheduled
     const insertData = {
       name: name.trim(),
-      link: link.trim(),
+      link: link?.trim() || null,
+      is_active: true,
+      sort_order: 0,
+      ...schedule.data,
     };
+    let uploadResult = null;
 
     if (file) {
       console.log("Processing file upload...");
@@ -116,7 +90,7 @@ controller.createBanner = async (req, res) => {
         size: file.size,
       });
 
-      const uploadResult = await uploadImageToStorage(file, "banners");
+      uploadResult = await uploadImage(file, BANNER_BUCKET, "banners");
 
       if (!uploadResult.success) {
         console.error("Upload error:", uploadResult.error);
@@ -127,9 +101,8 @@ controller.createBanner = async (req, res) => {
         });
       }
 
-      bannerUrl = uploadResult.publicUrl;
-      uploadedFilePath = uploadResult.filePath;
-      insertData.banner = bannerUrl;
+      insertData.banner = uploadResult.publicUrl;
+      insertData.banner_sizes = uploadResult.sizes;
     }
 
     console.log("Insert data:", insertData);
@@ -142,9 +115,7 @@ controller.createBanner = async (req, res) => {
       .single();
 
     if (error) {
-      if (uploadedFilePath) {
-        await deleteImageFromStorage(uploadedFilePath);
-      }
+      await deleteUpload(BANNER_BUCKET, uploadResult);
 
       console.error("Create banner error:", error);
       return res.status(500).json({
@@ -159,7 +130,7 @@ controller.createBanner = async (req, res) => {
       message: "Banner created successfully",
       data: {
         ...data,
-        file_path: uploadedFilePath,
+        file_path: uploadResult && uploadResult.filePath,
       },
     });
   } catch (error) {
@@ -180,7 +151,8 @@ controller.getAllBanners = async (req, res) => {
 
     let query = supabase
       .from("banner_home")
-      .select("*", { count: "exact" })
+      .select(BANNER_SELECT, { count: "exact" })
+      .order("sort_order", { ascending: true })
       .order("id", { ascending: false }) // Latest first
       .range(offset, offset + limit - 1);
 
@@ -189,6 +161,11 @@ controller.getAllBanners = async (req, res) => {
       query = query.ilike("name", `%${search}%`);
     }
 
+    // Only banners showing right now
+    if (active_only === true || active_only === "true") {
+      query = applyLiveFilter(query);
+    }
+
     const { data, error, count } = await query;
 
     if (error) {
@@ -202,7 +179,7 @@ controller.getAllBanners = async (req, res) => {
 
     res.json({
       success: true,
-      data,
+      data: data.map((banner) => withBannerStatus(banner)),
       pagination: {
         total: count,
         page: parseInt(page),
@@ -227,7 +204,7 @@ controller.getBannerById = async (req, res) => {
 
     const { data, error } = await supabase
       .from("banner_home")
-      .select("*")
+      .select(BANNER_SELECT)
       .eq("id", id)
       .single();
 
@@ -240,7 +217,7 @@ controller.getBannerById = async (req, res) => {
 
     res.json({
       success: true,
-      data,
+      data: withBannerStatus(data),
     });
   } catch (error) {
     console.error("Get banner by ID error:", error);
@@ -273,17 +250,32 @@ controller.updateBanner = async (req, res) => {
       });
     }
 
+    const schedule = parseBannerSchedule(req.body, existingBanner);
+    if (!schedule.valid) {
+      return res.status(400).json({
+        success: false,
+        message: schedule.message,
+      });
+    }
+
+    const referenceError = await validateBannerReferences(schedule.data);
+    if (referenceError) {
+      return res.status(400).json({
+        success: false,
+        message: referenceError,
+      });
+    }
+
     // Prepare update data
-    const updateData = {};
+    const updateData = { ...schedule.data };
     if (name !== undefined) updateData.name = name.trim();
     if (link !== undefined) updateData.link = link?.trim() || null;
 
-    let newImageUrl = null;
-    let oldImagePath = null;
+    let uploadResult = null;
 
     // Handle image upload if new file provided
     if (file) {
-      const uploadResult = await uploadImageToStorage(file);
+      uploadResult = await uploadImage(file, BANNER_BUCKET, "banners");
 
       if (!uploadResult.success) {
         return res.status(500).json({
@@ -294,14 +286,7 @@ controller.updateBanner = async (req, res) => {
       }
 
       updateData.banner = uploadResult.publicUrl;
-      newImageUrl = uploadResult.publicUrl;
-
-      // Extract old image path for deletion
-      if (existingBanner.banner) {
-        const urlParts = existingBanner.banner.split("/");
-        const fileName = urlParts[urlParts.length - 1];
-        oldImagePath = `banners/${fileName}`;
-      }
+      updateData.banner_sizes = uploadResult.sizes;
     }
 
     // Validate at least one field to update
@@ -322,11 +307,7 @@ controller.updateBanner = async (req, res) => {
 
     if (error) {
       // If update fails and new image was uploaded, delete it
-      if (newImageUrl) {
-        const urlParts = newImageUrl.split("/");
-        const fileName = urlParts[urlParts.length - 1];
-        await deleteImageFromStorage(`banners/${fileName}`);
-      }
+      await deleteUpload(BANNER_BUCKET, uploadResult);
 
       console.error("Update banner error:", error);
       return res.status(500).json({
@@ -337,8 +318,12 @@ controller.updateBanner = async (req, res) => {
     }
 
     // Delete old image if new one was uploaded successfully
-    if (oldImagePath && newImageUrl) {
-      await deleteImageFromStorage(oldImagePath);
+    if (uploadResult && existingBanner.banner) {
+      await deleteImage(
+        BANNER_BUCKET,
+        existingBanner.banner,
+        existingBanner.banner_sizes
+      );
     }
 
     res.json({
@@ -375,6 +360,9 @@ controller.deleteBanner = async (req, res) => {
       });
     }
 
+    // Its impressions and clicks go with it
+    await supabase.from("banner_event").delete().eq("banner_id", id);
+
     // Delete banner from database
     const { error: deleteError } = await supabase
       .from("banner_home")
@@ -391,16 +379,11 @@ controller.deleteBanner = async (req, res) => {
     }
 
     // Delete image from storage
-    if (existingBanner.banner) {
-      const urlParts = existingBanner.banner.split("/");
-      const fileName = urlParts[urlParts.length - 1];
-      const imagePath = `banners/${fileName}`;
-
-      const imageDeleted = await deleteImageFromStorage(imagePath);
-      if (!imageDeleted) {
-        console.warn(`Failed to delete image: ${imagePath}`);
-      }
-    }
+    await deleteImage(
+      BANNER_BUCKET,
+      existingBanner.banner,
+      existingBanner.banner_sizes
+    );
 
     res.json({
       success: true,
@@ -419,17 +402,34 @@ controller.deleteBanner = async (req, res) => {
   }
 };
 
-// Get active banners for homepage (public endpoint)
+// Get active banners for homepage (public endpoint). Pages about an area or
+// event category pass `area_id` / `event_category_id` to also get the banners
+// targeted at it.
 controller.getActiveBanners = async (req, res) => {
   try {
-    const { limit = 5 } = req.query;
+    const { limit = 5, area_id, event_category_id } = req.query;
 
-    const { data, error } = await supabase
+    const targets = { area_id, event_category_id };
+    for (const [column, value] of Object.entries(targets)) {
+      if (value !== undefined && !/^\d+$/.test(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `${column} must be an integer id`,
+        });
+      }
+    }
+
+    let query = supabase
       .from("banner_home")
-      .select("*")
+      .select(BANNER_SELECT)
+      .order("sort_order", { ascending: true })
       .order("id", { ascending: false })
       .limit(parseInt(limit));
 
+    query = applyTargetFilter(applyLiveFilter(query), targets);
+
+    const { data, error } = await query;
+
     if (error) {
       console.error("Get active banners error:", error);
       return res.status(500).json({
@@ -439,9 +439,18 @@ controller.getActiveBanners = async (req, res) => {
       });
     }
 
+    await trackBannerEvents(
+      req,
+      BANNER_EVENT.IMPRESSION,
+      data.map((banner) => banner.id)
+    );
+
     res.json({
       success: true,
-      data,
+      data: data.map((banner) => ({
+        ...banner,
+        click_url: getClickUrl(banner),
+      })),
     });
   } catch (error) {
     console.error("Get active banners error:", error);
@@ -453,4 +462,73 @@ controller.getActiveBanners = async (req, res) => {
   }
 };
 
+// Banner link that counts the click, then redirects to the banner's target
+// (public endpoint)
+controller.clickBanner = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: banner, error } = await supabase
+      .from("banner_home")
+      .select("id, link, event_id, vendor_id")
+      .eq("id", id)
+      .maybeSingle();
+
+    const target = banner && getBannerTarget(banner);
+    if (error || !target) {
+      return res.status(404).json({
+        success: false,
+        message: banner ? "Banner has no link" : "Banner not found",
+      });
+    }
+
+    await trackBannerEvents(req, BANNER_EVENT.CLICK, [banner.id]);
+
+    res.redirect(302, target);
+  } catch (error) {
+    console.error("Banner click error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Impressions, clicks and CTR per banner per day (admin). `from` / `to` are
+// YYYY-MM-DD (UTC, last 30 days by default); `banner_id` limits it to one
+// banner.
+controller.getBannerAnalytics = async (req, res) => {
+  try {
+    const { banner_id } = req.query;
+
+    const range = parseAnalyticsRange(req.query);
+    if (!range.valid) {
+      return res.status(400).json({
+        success: false,
+        message: range.message,
+      });
+    }
+
+    if (banner_id !== undefined && !/^\d+$/.test(banner_id)) {
+      return res.status(400).json({
+        success: false,
+        message: "banner_id must be an integer id",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await getBannerAnalytics(range, { bannerId: banner_id }),
+    });
+  } catch (error) {
+    console.error("Get banner analytics error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
 module.exports = { controller, upload };
@@ -1,5 +1,34 @@
 // controllers/booth_controller.js
-const supabase = require("../db/supabase");
+const supabase = require("../db");
+const {
+  BOOTH_STATUS,
+  OPEN_STATUSES,
+  normalizeStatus,
+  withLegacyStatuses,
+  canTransition,
+  isEditable,
+  createTransitionError,
+  recordStatusHistory,
+  transitionBooth,
+  getStatusHistory,
+} = require("../services/booth_status");
+const {
+  ACCEPTED_STATUSES,
+  isAccepted,
+  getEventCapacity,
+  formatSlots,
+  nextWaitlistPosition,
+  compactWaitlist,
+  promoteFromWaitlist,
+} = require("../services/booth_capacity");
+const { isApproved } = require("../services/event_review");
+const { notifyBoothStatus } = require("../services/notifications");
+const { areApplicationsOpen } = require("../services/event_lifecycle");
+const {
+  INVOICE_STATUS,
+  cancelOpenInvoicesForBooth,
+  detachInvoicesFromBooth,
+} = require("../services/invoice");
 
 const controller = {};
 
@@ -12,10 +41,86 @@ const validatePhone = (phone) => {
   );
 };
 
+// Helper to send status errors thrown by the booth lifecycle
+const sendStatusError = (res, error) =>
+  res.status(error.status).json({
+    success: false,
+    message: error.message,
+    allowed_transitions: error.allowed_transitions,
+    slots: error.slots,
+  });
+
+// Helper to queue a booth for the next free slot of its event
+const addToWaitlist = async (booth) => {
+  if (booth.waitlist_position != null) return booth.waitlist_position;
+
+  const waitlist_position = await nextWaitlistPosition(booth.event_id);
+  const { error } = await supabase
+    .from("booth")
+    .update({ waitlist_position })
+    .eq("id", booth.id);
+
+  if (error) throw error;
+  return waitlist_position;
+};
+
+// Changes a booth status while keeping booth slots consistent: accepting
+// into a full event queues the booth instead, and a freed slot goes to the
+// head of the waitlist
+const changeBoothStatus = async (
+  booth,
+  status,
+  { actor = null, reason = null, waitlist = true, changes = {} } = {}
+) => {
+  const from = normalizeStatus(booth.is_acc);
+  const target = normalizeStatus(status);
+
+  if (isAccepted(target) && !isAccepted(from) && canTransition(from, target)) {
+    const capacity = await getEventCapacity(booth.event_id);
+
+    if (capacity && capacity.remaining === 0) {
+      if (!waitlist) {
+        throw createTransitionError(
+          "No booth slots remaining for this event",
+          409,
+          { slots: formatSlots(capacity) }
+        );
+      }
+
+      const waitlist_position = await addToWaitlist(booth);
+      return {
+        data: { ...booth, waitlist_position },
+        waitlisted: true,
+        promoted: [],
+      };
+    }
+  }
+
+  const data = await transitionBooth(booth, target, {
+    actor,
+    reason,
+    changes: OPEN_STATUSES.includes(target)
+      ? changes
+      : { ...changes, waitlist_position: null },
+  });
+
+  let promoted = [];
+  if (isAccepted(from) && !isAccepted(target)) {
+    promoted = await promoteFromWaitlist(booth.event_id);
+  } else if (
+    booth.waitlist_position != null &&
+    data.waitlist_position == null
+  ) {
+    await compactWaitlist(booth.event_id);
+  }
+
+  return { data, waitlisted: false, promoted };
+};
+
 // CREATE - Add new booth application
 controller.createBooth = async (req, res) => {
   try {
-    const { name, phone, event_id, desc, user_id } = req.body;
+    const { name, phone, event_id, desc, draft } = req.body;
 
     // Validate required fields
     if (!name || !phone || !event_id || !desc) {
@@ -36,7 +141,10 @@ controller.createBooth = async (req, res) => {
     // Check if event exists
     const { data: event, error: eventError } = await supabase
       .from("event")
-      .select("id, name, start_date, end_date")
+      .select(
+        "id, name, start_date, end_date, review_status, booth_applications_closed_at"
+      )
+      .is("deleted_at", null)
       .eq("id", event_id)
       .single();
 
@@ -47,6 +155,14 @@ controller.createBooth = async (req, res) => {
       });
     }
 
+    // Events still under moderation don't take applications yet
+    if (!isApproved(event)) {
+      return res.status(400).json({
+        success: false,
+        message: "Event is not open for booth applications",
+      });
+    }
+
     // Check if event is still accepting booth applications (optional check)
     const currentDate = new Date();
     const eventStartDate = new Date(event.start_date);
@@ -58,27 +174,46 @@ controller.createBooth = async (req, res) => {
       });
     }
 
+    if (!areApplicationsOpen(event)) {
+      return res.status(400).json({
+        success: false,
+        message: "Booth applications for this event are closed",
+      });
+    }
+
     // Check if user already applied for booth in this event (prevent duplicates)
-    if (req.user) {
-      const { data: existingBooth, error: duplicateError } = await supabase
-        .from("booth")
-        .select("id, is_acc")
-        .eq("event_id", event_id)
-        .eq("phone", phone) // Using phone as identifier
-        .single();
+    const { data: existingBooth } = await supabase
+      .from("booth")
+      .select("id, is_acc")
+      .eq("event_id", event_id)
+      .eq("user_id", req.user.id)
+      .limit(1)
+      .maybeSingle();
 
-      if (existingBooth) {
-        return res.status(400).json({
-          success: false,
-          message: "You already have a booth application for this event",
-          existing_booth: {
-            id: existingBooth.id,
-            status: existingBooth.is_acc,
-          },
-        });
-      }
+    if (existingBooth) {
+      return res.status(400).json({
+        success: false,
+        message: "You already have a booth application for this event",
+        existing_booth: {
+          id: existingBooth.id,
+          status: existingBooth.is_acc,
+        },
+      });
     }
 
+    // Drafts are only submitted once the applicant is ready
+    const status =
+      draft === true || draft === "true"
+        ? BOOTH_STATUS.DRAFT
+        : BOOTH_STATUS.SUBMITTED;
+
+    // Applications beyond the event's slots go straight to the waitlist
+    const capacity = await getEventCapacity(event_id);
+    const waitlist_position =
+      status === BOOTH_STATUS.SUBMITTED && capacity.remaining === 0
+        ? await nextWaitlistPosition(event_id)
+        : null;
+
     // Insert new booth application
     const { data, error } = await supabase
       .from("booth")
@@ -86,9 +221,10 @@ controller.createBooth = async (req, res) => {
         name: name.trim(),
         phone: parseInt(phone),
         event_id: parseInt(event_id),
-        user_id: user_id || req.user?.id, // Use user_id from request or authenticated user
+        user_id: req.user.id, // Always the authenticated applicant
         desc: desc.trim(),
-        is_acc: "PENDING", // Default status
+        is_acc: status,
+        waitlist_position,
       })
       .select(
         `
@@ -107,9 +243,27 @@ controller.createBooth = async (req, res) => {
       });
     }
 
+    await recordStatusHistory({
+      booth_id: data.id,
+      from_status: null,
+      to_status: status,
+      actor: req.user,
+    });
+
+    if (status === BOOTH_STATUS.SUBMITTED) {
+      await notifyBoothStatus(data, status);
+    }
+
+    let message = "Booth application submitted successfully";
+    if (status === BOOTH_STATUS.DRAFT) {
+      message = "Booth application saved as draft";
+    } else if (waitlist_position) {
+      message = `Event is full, booth application added to the waitlist at position ${waitlist_position}`;
+    }
+
     res.status(201).json({
       success: true,
-      message: "Booth application submitted successfully",
+      message,
       data,
     });
   } catch (error) {
@@ -140,7 +294,6 @@ controller.getAllBooths = async (req, res) => {
     // Validate sort parameters
     const allowedSortBy = ["id", "name", "phone", "is_acc"];
     const allowedSortOrder = ["asc", "desc"];
-    const allowedStatus = ["PENDING", "ACCEPT", "REJECT"];
 
     const sortBy = allowedSortBy.includes(sort_by) ? sort_by : "id";
     const sortOrder = allowedSortOrder.includes(sort_order)
@@ -159,6 +312,35 @@ controller.getAllBooths = async (req, res) => {
       .order(sortBy, { ascending: sortOrder === "asc" });
     // .range(offset, offset + limit - 1);
 
+    // Vendors only see their own booths and the booths of their events
+    if (req.user.role !== "admin") {
+      const { data: ownVendor, error: vendorError } = await supabase
+        .from("vendor")
+        .select("id")
+        .is("deleted_at", null)
+        .eq("user_id", req.user.id)
+        .maybeSingle();
+
+      if (vendorError) throw vendorError;
+
+      let eventIds = [];
+      if (ownVendor) {
+        const { data: events, error: eventsError } = await supabase
+          .from("event")
+          .select("id")
+          .eq("vendor_id", ownVendor.id);
+
+        if (eventsError) throw eventsError;
+        eventIds = events.map((event) => event.id);
+      }
+
+      query = eventIds.length
+        ? query.or(
+            `user_id.eq.${req.user.id},event_id.in.(${eventIds.join(",")})`
+          )
+        : query.eq("user_id", req.user.id);
+    }
+
     // Add filters
     if (search) {
       query = query.or(`name.ilike.%${search}%,desc.ilike.%${search}%`);
@@ -168,8 +350,9 @@ controller.getAllBooths = async (req, res) => {
       query = query.eq("event_id", event_id);
     }
 
-    if (is_acc && allowedStatus.includes(is_acc.toUpperCase())) {
-      query = query.eq("is_acc", is_acc.toUpperCase());
+    const status = normalizeStatus(is_acc);
+    if (status) {
+      query = query.in("is_acc", withLegacyStatuses([status]));
     }
 
     const { data, error, count } = await query;
@@ -195,7 +378,7 @@ controller.getAllBooths = async (req, res) => {
       filters: {
         search,
         event_id,
-        status: is_acc,
+        status: normalizeStatus(is_acc),
       },
     });
   } catch (error) {
@@ -267,7 +450,7 @@ controller.getBoothsByEventId = async (req, res) => {
   try {
     const { event_id } = req.params;
     const {
-      is_acc = "ACCEPT", // Default to show only accepted booths for public view
+      is_acc = BOOTH_STATUS.ACCEPTED, // Default to show only accepted booths for public view
       include_pending = false,
     } = req.query;
 
@@ -292,9 +475,14 @@ controller.getBoothsByEventId = async (req, res) => {
 
     // Apply status filter
     if (include_pending === "true") {
-      query = query.in("is_acc", ["ACCEPT", "PENDING"]);
-    } else if (is_acc) {
-      query = query.eq("is_acc", is_acc.toUpperCase());
+      query = query.in("is_acc", [
+        ...ACCEPTED_STATUSES,
+        ...withLegacyStatuses(OPEN_STATUSES),
+      ]);
+    } else if (isAccepted(is_acc)) {
+      query = query.in("is_acc", ACCEPTED_STATUSES);
+    } else if (normalizeStatus(is_acc)) {
+      query = query.in("is_acc", withLegacyStatuses([normalizeStatus(is_acc)]));
     }
 
     const { data, error } = await query;
@@ -308,11 +496,14 @@ controller.getBoothsByEventId = async (req, res) => {
       });
     }
 
+    const capacity = await getEventCapacity(event_id);
+
     res.json({
       success: true,
       data,
       event_id: parseInt(event_id),
       total_booths: data.length,
+      slots: capacity ? formatSlots(capacity) : null,
     });
   } catch (error) {
     console.error("Get booths by event error:", error);
@@ -352,8 +543,8 @@ controller.updateBooth = async (req, res) => {
       });
     }
 
-    // Check if booth can still be updated (only PENDING applications can be updated)
-    if (existingBooth.is_acc !== "PENDING") {
+    // Check if booth can still be updated (only drafts and submitted applications)
+    if (!isEditable(existingBooth.is_acc)) {
       return res.status(400).json({
         success: false,
         message: `Cannot update booth application with status: ${existingBooth.is_acc}`,
@@ -422,19 +613,16 @@ controller.updateBooth = async (req, res) => {
   }
 };
 
-// UPDATE - Update booth approval status (Admin only)
+// UPDATE - Update booth application status (Admin only)
 controller.updateBoothStatus = async (req, res) => {
   try {
     const { id } = req.params;
-    const { is_acc } = req.body;
-
-    console.log("=== UPDATE BOOTH STATUS DEBUG ===");
-    console.log("Booth ID:", id);
-    console.log("New status:", is_acc);
+    const { status: requestedStatus, is_acc, reason, waitlist = true } =
+      req.body;
+    const status = normalizeStatus(requestedStatus || is_acc);
 
     // Validate booth ID
     if (!id || isNaN(parseInt(id))) {
-      console.error("Invalid booth ID:", id);
       return res.status(400).json({
         success: false,
         message: "Valid booth ID is required",
@@ -442,12 +630,12 @@ controller.updateBoothStatus = async (req, res) => {
     }
 
     // Validate status
-    const allowedStatuses = ["PENDING", "APPROVED", "REJECTED"];
-    if (!is_acc || !allowedStatuses.includes(is_acc.toUpperCase())) {
-      console.error("Invalid status:", is_acc);
+    if (!status) {
       return res.status(400).json({
         success: false,
-        message: "Status must be one of: PENDING, APPROVED, REJECTED",
+        message: `Status must be one of: ${Object.values(BOOTH_STATUS).join(
+          ", "
+        )}`,
       });
     }
 
@@ -459,41 +647,182 @@ controller.updateBoothStatus = async (req, res) => {
       .single();
 
     if (fetchError || !existingBooth) {
-      console.log("Booth not found:", fetchError);
       return res.status(404).json({
         success: false,
         message: "Booth application not found",
       });
     }
 
-    console.log("Existing booth:", existingBooth);
+    const result = await changeBoothStatus(existingBooth, status, {
+      actor: req.user,
+      reason,
+      waitlist: waitlist !== false && waitlist !== "false",
+    });
 
-    // Update booth status
-    const { data, error } = await supabase
+    if (result.waitlisted) {
+      return res.json({
+        success: true,
+        message: `Event is full, booth moved to the waitlist at position ${result.data.waitlist_position}`,
+        data: result.data,
+        waitlisted: true,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Booth status updated successfully",
+      data: result.data,
+      promoted: result.promoted,
+    });
+  } catch (error) {
+    if (error.status) return sendStatusError(res, error);
+
+    console.error("Update booth status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// UPDATE - Submit a draft booth application (Applicant)
+controller.submitBooth = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: existingBooth, error: fetchError } = await supabase
       .from("booth")
-      .update({ is_acc: is_acc.toUpperCase() })
-      .eq("id", id)
       .select("*")
+      .eq("id", id)
       .single();
 
-    if (error) {
-      console.error("Update booth error:", error);
-      return res.status(500).json({
+    if (fetchError || !existingBooth) {
+      return res.status(404).json({
         success: false,
-        message: "Failed to update booth status",
-        error: error.message,
+        message: "Booth application not found",
+      });
+    }
+
+    // Drafts can't be submitted once the event stops taking applications
+    const { data: event } = await supabase
+      .from("event")
+      .select("id, start_date, booth_applications_closed_at")
+      .is("deleted_at", null)
+      .eq("id", existingBooth.event_id)
+      .single();
+
+    if (event && !areApplicationsOpen(event)) {
+      return res.status(400).json({
+        success: false,
+        message: "Booth applications for this event are closed",
       });
     }
 
-    console.log("Updated booth:", data);
+    const data = await transitionBooth(existingBooth, BOOTH_STATUS.SUBMITTED, {
+      actor: req.user,
+    });
+
+    // Submitting into a full event joins the waitlist
+    const capacity = await getEventCapacity(existingBooth.event_id);
+    if (capacity && capacity.remaining === 0) {
+      data.waitlist_position = await addToWaitlist(data);
+    }
 
     res.json({
       success: true,
-      message: "Booth status updated successfully",
+      message: data.waitlist_position
+        ? `Event is full, booth application added to the waitlist at position ${data.waitlist_position}`
+        : "Booth application submitted successfully",
       data,
     });
   } catch (error) {
-    console.error("Update booth status error:", error);
+    if (error.status) return sendStatusError(res, error);
+
+    console.error("Submit booth error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// UPDATE - Withdraw a booth application (Applicant)
+controller.withdrawBooth = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body || {};
+
+    const { data: existingBooth, error: fetchError } = await supabase
+      .from("booth")
+      .select("*")
+      .eq("id", id)
+      .single();
+
+    if (fetchError || !existingBooth) {
+      return res.status(404).json({
+        success: false,
+        message: "Booth application not found",
+      });
+    }
+
+    const result = await changeBoothStatus(
+      existingBooth,
+      BOOTH_STATUS.WITHDRAWN,
+      { actor: req.user, reason }
+    );
+
+    res.json({
+      success: true,
+      message: "Booth application withdrawn successfully",
+      data: result.data,
+      promoted: result.promoted,
+    });
+  } catch (error) {
+    if (error.status) return sendStatusError(res, error);
+
+    console.error("Withdraw booth error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// READ - Get status history of a booth application
+controller.getBoothStatusHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: existingBooth, error: fetchError } = await supabase
+      .from("booth")
+      .select("id, name, is_acc, user_id, event_id")
+      .eq("id", id)
+      .single();
+
+    if (fetchError || !existingBooth) {
+      return res.status(404).json({
+        success: false,
+        message: "Booth application not found",
+      });
+    }
+
+    const history = await getStatusHistory(id);
+
+    res.json({
+      success: true,
+      data: {
+        booth: {
+          ...existingBooth,
+          is_acc: normalizeStatus(existingBooth.is_acc),
+        },
+        history,
+      },
+    });
+  } catch (error) {
+    console.error("Get booth status history error:", error);
     res.status(500).json({
       success: false,
       message: "Internal server error",
@@ -529,6 +858,59 @@ controller.deleteBooth = async (req, res) => {
       });
     }
 
+    // A collected booth fee has to be refunded before the booth can go
+    const { data: paidInvoice, error: invoiceError } = await supabase
+      .from("invoice")
+      .select("id")
+      .eq("booth_id", id)
+      .eq("status", INVOICE_STATUS.PAID)
+      .limit(1)
+      .maybeSingle();
+
+    if (invoiceError) throw invoiceError;
+
+    if (paidInvoice) {
+      return res.status(409).json({
+        success: false,
+        message: "Refund the paid invoice of this booth before deleting it",
+      });
+    }
+
+    // Booths holding a slot are withdrawn through the lifecycle instead, which
+    // voids their invoice and frees the slot for the waitlist
+    if (isAccepted(existingBooth.is_acc)) {
+      const result = await changeBoothStatus(
+        existingBooth,
+        BOOTH_STATUS.WITHDRAWN,
+        { actor: req.user, reason: "Deleted while holding a slot" }
+      );
+
+      return res.json({
+        success: true,
+        message: "Accepted booth application withdrawn instead of deleted",
+        data: result.data,
+        promoted: result.promoted,
+      });
+    }
+
+    await cancelOpenInvoicesForBooth(id);
+    await detachInvoicesFromBooth(id);
+
+    // Delete status history first (references the booth)
+    const { error: historyError } = await supabase
+      .from("booth_status_history")
+      .delete()
+      .eq("booth_id", id);
+
+    if (historyError) {
+      console.error("Delete booth history error:", historyError);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to delete booth application",
+        error: historyError.message,
+      });
+    }
+
     // Delete booth
     const { error: deleteError } = await supabase
       .from("booth")
@@ -544,14 +926,21 @@ controller.deleteBooth = async (req, res) => {
       });
     }
 
+    if (existingBooth.waitlist_position != null) {
+      await compactWaitlist(existingBooth.event_id);
+    }
+
     res.json({
       success: true,
       message: "Booth application deleted successfully",
       data: {
         deletedBooth: existingBooth,
+        promoted: [],
       },
     });
   } catch (error) {
+    if (error.status) return sendStatusError(res, error);
+
     console.error("Delete booth error:", error);
     res.status(500).json({
       success: false,
@@ -625,12 +1014,22 @@ controller.getBoothStatistics = async (req, res) => {
       throw error;
     }
 
+    // Count every application by its canonical status
+    const by_status = Object.fromEntries(
+      Object.values(BOOTH_STATUS).map((status) => [status.toLowerCase(), 0])
+    );
+    data.forEach((booth) => {
+      const status = normalizeStatus(booth.is_acc);
+      if (status) by_status[status.toLowerCase()]++;
+    });
+
     // Calculate statistics
     const stats = {
       total_applications: data.length,
-      pending: data.filter((booth) => booth.is_acc === "PENDING").length,
-      accepted: data.filter((booth) => booth.is_acc === "ACCEPT").length,
-      rejected: data.filter((booth) => booth.is_acc === "REJECT").length,
+      pending: by_status.submitted + by_status.under_review,
+      accepted: by_status.accepted + by_status.checked_in,
+      rejected: by_status.rejected,
+      by_status,
     };
 
     // Add percentages
@@ -651,6 +1050,7 @@ controller.getBoothStatistics = async (req, res) => {
       const { data: event, error: eventError } = await supabase
         .from("event")
         .select("id, name")
+        .is("deleted_at", null)
         .eq("id", event_id)
         .single();
 
@@ -662,6 +1062,7 @@ controller.getBoothStatistics = async (req, res) => {
     res.json({
       success: true,
       message: "Booth statistics retrieved successfully",
+      data: stats,
     });
   } catch (error) {
     console.error("Get booth statistics error:", error);
@@ -676,7 +1077,9 @@ controller.getBoothStatistics = async (req, res) => {
 // BULK operations - Bulk update booth status (Admin only)
 controller.bulkUpdateBoothStatus = async (req, res) => {
   try {
-    const { booth_ids, is_acc, admin_notes } = req.body;
+    const { booth_ids, status: requestedStatus, is_acc, admin_notes } =
+      req.body;
+    const status = normalizeStatus(requestedStatus || is_acc);
 
     // Validate input
     if (!booth_ids || !Array.isArray(booth_ids) || booth_ids.length === 0) {
@@ -687,51 +1090,73 @@ controller.bulkUpdateBoothStatus = async (req, res) => {
     }
 
     // Validate status
-    const allowedStatus = ["PENDING", "ACCEPT", "REJECT"];
-    if (!is_acc || !allowedStatus.includes(is_acc.toUpperCase())) {
+    if (!status) {
       return res.status(400).json({
         success: false,
-        message: "Valid status is required (PENDING, ACCEPT, REJECT)",
+        message: `Valid status is required (${Object.values(BOOTH_STATUS).join(
+          ", "
+        )})`,
       });
     }
 
-    // Update booths
-    const updateData = {
-      is_acc: is_acc.toUpperCase(),
-    };
-
-    if (admin_notes) {
-      updateData.admin_notes = admin_notes.trim();
-    }
-
-    const { data, error } = await supabase
+    const { data: booths, error: fetchError } = await supabase
       .from("booth")
-      .update(updateData)
-      .in("id", booth_ids).select(`
-        *,
-        event:event_id (id, name)
-      `);
+      .select("*")
+      .in("id", booth_ids)
+      .order("id", { ascending: true });
 
-    if (error) {
-      console.error("Bulk update booth status error:", error);
+    if (fetchError) {
+      console.error("Bulk update booth status error:", fetchError);
       return res.status(500).json({
         success: false,
         message: "Failed to update booth statuses",
-        error: error.message,
+        error: fetchError.message,
       });
     }
 
+    const changes = admin_notes ? { admin_notes: admin_notes.trim() } : {};
+    const data = [];
+    const waitlisted = [];
+    const promoted = [];
+    const skipped = [];
+
+    // One booth at a time so slot checks see the previous acceptances
+    for (const booth of booths) {
+      try {
+        const result = await changeBoothStatus(booth, status, {
+          actor: req.user,
+          reason: admin_notes,
+          changes,
+        });
+
+        if (result.waitlisted) {
+          waitlisted.push({
+            id: booth.id,
+            event_id: booth.event_id,
+            waitlist_position: result.data.waitlist_position,
+          });
+        } else {
+          data.push(result.data);
+          promoted.push(...result.promoted);
+        }
+      } catch (error) {
+        if (!error.status) throw error;
+        skipped.push({ id: booth.id, reason: error.message });
+      }
+    }
+
     // Log admin action
     console.log(
-      `Admin ${req.user?.email} bulk updated ${booth_ids.length
-      } booths to ${is_acc.toUpperCase()}`
+      `Admin ${req.user?.email} bulk updated ${data.length} booths to ${status}`
     );
 
     res.json({
       success: true,
-      message: `${data.length
-        } booth applications ${is_acc.toLowerCase()}ed successfully`,
+      message: `${data.length} booth applications updated to ${status}`,
       data,
+      waitlisted,
+      promoted,
+      skipped,
       updated_count: data.length,
       updated_by: req.user?.email,
       updated_at: new Date().toISOString(),
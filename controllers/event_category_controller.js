@@ -1,5 +1,6 @@
 // controllers/event_category_controller.js
-const supabase = require("../db/supabase");
+const supabase = require("../db");
+const { softDelete } = require("../services/trash");
 
 const controller = {};
 
@@ -87,6 +88,7 @@ controller.getAllEventCategories = async (req, res) => {
     let query = supabase
       .from("event_category")
       .select("*", { count: "exact" })
+      .is("deleted_at", null)
       .order(sortBy, { ascending: sortOrder === "asc" });
 
     const { data, error, count } = await query;
@@ -130,6 +132,7 @@ controller.getEventCategoryById = async (req, res) => {
     const { data, error } = await supabase
       .from("event_category")
       .select("*")
+      .is("deleted_at", null)
       .eq("id", id)
       .single();
 
@@ -168,6 +171,7 @@ controller.getEventCategoryWithCount = async (req, res) => {
         event:id (count)
       `
       )
+      .is("deleted_at", null)
       .eq("id", id)
       .single();
 
@@ -206,6 +210,7 @@ controller.getAllCategoriesWithCount = async (req, res) => {
         event:id (count)
       `
       )
+      .is("deleted_at", null)
       .order("name", { ascending: true });
 
     if (error) {
@@ -264,6 +269,7 @@ controller.updateEventCategory = async (req, res) => {
     const { data: existingCategory, error: fetchError } = await supabase
       .from("event_category")
       .select("*")
+      .is("deleted_at", null)
       .eq("id", id)
       .single();
 
@@ -346,6 +352,7 @@ controller.deleteEventCategory = async (req, res) => {
     const { data: existingCategory, error: fetchError } = await supabase
       .from("event_category")
       .select("*")
+      .is("deleted_at", null)
       .eq("id", id)
       .single();
 
@@ -360,6 +367,7 @@ controller.deleteEventCategory = async (req, res) => {
     const { data: associatedEvents, error: eventsError } = await supabase
       .from("event")
       .select("id, name")
+      .is("deleted_at", null)
       .eq("event_category_id", id)
       .limit(5); // Limit to show examples
 
@@ -384,25 +392,17 @@ controller.deleteEventCategory = async (req, res) => {
       });
     }
 
-    // Delete category
-    const { error: deleteError } = await supabase
-      .from("event_category")
-      .delete()
-      .eq("id", id);
-
-    if (deleteError) {
-      console.error("Delete event category error:", deleteError);
-      return res.status(500).json({
-        success: false,
-        message: "Failed to delete event category",
-        error: deleteError.message,
-      });
-    }
+    // Moved to the trash until it is restored or purged (services/trash.js)
+    const deletedCategory = await softDelete(
+      "event_category",
+      id,
+      req.user.id
+    );
 
     res.json({
       success: true,
-      message: "Event category deleted successfully",
-      edCategory: existingCategory,
+      message: "Event category moved to trash",
+      edCategory: deletedCategory,
       affected_events_count: associatedEvents ? associatedEvents.length : 0,
     });
   } catch (error) {
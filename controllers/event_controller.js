@@ -1,94 +1,63 @@
 // controllers/event_controller.js
-const supabase = require("../db/supabase");
-const multer = require("multer");
-const { v4: uuidv4 } = require("uuid");
+const supabase = require("../db");
+const {
+  IMAGE_TYPES,
+  DOCUMENT_TYPES,
+  createUpload,
+  uploadImage,
+  uploadDocument,
+  deleteUpload,
+  deleteImage,
+  withThumbnail,
+} = require("../services/media");
+const { deleteFileByUrl } = require("../services/storage_upload");
+const { getGallery } = require("../services/gallery");
+const { softDelete } = require("../services/trash");
+const {
+  BOOTH_STATUS,
+  OPEN_STATUSES,
+  normalizeStatus,
+} = require("../services/booth_status");
+const {
+  isAccepted,
+  formatSlots,
+  promoteFromWaitlist,
+} = require("../services/booth_capacity");
+const { getRevenueSummary } = require("../services/invoice");
+const {
+  parseCoordinates,
+  parseLocationFields,
+  parseBbox,
+  withinBounds,
+  hasCoordinates,
+  withDistance,
+} = require("../services/geo");
+const { findAreaForPoint } = require("../services/area_boundary");
+const { notifyEventUpdated } = require("../services/event_notifications");
+const {
+  getApplicationsCloseDate,
+  areApplicationsOpen,
+  getEventStatus,
+} = require("../services/event_lifecycle");
+const {
+  REVIEW_STATUS,
+  APPROVED_FILTER,
+  isApproved,
+  canViewUnapproved,
+  getReviewedChanges,
+  pendingReview,
+  reviewDecision,
+} = require("../services/event_review");
 
 const controller = {};
 
-// Configure multer for memory storage
-const storage = multer.memoryStorage();
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    // Check if file is an image or PDF (for permit)
-    if (file.fieldname === "banner_image") {
-      if (file.mimetype.startsWith("image/")) {
-        cb(null, true);
-      } else {
-        cb(new Error("Banner must be an image file!"), false);
-      }
-    } else if (file.fieldname === "permit_img") {
-      if (
-        file.mimetype.startsWith("image/") ||
-        file.mimetype === "application/pdf"
-      ) {
-        cb(null, true);
-      } else {
-        cb(new Error("Permit must be an image or PDF file!"), false);
-      }
-    } else {
-      cb(new Error("Unknown file field!"), false);
-    }
-  },
-});
-
-// Helper function to upload file to Supabase Storage
-const uploadFileToStorage = async (file, folder = "events") => {
-  try {
-    // Generate unique filename
-    const fileExt = file.originalname.split(".").pop();
-    const fileName = `${uuidv4()}.${fileExt}`;
-    const filePath = `${folder}/${fileName}`;
-
-    // Upload to Supabase Storage
-    const { data, error } = await supabase.storage
-      .from("events") // Create this bucket in Supabase
-      .upload(filePath, file.buffer, {
-        contentType: file.mimetype,
-        upsert: false,
-      });
+const EVENT_BUCKET = "events";
 
-    if (error) {
-      throw error;
-    }
-
-    // Get public URL
-    const {
-      data: { publicUrl },
-    } = supabase.storage.from("events").getPublicUrl(filePath);
-
-    return {
-      success: true,
-      filePath: data.path,
-      publicUrl: publicUrl,
-    };
-  } catch (error) {
-    console.error("Upload error:", error);
-    return {
-      success: false,
-      error: error.message,
-    };
-  }
-};
-
-// Helper function to delete file from storage
-const deleteFileFromStorage = async (filePath) => {
-  try {
-    const { error } = await supabase.storage.from("events").remove([filePath]);
-
-    if (error) {
-      console.error("Delete file error:", error);
-      return false;
-    }
-    return true;
-  } catch (error) {
-    console.error("Delete file error:", error);
-    return false;
-  }
-};
+// The permit may also be a PDF
+const upload = createUpload({
+  banner_image: IMAGE_TYPES,
+  permit_img: DOCUMENT_TYPES,
+});
 
 // Helper function to validate date
 const validateDates = (start_date, end_date) => {
@@ -123,6 +92,29 @@ const validateContact = (contact) => {
   return phoneRegex.test(contact) || emailRegex.test(contact);
 };
 
+// Map view filters: `bbox` limits results to the visible bounds and
+// `lat`/`lng` adds each event's distance from that point
+const parseMapQuery = ({ bbox, lat, lng }) => {
+  const box = bbox ? parseBbox(bbox) : null;
+  if (box && !box.valid) {
+    return { valid: false, message: box.message };
+  }
+
+  const origin = parseCoordinates(lat, lng);
+  if (!origin.valid) {
+    return { valid: false, message: origin.message };
+  }
+
+  return {
+    valid: true,
+    bounds: box ? box.bounds : null,
+    origin:
+      origin.latitude !== null
+        ? { latitude: origin.latitude, longitude: origin.longitude }
+        : null,
+  };
+};
+
 // CREATE - Add new event
 controller.createEvent = async (req, res) => {
   try {
@@ -283,6 +275,16 @@ controller.createEvent = async (req, res) => {
       });
     }
 
+    // Structured address and coordinates are optional; coordinates power
+    // "near me" search and let us infer the area
+    const locationFields = parseLocationFields(req.body);
+    if (!locationFields.valid) {
+      return res.status(400).json({
+        success: false,
+        message: locationFields.message,
+      });
+    }
+
     // Check if files are provided
     console.log("=== FILE VALIDATION ===");
     const hasFiles = !!(files && files.banner_image && files.permit_img);
@@ -357,15 +359,46 @@ controller.createEvent = async (req, res) => {
       }
     }
 
+    // Without an explicit area, use the area whose boundary holds the event
+    let eventAreaId = area_id ? parseInt(area_id) : null;
+    let areaInferred = false;
+    if (!eventAreaId && hasCoordinates(locationFields.data)) {
+      const area = await findAreaForPoint(locationFields.data);
+      if (area) {
+        eventAreaId = area.id;
+        areaInferred = true;
+      }
+    }
+
+    // Vendors always create events under their own vendor profile
+    let eventVendorId = vendor_id;
+    if (req.user.role !== "admin") {
+      const { data: ownVendor } = await supabase
+        .from("vendor")
+        .select("id")
+        .is("deleted_at", null)
+        .eq("user_id", req.user.id)
+        .maybeSingle();
+
+      if (!ownVendor) {
+        return res.status(403).json({
+          success: false,
+          message: "A vendor profile is required to create events",
+        });
+      }
+      eventVendorId = ownVendor.id;
+    }
+
     // Check if vendor exists (if provided)
-    if (vendor_id) {
+    if (eventVendorId) {
       console.log("=== VENDOR VALIDATION ===");
-      console.log("Checking vendor_id:", vendor_id);
+      console.log("Checking vendor_id:", eventVendorId);
 
       const { data: vendor, error: vendorError } = await supabase
         .from("vendor")
         .select("id, name")
-        .eq("id", vendor_id)
+        .is("deleted_at", null)
+        .eq("id", eventVendorId)
         .single();
 
       console.log("Vendor query result:", { data: vendor, error: vendorError });
@@ -376,7 +409,7 @@ controller.createEvent = async (req, res) => {
           success: false,
           message: "Vendor not found",
           debug: {
-            requested_vendor_id: vendor_id,
+            requested_vendor_id: eventVendorId,
             vendor_error: vendorError,
             vendor_found: !!vendor,
           },
@@ -388,8 +421,9 @@ controller.createEvent = async (req, res) => {
 
     // Upload banner image
     console.log("Uploading banner image...");
-    const bannerUpload = await uploadFileToStorage(
+    const bannerUpload = await uploadImage(
       files.banner_image[0],
+      EVENT_BUCKET,
       "events/banners"
     );
     console.log("Banner upload result:", bannerUpload);
@@ -405,8 +439,9 @@ controller.createEvent = async (req, res) => {
 
     // Upload permit document
     console.log("Uploading permit document...");
-    const permitUpload = await uploadFileToStorage(
+    const permitUpload = await uploadDocument(
       files.permit_img[0],
+      EVENT_BUCKET,
       "events/permits"
     );
     console.log("Permit upload result:", permitUpload);
@@ -414,7 +449,7 @@ controller.createEvent = async (req, res) => {
     if (!permitUpload.success) {
       console.log("❌ PERMIT UPLOAD FAILED");
       // Delete banner if permit upload fails
-      await deleteFileFromStorage(bannerUpload.filePath);
+      await deleteUpload(EVENT_BUCKET, bannerUpload);
       return res.status(500).json({
         success: false,
         message: "Failed to upload permit document",
@@ -436,9 +471,15 @@ controller.createEvent = async (req, res) => {
       start_date,
       end_date,
       banner: bannerUpload.publicUrl,
+      banner_sizes: bannerUpload.sizes,
       permit_img: permitUpload.publicUrl,
-      area_id: area_id ? parseInt(area_id) : null,
-      vendor_id: vendor_id || null,
+      area_id: eventAreaId,
+      vendor_id: eventVendorId || null,
+      ...locationFields.data,
+      // Admin events are published right away, vendor events wait for review
+      ...(req.user.role === "admin"
+        ? reviewDecision(REVIEW_STATUS.APPROVED, req.user.id)
+        : pendingReview()),
     };
 
     console.log("Data to insert:", insertData);
@@ -462,8 +503,8 @@ controller.createEvent = async (req, res) => {
     if (error) {
       console.log("❌ DATABASE INSERT FAILED");
       // Delete uploaded files if database insert fails
-      await deleteFileFromStorage(bannerUpload.filePath);
-      await deleteFileFromStorage(permitUpload.filePath);
+      await deleteUpload(EVENT_BUCKET, bannerUpload);
+      await deleteUpload(EVENT_BUCKET, permitUpload);
       console.error("Create event error:", error);
       return res.status(500).json({
         success: false,
@@ -481,9 +522,12 @@ controller.createEvent = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: "Event created successfully",
+      message: isApproved(data)
+        ? "Event created successfully"
+        : "Event created and submitted for review",
       data: {
         ...data,
+        area_inferred: areaInferred,
         uploaded_files: {
           banner_path: bannerUpload.filePath,
           permit_path: permitUpload.filePath,
@@ -520,10 +564,21 @@ controller.getAllEvents = async (req, res) => {
       max_price,
       start_date,
       end_date,
+      bbox,
+      lat,
+      lng,
       sort_by = "start_date",
       sort_order = "desc",
     } = req.query;
 
+    const map = parseMapQuery({ bbox, lat, lng });
+    if (!map.valid) {
+      return res.status(400).json({
+        success: false,
+        message: map.message,
+      });
+    }
+
     const offset = (page - 1) * limit;
 
     // Validate sort parameters
@@ -559,6 +614,8 @@ controller.getAllEvents = async (req, res) => {
       `,
         { count: "exact" }
       )
+      .is("deleted_at", null)
+      .or(APPROVED_FILTER)
       .order(sortBy, { ascending: sortOrder === "asc" })
       .range(offset, offset + limit - 1);
 
@@ -592,6 +649,7 @@ controller.getAllEvents = async (req, res) => {
     if (end_date) {
       query = query.lte("end_date", end_date);
     }
+    query = withinBounds(query, map.bounds);
 
     const { data, error, count } = await query;
 
@@ -629,13 +687,17 @@ controller.getAllEvents = async (req, res) => {
       // Calculate booth statistics
       const boothStats = {
         total: booths.length,
-        pending: booths.filter((b) => b.is_acc === "PENDING").length,
-        approved: booths.filter((b) => b.is_acc === "APPROVED").length,
-        rejected: booths.filter((b) => b.is_acc === "REJECTED").length,
+        pending: booths.filter((b) =>
+          OPEN_STATUSES.includes(normalizeStatus(b.is_acc))
+        ).length,
+        approved: booths.filter((b) => isAccepted(b.is_acc)).length,
+        rejected: booths.filter(
+          (b) => normalizeStatus(b.is_acc) === BOOTH_STATUS.REJECTED
+        ).length,
       };
 
       return {
-        ...event,
+        ...withThumbnail(event),
         booth: {
           count: booths.length,
           statistics: boothStats,
@@ -649,18 +711,15 @@ controller.getAllEvents = async (req, res) => {
             (new Date(event.end_date) - new Date(event.start_date)) /
               (1000 * 60 * 60 * 24)
           ) + 1,
-        status:
-          new Date(event.end_date) < new Date()
-            ? "completed"
-            : new Date(event.start_date) <= new Date()
-            ? "ongoing"
-            : "upcoming",
+        status: getEventStatus(event),
       };
     });
 
     res.json({
       success: true,
-      data: processedData,
+      data: map.origin
+        ? withDistance(processedData, map.origin)
+        : processedData,
       pagination: {
         total: count,
         page: parseInt(page),
@@ -675,6 +734,8 @@ controller.getAllEvents = async (req, res) => {
         vendor_id,
         price_range: { min_price, max_price },
         date_range: { start_date, end_date },
+        bbox: map.bounds,
+        near: map.origin,
       },
     });
   } catch (error) {
@@ -701,10 +762,21 @@ controller.getEventData = async (req, res) => {
       max_price,
       start_date,
       end_date,
+      bbox,
+      lat,
+      lng,
       sort_by = "start_date",
       sort_order = "asc",
     } = req.query;
 
+    const map = parseMapQuery({ bbox, lat, lng });
+    if (!map.valid) {
+      return res.status(400).json({
+        success: false,
+        message: map.message,
+      });
+    }
+
     const offset = (page - 1) * limit;
 
     // Validate sort parameters
@@ -726,6 +798,8 @@ controller.getEventData = async (req, res) => {
     let query = supabase
       .from("event")
       .select("*", { count: "exact" })
+      .is("deleted_at", null)
+      .or(APPROVED_FILTER)
       .order(sortBy, { ascending: sortOrder === "asc" })
       .range(offset, offset + parseInt(limit) - 1);
 
@@ -764,6 +838,8 @@ controller.getEventData = async (req, res) => {
       query = query.lte("end_date", end_date);
     }
 
+    query = withinBounds(query, map.bounds);
+
     const { data, error, count } = await query;
 
     if (error) {
@@ -777,7 +853,7 @@ controller.getEventData = async (req, res) => {
 
     // Add some basic calculated fields if needed
     const processedData = data.map((event) => ({
-      ...event,
+      ...withThumbnail(event),
       duration_days:
         event.start_date && event.end_date
           ? Math.ceil(
@@ -786,18 +862,14 @@ controller.getEventData = async (req, res) => {
             ) + 1
           : null,
       status:
-        event.start_date && event.end_date
-          ? new Date(event.end_date) < new Date()
-            ? "completed"
-            : new Date(event.start_date) <= new Date()
-            ? "ongoing"
-            : "upcoming"
-          : "unknown",
+        event.start_date && event.end_date ? getEventStatus(event) : "unknown",
     }));
 
     res.json({
       success: true,
-      data: processedData,
+      data: map.origin
+        ? withDistance(processedData, map.origin)
+        : processedData,
       pagination: {
         total: count,
         page: parseInt(page),
@@ -811,6 +883,8 @@ controller.getEventData = async (req, res) => {
         vendor_id,
         price_range: { min_price, max_price },
         date_range: { start_date, end_date },
+        bbox: map.bounds,
+        near: map.origin,
         sort_by: sortBy,
         sort_order: sortOrder,
       },
@@ -1028,59 +1102,68 @@ controller.getEventById = async (req, res) => {
                 *,
                 event_category:event_category_id (id, name),
                 area:area_id (id, name),
-                vendor:vendor_id (id, name, phone, insta),
+                vendor:vendor_id (id, name, phone, insta, user_id),
                 booth!booth_event_id_fkey (
                     id,
                     name,
                     phone,
                     desc,
                     is_acc,
-                    user_id
+                    user_id,
+                    waitlist_position
                 )
                 `
       )
+      .is("deleted_at", null)
       .eq("id", id)
       .single();
 
-    if (error || !data) {
+    if (
+      error ||
+      !data ||
+      (!isApproved(data) && !canViewUnapproved(req.user, data))
+    ) {
       return res.status(404).json({
         success: false,
         message: "Event not found",
       });
     }
 
+    const booths = data.booth || [];
+    const acceptedBooths = booths.filter((b) => isAccepted(b.is_acc)).length;
+    const totalSlots = parseInt(data.booth_slot) || 0;
+
     // Add calculated fields
     const eventData = {
       ...data,
-      booth_count: data.booth ? data.booth.length : 0,
-      // Assuming your is_acc values are 'ACCEPT', 'PENDING', 'REJECT'
-      accepted_booths: data.booth
-        ? data.booth.filter((b) => b.is_acc === "ACCEPT").length
-        : 0,
-      pending_booths: data.booth
-        ? data.booth.filter((b) => b.is_acc === "PENDING").length
-        : 0,
-      rejected_booths: data.booth
-        ? data.booth.filter((b) => b.is_acc === "REJECT").length
-        : 0,
+      booth_count: booths.length,
+      accepted_booths: acceptedBooths,
+      pending_booths: booths.filter((b) =>
+        OPEN_STATUSES.includes(normalizeStatus(b.is_acc))
+      ).length,
+      rejected_booths: booths.filter(
+        (b) => normalizeStatus(b.is_acc) === BOOTH_STATUS.REJECTED
+      ).length,
+      booth_slots: formatSlots({
+        total: totalSlots,
+        accepted: acceptedBooths,
+        remaining: Math.max(totalSlots - acceptedBooths, 0),
+        waitlisted: booths.filter((b) => b.waitlist_position != null).length,
+      }),
       duration_days:
         Math.ceil(
           (new Date(data.end_date) - new Date(data.start_date)) /
             (1000 * 60 * 60 * 24)
         ) + 1,
-      status:
-        new Date(data.end_date) < new Date()
-          ? "completed"
-          : new Date(data.start_date) <= new Date()
-          ? "ongoing"
-          : "upcoming",
+      status: getEventStatus(data),
       days_until_start: Math.ceil(
         (new Date(data.start_date) - new Date()) / (1000 * 60 * 60 * 24)
       ),
       days_until_end: Math.ceil(
         (new Date(data.end_date) - new Date()) / (1000 * 60 * 60 * 24)
       ),
-      is_registration_open: new Date(data.start_date) > new Date(),
+      is_registration_open: areApplicationsOpen(data),
+      registration_closes_at: getApplicationsCloseDate(data).toISOString(),
       formatted_dates: {
         start_date: new Date(data.start_date).toLocaleDateString("id-ID"),
         end_date: new Date(data.end_date).toLocaleDateString("id-ID"),
@@ -1101,7 +1184,7 @@ controller.getEventById = async (req, res) => {
 
     res.json({
       success: true,
-      data: eventData,
+      data: { ...eventData, media: await getGallery("event", data.id) },
     });
   } catch (error) {
     console.error("Get event by ID error:", error);
@@ -1125,6 +1208,15 @@ controller.getEventsByVendorId = async (req, res) => {
 
     const offset = (page - 1) * limit;
 
+    // Vendors see their own events in every review state, others only the
+    // approved ones
+    const { data: vendor } = await supabase
+      .from("vendor")
+      .select("id, user_id")
+      .is("deleted_at", null)
+      .eq("id", vendor_id)
+      .maybeSingle();
+
     let query = supabase
       .from("event")
       .select(
@@ -1132,14 +1224,19 @@ controller.getEventsByVendorId = async (req, res) => {
         *,
         event_category:event_category_id (id, name),
         area:area_id (id, name),
-        event_id (count)
+        booth!booth_event_id_fkey (count)
       `,
         { count: "exact" }
       )
+      .is("deleted_at", null)
       .eq("vendor_id", vendor_id)
       .order("start_date", { ascending: false })
       .range(offset, offset + limit - 1);
 
+    if (!vendor || !canViewUnapproved(req.user, { vendor })) {
+      query = query.or(APPROVED_FILTER);
+    }
+
     const { data, error, count } = await query;
 
     if (error) {
@@ -1174,19 +1271,14 @@ controller.getEventsByVendorId = async (req, res) => {
 
     // Process data
     const processedData = filteredData.map((event) => ({
-      ...event,
+      ...withThumbnail(event),
       booth_count: event.booth[0]?.count || 0,
       duration_days:
         Math.ceil(
           (new Date(event.end_date) - new Date(event.start_date)) /
             (1000 * 60 * 60 * 24)
         ) + 1,
-      status:
-        new Date(event.end_date) < new Date()
-          ? "completed"
-          : new Date(event.start_date) <= new Date()
-          ? "ongoing"
-          : "upcoming",
+      status: getEventStatus(event),
     }));
 
     res.json({
@@ -1225,7 +1317,7 @@ controller.updateEvent = async (req, res) => {
       category,
       event_category_id,
       location,
-      booth_slot = 10, // Default booth slot
+      booth_slot,
       contact,
       start_date,
       end_date,
@@ -1237,26 +1329,6 @@ controller.updateEvent = async (req, res) => {
 
     const files = req.files;
 
-    if (remove_banner === "true") {
-      updateData.banner = null;
-      // Delete old banner file
-      if (existingEvent.banner) {
-        const urlParts = existingEvent.banner.split("/");
-        const fileName = urlParts[urlParts.length - 1];
-        await deleteFileFromStorage(`events/banners/${fileName}`);
-      }
-    }
-
-    if (remove_permit === "true") {
-      updateData.permit_img = null;
-      // Delete old permit file
-      if (existingEvent.permit_img) {
-        const urlParts = existingEvent.permit_img.split("/");
-        const fileName = urlParts[urlParts.length - 1];
-        await deleteFileFromStorage(`events/permits/${fileName}`);
-      }
-    }
-
     // Validate ID
     if (!id || isNaN(parseInt(id))) {
       return res.status(400).json({
@@ -1269,6 +1341,7 @@ controller.updateEvent = async (req, res) => {
     const { data: existingEvent, error: fetchError } = await supabase
       .from("event")
       .select("*")
+      .is("deleted_at", null)
       .eq("id", id)
       .single();
 
@@ -1333,6 +1406,21 @@ controller.updateEvent = async (req, res) => {
       if (end_date !== undefined) updateData.end_date = end_date;
     }
 
+    const locationFields = parseLocationFields(req.body, { partial: true });
+    if (!locationFields.valid) {
+      return res.status(400).json({
+        success: false,
+        message: locationFields.message,
+      });
+    }
+    Object.assign(updateData, locationFields.data);
+
+    // Moved events get the area of their new coordinates unless one is given
+    if (area_id === undefined && hasCoordinates(locationFields.data)) {
+      const area = await findAreaForPoint(locationFields.data);
+      if (area) updateData.area_id = area.id;
+    }
+
     // Validate foreign keys if provided
     if (event_category_id !== undefined) {
       const { data: eventCategory, error: categoryError } = await supabase
@@ -1370,11 +1458,24 @@ controller.updateEvent = async (req, res) => {
       }
     }
 
+    // Only admins can move an event to another vendor
+    if (
+      vendor_id !== undefined &&
+      req.user.role !== "admin" &&
+      vendor_id !== existingEvent.vendor_id
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Only admins can assign an event to another vendor",
+      });
+    }
+
     if (vendor_id !== undefined) {
       if (vendor_id) {
         const { data: vendor, error: vendorError } = await supabase
           .from("vendor")
           .select("id")
+          .is("deleted_at", null)
           .eq("id", vendor_id)
           .single();
 
@@ -1390,16 +1491,30 @@ controller.updateEvent = async (req, res) => {
       }
     }
 
+    // Removed files are cleared here and deleted once the update succeeded
+    // (a new upload replaces them anyway)
+    const removeBanner =
+      remove_banner === "true" && !(files && files.banner_image);
+    const removePermit =
+      remove_permit === "true" && !(files && files.permit_img);
+
+    if (removeBanner) {
+      updateData.banner = null;
+      updateData.banner_sizes = null;
+    }
+    if (removePermit) {
+      updateData.permit_img = null;
+    }
+
     // Handle file uploads
-    let oldBannerPath = null;
-    let oldPermitPath = null;
-    let newBannerUrl = null;
-    let newPermitUrl = null;
+    let bannerUpload = null;
+    let permitUpload = null;
 
     // Handle banner image upload
     if (files && files.banner_image) {
-      const bannerUpload = await uploadFileToStorage(
+      bannerUpload = await uploadImage(
         files.banner_image[0],
+        EVENT_BUCKET,
         "events/banners"
       );
       if (!bannerUpload.success) {
@@ -1411,29 +1526,19 @@ controller.updateEvent = async (req, res) => {
       }
 
       updateData.banner = bannerUpload.publicUrl;
-      newBannerUrl = bannerUpload.publicUrl;
-
-      // Extract old banner path for deletion
-      if (existingEvent.banner) {
-        const urlParts = existingEvent.banner.split("/");
-        const fileName = urlParts[urlParts.length - 1];
-        oldBannerPath = `events/banners/${fileName}`;
-      }
+      updateData.banner_sizes = bannerUpload.sizes;
     }
 
     // Handle permit document upload
     if (files && files.permit_img) {
-      const permitUpload = await uploadFileToStorage(
+      permitUpload = await uploadDocument(
         files.permit_img[0],
+        EVENT_BUCKET,
         "events/permits"
       );
       if (!permitUpload.success) {
         // Delete new banner if permit upload fails
-        if (newBannerUrl) {
-          const urlParts = newBannerUrl.split("/");
-          const fileName = urlParts[urlParts.length - 1];
-          await deleteFileFromStorage(`events/banners/${fileName}`);
-        }
+        await deleteUpload(EVENT_BUCKET, bannerUpload);
 
         return res.status(500).json({
           success: false,
@@ -1443,14 +1548,6 @@ controller.updateEvent = async (req, res) => {
       }
 
       updateData.permit_img = permitUpload.publicUrl;
-      newPermitUrl = permitUpload.publicUrl;
-
-      // Extract old permit path for deletion
-      if (existingEvent.permit_img) {
-        const urlParts = existingEvent.permit_img.split("/");
-        const fileName = urlParts[urlParts.length - 1];
-        oldPermitPath = `events/permits/${fileName}`;
-      }
     }
 
     // Validate at least one field to update
@@ -1461,6 +1558,17 @@ controller.updateEvent = async (req, res) => {
       });
     }
 
+    // Vendor edits to what the approval covered (or to a rejected event) send
+    // the event back to the review queue
+    const reviewedChanges = getReviewedChanges(existingEvent, updateData);
+    const needsReview =
+      req.user.role !== "admin" &&
+      (existingEvent.review_status === REVIEW_STATUS.REJECTED ||
+        (isApproved(existingEvent) && reviewedChanges.length > 0));
+    if (needsReview) {
+      Object.assign(updateData, pendingReview());
+    }
+
     // Update event
     const { data, error } = await supabase
       .from("event")
@@ -1471,23 +1579,15 @@ controller.updateEvent = async (req, res) => {
         *,
         event_category:event_category_id (id, name),
         area:area_id (id, name),
-        vendor:vendor_id (id, name)
+        vendor:vendor_id (id, name, user_id)
       `
       )
       .single();
 
     if (error) {
       // If update fails and new files were uploaded, delete them
-      if (newBannerUrl) {
-        const urlParts = newBannerUrl.split("/");
-        const fileName = urlParts[urlParts.length - 1];
-        await deleteFileFromStorage(`events/banners/${fileName}`);
-      }
-      if (newPermitUrl) {
-        const urlParts = newPermitUrl.split("/");
-        const fileName = urlParts[urlParts.length - 1];
-        await deleteFileFromStorage(`events/permits/${fileName}`);
-      }
+      await deleteUpload(EVENT_BUCKET, bannerUpload);
+      await deleteUpload(EVENT_BUCKET, permitUpload);
 
       console.error("Update event error:", error);
       return res.status(500).json({
@@ -1497,18 +1597,33 @@ controller.updateEvent = async (req, res) => {
       });
     }
 
-    // Delete old files if new ones were uploaded successfully
-    if (oldBannerPath && newBannerUrl) {
-      await deleteFileFromStorage(oldBannerPath);
+    // Delete old files if they were replaced or removed
+    if ((bannerUpload || removeBanner) && existingEvent.banner) {
+      await deleteImage(
+        EVENT_BUCKET,
+        existingEvent.banner,
+        existingEvent.banner_sizes
+      );
     }
-    if (oldPermitPath && newPermitUrl) {
-      await deleteFileFromStorage(oldPermitPath);
+    if ((permitUpload || removePermit) && existingEvent.permit_img) {
+      await deleteFileByUrl(EVENT_BUCKET, existingEvent.permit_img);
+    }
+
+    // Extra slots are handed to waitlisted booth applications
+    if (updateData.booth_slot > (parseInt(existingEvent.booth_slot) || 0)) {
+      await promoteFromWaitlist(id);
     }
 
+    await notifyEventUpdated(data, reviewedChanges, { editorId: req.user.id });
+
     res.json({
       success: true,
-      message: "Event updated successfully",
+      message: needsReview
+        ? "Event updated and submitted for review"
+        : "Event updated successfully",
       data,
+      review_required: needsReview,
+      reviewed_changes: reviewedChanges,
     });
   } catch (error) {
     console.error("Update event error:", error);
@@ -1539,6 +1654,7 @@ controller.deleteEvent = async (req, res) => {
       .from("event")
       .select("*")
       .eq("id", id)
+      .is("deleted_at", null)
       .single();
 
     if (fetchError || !existingEvent) {
@@ -1576,52 +1692,172 @@ controller.deleteEvent = async (req, res) => {
       });
     }
 
-    // Delete event from database
-    const { error: deleteError } = await supabase
+    // Moved to the trash: files, gallery and booths stay until it is purged
+    // (services/trash.js); banners linking to it are switched off
+    const deletedEvent = await softDelete("event", id, req.user.id);
+
+    res.json({
+      success: true,
+      message: "Event moved to trash",
+      edEvent: deletedEvent,
+      affected_booths_count: associatedBooths ? associatedBooths.length : 0,
+    });
+  } catch (error) {
+    console.error("Delete event error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// READ - Get the event review queue with permit documents (Admin)
+controller.getReviewQueue = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status = REVIEW_STATUS.PENDING } = req.query;
+
+    const offset = (page - 1) * limit;
+    const reviewStatus = status.toUpperCase();
+
+    if (!Object.values(REVIEW_STATUS).includes(reviewStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${Object.values(REVIEW_STATUS).join(
+          ", "
+        )}`,
+      });
+    }
+
+    const { data, error, count } = await supabase
       .from("event")
-      .delete()
-      .eq("id", id);
+      .select(
+        `
+        id,
+        name,
+        price,
+        location,
+        start_date,
+        end_date,
+        banner,
+        permit_img,
+        review_status,
+        review_reason,
+        submitted_at,
+        reviewed_at,
+        event_category:event_category_id (id, name),
+        area:area_id (id, name),
+        vendor:vendor_id (id, name, phone, email),
+        reviewer:reviewed_by (id, first_name, last_name)
+      `,
+        { count: "exact" }
+      )
+      .is("deleted_at", null)
+      .eq("review_status", reviewStatus)
+      .order("submitted_at", { ascending: true })
+      .range(offset, offset + parseInt(limit) - 1);
 
-    if (deleteError) {
-      console.error("Delete event error:", deleteError);
+    if (error) {
+      console.error("Get event review queue error:", error);
       return res.status(500).json({
         success: false,
-        message: "Failed to delete event",
-        error: deleteError.message,
+        message: "Failed to fetch event review queue",
+        error: error.message,
       });
     }
 
-    // Delete associated files from storage
-    if (existingEvent.banner) {
-      const urlParts = existingEvent.banner.split("/");
-      const fileName = urlParts[urlParts.length - 1];
-      const bannerPath = `events/banners/${fileName}`;
+    res.json({
+      success: true,
+      data,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get event review queue error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Helper to record an admin decision on an event waiting for review
+const reviewEvent = async (req, res, reviewStatus) => {
+  const { id } = req.params;
+  const { reason } = req.body;
 
-      const bannerDeleted = await deleteFileFromStorage(bannerPath);
-      if (!bannerDeleted) {
-        console.warn(`Failed to delete banner: ${bannerPath}`);
-      }
-    }
+  if (reviewStatus === REVIEW_STATUS.REJECTED && (!reason || !reason.trim())) {
+    return res.status(400).json({
+      success: false,
+      message: "A reason is required when rejecting an event",
+    });
+  }
 
-    if (existingEvent.permit_img) {
-      const urlParts = existingEvent.permit_img.split("/");
-      const fileName = urlParts[urlParts.length - 1];
-      const permitPath = `events/permits/${fileName}`;
+  const { data: event, error: fetchError } = await supabase
+    .from("event")
+    .select("id, review_status")
+    .is("deleted_at", null)
+    .eq("id", id)
+    .single();
 
-      const permitDeleted = await deleteFileFromStorage(permitPath);
-      if (!permitDeleted) {
-        console.warn(`Failed to delete permit: ${permitPath}`);
-      }
-    }
+  if (fetchError || !event) {
+    return res.status(404).json({
+      success: false,
+      message: "Event not found",
+    });
+  }
 
-    res.json({
-      success: true,
-      message: "Event deleted successfully",
-      edEvent: existingEvent,
-      affected_booths_count: associatedBooths ? associatedBooths.length : 0,
+  if (event.review_status !== REVIEW_STATUS.PENDING) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot review event with status: ${event.review_status}`,
+      current_status: event.review_status,
     });
+  }
+
+  const { data, error } = await supabase
+    .from("event")
+    .update(
+      reviewDecision(reviewStatus, req.user.id, reason ? reason.trim() : null)
+    )
+    .eq("id", id)
+    .select(
+      `
+      *,
+      event_category:event_category_id (id, name),
+      area:area_id (id, name),
+      vendor:vendor_id (id, name)
+    `
+    )
+    .single();
+
+  if (error) {
+    console.error("Review event error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to review event",
+      error: error.message,
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `Event ${reviewStatus.toLowerCase()} successfully`,
+    data,
+  });
+};
+
+// UPDATE - Approve an event so it is listed publicly (Admin)
+controller.approveEvent = async (req, res) => {
+  try {
+    await reviewEvent(req, res, REVIEW_STATUS.APPROVED);
   } catch (error) {
-    console.error("Delete event error:", error);
+    console.error("Approve event error:", error);
     res.status(500).json({
       success: false,
       message: "Internal server error",
@@ -1630,13 +1866,29 @@ controller.deleteEvent = async (req, res) => {
   }
 };
 
-// Get event statistics
-controller.getEventStatistics = async (req, res) => {
+// UPDATE - Reject an event with a reason for the vendor (Admin)
+controller.rejectEvent = async (req, res) => {
   try {
-    const { start_date, end_date, event_category_id, area_id, vendor_id } =
-      req.query;
+    await reviewEvent(req, res, REVIEW_STATUS.REJECTED);
+  } catch (error) {
+    console.error("Reject event error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
 
-    let query = supabase.from("event").select(`
+// Events matching the statistics filters of a query string
+const findStatisticsEvents = async ({
+  start_date,
+  end_date,
+  event_category_id,
+  area_id,
+  vendor_id,
+}) => {
+  let query = supabase.from("event").select(`
       id,
       price,
       start_date,
@@ -1646,28 +1898,39 @@ controller.getEventStatistics = async (req, res) => {
       vendor_id
     `); // Removed trailing comma
 
-    // Apply filters
-    if (start_date) {
-      query = query.gte("start_date", start_date);
-    }
-    if (end_date) {
-      query = query.lte("end_date", end_date);
-    }
-    if (event_category_id) {
-      query = query.eq("event_category_id", event_category_id);
-    }
-    if (area_id) {
-      query = query.eq("area_id", area_id);
-    }
-    if (vendor_id) {
-      query = query.eq("vendor_id", vendor_id);
-    }
+  // Apply filters
+  query = query.is("deleted_at", null);
+  if (start_date) {
+    query = query.gte("start_date", start_date);
+  }
+  if (end_date) {
+    query = query.lte("end_date", end_date);
+  }
+  if (event_category_id) {
+    query = query.eq("event_category_id", event_category_id);
+  }
+  if (area_id) {
+    query = query.eq("area_id", area_id);
+  }
+  if (vendor_id) {
+    query = query.eq("vendor_id", vendor_id);
+  }
 
-    const { data, error } = await query;
+  const { data, error } = await query;
 
-    if (error) {
-      throw error;
-    }
+  if (error) {
+    throw error;
+  }
+  return data;
+};
+
+// Get event statistics
+controller.getEventStatistics = async (req, res) => {
+  try {
+    const { start_date, end_date, event_category_id, area_id, vendor_id } =
+      req.query;
+
+    const data = await findStatisticsEvents(req.query);
 
     // Get booth counts separately since you're not selecting booth data
     const eventIds = data.map((event) => event.id);
@@ -1723,10 +1986,6 @@ controller.getEventStatistics = async (req, res) => {
               )
             : 0,
       },
-      revenue_projection: upcomingEvents.reduce(
-        (sum, event) => sum + event.price * (boothCounts[event.id] || 0), // Fixed: use boothCounts
-        0
-      ),
     };
 
     res.json({
@@ -1750,4 +2009,35 @@ controller.getEventStatistics = async (req, res) => {
   }
 };
 
+// Booth fees collected, refunded and outstanding from invoices, with the same
+// filters as the statistics (admin)
+controller.getEventRevenue = async (req, res) => {
+  try {
+    const { start_date, end_date, event_category_id, area_id, vendor_id } =
+      req.query;
+
+    const events = await findStatisticsEvents(req.query);
+    const eventIds = events.map((event) => event.id);
+
+    res.json({
+      success: true,
+      data: await getRevenueSummary({ eventIds }),
+      filters: {
+        start_date,
+        end_date,
+        event_category_id,
+        area_id,
+        vendor_id,
+      },
+    });
+  } catch (error) {
+    console.error("Get event revenue error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
 module.exports = { controller, upload };
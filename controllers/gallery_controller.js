@@ -0,0 +1,184 @@
+// controllers/gallery_controller.js
+// Handlers are built per owner type ("event", "vendor", "rental_product"),
+// e.g. controller.getMedia("event"); routes check who may manage the owner.
+const { createUpload, IMAGE_TYPES } = require("../services/media");
+const {
+  GALLERIES,
+  GALLERY_MAX_IMAGES,
+  getOwner,
+  getGallery,
+  addImages,
+  updateImage,
+  reorderGallery,
+  removeImage,
+} = require("../services/gallery");
+
+const controller = {};
+
+const upload = createUpload({ images: IMAGE_TYPES });
+
+// Helper to send errors thrown by the gallery service
+const sendGalleryError = (res, error) =>
+  res.status(error.status).json({
+    success: false,
+    message: error.message,
+    current_count: error.current_count,
+    current_ids: error.current_ids,
+    error: error.details,
+  });
+
+// Resolves to the owner of :id, or answers 404 and resolves to null
+const findOwner = async (type, req, res) => {
+  const owner = await getOwner(type, req.params.id, req.user);
+  if (!owner) {
+    res.status(404).json({
+      success: false,
+      message: `${GALLERIES[type].label} not found`,
+    });
+  }
+  return owner;
+};
+
+// READ - Gallery in display order
+controller.getMedia = (type) => async (req, res) => {
+  try {
+    if (!(await findOwner(type, req, res))) return;
+
+    res.json({
+      success: true,
+      data: await getGallery(type, req.params.id),
+    });
+  } catch (error) {
+    console.error("Get gallery error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// CREATE - Add images (`images` files, optional `captions` in the same order)
+controller.addMedia = (type) => async (req, res) => {
+  try {
+    const owner = await findOwner(type, req, res);
+    if (!owner) return;
+
+    const files = (req.files && req.files.images) || [];
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one image is required",
+      });
+    }
+
+    const captions = [].concat(req.body.captions ?? []);
+    const data = await addImages(type, owner.id, files, {
+      captions,
+      userId: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${files.length} image(s) added to the gallery`,
+      data,
+    });
+  } catch (error) {
+    if (error.status) return sendGalleryError(res, error);
+
+    console.error("Add gallery images error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// UPDATE - Change the caption of an image or make it the cover
+controller.updateMedia = (type) => async (req, res) => {
+  try {
+    if (!(await findOwner(type, req, res))) return;
+
+    const { caption, is_cover } = req.body;
+    if (caption === undefined && is_cover === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "caption or is_cover is required",
+      });
+    }
+
+    const data = await updateImage(type, req.params.id, req.params.mediaId, {
+      caption,
+      is_cover,
+    });
+
+    res.json({
+      success: true,
+      message: "Gallery image updated successfully",
+      data,
+    });
+  } catch (error) {
+    if (error.status) return sendGalleryError(res, error);
+
+    console.error("Update gallery image error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// UPDATE - Reorder the gallery (`ids` lists every image in the new order)
+controller.reorderMedia = (type) => async (req, res) => {
+  try {
+    if (!(await findOwner(type, req, res))) return;
+
+    const data = await reorderGallery(type, req.params.id, req.body.ids);
+
+    res.json({
+      success: true,
+      message: "Gallery reordered successfully",
+      data,
+    });
+  } catch (error) {
+    if (error.status) return sendGalleryError(res, error);
+
+    console.error("Reorder gallery error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// DELETE - Remove an image and its files
+controller.deleteMedia = (type) => async (req, res) => {
+  try {
+    if (!(await findOwner(type, req, res))) return;
+
+    const data = await removeImage(type, req.params.id, req.params.mediaId);
+
+    res.json({
+      success: true,
+      message: "Gallery image deleted successfully",
+      data,
+    });
+  } catch (error) {
+    if (error.status) return sendGalleryError(res, error);
+
+    console.error("Delete gallery image error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  controller,
+  upload: upload.fields([{ name: "images", maxCount: GALLERY_MAX_IMAGES }]),
+};
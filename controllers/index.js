@@ -7,6 +7,7 @@ const area = require("./area_controller.js");
 const vendor = require("./vendor_controller.js");
 const booth = require("./booth_controller.js");
 const rating = require("./rating_controller.js");
+const rentalBooking = require("./rental_booking_controller.js");
 
 const controller = {};
 
@@ -19,5 +20,6 @@ controller.area = area;
 controller.vendor = vendor;
 controller.booth = booth;
 controller.rating = rating;
+controller.rentalBooking = rentalBooking;
 
 module.exports = controller;
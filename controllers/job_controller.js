@@ -0,0 +1,59 @@
+// controllers/job_controller.js
+const {
+  JOB_RUN_STATUS,
+  jobs,
+  runJob,
+  listJobs,
+} = require("../services/jobs");
+
+const controller = {};
+
+// READ - Scheduled jobs with their latest run (admin)
+controller.getJobs = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await listJobs(),
+    });
+  } catch (error) {
+    console.error("Get jobs error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// CREATE - Run a job now (admin)
+controller.runJob = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (!jobs[name]) {
+      return res.status(404).json({
+        success: false,
+        message: "Job not found",
+        available_jobs: Object.keys(jobs),
+      });
+    }
+
+    const run = await runJob(name, { triggeredBy: req.user.id });
+    const failed = run.status === JOB_RUN_STATUS.FAILED;
+
+    res.status(failed ? 500 : 200).json({
+      success: !failed,
+      message: failed ? `Job ${name} failed` : `Job ${name} finished`,
+      data: run,
+    });
+  } catch (error) {
+    console.error("Run job error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = controller;
@@ -0,0 +1,325 @@
+// controllers/notification_controller.js
+const supabase = require("../db");
+const { LOCALES } = require("../services/notification_templates");
+const {
+  PREFERENCE_CATEGORIES,
+  getPreferences,
+} = require("../services/notifications");
+const { sendEventReminders } = require("../services/event_notifications");
+const { getUnreadCount, publishUnreadCount } = require("../services/inbox");
+const { subscribe, writeEvent } = require("../services/notification_stream");
+const { issueStreamTicket } = require("../services/auth_session");
+
+const controller = {};
+
+const toBoolean = (value) => value === true || value === "true";
+
+// READ - Inbox of the signed in user, newest first
+controller.getMyNotifications = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from("notification")
+      .select("*", { count: "exact" })
+      .eq("user_id", req.user.id)
+      .order("created_at", { ascending: false })
+      .range(offset, offset + parseInt(limit) - 1);
+
+    if (toBoolean(unread)) {
+      query = query.is("read_at", null);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      console.error("Get notifications error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to fetch notifications",
+        error: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+      unread_count: await getUnreadCount(req.user.id),
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get notifications error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// READ - Number of unread notifications (for the badge)
+controller.getUnreadCount = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { count: await getUnreadCount(req.user.id) },
+    });
+  } catch (error) {
+    console.error("Get unread notification count error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// UPDATE - Mark one of the user's notifications as read
+controller.markAsRead = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: notification, error: fetchError } = await supabase
+      .from("notification")
+      .select("*")
+      .eq("id", id)
+      .eq("user_id", req.user.id)
+      .maybeSingle();
+
+    if (fetchError || !notification) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found",
+      });
+    }
+
+    // Already read notifications keep their original read time
+    if (notification.read_at) {
+      return res.json({
+        success: true,
+        message: "Notification already read",
+        data: notification,
+      });
+    }
+
+    const { data, error } = await supabase
+      .from("notification")
+      .update({ read_at: new Date().toISOString() })
+      .eq("id", id)
+      .select("*")
+      .single();
+
+    if (error) {
+      console.error("Mark notification read error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to mark notification as read",
+        error: error.message,
+      });
+    }
+
+    await publishUnreadCount(req.user.id);
+
+    res.json({
+      success: true,
+      message: "Notification marked as read",
+      data,
+    });
+  } catch (error) {
+    console.error("Mark notification read error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// UPDATE - Mark every unread notification of the user as read
+controller.markAllAsRead = async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("notification")
+      .update({ read_at: new Date().toISOString() })
+      .eq("user_id", req.user.id)
+      .is("read_at", null)
+      .select("id");
+
+    if (error) {
+      console.error("Mark all notifications read error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to mark notifications as read",
+        error: error.message,
+      });
+    }
+
+    await publishUnreadCount(req.user.id);
+
+    res.json({
+      success: true,
+      message: `${data.length} notification(s) marked as read`,
+      data: { updated: data.length },
+    });
+  } catch (error) {
+    console.error("Mark all notifications read error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// CREATE - One-time ticket for opening the notification stream
+controller.createStreamTicket = async (req, res) => {
+  try {
+    const data = await issueStreamTicket(req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error("Create stream ticket error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// READ - Server-Sent Events stream of new notifications and unread counts
+controller.streamNotifications = async (req, res) => {
+  try {
+    const count = await getUnreadCount(req.user.id);
+
+    subscribe(req.user.id, req, res);
+    writeEvent(res, "unread_count", { count });
+  } catch (error) {
+    console.error("Stream notifications error:", error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+        error: error.message,
+      });
+    }
+  }
+};
+
+// READ - Notification preferences of the signed in user
+controller.getMyPreferences = async (req, res) => {
+  try {
+    const preferences = await getPreferences(req.user.id);
+
+    res.json({
+      success: true,
+      data: preferences,
+    });
+  } catch (error) {
+    console.error("Get notification preferences error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// UPDATE - Change locale, the email switch or any category switch
+controller.updateMyPreferences = async (req, res) => {
+  try {
+    const { locale } = req.body;
+    const updateData = {};
+
+    if (locale !== undefined) {
+      if (!LOCALES.includes(locale)) {
+        return res.status(400).json({
+          success: false,
+          message: `locale must be one of: ${LOCALES.join(", ")}`,
+        });
+      }
+      updateData.locale = locale;
+    }
+
+    ["email_enabled", ...PREFERENCE_CATEGORIES].forEach((key) => {
+      if (req.body[key] !== undefined) {
+        updateData[key] = toBoolean(req.body[key]);
+      }
+    });
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one preference is required to update",
+      });
+    }
+
+    const current = await getPreferences(req.user.id);
+    const { data, error } = await supabase
+      .from("notification_preference")
+      .upsert(
+        {
+          ...current,
+          ...updateData,
+          user_id: req.user.id,
+          updated_at: new Date().toISOString(),
+        },
+        { onConflict: "user_id" }
+      )
+      .select("*")
+      .single();
+
+    if (error) {
+      console.error("Update notification preferences error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to update notification preferences",
+        error: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Notification preferences updated successfully",
+      data,
+    });
+  } catch (error) {
+    console.error("Update notification preferences error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// CREATE - Send reminders for events starting soon (admin)
+controller.sendEventReminders = async (req, res) => {
+  try {
+    const results = await sendEventReminders();
+
+    res.json({
+      success: true,
+      message: `Sent reminders for ${results.length} event(s)`,
+      data: results,
+    });
+  } catch (error) {
+    console.error("Send event reminders error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = controller;
@@ -0,0 +1,698 @@
+// controllers/payment_controller.js
+const supabase = require("../db");
+const {
+  INVOICE_STATUS,
+  PAYMENT_STATUS,
+  PAYMENT_METHOD,
+  OPEN_INVOICE_STATUSES,
+  settlePayment,
+} = require("../services/invoice");
+const { getGateway } = require("../services/payment_gateways");
+const {
+  DOCUMENT_TYPES,
+  createUpload,
+  uploadDocument,
+  deleteUpload,
+} = require("../services/media");
+const { getSignedUrl } = require("../services/storage_upload");
+
+const controller = {};
+
+// Private bucket: proofs are stored by path and shown through signed URLs
+const PROOF_BUCKET = "payment-proofs";
+const PROOF_URL_TTL_SECONDS = 60 * 60;
+
+// Proof of transfer can be a screenshot or a PDF receipt
+const upload = createUpload({ proof: DOCUMENT_TYPES });
+
+const INVOICE_SELECT = `
+  *,
+  event:event_id (id, name, start_date, end_date),
+  booth:booth_id (id, name, is_acc),
+  payment (*)
+`;
+
+// Adds a short-lived `proof_url` to payments with an uploaded proof
+const withProofUrl = async (payment) =>
+  payment.proof_path
+    ? {
+        ...payment,
+        proof_url: await getSignedUrl(
+          PROOF_BUCKET,
+          payment.proof_path,
+          PROOF_URL_TTL_SECONDS
+        ),
+      }
+    : payment;
+
+const withProofUrls = async (invoice) => ({
+  ...invoice,
+  payment: await Promise.all((invoice.payment || []).map(withProofUrl)),
+});
+
+const canAccessInvoice = (user, invoice) =>
+  user.role === "admin" || (!!invoice.user_id && invoice.user_id === user.id);
+
+// Helper to load the invoice of the request (ownership is checked by the route)
+const findInvoice = async (req, res) => {
+  const { data: invoice, error } = await supabase
+    .from("invoice")
+    .select(INVOICE_SELECT)
+    .eq("id", req.params.id)
+    .single();
+
+  if (error || !invoice) {
+    res.status(404).json({
+      success: false,
+      message: "Invoice not found",
+    });
+    return null;
+  }
+
+  return withProofUrls(invoice);
+};
+
+// Applies a normalized gateway event to its payment; safe to receive twice.
+// Money collected for an invoice that is no longer open (the booth was
+// cancelled or rejected after the checkout started) is refunded.
+const processGatewayEvent = async (gateway, event) => {
+  const { data: payment, error } = await supabase
+    .from("payment")
+    .select("*")
+    .eq("provider", gateway.name)
+    .eq("provider_reference", event.reference)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!payment) return { found: false };
+
+  if (payment.status !== PAYMENT_STATUS.PENDING) {
+    return { found: true, payment, duplicate: true };
+  }
+
+  const { data: invoice, error: invoiceError } = await supabase
+    .from("invoice")
+    .select("id, status")
+    .eq("id", payment.invoice_id)
+    .single();
+
+  if (invoiceError) throw invoiceError;
+
+  const paid =
+    event.status === "PAID" && event.amount >= Number(payment.amount);
+
+  if (paid && !OPEN_INVOICE_STATUSES.includes(invoice.status)) {
+    const refund = await gateway.refund({
+      reference: payment.provider_reference,
+      amount: event.amount,
+    });
+
+    const { data: refundedPayment, error: refundError } = await supabase
+      .from("payment")
+      .update({
+        status: PAYMENT_STATUS.REFUNDED,
+        refund_reference: refund.reference,
+        notes: `Invoice was ${invoice.status.toLowerCase()} when the payment arrived`,
+      })
+      .eq("id", payment.id)
+      .select("*")
+      .single();
+
+    if (refundError) throw refundError;
+    return { found: true, payment: refundedPayment, refunded: true };
+  }
+
+  if (paid) {
+    return { found: true, ...(await settlePayment(payment)) };
+  }
+
+  const { data: failedPayment, error: updateError } = await supabase
+    .from("payment")
+    .update({ status: PAYMENT_STATUS.FAILED })
+    .eq("id", payment.id)
+    .select("*")
+    .single();
+
+  if (updateError) throw updateError;
+  return { found: true, payment: failedPayment };
+};
+
+// READ - Get all invoices (Admin)
+controller.getAllInvoices = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, event_id, user_id } = req.query;
+
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from("invoice")
+      .select(INVOICE_SELECT, { count: "exact" })
+      .order("due_date", { ascending: true })
+      .range(offset, offset + parseInt(limit) - 1);
+
+    if (status && Object.values(INVOICE_STATUS).includes(status.toUpperCase())) {
+      query = query.eq("status", status.toUpperCase());
+    }
+    if (event_id) {
+      query = query.eq("event_id", event_id);
+    }
+    if (user_id) {
+      query = query.eq("user_id", user_id);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      console.error("Get invoices error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to fetch invoices",
+        error: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await Promise.all(data.map(withProofUrls)),
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get invoices error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// READ - Get invoices of the current user
+controller.getMyInvoices = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    let query = supabase
+      .from("invoice")
+      .select(INVOICE_SELECT)
+      .eq("user_id", req.user.id)
+      .order("due_date", { ascending: true });
+
+    if (status && Object.values(INVOICE_STATUS).includes(status.toUpperCase())) {
+      query = query.eq("status", status.toUpperCase());
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error("Get my invoices error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to fetch invoices",
+        error: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await Promise.all(data.map(withProofUrls)),
+    });
+  } catch (error) {
+    console.error("Get my invoices error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// READ - Get invoice by ID (owner or admin)
+controller.getInvoiceById = async (req, res) => {
+  try {
+    const invoice = await findInvoice(req, res);
+    if (!invoice) return;
+
+    res.json({
+      success: true,
+      data: invoice,
+    });
+  } catch (error) {
+    console.error("Get invoice by ID error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// CREATE - Submit a manual transfer with proof of payment (owner)
+controller.submitPaymentProof = async (req, res) => {
+  try {
+    const { notes } = req.body;
+    const file = req.file;
+
+    if (!file) {
+      return res.status(400).json({
+        success: false,
+        message: "Proof of payment file is required",
+      });
+    }
+
+    const invoice = await findInvoice(req, res);
+    if (!invoice) return;
+
+    if (!OPEN_INVOICE_STATUSES.includes(invoice.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot pay an invoice with status: ${invoice.status}`,
+      });
+    }
+
+    const proofUpload = await uploadDocument(file, PROOF_BUCKET, "proofs");
+    if (!proofUpload.success) {
+      return res.status(500).json({
+        success: false,
+        message: "Failed to upload proof of payment",
+        error: proofUpload.error,
+      });
+    }
+
+    const { data, error } = await supabase
+      .from("payment")
+      .insert({
+        invoice_id: invoice.id,
+        user_id: req.user.id,
+        amount: invoice.amount,
+        method: PAYMENT_METHOD.MANUAL_TRANSFER,
+        status: PAYMENT_STATUS.PENDING,
+        proof_path: proofUpload.filePath,
+        notes: notes ? notes.trim() : null,
+      })
+      .select("*")
+      .single();
+
+    if (error) {
+      await deleteUpload(PROOF_BUCKET, proofUpload);
+
+      console.error("Submit payment proof error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to submit payment",
+        error: error.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Payment submitted, waiting for confirmation",
+      data: await withProofUrl(data),
+    });
+  } catch (error) {
+    console.error("Submit payment proof error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// CREATE - Start a payment through the payment gateway (owner)
+controller.createCheckout = async (req, res) => {
+  try {
+    const invoice = await findInvoice(req, res);
+    if (!invoice) return;
+
+    if (!OPEN_INVOICE_STATUSES.includes(invoice.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot pay an invoice with status: ${invoice.status}`,
+      });
+    }
+
+    let gateway;
+    try {
+      gateway = getGateway();
+    } catch (error) {
+      console.error("Create checkout error:", error);
+      return res.status(503).json({
+        success: false,
+        message: "Online payment is not available",
+      });
+    }
+
+    const charge = await gateway.createCharge({ invoice });
+
+    const { data, error } = await supabase
+      .from("payment")
+      .insert({
+        invoice_id: invoice.id,
+        user_id: req.user.id,
+        amount: invoice.amount,
+        method: PAYMENT_METHOD.GATEWAY,
+        provider: gateway.name,
+        provider_reference: charge.reference,
+        status: PAYMENT_STATUS.PENDING,
+      })
+      .select("*")
+      .single();
+
+    if (error) {
+      console.error("Create checkout error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to start payment",
+        error: error.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Payment started",
+      data: {
+        payment: data,
+        checkout_url: charge.checkout_url,
+      },
+    });
+  } catch (error) {
+    console.error("Create checkout error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// WEBHOOK - Payment notifications from the gateway (public, signed)
+controller.handleWebhook = async (req, res) => {
+  try {
+    let gateway;
+    try {
+      gateway = getGateway(req.params.provider);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (!gateway.verifyWebhook(req)) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid webhook signature",
+      });
+    }
+
+    const result = await processGatewayEvent(
+      gateway,
+      gateway.parseWebhook(req)
+    );
+
+    if (!result.found) {
+      return res.status(404).json({
+        success: false,
+        message: "Payment not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      received: true,
+      duplicate: !!result.duplicate,
+    });
+  } catch (error) {
+    console.error("Payment webhook error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Mock gateway only - complete or fail a checkout by sending its webhook
+controller.simulateMockPayment = async (req, res) => {
+  try {
+    const { reference } = req.params;
+    const { status = "paid" } = req.body || {};
+    const gateway = getGateway("mock");
+
+    if (!gateway.getSecret()) {
+      return res.status(503).json({
+        success: false,
+        message: "Set MOCK_GATEWAY_SECRET to use the mock gateway",
+      });
+    }
+
+    const { data: payment, error } = await supabase
+      .from("payment")
+      .select("*, invoice:invoice_id (id, user_id)")
+      .eq("provider", gateway.name)
+      .eq("provider_reference", reference)
+      .maybeSingle();
+
+    if (error || !payment) {
+      return res.status(404).json({
+        success: false,
+        message: "Payment not found",
+      });
+    }
+
+    if (!canAccessInvoice(req.user, payment.invoice)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only pay your own invoices",
+      });
+    }
+
+    // Goes through the same verification as a real webhook request
+    const webhook = gateway.simulateWebhook({
+      reference,
+      amount: payment.amount,
+      status,
+    });
+    const webhookRequest = {
+      headers: webhook.headers,
+      body: JSON.parse(webhook.body),
+      rawBody: Buffer.from(webhook.body),
+    };
+
+    if (!gateway.verifyWebhook(webhookRequest)) {
+      throw new Error("Mock webhook signature mismatch");
+    }
+
+    const result = await processGatewayEvent(
+      gateway,
+      gateway.parseWebhook(webhookRequest)
+    );
+
+    res.json({
+      success: true,
+      message: "Mock payment processed",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Simulate mock payment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// UPDATE - Confirm a manual payment (Admin)
+controller.confirmPayment = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: payment, error } = await supabase
+      .from("payment")
+      .select("*, invoice:invoice_id (id, status)")
+      .eq("id", id)
+      .single();
+
+    if (error || !payment) {
+      return res.status(404).json({
+        success: false,
+        message: "Payment not found",
+      });
+    }
+
+    if (payment.status !== PAYMENT_STATUS.PENDING) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot confirm a payment with status: ${payment.status}`,
+      });
+    }
+
+    if (!OPEN_INVOICE_STATUSES.includes(payment.invoice.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invoice is already ${payment.invoice.status.toLowerCase()}`,
+      });
+    }
+
+    const result = await settlePayment(payment, { confirmed_by: req.user.id });
+
+    res.json({
+      success: true,
+      message: "Payment confirmed successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Confirm payment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// UPDATE - Reject a manual payment, e.g. unreadable proof (Admin)
+controller.rejectPayment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body || {};
+
+    const { data: payment, error: fetchError } = await supabase
+      .from("payment")
+      .select("*")
+      .eq("id", id)
+      .single();
+
+    if (fetchError || !payment) {
+      return res.status(404).json({
+        success: false,
+        message: "Payment not found",
+      });
+    }
+
+    if (payment.status !== PAYMENT_STATUS.PENDING) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot reject a payment with status: ${payment.status}`,
+      });
+    }
+
+    const { data, error } = await supabase
+      .from("payment")
+      .update({
+        status: PAYMENT_STATUS.REJECTED,
+        confirmed_by: req.user.id,
+        confirmed_at: new Date().toISOString(),
+        notes: reason ? reason.trim() : payment.notes,
+      })
+      .eq("id", id)
+      .select("*")
+      .single();
+
+    if (error) {
+      console.error("Reject payment error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to reject payment",
+        error: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Payment rejected",
+      data: await withProofUrl(data),
+    });
+  } catch (error) {
+    console.error("Reject payment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// UPDATE - Refund a paid invoice (Admin)
+controller.refundInvoice = async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+
+    const invoice = await findInvoice(req, res);
+    if (!invoice) return;
+
+    if (invoice.status !== INVOICE_STATUS.PAID) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot refund an invoice with status: ${invoice.status}`,
+      });
+    }
+
+    const payment = (invoice.payment || []).find(
+      (p) => p.status === PAYMENT_STATUS.CONFIRMED
+    );
+
+    // Gateway payments are refunded through the provider first
+    let refundReference = null;
+    if (payment && payment.method === PAYMENT_METHOD.GATEWAY) {
+      const refund = await getGateway(payment.provider).refund({
+        reference: payment.provider_reference,
+        amount: payment.amount,
+      });
+      refundReference = refund.reference;
+    }
+
+    if (payment) {
+      const { error: paymentError } = await supabase
+        .from("payment")
+        .update({
+          status: PAYMENT_STATUS.REFUNDED,
+          refund_reference: refundReference,
+        })
+        .eq("id", payment.id);
+
+      if (paymentError) throw paymentError;
+    }
+
+    const { data, error } = await supabase
+      .from("invoice")
+      .update({
+        status: INVOICE_STATUS.REFUNDED,
+        refunded_at: new Date().toISOString(),
+        refund_reason: reason ? reason.trim() : null,
+      })
+      .eq("id", invoice.id)
+      .select(INVOICE_SELECT)
+      .single();
+
+    if (error) {
+      console.error("Refund invoice error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to refund invoice",
+        error: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Invoice refunded successfully",
+      data: await withProofUrls(data),
+    });
+  } catch (error) {
+    console.error("Refund invoice error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = { controller, upload };
@@ -0,0 +1,398 @@
+// controllers/profile_controller.js
+// The signed-in user's own account: profile fields and avatar, email change
+// and deletion. Admins manage other accounts through /admin/users.
+const supabase = require("../db");
+const {
+  createUpload,
+  IMAGE_TYPES,
+  uploadImage,
+  deleteUpload,
+  deleteImage,
+  withThumbnail,
+} = require("../services/media");
+const {
+  AVATAR_BUCKET,
+  parseProfileUpdate,
+  normalizeEmail,
+  checkPassword,
+  deleteAccount,
+} = require("../services/account");
+const { getPreferences, sendEmail } = require("../services/notifications");
+
+const controller = {};
+
+const upload = createUpload({ avatar: IMAGE_TYPES });
+
+// Frontend the email change link leads to
+const getAppUrl = () => process.env.APP_URL || "http://localhost:3000";
+
+const toProfile = (user) => {
+  const profile = withThumbnail(user, "avatar");
+  return {
+    id: profile.id,
+    email: profile.email,
+    first_name: profile.first_name,
+    last_name: profile.last_name,
+    phone: profile.phone || null,
+    role: profile.role,
+    avatar: profile.avatar || null,
+    avatar_sizes: profile.avatar_sizes || null,
+    thumbnail: profile.thumbnail || null,
+  };
+};
+
+const findUser = async (userId) => {
+  const { data, error } = await supabase
+    .from("user")
+    .select("*")
+    .eq("id", userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// READ - Profile of the signed-in user
+controller.getMe = async (req, res) => {
+  try {
+    const user = await findUser(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    res.json({ success: true, data: toProfile(user) });
+  } catch (error) {
+    console.error("Get me error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// UPDATE - first_name, last_name, phone and the `avatar` image;
+// `remove_avatar: true` removes the avatar
+controller.updateMe = async (req, res) => {
+  let uploadResult = null;
+
+  try {
+    if (req.body.email !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Use PUT /me/email to change the email address",
+      });
+    }
+
+    const parsed = parseProfileUpdate(req.body);
+    if (!parsed.valid) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.message,
+      });
+    }
+
+    const updateData = parsed.data;
+    const removeAvatar =
+      req.body.remove_avatar === "true" || req.body.remove_avatar === true;
+
+    if (Object.keys(updateData).length === 0 && !req.file && !removeAvatar) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one field is required to update",
+      });
+    }
+
+    const existingUser = await findUser(req.user.id);
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (req.file) {
+      uploadResult = await uploadImage(
+        req.file,
+        AVATAR_BUCKET,
+        `avatars/${req.user.id}`
+      );
+
+      if (!uploadResult.success) {
+        console.error("Avatar upload failed:", uploadResult.error);
+        return res.status(500).json({
+          success: false,
+          message: "Failed to upload avatar",
+          error: uploadResult.error,
+        });
+      }
+
+      updateData.avatar = uploadResult.publicUrl;
+      updateData.avatar_sizes = uploadResult.sizes;
+    } else if (removeAvatar) {
+      updateData.avatar = null;
+      updateData.avatar_sizes = null;
+    }
+
+    const { data, error } = await supabase
+      .from("user")
+      .update(updateData)
+      .eq("id", req.user.id)
+      .select("*")
+      .single();
+
+    if (error) {
+      console.error("Update me error:", error);
+      await deleteUpload(AVATAR_BUCKET, uploadResult);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to update profile",
+        error: error.message,
+      });
+    }
+
+    // The previous avatar goes only once the new one is saved
+    if (updateData.avatar !== undefined && existingUser.avatar) {
+      await deleteImage(
+        AVATAR_BUCKET,
+        existingUser.avatar,
+        existingUser.avatar_sizes
+      );
+    }
+
+    res.json({
+      success: true,
+      message: "Profile updated successfully",
+      data: toProfile(data),
+    });
+  } catch (error) {
+    console.error("Update me error:", error);
+    await deleteUpload(AVATAR_BUCKET, uploadResult);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// UPDATE - Starts an email change: the user confirms with their password and
+// a link to APP_URL/confirm-email goes to the new address. The address only
+// changes once that link is opened (verifyEmailChange).
+controller.requestEmailChange = async (req, res) => {
+  try {
+    const { password } = req.body;
+    const email = normalizeEmail(req.body.email);
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid email and password are required",
+      });
+    }
+
+    if (email === String(req.user.email).toLowerCase()) {
+      return res.status(400).json({
+        success: false,
+        message: "This is already your email address",
+      });
+    }
+
+    if (!(await checkPassword(req.user.email, password))) {
+      return res.status(400).json({
+        success: false,
+        message: "Password is incorrect",
+      });
+    }
+
+    const { data: taken, error: takenError } = await supabase
+      .from("user")
+      .select("id")
+      .eq("email", email)
+      .maybeSingle();
+
+    if (takenError) throw takenError;
+    if (taken) {
+      return res.status(409).json({
+        success: false,
+        message: "Email is already in use",
+      });
+    }
+
+    const { data, error } = await supabase.auth.admin.generateLink({
+      type: "email_change_new",
+      email: req.user.email,
+      newEmail: email,
+    });
+
+    if (error) {
+      console.error("Request email change error:", error);
+      return res.status(error.status === 422 ? 409 : 400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const { locale } = await getPreferences(req.user.id);
+    const { hashed_token } = data.properties;
+    const result = await sendEmail(
+      email,
+      "email_change",
+      {
+        email,
+        link: `${getAppUrl()}/confirm-email?token_hash=${hashed_token}&type=email_change`,
+      },
+      { locale }
+    );
+
+    if (!result.sent) {
+      return res.status(502).json({
+        success: false,
+        message: "Failed to send the confirmation email",
+        error: result.reason,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "A confirmation link has been sent to the new address",
+      data: { email },
+    });
+  } catch (error) {
+    console.error("Request email change error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// UPDATE - Confirms an email change with the `token_hash` of the link. Public:
+// the link may be opened on a device the user is not signed in on.
+controller.verifyEmailChange = async (req, res) => {
+  try {
+    const { token_hash } = req.body;
+
+    if (!token_hash) {
+      return res.status(400).json({
+        success: false,
+        message: "token_hash is required",
+      });
+    }
+
+    const { data, error } = await supabase.auth.verifyOtp({
+      token_hash,
+      type: "email_change",
+    });
+
+    if (error || !data.user) {
+      return res.status(400).json({
+        success: false,
+        message: error?.message || "Email link is invalid or has expired",
+      });
+    }
+
+    // Verifying signs the user in; this endpoint does not hand out sessions
+    if (data.session) {
+      await supabase.auth.admin.signOut(data.session.access_token, "local");
+    }
+
+    const { data: user, error: updateError } = await supabase
+      .from("user")
+      .update({ email: data.user.email })
+      .eq("id", data.user.id)
+      .select("*")
+      .single();
+
+    if (updateError) {
+      console.error("Verify email change error:", updateError);
+      return res.status(500).json({
+        success: false,
+        message: "Email changed but failed to update profile",
+        error: updateError.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Email address changed successfully",
+      data: toProfile(user),
+    });
+  } catch (error) {
+    console.error("Verify email change error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// DELETE - Deletes the signed-in user's account after confirming the
+// password, with the same clean up as an admin deleting it
+controller.deleteMe = async (req, res) => {
+  try {
+    const { password } = req.body || {};
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: "Password is required",
+      });
+    }
+
+    // Admins are removed by another admin, so there is always one left
+    if (req.user.role === "admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Admin accounts cannot delete themselves",
+      });
+    }
+
+    const user = await findUser(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (!(await checkPassword(user.email, password))) {
+      return res.status(400).json({
+        success: false,
+        message: "Password is incorrect",
+      });
+    }
+
+    const result = await deleteAccount(user);
+
+    res.json({
+      success: true,
+      message: "Account deleted successfully",
+      data: {
+        deletedUserId: user.id,
+        trashedVendorId: result.trashedVendorId,
+      },
+    });
+  } catch (error) {
+    console.error("Delete me error:", error);
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        error: error.details,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = { controller, upload };
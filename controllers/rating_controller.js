@@ -1,36 +1,53 @@
 // controllers/rating_controller.js
-const supabase = require("../db/supabase");
+const supabase = require("../db");
+const {
+  getRatingEligibility,
+  markVerified,
+} = require("../services/rating_eligibility");
+const {
+  parseRatingStar,
+  summarizeRatings,
+} = require("../services/rating_stats");
+const { notify } = require("../services/notifications");
 
 const controller = {};
 
+// Ratings are shown under the rater's profile name
+const getDisplayName = (user) =>
+  [user.profile?.first_name, user.profile?.last_name]
+    .filter(Boolean)
+    .join(" ") || user.email;
+
 // CREATE - Add new rating
 controller.createRating = async (req, res) => {
   try {
-    const { name, review, event_id, rating_star, user_id } = req.body;
+    const { review, event_id, rating_star } = req.body;
 
     console.log("=== CREATE RATING DEBUG ===");
     console.log("Request body:", req.body);
 
     // Validate required fields
-    if (!name || !event_id || !rating_star) {
+    if (!event_id || !rating_star) {
       return res.status(400).json({
         success: false,
-        message: "Name, event_id, and rating_star are required",
+        message: "event_id and rating_star are required",
       });
     }
 
-    // Validate rating_star range (1-5)
-    if (rating_star < 1 || rating_star > 5) {
+    // Validate rating_star: a whole number from 1 to 5
+    const star = parseRatingStar(rating_star);
+    if (star === null) {
       return res.status(400).json({
         success: false,
-        message: "Rating star must be between 1 and 5",
+        message: "Rating star must be a whole number between 1 and 5",
       });
     }
 
     // Check if event exists
     const { data: event, error: eventError } = await supabase
       .from("event")
-      .select("id")
+      .select("id, name, end_date, vendor:vendor_id (id, user_id)")
+      .is("deleted_at", null)
       .eq("id", event_id)
       .single();
 
@@ -41,13 +58,47 @@ controller.createRating = async (req, res) => {
       });
     }
 
+    // Only participants can rate, and only once the event is over
+    const eligibility = await getRatingEligibility(event, req.user.id);
+    if (!eligibility.eligible) {
+      return res.status(403).json({
+        success: false,
+        message: eligibility.reason,
+      });
+    }
+
+    // One rating per user per event; the existing one can be edited instead
+    const { data: existingRating, error: existingError } = await supabase
+      .from("rating")
+      .select("id")
+      .eq("event_id", event_id)
+      .eq("user_id", req.user.id)
+      .maybeSingle();
+
+    if (existingError) {
+      console.error("Check existing rating error:", existingError);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to check existing rating",
+        error: existingError.message,
+      });
+    }
+
+    if (existingRating) {
+      return res.status(409).json({
+        success: false,
+        message: "You have already rated this event",
+        existing_rating_id: existingRating.id,
+      });
+    }
+
     // Prepare insert data
     const insertData = {
-      name: name.trim(),
+      name: getDisplayName(req.user),
       review: review ? review.trim() : null,
       event_id: parseInt(event_id),
-      rating_star: parseInt(rating_star),
-      user_id: user_id || req.user?.id,
+      rating_star: star,
+      user_id: req.user.id, // Always the authenticated user
     };
 
     console.log("Insert data:", insertData);
@@ -68,10 +119,19 @@ controller.createRating = async (req, res) => {
       });
     }
 
+    // Let the organizer know how their event went
+    await notify(event.vendor?.user_id, "rating_received", {
+      event_id: event.id,
+      rating_id: data.id,
+      subject_name: event.name,
+      rating_star: data.rating_star,
+      review: data.review,
+    });
+
     res.status(201).json({
       success: true,
       message: "Rating created successfully",
-      data,
+      data: { ...data, verified: true },
     });
   } catch (error) {
     console.error("Create rating error:", error);
@@ -164,6 +224,20 @@ controller.getRatingsByEventId = async (req, res) => {
     console.log("=== GET RATINGS BY EVENT ID DEBUG ===");
     console.log("Event ID:", event_id);
 
+    const { data: event, error: eventError } = await supabase
+      .from("event")
+      .select("id, end_date")
+      .is("deleted_at", null)
+      .eq("id", event_id)
+      .single();
+
+    if (eventError || !event) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found",
+      });
+    }
+
     const { data, error } = await supabase
       .from("rating")
       .select("*")
@@ -178,9 +252,12 @@ controller.getRatingsByEventId = async (req, res) => {
       });
     }
 
+    const ratings = await markVerified(event, data);
+
     res.json({
       success: true,
-      data,
+      data: ratings,
+      verified_count: ratings.filter((rating) => rating.verified).length,
     });
   } catch (error) {
     console.error("Get ratings by event ID error:", error);
@@ -192,6 +269,63 @@ controller.getRatingsByEventId = async (req, res) => {
   }
 };
 
+// READ - The logged-in user's rating and eligibility for an event
+controller.getMyEventRating = async (req, res) => {
+  try {
+    const { event_id } = req.params;
+
+    const { data: event, error: eventError } = await supabase
+      .from("event")
+      .select("id, end_date")
+      .is("deleted_at", null)
+      .eq("id", event_id)
+      .single();
+
+    if (eventError || !event) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found",
+      });
+    }
+
+    const { data: rating, error } = await supabase
+      .from("rating")
+      .select("*")
+      .eq("event_id", event_id)
+      .eq("user_id", req.user.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error("Get my event rating error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to fetch rating",
+        error: error.message,
+      });
+    }
+
+    const eligibility = await getRatingEligibility(event, req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        rating,
+        can_rate: eligibility.eligible && !rating,
+        reason: rating
+          ? "You have already rated this event"
+          : eligibility.reason,
+      },
+    });
+  } catch (error) {
+    console.error("Get my event rating error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
 // READ - Get single rating by ID
 controller.getRatingById = async (req, res) => {
   try {
@@ -240,6 +374,7 @@ controller.getRatingsByEvent = async (req, res) => {
     const { data: event, error: eventError } = await supabase
       .from("event")
       .select("id")
+      .is("deleted_at", null)
       .eq("id", event_id)
       .single();
 
@@ -304,6 +439,7 @@ controller.getEventRatingStats = async (req, res) => {
     const { data: event, error: eventError } = await supabase
       .from("event")
       .select("id")
+      .is("deleted_at", null)
       .eq("id", event_id)
       .single();
 
@@ -329,42 +465,11 @@ controller.getEventRatingStats = async (req, res) => {
       });
     }
 
-    if (!ratings || ratings.length === 0) {
-      return res.json({
-        success: true,
-        data: {
-          event_id: parseInt(event_id),
-          total_ratings: 0,
-          average_rating: 0,
-          rating_distribution: {
-            1: 0,
-            2: 0,
-            3: 0,
-            4: 0,
-            5: 0,
-          },
-        },
-      });
-    }
-
-    // Calculate statistics
-    const totalRatings = ratings.length;
-    const sum = ratings.reduce((acc, rating) => acc + rating.rating_star, 0);
-    const averageRating = (sum / totalRatings).toFixed(2);
-
-    // Calculate rating distribution
-    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
-    ratings.forEach((rating) => {
-      distribution[rating.rating_star]++;
-    });
-
     res.json({
       success: true,
       data: {
         event_id: parseInt(event_id),
-        total_ratings: totalRatings,
-        average_rating: parseFloat(averageRating),
-        rating_distribution: distribution,
+        ...summarizeRatings(ratings || []),
       },
     });
   } catch (error) {
@@ -381,7 +486,7 @@ controller.getEventRatingStats = async (req, res) => {
 controller.updateRating = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, review, event_id, rating_star } = req.body;
+    const { review, event_id, rating_star } = req.body;
 
     console.log("=== UPDATE RATING DEBUG ===");
     console.log("Rating ID:", id);
@@ -404,45 +509,30 @@ controller.updateRating = async (req, res) => {
     // Prepare update data
     const updateData = {};
 
-    if (name !== undefined) {
-      if (!name.trim()) {
-        return res.status(400).json({
-          success: false,
-          message: "Name cannot be empty",
-        });
-      }
-      updateData.name = name.trim();
-    }
-
     if (review !== undefined) {
       updateData.review = review ? review.trim() : null;
     }
 
-    if (event_id !== undefined) {
-      // Validate event exists
-      const { data: event, error: eventError } = await supabase
-        .from("event")
-        .select("id")
-        .eq("id", event_id)
-        .single();
-
-      if (eventError || !event) {
-        return res.status(400).json({
-          success: false,
-          message: "Invalid event_id. Event not found",
-        });
-      }
-      updateData.event_id = parseInt(event_id);
+    // A rating stays attached to the event it was written for
+    if (
+      event_id !== undefined &&
+      parseInt(event_id) !== existingRating.event_id
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "A rating cannot be moved to another event",
+      });
     }
 
     if (rating_star !== undefined) {
-      if (rating_star < 1 || rating_star > 5) {
+      const star = parseRatingStar(rating_star);
+      if (star === null) {
         return res.status(400).json({
           success: false,
-          message: "Rating star must be between 1 and 5",
+          message: "Rating star must be a whole number between 1 and 5",
         });
       }
-      updateData.rating_star = parseInt(rating_star);
+      updateData.rating_star = star;
     }
 
     // Validate at least one field to update
@@ -550,6 +640,7 @@ controller.deleteEventRatings = async (req, res) => {
     const { data: event, error: eventError } = await supabase
       .from("event")
       .select("id")
+      .is("deleted_at", null)
       .eq("id", event_id)
       .single();
 
@@ -0,0 +1,566 @@
+// controllers/rental_booking_controller.js
+const supabase = require("../db");
+const {
+  BOOKING_STATUS,
+  parseDateRange,
+  calculateRentalDays,
+  calculateRentalPrice,
+  getOverlappingBookings,
+} = require("../services/rental_availability");
+const { isAccepted } = require("../services/booth_capacity");
+
+const controller = {};
+
+const BOOKING_SELECT = `
+  *,
+  rental_product:rental_product_id (id, name, price, banner, location),
+  vendor:vendor_id (id, name),
+  event:event_id (id, name, start_date, end_date),
+  booth:booth_id (id, name)
+`;
+
+// CREATE - Request a rental product for a date range
+controller.createBooking = async (req, res) => {
+  try {
+    const {
+      rental_product_id,
+      start_date,
+      end_date,
+      event_id,
+      booth_id,
+      notes,
+      vendor_id,
+    } = req.body;
+
+    // Validate required fields
+    if (!rental_product_id || !start_date || !end_date) {
+      return res.status(400).json({
+        success: false,
+        message: "rental_product_id, start_date and end_date are required",
+      });
+    }
+
+    const range = parseDateRange(start_date, end_date);
+    if (!range.valid) {
+      return res.status(400).json({
+        success: false,
+        message: range.message,
+      });
+    }
+
+    if (new Date(range.start_date) < new Date().setHours(0, 0, 0, 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "Start date cannot be in the past",
+      });
+    }
+
+    // Check if product exists
+    const { data: product, error: productError } = await supabase
+      .from("rental_products")
+      .select("id, name, price")
+      .is("deleted_at", null)
+      .eq("id", rental_product_id)
+      .single();
+
+    if (productError || !product) {
+      return res.status(404).json({
+        success: false,
+        message: "Rental product not found",
+      });
+    }
+
+    // Vendors book for their own vendor profile, admins may book for any
+    let bookingVendorId = null;
+    if (req.user.role === "admin" && vendor_id) {
+      bookingVendorId = vendor_id;
+    } else {
+      const { data: vendor } = await supabase
+        .from("vendor")
+        .select("id")
+        .is("deleted_at", null)
+        .eq("user_id", req.user.id)
+        .maybeSingle();
+
+      if (!vendor && req.user.role !== "admin") {
+        return res.status(403).json({
+          success: false,
+          message: "A vendor profile is required to book rental products",
+        });
+      }
+      bookingVendorId = vendor ? vendor.id : null;
+    }
+
+    // Check event and booth (optional)
+    if (event_id) {
+      const { data: event, error: eventError } = await supabase
+        .from("event")
+        .select("id")
+        .is("deleted_at", null)
+        .eq("id", event_id)
+        .single();
+
+      if (eventError || !event) {
+        return res.status(400).json({
+          success: false,
+          message: "Event not found",
+        });
+      }
+    }
+
+    if (booth_id) {
+      const { data: booth, error: boothError } = await supabase
+        .from("booth")
+        .select("id, event_id, user_id, is_acc")
+        .eq("id", booth_id)
+        .single();
+
+      if (boothError || !booth) {
+        return res.status(400).json({
+          success: false,
+          message: "Booth not found",
+        });
+      }
+
+      // Same rule as requireOwnerOrAdmin("booth"): only the booth's owner
+      if (req.user.role !== "admin" && booth.user_id !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: "You can only book for your own booth",
+        });
+      }
+
+      if (!isAccepted(booth.is_acc)) {
+        return res.status(400).json({
+          success: false,
+          message: "Booth application has not been accepted",
+        });
+      }
+
+      if (event_id && String(booth.event_id) !== String(event_id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Booth does not belong to the given event",
+        });
+      }
+    }
+
+    // Check for overlapping confirmed bookings
+    const overlapping = await getOverlappingBookings(range, {
+      productIds: [product.id],
+    });
+
+    if (overlapping.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: "Rental product is already booked for the selected dates",
+        conflicting_bookings: overlapping,
+      });
+    }
+
+    const insertData = {
+      rental_product_id: product.id,
+      user_id: req.user.id,
+      vendor_id: bookingVendorId,
+      event_id: event_id ? parseInt(event_id) : null,
+      booth_id: booth_id ? parseInt(booth_id) : null,
+      start_date: range.start_date,
+      end_date: range.end_date,
+      days: calculateRentalDays(range.start_date, range.end_date),
+      unit_price: product.price,
+      total_price: calculateRentalPrice(
+        product.price,
+        range.start_date,
+        range.end_date
+      ),
+      status: BOOKING_STATUS.PENDING,
+      notes: notes ? notes.trim() : null,
+    };
+
+    const { data, error } = await supabase
+      .from("rental_booking")
+      .insert(insertData)
+      .select(BOOKING_SELECT)
+      .single();
+
+    if (error) {
+      console.error("Create rental booking error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to create rental booking",
+        error: error.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Rental booking requested successfully",
+      data,
+    });
+  } catch (error) {
+    console.error("Create rental booking error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// READ - Get all bookings (Admin)
+controller.getAllBookings = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      status,
+      rental_product_id,
+      vendor_id,
+      event_id,
+      start_date,
+      end_date,
+    } = req.query;
+
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from("rental_booking")
+      .select(BOOKING_SELECT, { count: "exact" })
+      .order("start_date", { ascending: true })
+      .range(offset, offset + parseInt(limit) - 1);
+
+    if (status && Object.values(BOOKING_STATUS).includes(status.toUpperCase())) {
+      query = query.eq("status", status.toUpperCase());
+    }
+    if (rental_product_id) {
+      query = query.eq("rental_product_id", rental_product_id);
+    }
+    if (vendor_id) {
+      query = query.eq("vendor_id", vendor_id);
+    }
+    if (event_id) {
+      query = query.eq("event_id", event_id);
+    }
+    if (start_date) {
+      query = query.gte("end_date", start_date);
+    }
+    if (end_date) {
+      query = query.lte("start_date", end_date);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      console.error("Get rental bookings error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to fetch rental bookings",
+        error: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get rental bookings error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// READ - Get bookings made by the logged-in user
+controller.getMyBookings = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    let query = supabase
+      .from("rental_booking")
+      .select(BOOKING_SELECT)
+      .eq("user_id", req.user.id)
+      .order("start_date", { ascending: false });
+
+    if (status) {
+      query = query.eq("status", status.toUpperCase());
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error("Get my rental bookings error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to fetch rental bookings",
+        error: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error("Get my rental bookings error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// READ - Get booking by ID (owner or admin, checked by the route)
+controller.getBookingById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await supabase
+      .from("rental_booking")
+      .select(BOOKING_SELECT)
+      .eq("id", id)
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({
+        success: false,
+        message: "Rental booking not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error("Get rental booking by ID error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// UPDATE - Confirm or decline a booking (Admin)
+controller.updateBookingStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, admin_notes } = req.body;
+
+    const allowedStatuses = [BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.DECLINED];
+    if (!status || !allowedStatuses.includes(status.toUpperCase())) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${allowedStatuses.join(", ")}`,
+      });
+    }
+    const newStatus = status.toUpperCase();
+
+    const { data: booking, error: fetchError } = await supabase
+      .from("rental_booking")
+      .select("*")
+      .eq("id", id)
+      .single();
+
+    if (fetchError || !booking) {
+      return res.status(404).json({
+        success: false,
+        message: "Rental booking not found",
+      });
+    }
+
+    if (booking.status !== BOOKING_STATUS.PENDING) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot update booking with status: ${booking.status}`,
+        current_status: booking.status,
+      });
+    }
+
+    // Another booking may have been confirmed since this one was requested
+    if (newStatus === BOOKING_STATUS.CONFIRMED) {
+      const overlapping = await getOverlappingBookings(booking, {
+        productIds: [booking.rental_product_id],
+        excludeId: booking.id,
+      });
+
+      if (overlapping.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: "Rental product is already booked for the selected dates",
+          conflicting_bookings: overlapping,
+        });
+      }
+    }
+
+    const updateData = {
+      status: newStatus,
+      reviewed_by: req.user.id,
+      reviewed_at: new Date().toISOString(),
+    };
+    if (admin_notes !== undefined) {
+      updateData.admin_notes = admin_notes ? admin_notes.trim() : null;
+    }
+
+    const { data, error } = await supabase
+      .from("rental_booking")
+      .update(updateData)
+      .eq("id", id)
+      .select(BOOKING_SELECT)
+      .single();
+
+    if (error) {
+      console.error("Update rental booking status error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to update rental booking status",
+        error: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Rental booking ${newStatus.toLowerCase()} successfully`,
+      data,
+    });
+  } catch (error) {
+    console.error("Update rental booking status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// UPDATE - Cancel own booking
+controller.cancelBooking = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: booking, error: fetchError } = await supabase
+      .from("rental_booking")
+      .select("*")
+      .eq("id", id)
+      .single();
+
+    if (fetchError || !booking) {
+      return res.status(404).json({
+        success: false,
+        message: "Rental booking not found",
+      });
+    }
+
+    const cancellable = [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED];
+    if (!cancellable.includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel booking with status: ${booking.status}`,
+        current_status: booking.status,
+      });
+    }
+
+    const { data, error } = await supabase
+      .from("rental_booking")
+      .update({ status: BOOKING_STATUS.CANCELLED })
+      .eq("id", id)
+      .select(BOOKING_SELECT)
+      .single();
+
+    if (error) {
+      console.error("Cancel rental booking error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to cancel rental booking",
+        error: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Rental booking cancelled successfully",
+      data,
+    });
+  } catch (error) {
+    console.error("Cancel rental booking error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// READ - Availability and quote for a product over a date range
+controller.getProductAvailability = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { start_date, end_date } = req.query;
+
+    const range = parseDateRange(start_date, end_date);
+    if (!range.valid) {
+      return res.status(400).json({
+        success: false,
+        message: range.message,
+      });
+    }
+
+    const { data: product, error: productError } = await supabase
+      .from("rental_products")
+      .select("id, name, price")
+      .is("deleted_at", null)
+      .eq("id", id)
+      .single();
+
+    if (productError || !product) {
+      return res.status(404).json({
+        success: false,
+        message: "Rental product not found",
+      });
+    }
+
+    const overlapping = await getOverlappingBookings(range, {
+      productIds: [product.id],
+    });
+
+    res.json({
+      success: true,
+      data: {
+        rental_product_id: product.id,
+        start_date: range.start_date,
+        end_date: range.end_date,
+        is_ready: overlapping.length === 0,
+        days: calculateRentalDays(range.start_date, range.end_date),
+        unit_price: product.price,
+        total_price: calculateRentalPrice(
+          product.price,
+          range.start_date,
+          range.end_date
+        ),
+        booked_ranges: overlapping.map((booking) => ({
+          start_date: booking.start_date,
+          end_date: booking.end_date,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Get rental product availability error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = controller;
@@ -1,86 +1,28 @@
 const express = require("express");
-const supabase = require("../db/supabase");
-const multer = require("multer");
-const { v4: uuidv4 } = require("uuid");
+const supabase = require("../db");
+const {
+  IMAGE_TYPES,
+  createUpload,
+  uploadImage,
+  deleteUpload,
+  deleteImage,
+  withThumbnail,
+} = require("../services/media");
+const {
+  parseDateRange,
+  getBookedProductIds,
+  applyAvailability,
+} = require("../services/rental_availability");
 
 const controller = {};
 
-const storage = multer.memoryStorage();
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    console.log("=== MULTER FILE FILTER ===");
-    console.log("File received in filter:", file);
-    console.log("Field name:", file.fieldname);
-
-    // Check if file is an image
-    if (file.mimetype.startsWith("image/")) {
-      cb(null, true);
-    } else {
-      cb(new Error("Only image files are allowed!"), false);
-    }
-  },
-});
-
-// Helper function to upload image to Supabase Storage
-const uploadImageToStorage = async (file, folder = "rental-category") => {
-  try {
-    // Generate unique filename
-    const fileExt = file.originalname.split(".").pop();
-    const fileName = `${uuidv4()}.${fileExt}`;
-    const filePath = `${folder}/${fileName}`;
-
-    // Upload to Supabase Storage
-    const { data, error } = await supabase.storage
-      .from("rental-category") // Create this bucket in Supabase
-      .upload(filePath, file.buffer, {
-        contentType: file.mimetype,
-        upsert: false,
-      });
-
-    if (error) {
-      throw error;
-    }
-
-    // Get public URL
-    const {
-      data: { publicUrl },
-    } = supabase.storage.from("rental-category").getPublicUrl(filePath);
-
-    return {
-      success: true,
-      filePath: data.path,
-      publicUrl: publicUrl,
-    };
-  } catch (error) {
-    console.error("Upload error:", error);
-    return {
-      success: false,
-      error: error.message,
-    };
-  }
-};
+const RENTAL_BUCKET = "rental-category";
 
-// Helper function to delete image from storage
-const deleteImageFromStorage = async (filePath) => {
-  try {
-    const { error } = await supabase.storage
-      .from("rental-category")
-      .remove([filePath]);
+const upload = createUpload({ banner_image: IMAGE_TYPES });
 
-    if (error) {
-      console.error("Delete file error:", error);
-      return false;
-    }
-    return true;
-  } catch (error) {
-    console.error("Delete file error:", error);
-    return false;
-  }
-};
+// Embedded products without those in the trash (services/trash.js)
+const withoutDeleted = (products) =>
+  (products || []).filter((product) => !product.deleted_at);
 
 // controllers/rental_controller.js - Add this method
 controller.getAllRentalsWithProducts = async (req, res) => {
@@ -91,10 +33,20 @@ controller.getAllRentalsWithProducts = async (req, res) => {
       search,
       include_products = true,
       products_limit = 5,
+      start_date,
+      end_date,
     } = req.query;
 
     const offset = (page - 1) * limit;
 
+    const range = parseDateRange(start_date, end_date);
+    if (!range.valid) {
+      return res.status(400).json({
+        success: false,
+        message: range.message,
+      });
+    }
+
     let query = supabase
       .from("rental")
       .select(
@@ -108,7 +60,9 @@ controller.getAllRentalsWithProducts = async (req, res) => {
           location,
           contact,
           banner,
-          is_ready
+          banner_sizes,
+          is_ready,
+          deleted_at
         )
       `,
         { count: "exact" }
@@ -132,25 +86,34 @@ controller.getAllRentalsWithProducts = async (req, res) => {
       });
     }
 
+    const bookedIds = await getBookedProductIds(range);
+
     // Process data to add summary statistics
-    const processedData = data.map((rental) => ({
-      ...rental,
-      products_count: rental.rental_products.length,
-      available_products: rental.rental_products.filter((p) => p.is_ready)
-        .length,
-      total_products: rental.rental_products.length,
-      price_range:
-        rental.rental_products.length > 0
-          ? {
-              min: Math.min(...rental.rental_products.map((p) => p.price)),
-              max: Math.max(...rental.rental_products.map((p) => p.price)),
-            }
-          : null,
-      // Limit products if specified
-      rental_products: products_limit
-        ? rental.rental_products.slice(0, parseInt(products_limit))
-        : rental.rental_products,
-    }));
+    const processedData = data.map((rental) => {
+      const products = applyAvailability(
+        withoutDeleted(rental.rental_products),
+        bookedIds
+      );
+
+      return {
+        ...withThumbnail(rental),
+        products_count: products.length,
+        available_products: products.filter((p) => p.is_ready).length,
+        total_products: products.length,
+        price_range:
+          products.length > 0
+            ? {
+                min: Math.min(...products.map((p) => p.price)),
+                max: Math.max(...products.map((p) => p.price)),
+              }
+            : null,
+        // Limit products if specified
+        rental_products: (products_limit
+          ? products.slice(0, parseInt(products_limit))
+          : products
+        ).map((product) => withThumbnail(product)),
+      };
+    });
 
     res.json({
       success: true,
@@ -182,10 +145,20 @@ controller.getRentalWithAllProducts = async (req, res) => {
       is_ready,
       min_price,
       max_price,
+      start_date,
+      end_date,
     } = req.query;
 
     const productsOffset = (products_page - 1) * products_limit;
 
+    const range = parseDateRange(start_date, end_date);
+    if (!range.valid) {
+      return res.status(400).json({
+        success: false,
+        message: range.message,
+      });
+    }
+
     // Get rental basic info
     const { data: rental, error: rentalError } = await supabase
       .from("rental")
@@ -204,13 +177,22 @@ controller.getRentalWithAllProducts = async (req, res) => {
     let productsQuery = supabase
       .from("rental_products")
       .select("*", { count: "exact" })
+      .is("deleted_at", null)
       .eq("rental_id", id)
       .order("id", { ascending: true })
       .range(productsOffset, productsOffset + products_limit - 1);
 
-    // Apply filters
+    // Apply filters - availability is derived from confirmed bookings
+    const bookedIds = await getBookedProductIds(range);
     if (is_ready !== undefined) {
-      productsQuery = productsQuery.eq("is_ready", is_ready === "true");
+      const bookedList = `(${[...bookedIds].join(",")})`;
+      if (is_ready === "true") {
+        if (bookedIds.size > 0) {
+          productsQuery = productsQuery.not("id", "in", bookedList);
+        }
+      } else {
+        productsQuery = productsQuery.in("id", [...bookedIds]);
+      }
     }
 
     if (min_price) {
@@ -237,10 +219,12 @@ controller.getRentalWithAllProducts = async (req, res) => {
     }
 
     // Get statistics
-    const { data: stats } = await supabase
+    const { data: productPrices } = await supabase
       .from("rental_products")
-      .select("price, is_ready")
+      .select("id, price")
+      .is("deleted_at", null)
       .eq("rental_id", id);
+    const stats = applyAvailability(productPrices, bookedIds);
 
     const statistics = {
       total_products: stats.length,
@@ -262,7 +246,7 @@ controller.getRentalWithAllProducts = async (req, res) => {
       success: true,
       data: {
         ...rental,
-        rental_products: products,
+        rental_products: applyAvailability(products, bookedIds),
         statistics,
       },
       products_pagination: {
@@ -271,6 +255,10 @@ controller.getRentalWithAllProducts = async (req, res) => {
         limit: parseInt(products_limit),
         totalPages: Math.ceil(productsCount / products_limit),
       },
+      availability_range: {
+        start_date: range.start_date,
+        end_date: range.end_date,
+      },
     });
   } catch (error) {
     console.error("Get rental with products error:", error);
@@ -285,6 +273,16 @@ controller.getRentalWithAllProducts = async (req, res) => {
 // Get rental summary (just counts, no full product details)
 controller.getRentalSummary = async (req, res) => {
   try {
+    const { start_date, end_date } = req.query;
+
+    const range = parseDateRange(start_date, end_date);
+    if (!range.valid) {
+      return res.status(400).json({
+        success: false,
+        message: range.message,
+      });
+    }
+
     const { data, error } = await supabase
       .from("rental")
       .select(
@@ -295,7 +293,7 @@ controller.getRentalSummary = async (req, res) => {
         rental_products (
           id,
           price,
-          is_ready
+          deleted_at
         )
       `
       )
@@ -310,29 +308,36 @@ controller.getRentalSummary = async (req, res) => {
       });
     }
 
-    const summary = data.map((rental) => ({
-      id: rental.id,
-      name: rental.name,
-      banner: rental.banner,
-      statistics: {
-        total_products: rental.rental_products.length,
-        available_products: rental.rental_products.filter((p) => p.is_ready)
-          .length,
-        unavailable_products: rental.rental_products.filter((p) => !p.is_ready)
-          .length,
-        price_range:
-          rental.rental_products.length > 0
-            ? {
-                min: Math.min(...rental.rental_products.map((p) => p.price)),
-                max: Math.max(...rental.rental_products.map((p) => p.price)),
-                average: Math.round(
-                  rental.rental_products.reduce((sum, p) => sum + p.price, 0) /
-                    rental.rental_products.length
-                ),
-              }
-            : null,
-      },
-    }));
+    const bookedIds = await getBookedProductIds(range);
+
+    const summary = data.map((rental) => {
+      const products = applyAvailability(
+        withoutDeleted(rental.rental_products),
+        bookedIds
+      );
+
+      return {
+        id: rental.id,
+        name: rental.name,
+        banner: rental.banner,
+        statistics: {
+          total_products: products.length,
+          available_products: products.filter((p) => p.is_ready).length,
+          unavailable_products: products.filter((p) => !p.is_ready).length,
+          price_range:
+            products.length > 0
+              ? {
+                  min: Math.min(...products.map((p) => p.price)),
+                  max: Math.max(...products.map((p) => p.price)),
+                  average: Math.round(
+                    products.reduce((sum, p) => sum + p.price, 0) /
+                      products.length
+                  ),
+                }
+              : null,
+        },
+      };
+    });
 
     res.json({
       success: true,
@@ -371,7 +376,7 @@ controller.createRental = async (req, res) => {
       name: name.trim(),
     };
 
-    let bannerUrl = null;
+    let uploadResult = null;
     let uploadedFilePath = null;
 
     // Handle banner file upload if present
@@ -383,7 +388,7 @@ controller.createRental = async (req, res) => {
         size: file.size,
       });
 
-      const uploadResult = await uploadImageToStorage(file, "rentals/banners");
+      uploadResult = await uploadImage(file, RENTAL_BUCKET, "rentals/banners");
 
       if (!uploadResult.success) {
         console.error("Upload error:", uploadResult.error);
@@ -394,9 +399,9 @@ controller.createRental = async (req, res) => {
         });
       }
 
-      bannerUrl = uploadResult.publicUrl;
       uploadedFilePath = uploadResult.filePath;
-      insertData.banner = bannerUrl;
+      insertData.banner = uploadResult.publicUrl;
+      insertData.banner_sizes = uploadResult.sizes;
     }
 
     console.log("Insert data:", insertData);
@@ -410,9 +415,7 @@ controller.createRental = async (req, res) => {
 
     if (error) {
       // If database insert fails, delete the uploaded image
-      if (uploadedFilePath) {
-        await deleteImageFromStorage(uploadedFilePath);
-      }
+      await deleteUpload(RENTAL_BUCKET, uploadResult);
 
       console.error("Create rental error:", error);
       return res.status(500).json({
@@ -434,7 +437,7 @@ controller.createRental = async (req, res) => {
     // Clean up uploaded file if there was an error
     if (uploadedFilePath) {
       try {
-        await deleteImageFromStorage(uploadedFilePath);
+        await deleteUpload(RENTAL_BUCKET, uploadResult);
       } catch (cleanupError) {
         console.error("Error cleaning up uploaded file:", cleanupError);
       }
@@ -478,7 +481,7 @@ controller.getAllRentals = async (req, res) => {
 
     res.json({
       success: true,
-      data,
+      data: data.map((rental) => withThumbnail(rental)),
       pagination: {
         total: count,
         page: parseInt(page),
@@ -526,7 +529,7 @@ controller.getAllRentalsUsers = async (req, res) => {
 
     res.json({
       success: true,
-      data,
+      data: data.map((rental) => withThumbnail(rental)),
       pagination: {
         total: count,
         page: parseInt(page),
@@ -568,9 +571,17 @@ controller.getRentalById = async (req, res) => {
       });
     }
 
+    const bookedIds = await getBookedProductIds(parseDateRange());
+
     res.json({
       success: true,
-      data: rental,
+      data: {
+        ...rental,
+        rental_products: applyAvailability(
+          withoutDeleted(rental.rental_products),
+          bookedIds
+        ),
+      },
     });
   } catch (error) {
     console.error("Get rental by ID error:", error);
@@ -615,29 +626,22 @@ controller.updateRental = async (req, res) => {
       updateData.name = name.toString().trim();
     }
 
-    let newImageUrl = null;
-    let oldImagePath = null;
+    let oldImageUrl = null;
+    let uploadResult = null;
     let uploadedFilePath = null;
 
     // Handle banner removal
     if (remove_banner === "true" || remove_banner === true) {
       updateData.banner = null;
-      if (existingRental.banner) {
-        try {
-          const urlParts = existingRental.banner.split("/");
-          const fileName = urlParts[urlParts.length - 1];
-          oldImagePath = `rentals/banners/${fileName}`;
-        } catch (error) {
-          console.error("Error parsing old image path:", error);
-        }
-      }
+      updateData.banner_sizes = null;
+      oldImageUrl = existingRental.banner;
     }
 
     // Handle new file upload
     if (file && !remove_banner) {
       console.log("Processing new file upload for update...");
 
-      const uploadResult = await uploadImageToStorage(file, "rentals/banners");
+      uploadResult = await uploadImage(file, RENTAL_BUCKET, "rentals/banners");
 
       if (!uploadResult.success) {
         console.error("Upload failed:", uploadResult.error);
@@ -649,19 +653,11 @@ controller.updateRental = async (req, res) => {
       }
 
       updateData.banner = uploadResult.publicUrl;
-      newImageUrl = uploadResult.publicUrl;
+      updateData.banner_sizes = uploadResult.sizes;
       uploadedFilePath = uploadResult.filePath;
 
       // Mark old image for deletion if it exists
-      if (existingRental.banner) {
-        try {
-          const urlParts = existingRental.banner.split("/");
-          const fileName = urlParts[urlParts.length - 1];
-          oldImagePath = `rentals/banners/${fileName}`;
-        } catch (error) {
-          console.error("Error parsing old image path:", error);
-        }
-      }
+      oldImageUrl = existingRental.banner;
     } else if (
       banner !== undefined &&
       banner.toString().trim() &&
@@ -673,19 +669,8 @@ controller.updateRental = async (req, res) => {
       if (bannerStr !== existingRental.banner) {
         console.log("Updating banner URL...");
         updateData.banner = bannerStr;
-
-        if (
-          existingRental.banner &&
-          existingRental.banner.includes("supabase")
-        ) {
-          try {
-            const urlParts = existingRental.banner.split("/");
-            const fileName = urlParts[urlParts.length - 1];
-            oldImagePath = `rentals/banners/${fileName}`;
-          } catch (error) {
-            console.error("Error parsing old image path:", error);
-          }
-        }
+        updateData.banner_sizes = null;
+        oldImageUrl = existingRental.banner;
       }
     }
 
@@ -713,7 +698,7 @@ controller.updateRental = async (req, res) => {
       // Clean up uploaded file if database update failed
       if (uploadedFilePath) {
         try {
-          await deleteImageFromStorage(uploadedFilePath);
+          await deleteUpload(RENTAL_BUCKET, uploadResult);
         } catch (cleanupError) {
           console.error("Error cleaning up uploaded file:", cleanupError);
         }
@@ -727,15 +712,13 @@ controller.updateRental = async (req, res) => {
     }
 
     // Delete old image only after successful database update
-    if (oldImagePath && (newImageUrl || remove_banner)) {
-      try {
-        console.log("Deleting old image:", oldImagePath);
-        await deleteImageFromStorage(oldImagePath);
-        console.log("Old image deleted successfully");
-      } catch (deleteError) {
-        console.error("Error deleting old image:", deleteError);
-        // Don't fail the update if old image deletion fails
-      }
+    // (URLs outside our bucket are left alone)
+    if (oldImageUrl) {
+      await deleteImage(
+        RENTAL_BUCKET,
+        oldImageUrl,
+        existingRental.banner_sizes
+      );
     }
 
     res.json({
@@ -750,7 +733,7 @@ controller.updateRental = async (req, res) => {
     // Clean up uploaded file if there was an error
     if (uploadedFilePath) {
       try {
-        await deleteImageFromStorage(uploadedFilePath);
+        await deleteUpload(RENTAL_BUCKET, uploadResult);
       } catch (cleanupError) {
         console.error("Error cleaning up uploaded file:", cleanupError);
       }
@@ -812,16 +795,11 @@ controller.deleteRental = async (req, res) => {
       });
     }
 
-    if (existingRental.banner) {
-      const urlParts = existingRental.banner.split("/");
-      const fileName = urlParts[urlParts.length - 1];
-      const bannerPath = `rentals/banners/${fileName}`;
-
-      const bannerDeleted = await deleteImageFromStorage(bannerPath);
-      if (!bannerDeleted) {
-        console.warn(`Failed to delete banner: ${bannerPath}`);
-      }
-    }
+    await deleteImage(
+      RENTAL_BUCKET,
+      existingRental.banner,
+      existingRental.banner_sizes
+    );
 
     res.json({
       success: true,
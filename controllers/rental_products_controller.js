@@ -1,92 +1,37 @@
 // controllers/rental_products_controller.js
-const supabase = require("../db/supabase");
-const multer = require("multer");
-const { v4: uuidv4 } = require("uuid");
+const supabase = require("../db");
+const {
+  IMAGE_TYPES,
+  createUpload,
+  uploadImage,
+  deleteUpload,
+  deleteImage,
+  withThumbnail,
+} = require("../services/media");
+const {
+  BOOKING_STATUS,
+  parseDateRange,
+  getBookedProductIds,
+  applyAvailability,
+} = require("../services/rental_availability");
+const { getGallery } = require("../services/gallery");
+const { softDelete } = require("../services/trash");
+const {
+  parseCoordinates,
+  parseLocationFields,
+  withDistance,
+} = require("../services/geo");
 
 const controller = {};
 
-// Configure multer for memory storage
-const storage = multer.memoryStorage();
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    console.log("=== MULTER FILE FILTER ===");
-    console.log("File received in filter:", file);
-    console.log("Field name:", file.fieldname);
-
-    // Check if file is an image
-    if (file.mimetype.startsWith("image/")) {
-      cb(null, true);
-    } else {
-      cb(new Error("Only image files are allowed!"), false);
-    }
-  },
-});
-
-// Helper function to upload image to Supabase Storage
-const uploadImageToStorage = async (file, folder = "rental-products") => {
-  try {
-    // Generate unique filename
-    const fileExt = file.originalname.split(".").pop();
-    const fileName = `${uuidv4()}.${fileExt}`;
-    const filePath = `${folder}/${fileName}`;
-
-    // Upload to Supabase Storage
-    const { data, error } = await supabase.storage
-      .from("rental-products") // Create this bucket in Supabase
-      .upload(filePath, file.buffer, {
-        contentType: file.mimetype,
-        upsert: false,
-      });
-
-    if (error) {
-      throw error;
-    }
-
-    // Get public URL
-    const {
-      data: { publicUrl },
-    } = supabase.storage.from("rental-products").getPublicUrl(filePath);
-
-    return {
-      success: true,
-      filePath: data.path,
-      publicUrl: publicUrl,
-    };
-  } catch (error) {
-    console.error("Upload error:", error);
-    return {
-      success: false,
-      error: error.message,
-    };
-  }
-};
+const PRODUCT_BUCKET = "rental-products";
 
-// Helper function to delete image from storage
-const deleteImageFromStorage = async (filePath) => {
-  try {
-    const { error } = await supabase.storage
-      .from("rental-products")
-      .remove([filePath]);
-
-    if (error) {
-      console.error("Delete file error:", error);
-      return false;
-    }
-    return true;
-  } catch (error) {
-    console.error("Delete file error:", error);
-    return false;
-  }
-};
+const upload = createUpload({ product_image: IMAGE_TYPES });
 
 // CREATE - Add new rental product with image upload
 controller.createRentalProduct = async (req, res) => {
   try {
-    const { name, description, price, rental_id, location, contact, is_ready } =
+    const { name, description, price, rental_id, location, contact } =
       req.body;
     const file = req.file;
 
@@ -102,6 +47,14 @@ controller.createRentalProduct = async (req, res) => {
       });
     }
 
+    const locationFields = parseLocationFields(req.body);
+    if (!locationFields.valid) {
+      return res.status(400).json({
+        success: false,
+        message: locationFields.message,
+      });
+    }
+
     // Prepare insert data
     const insertData = {
       name: name.trim(),
@@ -109,18 +62,18 @@ controller.createRentalProduct = async (req, res) => {
       price: parseFloat(price),
       rental_id: parseInt(rental_id),
       location: location ? location.trim() : "",
+      ...locationFields.data,
       contact: contact ? contact.trim() : "",
-      is_ready: is_ready === "true" || is_ready === true,
     };
 
-    let productImageUrl = null;
+    let uploadResult = null;
     let uploadedFilePath = null;
 
     // Handle product image file upload if present
     if (file) {
       console.log("Processing product image upload...");
 
-      const uploadResult = await uploadImageToStorage(file);
+      uploadResult = await uploadImage(file, PRODUCT_BUCKET, "rental-products");
 
       if (!uploadResult.success) {
         console.error("Upload error:", uploadResult.error);
@@ -131,9 +84,9 @@ controller.createRentalProduct = async (req, res) => {
         });
       }
 
-      productImageUrl = uploadResult.publicUrl;
       uploadedFilePath = uploadResult.filePath;
-      insertData.banner = productImageUrl;
+      insertData.banner = uploadResult.publicUrl;
+      insertData.banner_sizes = uploadResult.sizes;
     }
 
     console.log("Insert data:", insertData);
@@ -147,9 +100,7 @@ controller.createRentalProduct = async (req, res) => {
 
     if (error) {
       // If database insert fails, delete the uploaded image
-      if (uploadedFilePath) {
-        await deleteImageFromStorage(uploadedFilePath);
-      }
+      await deleteUpload(PRODUCT_BUCKET, uploadResult);
 
       console.error("Create rental product error:", error);
       return res.status(500).json({
@@ -170,7 +121,7 @@ controller.createRentalProduct = async (req, res) => {
 
     if (uploadedFilePath) {
       try {
-        await deleteImageFromStorage(uploadedFilePath);
+        await deleteUpload(PRODUCT_BUCKET, uploadResult);
       } catch (cleanupError) {
         console.error("Error cleaning up uploaded file:", cleanupError);
       }
@@ -188,7 +139,7 @@ controller.createRentalProduct = async (req, res) => {
 controller.updateRentalProduct = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, description, price, rental_id, location, contact, is_ready } =
+    const { name, description, price, rental_id, location, contact } =
       req.body;
     const file = req.file;
 
@@ -196,6 +147,7 @@ controller.updateRentalProduct = async (req, res) => {
     const { data: existingProduct, error: fetchError } = await supabase
       .from("rental_products")
       .select("*")
+      .is("deleted_at", null)
       .eq("id", id)
       .single();
 
@@ -237,14 +189,21 @@ controller.updateRentalProduct = async (req, res) => {
     }
     if (location !== undefined) updateData.location = location.trim();
     if (contact !== undefined) updateData.contact = contact.trim();
-    if (is_ready !== undefined) updateData.is_ready = is_ready;
 
-    let newImageUrl = null;
-    let oldImagePath = null;
+    const locationFields = parseLocationFields(req.body, { partial: true });
+    if (!locationFields.valid) {
+      return res.status(400).json({
+        success: false,
+        message: locationFields.message,
+      });
+    }
+    Object.assign(updateData, locationFields.data);
+
+    let uploadResult = null;
 
     // Handle image upload if new file provided
     if (file) {
-      const uploadResult = await uploadImageToStorage(file);
+      uploadResult = await uploadImage(file, PRODUCT_BUCKET, "rental-products");
 
       if (!uploadResult.success) {
         return res.status(500).json({
@@ -255,14 +214,7 @@ controller.updateRentalProduct = async (req, res) => {
       }
 
       updateData.banner = uploadResult.publicUrl;
-      newImageUrl = uploadResult.publicUrl;
-
-      // Extract old image path for deletion
-      if (existingProduct.banner) {
-        const urlParts = existingProduct.banner.split("/");
-        const fileName = urlParts[urlParts.length - 1];
-        oldImagePath = `rental-products/${fileName}`;
-      }
+      updateData.banner_sizes = uploadResult.sizes;
     }
 
     // Validate at least one field to update
@@ -288,11 +240,7 @@ controller.updateRentalProduct = async (req, res) => {
 
     if (error) {
       // If update fails and new image was uploaded, delete it
-      if (newImageUrl) {
-        const urlParts = newImageUrl.split("/");
-        const fileName = urlParts[urlParts.length - 1];
-        await deleteImageFromStorage(`rental-products/${fileName}`);
-      }
+      await deleteUpload(PRODUCT_BUCKET, uploadResult);
 
       console.error("Update rental product error:", error);
       return res.status(500).json({
@@ -303,8 +251,12 @@ controller.updateRentalProduct = async (req, res) => {
     }
 
     // Delete old image if new one was uploaded successfully
-    if (oldImagePath && newImageUrl) {
-      await deleteImageFromStorage(oldImagePath);
+    if (uploadResult && existingProduct.banner) {
+      await deleteImage(
+        PRODUCT_BUCKET,
+        existingProduct.banner,
+        existingProduct.banner_sizes
+      );
     }
 
     res.json({
@@ -326,11 +278,13 @@ controller.updateRentalProduct = async (req, res) => {
 controller.deleteRentalProduct = async (req, res) => {
   try {
     const { id } = req.params;
+    const { force = false } = req.query;
 
     // Check if product exists
     const { data: existingProduct, error: fetchError } = await supabase
       .from("rental_products")
       .select("*")
+      .is("deleted_at", null)
       .eq("id", id)
       .single();
 
@@ -341,38 +295,47 @@ controller.deleteRentalProduct = async (req, res) => {
       });
     }
 
-    // Delete product from database
-    const { error: deleteError } = await supabase
-      .from("rental_products")
-      .delete()
-      .eq("id", id);
+    // Check if product has upcoming bookings
+    const { data: activeBookings, error: bookingsError } = await supabase
+      .from("rental_booking")
+      .select("id, start_date, end_date, status")
+      .eq("rental_product_id", id)
+      .in("status", [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED])
+      .gte("end_date", new Date().toISOString().split("T")[0])
+      .limit(5);
 
-    if (deleteError) {
-      console.error("Delete rental product error:", deleteError);
+    if (bookingsError) {
+      console.error("Check active bookings error:", bookingsError);
       return res.status(500).json({
         success: false,
-        message: "Failed to delete rental product",
-        error: deleteError.message,
+        message: "Failed to check active bookings",
+        error: bookingsError.message,
       });
     }
 
-    // Delete image from storage if exists
-    if (existingProduct.banner) {
-      const urlParts = existingProduct.banner.split("/");
-      const fileName = urlParts[urlParts.length - 1];
-      const imagePath = `rental-products/${fileName}`;
-
-      const imageDeleted = await deleteImageFromStorage(imagePath);
-      if (!imageDeleted) {
-        console.warn(`Failed to delete image: ${imagePath}`);
-      }
+    if (activeBookings && activeBookings.length > 0 && force !== "true") {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot delete rental product with active bookings",
+        active_bookings_count: activeBookings.length,
+        sample_bookings: activeBookings,
+        suggestion:
+          "Use ?force=true to delete anyway (this will affect active bookings)",
+      });
     }
 
+    // Moved to the trash: gallery and image stay until it is purged
+    // (services/trash.js)
+    const deletedProduct = await softDelete(
+      "rental_product",
+      id,
+      req.user.id
+    );
+
     res.json({
       success: true,
-      message: "Rental product deleted successfully",
-
-      deletedProduct: existingProduct,
+      message: "Rental product moved to trash",
+      deletedProduct,
     });
   } catch (error) {
     console.error("Delete rental product error:", error);
@@ -396,128 +359,30 @@ controller.getAllRentalProducts = async (req, res) => {
       min_price,
       max_price,
       location,
+      start_date,
+      end_date,
+      lat,
+      lng,
     } = req.query;
     const offset = (page - 1) * limit;
 
-    let query = supabase
-      .from("rental_products")
-      .select(
-        `
-        *,
-        rental:rental_id (id, name)
-      `,
-        { count: "exact" }
-      )
-      .order("id", { ascending: true })
-      .range(offset, offset + limit - 1);
-
-    // Add filters
-    if (search) {
-      query = query.or(`name.ilike.%${search}%,description.ilike.%${search}%`);
-    }
-
-    if (rental_id) {
-      query = query.eq("rental_id", rental_id);
-    }
-
-    if (is_ready !== undefined) {
-      query = query.eq("is_ready", is_ready === "true");
-    }
-
-    if (min_price) {
-      query = query.gte("price", parseInt(min_price));
-    }
-
-    if (max_price) {
-      query = query.lte("price", parseInt(max_price));
-    }
-
-    if (location) {
-      query = query.ilike("location", `%${location}%`);
-    }
-
-    const { data, error, count } = await query;
-
-    if (error) {
-      console.error("Get rental products error:", error);
-      return res.status(500).json({
+    const origin = parseCoordinates(lat, lng);
+    if (!origin.valid) {
+      return res.status(400).json({
         success: false,
-        message: "Failed to fetch rental products",
-        error: error.message,
+        message: origin.message,
       });
     }
 
-    res.json({
-      success: true,
-      data,
-      pagination: {
-        total: count,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        totalPages: Math.ceil(count / limit),
-      },
-    });
-  } catch (error) {
-    console.error("Get rental products error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Internal server error",
-      error: error.message,
-    });
-  }
-};
-
-// READ - Get rental product by ID
-controller.getRentalProductById = async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    const { data, error } = await supabase
-      .from("rental_products")
-      .select(
-        `
-        *,
-        rental:rental_id (id, name, banner)
-      `
-      )
-      .eq("id", id)
-      .single();
-
-    if (error || !data) {
-      return res.status(404).json({
+    // Availability is derived from confirmed bookings in the requested range
+    const range = parseDateRange(start_date, end_date);
+    if (!range.valid) {
+      return res.status(400).json({
         success: false,
-        message: "Rental product not found",
+        message: range.message,
       });
     }
-
-    res.json({
-      success: true,
-      data,
-    });
-  } catch (error) {
-    console.error("Get rental product by ID error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Internal server error",
-      error: error.message,
-    });
-  }
-};
-
-// READ - Get all rental products
-controller.getAllRentalProducts = async (req, res) => {
-  try {
-    const {
-      page = 1,
-      limit = 10,
-      search,
-      rental_id,
-      is_ready,
-      min_price,
-      max_price,
-      location,
-    } = req.query;
-    const offset = (page - 1) * limit;
+    const bookedIds = await getBookedProductIds(range);
 
     let query = supabase
       .from("rental_products")
@@ -528,6 +393,7 @@ controller.getAllRentalProducts = async (req, res) => {
       `,
         { count: "exact" }
       )
+      .is("deleted_at", null)
       .order("id", { ascending: true })
       .range(offset, offset + limit - 1);
 
@@ -541,7 +407,12 @@ controller.getAllRentalProducts = async (req, res) => {
     }
 
     if (is_ready !== undefined) {
-      query = query.eq("is_ready", is_ready === "true");
+      const bookedList = `(${[...bookedIds].join(",")})`;
+      if (is_ready === "true") {
+        if (bookedIds.size > 0) query = query.not("id", "in", bookedList);
+      } else {
+        query = query.in("id", [...bookedIds]);
+      }
     }
 
     if (min_price) {
@@ -567,15 +438,24 @@ controller.getAllRentalProducts = async (req, res) => {
       });
     }
 
+    const products = applyAvailability(data, bookedIds).map((product) =>
+      withThumbnail(product)
+    );
+
     res.json({
       success: true,
-      data,
+      data:
+        origin.latitude !== null ? withDistance(products, origin) : products,
       pagination: {
         total: count,
         page: parseInt(page),
         limit: parseInt(limit),
         totalPages: Math.ceil(count / limit),
       },
+      availability_range: {
+        start_date: range.start_date,
+        end_date: range.end_date,
+      },
     });
   } catch (error) {
     console.error("Get rental products error:", error);
@@ -591,6 +471,15 @@ controller.getAllRentalProducts = async (req, res) => {
 controller.getRentalProductById = async (req, res) => {
   try {
     const { id } = req.params;
+    const { start_date, end_date } = req.query;
+
+    const range = parseDateRange(start_date, end_date);
+    if (!range.valid) {
+      return res.status(400).json({
+        success: false,
+        message: range.message,
+      });
+    }
 
     const { data, error } = await supabase
       .from("rental_products")
@@ -600,6 +489,7 @@ controller.getRentalProductById = async (req, res) => {
         rental:rental_id (id, name, banner)
       `
       )
+      .is("deleted_at", null)
       .eq("id", id)
       .single();
 
@@ -610,9 +500,16 @@ controller.getRentalProductById = async (req, res) => {
       });
     }
 
+    const bookedIds = await getBookedProductIds(range, [data.id]);
+    const [product] = applyAvailability([data], bookedIds);
+
     res.json({
       success: true,
-      data,
+      data: { ...product, media: await getGallery("rental_product", data.id) },
+      availability_range: {
+        start_date: range.start_date,
+        end_date: range.end_date,
+      },
     });
   } catch (error) {
     console.error("Get rental product by ID error:", error);
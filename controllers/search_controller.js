@@ -0,0 +1,272 @@
+// controllers/search_controller.js
+const supabase = require("../db");
+const { APPROVED_FILTER } = require("../services/event_review");
+const {
+  parseCoordinates,
+  withinBounds,
+  boundsAround,
+} = require("../services/geo");
+const { withThumbnail } = require("../services/media");
+const {
+  buildTextFilters,
+  applyFacetFilters,
+  rankEvents,
+  matchesFacets,
+  buildFacets,
+} = require("../services/event_search");
+
+const controller = {};
+
+// Matches are read in batches so the API row limit can't cut them short
+const SEARCH_BATCH_SIZE = 1000;
+
+const SEARCH_SELECT = `
+  id,
+  name,
+  description,
+  category,
+  price,
+  location,
+  address,
+  city,
+  province,
+  start_date,
+  end_date,
+  banner,
+  banner_sizes,
+  booth_slot,
+  completed_at,
+  latitude,
+  longitude,
+  event_category_id,
+  area_id,
+  vendor_id,
+  event_category:event_category_id (id, name),
+  area:area_id (id, name),
+  vendor:vendor_id (id, name)
+`;
+
+// What facet counts need
+const FACET_SELECT = `
+  id,
+  price,
+  start_date,
+  end_date,
+  completed_at,
+  latitude,
+  longitude,
+  event_category_id,
+  area_id,
+  event_category:event_category_id (id, name),
+  area:area_id (id, name)
+`;
+
+// Sorts the database can do itself; the others rank every match here
+const DATABASE_SORTS = { date: "start_date", price: "price" };
+
+// Comma separated query values ("1,2") as a list of strings
+const parseList = (value) =>
+  value
+    ? value
+        .toString()
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean)
+    : [];
+
+const SORTERS = {
+  relevance: (a, b) =>
+    b.relevance - a.relevance ||
+    new Date(a.start_date) - new Date(b.start_date),
+  date: (a, b) => new Date(a.start_date) - new Date(b.start_date),
+  price: (a, b) => (a.price || 0) - (b.price || 0),
+  distance: (a, b) => (a.distance_km ?? Infinity) - (b.distance_km ?? Infinity),
+};
+
+const fetchAll = async (buildQuery) => {
+  const rows = [];
+  for (let offset = 0; ; offset += SEARCH_BATCH_SIZE) {
+    const { data, error } = await buildQuery()
+      .order("id", { ascending: true })
+      .range(offset, offset + SEARCH_BATCH_SIZE - 1);
+
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < SEARCH_BATCH_SIZE) return rows;
+  }
+};
+
+// READ - Search events with relevance ranking, facets and "near me"
+controller.searchEvents = async (req, res) => {
+  try {
+    const {
+      q = "",
+      category,
+      area,
+      price,
+      status,
+      min_price,
+      max_price,
+      start_date,
+      end_date,
+      lat,
+      lng,
+      radius_km = 10,
+      sort_by,
+      sort_order = "asc",
+      page = 1,
+      limit = 10,
+    } = req.query;
+
+    const coordinates = parseCoordinates(lat, lng);
+    if (!coordinates.valid) {
+      return res.status(400).json({
+        success: false,
+        message: coordinates.message,
+      });
+    }
+
+    const radius = parseFloat(radius_km);
+    if (isNaN(radius) || radius <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: "radius_km must be a positive number",
+      });
+    }
+
+    const near =
+      coordinates.latitude !== null
+        ? {
+            latitude: coordinates.latitude,
+            longitude: coordinates.longitude,
+            radius_km: radius,
+          }
+        : null;
+
+    // Repeated `q` parameters are searched together
+    const text = (Array.isArray(q) ? q.join(" ") : String(q)).trim();
+
+    // Relevance when searching, distance for "near me", otherwise by date
+    const defaultSort = text ? "relevance" : near ? "distance" : "date";
+    const sortBy = SORTERS[sort_by] ? sort_by : defaultSort;
+    if (sortBy === "distance" && !near) {
+      return res.status(400).json({
+        success: false,
+        message: "Sorting by distance requires lat and lng",
+      });
+    }
+
+    const filters = {
+      category: parseList(category),
+      area: parseList(area),
+      price: parseList(price),
+      status: parseList(status),
+    };
+    const textFilters = await buildTextFilters(text);
+
+    // Matching runs in the database; facet filters are left to the caller
+    const buildQuery = (columns, options) => {
+      let query = supabase
+        .from("event")
+        .select(columns, options)
+        .is("deleted_at", null)
+        .or(APPROVED_FILTER);
+
+      textFilters.forEach((filter) => {
+        query = query.or(filter);
+      });
+      if (min_price) {
+        query = query.gte("price", parseInt(min_price));
+      }
+      if (max_price) {
+        query = query.lte("price", parseInt(max_price));
+      }
+      if (start_date) {
+        query = query.gte("start_date", start_date);
+      }
+      if (end_date) {
+        query = query.lte("end_date", end_date);
+      }
+      if (near) {
+        query = withinBounds(query, boundsAround(near, near.radius_km));
+      }
+      return query;
+    };
+
+    const direction = sortBy !== "relevance" && sort_order === "desc" ? -1 : 1;
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.max(parseInt(limit) || 10, 1);
+    const offset = (pageNumber - 1) * pageSize;
+    const databaseSort = !near && DATABASE_SORTS[sortBy];
+
+    // Facets count every match, whatever page is shown
+    const matches = rankEvents(
+      await fetchAll(() =>
+        buildQuery(databaseSort ? FACET_SELECT : SEARCH_SELECT)
+      ),
+      { query: text, near }
+    );
+
+    let results;
+    let total;
+    if (databaseSort) {
+      const { data, error, count } = await applyFacetFilters(
+        buildQuery(SEARCH_SELECT, { count: "exact" }),
+        filters
+      )
+        .order(databaseSort, {
+          ascending: direction === 1,
+          nullsFirst: direction === 1,
+        })
+        .order("id", { ascending: true })
+        .range(offset, offset + pageSize - 1);
+
+      if (error) {
+        console.error("Search events error:", error);
+        return res.status(500).json({
+          success: false,
+          message: "Failed to search events",
+          error: error.message,
+        });
+      }
+
+      results = rankEvents(data, { query: text, near: null });
+      total = count;
+    } else {
+      const filtered = matches
+        .filter((event) => matchesFacets(event, filters))
+        .sort((a, b) => direction * SORTERS[sortBy](a, b));
+
+      results = filtered.slice(offset, offset + pageSize);
+      total = filtered.length;
+    }
+
+    res.json({
+      success: true,
+      data: results.map((event) => withThumbnail(event)),
+      facets: buildFacets(matches, filters),
+      pagination: {
+        total,
+        page: pageNumber,
+        limit: pageSize,
+        totalPages: Math.ceil(total / pageSize),
+      },
+      query: {
+        q: text,
+        sort_by: sortBy,
+        sort_order: direction === -1 ? "desc" : "asc",
+        filters,
+        near,
+      },
+    });
+  } catch (error) {
+    console.error("Search events error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = controller;
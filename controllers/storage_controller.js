@@ -0,0 +1,43 @@
+// controllers/storage_controller.js
+const { reconcileStorage } = require("../services/storage_gc");
+
+const controller = {};
+
+// READ - Orphaned files and rows pointing to missing files (admin)
+controller.getReconciliation = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await reconcileStorage(),
+    });
+  } catch (error) {
+    console.error("Storage reconciliation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// DELETE - Delete orphaned files older than STORAGE_GC_MIN_AGE_HOURS (admin)
+controller.purgeOrphans = async (req, res) => {
+  try {
+    const report = await reconcileStorage({ deleteOrphans: true });
+
+    res.json({
+      success: report.purge.failed.length === 0,
+      message: `Deleted ${report.purge.deleted.length} orphaned file(s)`,
+      data: report,
+    });
+  } catch (error) {
+    console.error("Purge orphaned files error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = controller;
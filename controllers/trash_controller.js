@@ -0,0 +1,93 @@
+// controllers/trash_controller.js
+// Handlers are built per type ("event", "vendor", "area", "event_category",
+// "rental_product"), e.g. controller.getTrash("event"); admin only.
+const { TRASH, listTrash, restore, purge } = require("../services/trash");
+
+const controller = {};
+
+// READ - Trashed rows, most recently deleted first
+controller.getTrash = (type) => async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const { data, count } = await listTrash(type, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    res.json({
+      success: true,
+      data,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get trash error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// UPDATE - Take a row out of the trash
+controller.restoreItem = (type) => async (req, res) => {
+  try {
+    const data = await restore(type, req.params.id);
+
+    res.json({
+      success: true,
+      message: `${TRASH[type].label} restored successfully`,
+      data,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Restore from trash error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// DELETE - Delete a trashed row and its files for good, without waiting for
+// the retention period
+controller.purgeItem = (type) => async (req, res) => {
+  try {
+    const data = await purge(type, req.params.id);
+
+    res.json({
+      success: true,
+      message: `${TRASH[type].label} permanently deleted`,
+      data,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Purge from trash error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = controller;
@@ -0,0 +1,494 @@
+// controllers/vendor_application_controller.js
+const supabase = require("../db");
+const { v4: uuidv4 } = require("uuid");
+const { upload } = require("./vendor_controller");
+const {
+  validatePhone,
+  validateInstagram,
+  formatInstagram,
+} = require("../services/vendor_profile");
+const { uploadImage, deleteUpload } = require("../services/media");
+const { notify } = require("../services/notifications");
+
+const controller = {};
+
+const APPLICATION_STATUS = {
+  PENDING: "PENDING",
+  APPROVED: "APPROVED",
+  REJECTED: "REJECTED",
+};
+
+const BANNER_BUCKET = "vendors";
+
+const APPLICATION_SELECT = `
+  *,
+  user:user_id (id, first_name, last_name, email, role),
+  reviewer:reviewed_by (id, first_name, last_name),
+  vendor:vendor_id (id, name)
+`;
+
+// Helper to load a pending application or send the matching error response
+const findPendingApplication = async (req, res) => {
+  const { data: application, error } = await supabase
+    .from("vendor_application")
+    .select("*")
+    .eq("id", req.params.id)
+    .single();
+
+  if (error || !application) {
+    res.status(404).json({
+      success: false,
+      message: "Vendor application not found",
+    });
+    return null;
+  }
+
+  if (application.status !== APPLICATION_STATUS.PENDING) {
+    res.status(400).json({
+      success: false,
+      message: `Cannot review application with status: ${application.status}`,
+      current_status: application.status,
+    });
+    return null;
+  }
+
+  return application;
+};
+
+// CREATE - Submit a vendor profile for review (logged-in user)
+controller.createApplication = async (req, res) => {
+  let uploadResult = null;
+
+  try {
+    const { name, desc, phone, insta, location, email } = req.body;
+    const file = req.file;
+
+    // Validate required fields
+    if (!name || !desc || !phone || !insta) {
+      return res.status(400).json({
+        success: false,
+        message: "Name, description, phone, and instagram are required",
+      });
+    }
+
+    if (!validatePhone(phone)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid phone number format",
+      });
+    }
+
+    if (!validateInstagram(insta)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Instagram username or URL",
+      });
+    }
+
+    if (!file) {
+      return res.status(400).json({
+        success: false,
+        message: "Banner image is required",
+      });
+    }
+
+    // Users who already run a vendor can't apply again
+    const { count: vendorCount, error: vendorError } = await supabase
+      .from("vendor")
+      .select("id", { count: "exact", head: true })
+      .eq("user_id", req.user.id);
+
+    if (vendorError) {
+      console.error("Check existing vendor error:", vendorError);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to validate existing vendor",
+        error: vendorError.message,
+      });
+    }
+
+    if ((vendorCount ?? 0) > 0) {
+      return res.status(409).json({
+        success: false,
+        message: "You already have a vendor profile",
+      });
+    }
+
+    // Only one application can be waiting for review at a time
+    const { count: pendingCount, error: pendingError } = await supabase
+      .from("vendor_application")
+      .select("id", { count: "exact", head: true })
+      .eq("user_id", req.user.id)
+      .eq("status", APPLICATION_STATUS.PENDING);
+
+    if (pendingError) {
+      console.error("Check pending application error:", pendingError);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to validate existing applications",
+        error: pendingError.message,
+      });
+    }
+
+    if ((pendingCount ?? 0) > 0) {
+      return res.status(409).json({
+        success: false,
+        message: "You already have a vendor application under review",
+      });
+    }
+
+    uploadResult = await uploadImage(file, BANNER_BUCKET, "vendors/banners");
+
+    if (!uploadResult.success) {
+      return res.status(500).json({
+        success: false,
+        message: "Failed to upload banner image",
+        error: uploadResult.error,
+      });
+    }
+
+    const { data, error } = await supabase
+      .from("vendor_application")
+      .insert({
+        user_id: req.user.id,
+        name: name.trim(),
+        desc: desc.trim(),
+        phone: parseInt(phone),
+        insta: formatInstagram(insta),
+        location: location ? location.trim() : null,
+        email: email ? email.trim() : req.user.email,
+        banner: uploadResult.publicUrl,
+        banner_sizes: uploadResult.sizes,
+        status: APPLICATION_STATUS.PENDING,
+        created_at: new Date().toISOString(),
+      })
+      .select(APPLICATION_SELECT)
+      .single();
+
+    if (error) {
+      await deleteUpload(BANNER_BUCKET, uploadResult);
+      console.error("Create vendor application error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to submit vendor application",
+        error: error.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Vendor application submitted for review",
+      data,
+    });
+  } catch (error) {
+    console.error("Create vendor application error:", error);
+    await deleteUpload(BANNER_BUCKET, uploadResult);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// READ - Get all applications (Admin)
+controller.getAllApplications = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, search } = req.query;
+
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from("vendor_application")
+      .select(APPLICATION_SELECT, { count: "exact" })
+      .order("created_at", { ascending: true })
+      .range(offset, offset + parseInt(limit) - 1);
+
+    if (status) {
+      query = query.eq("status", status.toUpperCase());
+    }
+
+    if (search) {
+      query = query.or(`name.ilike.%${search}%,email.ilike.%${search}%`);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      console.error("Get vendor applications error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to fetch vendor applications",
+        error: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        totalPages: Math.ceil(count / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get vendor applications error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// READ - Get applications submitted by the logged-in user
+controller.getMyApplications = async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("vendor_application")
+      .select(APPLICATION_SELECT)
+      .eq("user_id", req.user.id)
+      .order("created_at", { ascending: false });
+
+    if (error) {
+      console.error("Get my vendor applications error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to fetch vendor applications",
+        error: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error("Get my vendor applications error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// READ - Get application by ID (owner or admin, checked by the route)
+controller.getApplicationById = async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("vendor_application")
+      .select(APPLICATION_SELECT)
+      .eq("id", req.params.id)
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({
+        success: false,
+        message: "Vendor application not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error("Get vendor application by ID error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// UPDATE - Approve an application: creates the vendor and promotes the user
+controller.approveApplication = async (req, res) => {
+  try {
+    const { admin_notes } = req.body;
+
+    const application = await findPendingApplication(req, res);
+    if (!application) return;
+
+    const { data: user, error: userError } = await supabase
+      .from("user")
+      .select("id, role")
+      .eq("id", application.user_id)
+      .single();
+
+    if (userError || !user) {
+      return res.status(400).json({
+        success: false,
+        message: "Applicant user not found",
+      });
+    }
+
+    const { count: vendorCount, error: vendorCheckError } = await supabase
+      .from("vendor")
+      .select("id", { count: "exact", head: true })
+      .eq("user_id", application.user_id);
+
+    if (vendorCheckError) {
+      console.error("Check existing vendor error:", vendorCheckError);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to validate existing vendor",
+        error: vendorCheckError.message,
+      });
+    }
+
+    if ((vendorCount ?? 0) > 0) {
+      return res.status(409).json({
+        success: false,
+        message: "Vendor for this user already exists",
+      });
+    }
+
+    const { data: vendor, error: vendorError } = await supabase
+      .from("vendor")
+      .insert({
+        id: uuidv4(),
+        name: application.name,
+        user_id: application.user_id,
+        desc: application.desc,
+        phone: application.phone,
+        insta: application.insta,
+        location: application.location,
+        email: application.email,
+        banner: application.banner,
+        banner_sizes: application.banner_sizes,
+      })
+      .select()
+      .single();
+
+    if (vendorError) {
+      console.error("Create vendor from application error:", vendorError);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to create vendor",
+        error: vendorError.message,
+      });
+    }
+
+    // Admins keep their role; everyone else becomes a vendor
+    if (user.role !== "admin") {
+      const { error: roleError } = await supabase
+        .from("user")
+        .update({ role: "vendor" })
+        .eq("id", user.id);
+
+      if (roleError) {
+        await supabase.from("vendor").delete().eq("id", vendor.id);
+        console.error("Promote vendor user error:", roleError);
+        return res.status(500).json({
+          success: false,
+          message: "Failed to update user role",
+          error: roleError.message,
+        });
+      }
+    }
+
+    const { data, error } = await supabase
+      .from("vendor_application")
+      .update({
+        status: APPLICATION_STATUS.APPROVED,
+        admin_notes: admin_notes ? admin_notes.trim() : null,
+        reviewed_by: req.user.id,
+        reviewed_at: new Date().toISOString(),
+        vendor_id: vendor.id,
+      })
+      .eq("id", application.id)
+      .select(APPLICATION_SELECT)
+      .single();
+
+    if (error) {
+      console.error("Approve vendor application error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Vendor created but failed to update application",
+        error: error.message,
+      });
+    }
+
+    await notify(application.user_id, "vendor_approved", {
+      application_id: application.id,
+      vendor_id: vendor.id,
+      vendor_name: vendor.name,
+    });
+
+    res.json({
+      success: true,
+      message: "Vendor application approved successfully",
+      data,
+    });
+  } catch (error) {
+    console.error("Approve vendor application error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// UPDATE - Reject an application with notes for the applicant
+controller.rejectApplication = async (req, res) => {
+  try {
+    const { admin_notes } = req.body;
+
+    if (!admin_notes || !admin_notes.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "admin_notes is required when rejecting an application",
+      });
+    }
+
+    const application = await findPendingApplication(req, res);
+    if (!application) return;
+
+    const { data, error } = await supabase
+      .from("vendor_application")
+      .update({
+        status: APPLICATION_STATUS.REJECTED,
+        admin_notes: admin_notes.trim(),
+        reviewed_by: req.user.id,
+        reviewed_at: new Date().toISOString(),
+      })
+      .eq("id", application.id)
+      .select(APPLICATION_SELECT)
+      .single();
+
+    if (error) {
+      console.error("Reject vendor application error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to reject vendor application",
+        error: error.message,
+      });
+    }
+
+    await notify(application.user_id, "vendor_rejected", {
+      application_id: application.id,
+      vendor_name: application.name,
+      reason: admin_notes.trim(),
+    });
+
+    res.json({
+      success: true,
+      message: "Vendor application rejected",
+      data,
+    });
+  } catch (error) {
+    console.error("Reject vendor application error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = { controller, upload };
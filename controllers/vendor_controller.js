@@ -1,103 +1,42 @@
 // controllers/vendor_controller.js
-const supabase = require("../db/supabase");
-const multer = require("multer");
+const supabase = require("../db");
 const { v4: uuidv4 } = require("uuid");
+const {
+  IMAGE_TYPES,
+  createUpload,
+  uploadImage,
+  deleteUpload,
+  deleteImage,
+  withThumbnail,
+} = require("../services/media");
+const {
+  validatePhone,
+  validateInstagram,
+  formatInstagram,
+} = require("../services/vendor_profile");
+const { getVendorRatingSummaries } = require("../services/vendor_rating");
+const { getGallery } = require("../services/gallery");
+const { softDelete } = require("../services/trash");
+const { APPROVED_FILTER } = require("../services/event_review");
+const {
+  parseCoordinates,
+  parseLocationFields,
+  withDistance,
+} = require("../services/geo");
 
 const controller = {};
 
-// Configure multer for memory storage
-const storage = multer.memoryStorage();
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    console.log("=== MULTER FILE FILTER ===");
-    console.log("File received in filter:", file);
-
-    // Check if file is an image
-    if (file.mimetype.startsWith("image/")) {
-      cb(null, true);
-    } else {
-      cb(new Error("Only image files are allowed!"), false);
-    }
-  },
-});
-
-// Helper function to upload image to Supabase Storage
-const uploadImageToStorage = async (file, folder = "vendor-banners") => {
-  try {
-    // Generate unique filename
-    const fileExt = file.originalname.split(".").pop();
-    const fileName = `${uuidv4()}.${fileExt}`;
-    const filePath = `${folder}/${fileName}`;
-
-    // Upload to Supabase Storage
-    const { data, error } = await supabase.storage
-      .from("vendors") // Create this bucket in Supabase
-      .upload(filePath, file.buffer, {
-        contentType: file.mimetype,
-        upsert: false,
-      });
-
-    if (error) {
-      throw error;
-    }
+const VENDOR_BUCKET = "vendors";
 
-    // Get public URL
-    const {
-      data: { publicUrl },
-    } = supabase.storage.from("vendors").getPublicUrl(filePath);
-
-    return {
-      success: true,
-      filePath: data.path,
-      publicUrl: publicUrl,
-    };
-  } catch (error) {
-    console.error("Upload error:", error);
-    return {
-      success: false,
-      error: error.message,
-    };
-  }
-};
-
-// Helper function to delete image from storage
-const deleteImageFromStorage = async (filePath) => {
-  try {
-    const { error } = await supabase.storage.from("vendors").remove([filePath]);
-
-    if (error) {
-      console.error("Delete file error:", error);
-      return false;
-    }
-    return true;
-  } catch (error) {
-    console.error("Delete file error:", error);
-    return false;
-  }
-};
-
-// Helper function to validate phone number
-const validatePhone = (phone) => {
-  // Indonesian phone number validation (basic)
-  const phoneStr = phone.toString();
-  return (
-    phoneStr.length >= 10 && phoneStr.length <= 15 && /^\d+$/.test(phoneStr)
-  );
-};
+const upload = createUpload({ banner_image: IMAGE_TYPES });
 
-// Helper function to validate Instagram URL/username
-const validateInstagram = (insta) => {
-  if (!insta) return false;
-
-  // Allow both username and full URL
-  const instagramRegex =
-    /^(?:https?:\/\/)?(?:www\.)?instagram\.com\/([a-zA-Z0-9._]{1,30})\/?$|^@?([a-zA-Z0-9._]{1,30})$/;
-  return instagramRegex.test(insta);
-};
+// Adds the vendor's reputation, shaped like the rating fields on events
+const withRating = (vendor, summary) => ({
+  ...vendor,
+  average_rating: summary.average_rating,
+  rating_count: summary.total_ratings,
+  rating_distribution: summary.rating_distribution,
+});
 
 // CREATE - Add new vendor
 controller.createVendor = async (req, res) => {
@@ -136,7 +75,16 @@ controller.createVendor = async (req, res) => {
       });
     }
 
-    // Ensure the user doesn't already have a vendor profile
+    const locationFields = parseLocationFields(req.body);
+    if (!locationFields.valid) {
+      return res.status(400).json({
+        success: false,
+        message: locationFields.message,
+      });
+    }
+
+    // Ensure the user doesn't already have a vendor profile (one in the trash
+    // counts too: it has to be restored rather than created again)
     const { count: existingVendorCount, error: existingVendorCheckError } =
       await supabase
         .from("vendor")
@@ -202,16 +150,14 @@ controller.createVendor = async (req, res) => {
     let uploadedFilePath = null; // Define this variable
     console.log("Processing file upload...");
 
-    const uploadResult = await uploadImageToStorage(
+    const uploadResult = await uploadImage(
       file, // Changed from files.banner_image[0]
+      VENDOR_BUCKET,
       "vendors/banners"
     );
 
     if (!uploadResult.success) {
       console.error("Upload error:", uploadResult.error);
-      if (uploadResult.filePath) {
-        await deleteImageFromStorage(uploadResult.filePath);
-      }
       return res.status(500).json({
         success: false,
         message: "Failed to upload banner image",
@@ -223,12 +169,7 @@ controller.createVendor = async (req, res) => {
     uploadedFilePath = uploadResult.filePath; // Store the file path for cleanup if needed
 
     // Format Instagram (ensure it's stored consistently)
-    let formattedInsta = insta;
-    if (insta.includes("instagram.com/")) {
-      formattedInsta = insta.split("instagram.com/")[1].replace("/", "");
-    } else if (insta.startsWith("@")) {
-      formattedInsta = insta.substring(1);
-    }
+    const formattedInsta = formatInstagram(insta);
 
     // Generate UUID for the vendor id
     const vendorId = uuidv4();
@@ -242,12 +183,14 @@ controller.createVendor = async (req, res) => {
       phone: parseInt(phone),
       insta: formattedInsta,
       location: location ? location.trim() : null,
+      ...locationFields.data,
       email: email.trim(),
     };
 
     // Add banner if provided
     if (bannerUrl) {
       insertData.banner = bannerUrl;
+      insertData.banner_sizes = uploadResult.sizes;
     }
 
     console.log("Insert data:", insertData);
@@ -267,7 +210,7 @@ controller.createVendor = async (req, res) => {
     if (error) {
       // If database insert fails, delete the uploaded image
       if (uploadedFilePath) {
-        await deleteImageFromStorage(uploadedFilePath);
+        await deleteUpload(VENDOR_BUCKET, uploadResult);
       }
       console.error("Create vendor error:", error);
       return res.status(500).json({
@@ -290,7 +233,7 @@ controller.createVendor = async (req, res) => {
     // Clean up uploaded file if there was an error
     if (uploadedFilePath) {
       try {
-        await deleteImageFromStorage(uploadedFilePath);
+        await deleteUpload(VENDOR_BUCKET, uploadResult);
       } catch (cleanupError) {
         console.error("Error cleaning up uploaded file:", cleanupError);
       }
@@ -311,16 +254,29 @@ controller.getAllVendors = async (req, res) => {
       page = 1,
       limit = 10,
       search,
+      lat,
+      lng,
       sort_by = "name",
       sort_order = "asc",
     } = req.query;
 
     const offset = (page - 1) * limit;
 
-    // Validate sort parameters
+    const origin = parseCoordinates(lat, lng);
+    if (!origin.valid) {
+      return res.status(400).json({
+        success: false,
+        message: origin.message,
+      });
+    }
+
+    // Validate sort parameters (rating and distance are sorted after the
+    // summaries load)
     const allowedSortBy = ["id", "name", "phone"];
     const allowedSortOrder = ["asc", "desc"];
 
+    const sortByRating = sort_by === "rating";
+    const sortByDistance = sort_by === "distance" && origin.latitude !== null;
     const sortBy = allowedSortBy.includes(sort_by) ? sort_by : "name";
     const sortOrder = allowedSortOrder.includes(sort_order)
       ? sort_order
@@ -335,6 +291,7 @@ controller.getAllVendors = async (req, res) => {
       `,
         { count: "exact" }
       )
+      .is("deleted_at", null)
       .order(sortBy, { ascending: sortOrder === "asc" });
     // .range(offset, offset + limit - 1);
 
@@ -356,9 +313,37 @@ controller.getAllVendors = async (req, res) => {
       });
     }
 
+    const summaries = await getVendorRatingSummaries(data.map((v) => v.id));
+    let vendors = data.map((vendor) =>
+      withThumbnail(withRating(vendor, summaries[vendor.id]))
+    );
+    if (origin.latitude !== null) {
+      vendors = withDistance(vendors, origin);
+    }
+
+    // Ties on the average go to the vendor with more ratings
+    if (sortByRating) {
+      const direction = sortOrder === "asc" ? 1 : -1;
+      vendors.sort(
+        (a, b) =>
+          direction * (a.average_rating - b.average_rating) ||
+          b.rating_count - a.rating_count
+      );
+    }
+
+    // Vendors without coordinates go last either way
+    if (sortByDistance) {
+      const direction = sortOrder === "asc" ? 1 : -1;
+      vendors.sort((a, b) =>
+        a.distance_km === null || b.distance_km === null
+          ? (a.distance_km === null) - (b.distance_km === null)
+          : direction * (a.distance_km - b.distance_km)
+      );
+    }
+
     res.json({
       success: true,
-      data,
+      data: vendors,
       pagination: {
         total: count,
         page: parseInt(page),
@@ -383,12 +368,22 @@ controller.getAllVendorsUser = async (req, res) => {
       page = 1,
       limit = 10,
       search,
+      lat,
+      lng,
       sort_by = "name",
       sort_order = "asc",
     } = req.query;
 
     const offset = (page - 1) * limit;
 
+    const origin = parseCoordinates(lat, lng);
+    if (!origin.valid) {
+      return res.status(400).json({
+        success: false,
+        message: origin.message,
+      });
+    }
+
     // Validate sort parameters
     const allowedSortBy = ["id", "name", "phone"];
     const allowedSortOrder = ["asc", "desc"];
@@ -407,6 +402,7 @@ controller.getAllVendorsUser = async (req, res) => {
       `,
         { count: "exact" }
       )
+      .is("deleted_at", null)
       .order(sortBy, { ascending: sortOrder === "asc" })
       .range(offset, offset + limit - 1);
 
@@ -428,9 +424,15 @@ controller.getAllVendorsUser = async (req, res) => {
       });
     }
 
+    const summaries = await getVendorRatingSummaries(data.map((v) => v.id));
+    const vendors = data.map((vendor) =>
+      withThumbnail(withRating(vendor, summaries[vendor.id]))
+    );
+
     res.json({
       success: true,
-      data,
+      data:
+        origin.latitude !== null ? withDistance(vendors, origin) : vendors,
       pagination: {
         total: count,
         page: parseInt(page),
@@ -460,19 +462,10 @@ controller.getVendorById = async (req, res) => {
       .select(
         `
         *,
-        user:user_id (id, first_name, last_name, email, role),
-        event (
-          id,
-          name,
-          price,
-          start_date,
-          end_date,
-          location,
-          category,
-          banner
-        )
+        user:user_id (id, first_name, last_name, email, role)
       `
       )
+      .is("deleted_at", null)
       .eq("id", id)
       .single();
 
@@ -486,12 +479,28 @@ controller.getVendorById = async (req, res) => {
       });
     }
 
+    // Only approved events that are not in the trash are public
+    const { data: events, error: eventsError } = await supabase
+      .from("event")
+      .select(
+        "id, name, price, start_date, end_date, location, category, banner"
+      )
+      .eq("vendor_id", data.id)
+      .or(APPROVED_FILTER)
+      .is("deleted_at", null);
+
+    if (eventsError) throw eventsError;
+
+    const summaries = await getVendorRatingSummaries([data.id]);
+
     res.json({
       success: true,
       data: {
-        ...data,
-        events_count: data.event ? data.event.length : 0,
+        ...withRating(data, summaries[data.id]),
+        event: events,
+        events_count: events.length,
         instagram_url: `https://instagram.com/${data.insta}`,
+        media: await getGallery("vendor", data.id),
       },
     });
   } catch (error) {
@@ -517,6 +526,7 @@ controller.getVendorByUserId = async (req, res) => {
         id
       `
       )
+      .is("deleted_at", null)
       .eq("user_id", user_id)
       .single();
 
@@ -576,6 +586,7 @@ controller.updateVendor = async (req, res) => {
     const { data: existingVendor, error: fetchError } = await supabase
       .from("vendor")
       .select("*")
+      .is("deleted_at", null)
       .eq("id", id)
       .single();
 
@@ -602,6 +613,15 @@ controller.updateVendor = async (req, res) => {
       updateData.location = locationStr || null;
     }
 
+    const locationFields = parseLocationFields(req.body, { partial: true });
+    if (!locationFields.valid) {
+      return res.status(400).json({
+        success: false,
+        message: locationFields.message,
+      });
+    }
+    Object.assign(updateData, locationFields.data);
+
     if (email !== undefined) {
       const emailStr = email.toString().trim();
       updateData.email = emailStr || null;
@@ -631,16 +651,22 @@ controller.updateVendor = async (req, res) => {
             message: "Invalid Instagram username or URL",
           });
         }
-        let formattedInsta = instaStr;
-        if (instaStr.includes("instagram.com/")) {
-          formattedInsta = instaStr.split("instagram.com/")[1].replace("/", "");
-        } else if (instaStr.startsWith("@")) {
-          formattedInsta = instaStr.substring(1);
-        }
-        updateData.insta = formattedInsta;
+        updateData.insta = formatInstagram(instaStr);
       }
     }
 
+    // Only admins can hand a vendor profile over to another user
+    if (
+      user_id !== undefined &&
+      req.user.role !== "admin" &&
+      user_id.toString().trim() !== req.user.id
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Only admins can assign a vendor to another user",
+      });
+    }
+
     // User ID validation
     if (user_id !== undefined) {
       const userIdStr = user_id.toString().trim();
@@ -688,8 +714,8 @@ controller.updateVendor = async (req, res) => {
       }
     }
 
-    let newImageUrl = null;
-    let oldImagePath = null;
+    let oldImageUrl = null;
+    let uploadResult = null;
     let uploadedFilePath = null;
 
     // Handle banner updates - FIXED LOGIC
@@ -702,7 +728,7 @@ controller.updateVendor = async (req, res) => {
         size: file.size,
       });
 
-      const uploadResult = await uploadImageToStorage(file, "vendors/banners");
+      uploadResult = await uploadImage(file, VENDOR_BUCKET, "vendors/banners");
 
       if (!uploadResult.success) {
         console.error("Upload failed:", uploadResult.error);
@@ -715,19 +741,11 @@ controller.updateVendor = async (req, res) => {
 
       // Set the new banner URL
       updateData.banner = uploadResult.publicUrl;
-      newImageUrl = uploadResult.publicUrl;
+      updateData.banner_sizes = uploadResult.sizes;
       uploadedFilePath = uploadResult.filePath;
 
       // Mark old image for deletion if it exists
-      if (existingVendor.banner) {
-        try {
-          const urlParts = existingVendor.banner.split("/");
-          const fileName = urlParts[urlParts.length - 1];
-          oldImagePath = `vendors/banners/${fileName}`;
-        } catch (error) {
-          console.error("Error parsing old image path:", error);
-        }
-      }
+      oldImageUrl = existingVendor.banner;
     } else if (remove_banner === "true" || remove_banner === true) {
       // Only remove banner if no new file is being uploaded
       console.log("Removing banner without replacement...");
@@ -742,37 +760,20 @@ controller.updateVendor = async (req, res) => {
       }
 
       updateData.banner = banner.toString().trim();
+      updateData.banner_sizes = null;
 
       // Mark old image for deletion
-      if (existingVendor.banner) {
-        try {
-          const urlParts = existingVendor.banner.split("/");
-          const fileName = urlParts[urlParts.length - 1];
-          oldImagePath = `vendors/banners/${fileName}`;
-        } catch (error) {
-          console.error("Error parsing old image path:", error);
-        }
-      }
+      oldImageUrl = existingVendor.banner;
     } else if (banner !== undefined && banner.toString().trim()) {
       // Banner URL is being updated
       const bannerStr = banner.toString().trim();
       if (bannerStr !== existingVendor.banner) {
         console.log("Updating banner URL...");
         updateData.banner = bannerStr;
+        updateData.banner_sizes = null;
 
-        // Mark old image for deletion if it was stored in our storage
-        if (
-          existingVendor.banner &&
-          existingVendor.banner.includes("supabase")
-        ) {
-          try {
-            const urlParts = existingVendor.banner.split("/");
-            const fileName = urlParts[urlParts.length - 1];
-            oldImagePath = `vendors/banners/${fileName}`;
-          } catch (error) {
-            console.error("Error parsing old image path:", error);
-          }
-        }
+        // Mark old image for deletion (only files in our bucket are deleted)
+        oldImageUrl = existingVendor.banner;
       }
     }
 
@@ -805,7 +806,7 @@ controller.updateVendor = async (req, res) => {
       // Clean up uploaded file if database update failed
       if (uploadedFilePath) {
         try {
-          await deleteImageFromStorage(uploadedFilePath);
+          await deleteUpload(VENDOR_BUCKET, uploadResult);
         } catch (cleanupError) {
           console.error("Error cleaning up uploaded file:", cleanupError);
         }
@@ -819,15 +820,12 @@ controller.updateVendor = async (req, res) => {
     }
 
     // Delete old image only after successful database update
-    if (oldImagePath && (newImageUrl || remove_banner)) {
-      try {
-        console.log("Deleting old image:", oldImagePath);
-        await deleteImageFromStorage(oldImagePath);
-        console.log("Old image deleted successfully");
-      } catch (deleteError) {
-        console.error("Error deleting old image:", deleteError);
-        // Don't fail the update if old image deletion fails
-      }
+    if (oldImageUrl) {
+      await deleteImage(
+        VENDOR_BUCKET,
+        oldImageUrl,
+        existingVendor.banner_sizes
+      );
     }
 
     res.json({
@@ -843,7 +841,7 @@ controller.updateVendor = async (req, res) => {
     // Clean up uploaded file if there was an error
     if (uploadedFilePath) {
       try {
-        await deleteImageFromStorage(uploadedFilePath);
+        await deleteUpload(VENDOR_BUCKET, uploadResult);
       } catch (cleanupError) {
         console.error("Error cleaning up uploaded file:", cleanupError);
       }
@@ -881,6 +879,7 @@ controller.deleteVendor = async (req, res) => {
     const { data: associatedEvents, error: eventsError } = await supabase
       .from("event")
       .select("id, name")
+      .is("deleted_at", null)
       .eq("vendor_id", id)
       .limit(5);
 
@@ -905,37 +904,14 @@ controller.deleteVendor = async (req, res) => {
       });
     }
 
-    // Delete vendor from database
-    const { error: deleteError } = await supabase
-      .from("vendor")
-      .delete()
-      .eq("id", id);
-
-    if (deleteError) {
-      console.error("Delete vendor error:", deleteError);
-      return res.status(500).json({
-        success: false,
-        message: "Failed to delete vendor",
-        error: deleteError.message,
-      });
-    }
-
-    // Delete banner image from storage if exists
-    if (existingVendor.banner) {
-      const urlParts = existingVendor.banner.split("/");
-      const fileName = urlParts[urlParts.length - 1];
-      const imagePath = `vendors/banners/${fileName}`;
-
-      const imageDeleted = await deleteImageFromStorage(imagePath);
-      if (!imageDeleted) {
-        console.warn(`Failed to delete banner image: ${imagePath}`);
-      }
-    }
+    // Moved to the trash: ratings, gallery and files stay until it is purged
+    // (services/trash.js); banners linking to it are switched off
+    const deletedVendor = await softDelete("vendor", id, req.user.id);
 
     res.json({
       success: true,
-      message: "Vendor deleted successfully",
-      deletedVendor: existingVendor,
+      message: "Vendor moved to trash",
+      deletedVendor,
       affected_events_count: associatedEvents ? associatedEvents.length : 0,
     });
   } catch (error) {
@@ -954,29 +930,42 @@ controller.getVendorStatistics = async (req, res) => {
     // Get total vendors count
     const { count: totalVendors, error: countError } = await supabase
       .from("vendor")
-      .select("*", { count: "exact", head: true });
+      .select("*", { count: "exact", head: true })
+      .is("deleted_at", null);
 
     if (countError) {
       throw countError;
     }
 
-    // Get vendors with events count
-    const { data: vendorsWithEvents, error: eventsError } = await supabase.from(
-      "vendor"
-    ).select(`
-        id,
-        name,
-        event:vendor_id (count)
-      `);
+    // Get vendors with events count (events in the trash don't count)
+    const { data: vendorsWithEvents, error: vendorsError } = await supabase
+      .from("vendor")
+      .select("id, name")
+      .is("deleted_at", null);
+
+    if (vendorsError) {
+      throw vendorsError;
+    }
+
+    const { data: events, error: eventsError } = await supabase
+      .from("event")
+      .select("vendor_id")
+      .is("deleted_at", null)
+      .not("vendor_id", "is", null);
 
     if (eventsError) {
       throw eventsError;
     }
 
+    const eventCounts = {};
+    events.forEach((event) => {
+      eventCounts[event.vendor_id] = (eventCounts[event.vendor_id] || 0) + 1;
+    });
+
     const processedVendors = vendorsWithEvents.map((vendor) => ({
       id: vendor.id,
       name: vendor.name,
-      events_count: vendor.event[0]?.count || 0,
+      events_count: eventCounts[vendor.id] || 0,
     }));
 
     const vendorsWithEvents_count = processedVendors.filter(
@@ -0,0 +1,313 @@
+// controllers/vendor_rating_controller.js
+const supabase = require("../db");
+const {
+  getVendorRatingEligibility,
+  getVendorRatingSummaries,
+} = require("../services/vendor_rating");
+const { notify } = require("../services/notifications");
+const { parseRatingStar } = require("../services/rating_stats");
+
+const controller = {};
+
+const VENDOR_RATING_SELECT = `
+  *,
+  rater:rater_id (id, first_name, last_name),
+  event:event_id (id, name, start_date, end_date)
+`;
+
+// CREATE - Rate a vendor for an event both took part in
+controller.createVendorRating = async (req, res) => {
+  try {
+    const { id: vendorId } = req.params;
+    const { event_id, rating_star, review } = req.body;
+
+    if (!event_id || !rating_star) {
+      return res.status(400).json({
+        success: false,
+        message: "event_id and rating_star are required",
+      });
+    }
+
+    const star = parseRatingStar(rating_star);
+    if (star === null) {
+      return res.status(400).json({
+        success: false,
+        message: "Rating star must be a whole number between 1 and 5",
+      });
+    }
+
+    const { data: vendor, error: vendorError } = await supabase
+      .from("vendor")
+      .select("id, name, user_id")
+      .is("deleted_at", null)
+      .eq("id", vendorId)
+      .single();
+
+    if (vendorError || !vendor) {
+      return res.status(404).json({
+        success: false,
+        message: "Vendor not found",
+      });
+    }
+
+    const { data: event, error: eventError } = await supabase
+      .from("event")
+      .select("id, end_date, vendor_id, vendor:vendor_id (id, user_id)")
+      .is("deleted_at", null)
+      .eq("id", event_id)
+      .single();
+
+    if (eventError || !event) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid event_id. Event not found",
+      });
+    }
+
+    const eligibility = await getVendorRatingEligibility(
+      event,
+      vendor,
+      req.user.id
+    );
+    if (!eligibility.eligible) {
+      return res.status(403).json({
+        success: false,
+        message: eligibility.reason,
+      });
+    }
+
+    // One rating per rater, vendor and event; the existing one can be edited
+    const { data: existingRating, error: existingError } = await supabase
+      .from("vendor_rating")
+      .select("id")
+      .eq("rater_id", req.user.id)
+      .eq("vendor_id", vendor.id)
+      .eq("event_id", event.id)
+      .maybeSingle();
+
+    if (existingError) {
+      console.error("Check existing vendor rating error:", existingError);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to check existing rating",
+        error: existingError.message,
+      });
+    }
+
+    if (existingRating) {
+      return res.status(409).json({
+        success: false,
+        message: "You have already rated this vendor for this event",
+        existing_rating_id: existingRating.id,
+      });
+    }
+
+    const { data, error } = await supabase
+      .from("vendor_rating")
+      .insert({
+        rater_id: req.user.id,
+        rater_role: eligibility.rater_role,
+        vendor_id: vendor.id,
+        event_id: event.id,
+        rating_star: star,
+        review: review ? review.trim() : null,
+      })
+      .select(VENDOR_RATING_SELECT)
+      .single();
+
+    if (error) {
+      console.error("Create vendor rating error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to create vendor rating",
+        error: error.message,
+      });
+    }
+
+    await notify(vendor.user_id, "rating_received", {
+      vendor_id: vendor.id,
+      event_id: event.id,
+      vendor_rating_id: data.id,
+      subject_name: vendor.name,
+      rating_star: data.rating_star,
+      review: data.review,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Vendor rating created successfully",
+      data,
+    });
+  } catch (error) {
+    console.error("Create vendor rating error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// READ - Ratings received by a vendor, with their summary
+controller.getVendorRatings = async (req, res) => {
+  try {
+    const { id: vendorId } = req.params;
+    const { rater_role, limit = 50, offset = 0 } = req.query;
+
+    const { data: vendor, error: vendorError } = await supabase
+      .from("vendor")
+      .select("id")
+      .is("deleted_at", null)
+      .eq("id", vendorId)
+      .single();
+
+    if (vendorError || !vendor) {
+      return res.status(404).json({
+        success: false,
+        message: "Vendor not found",
+      });
+    }
+
+    let query = supabase
+      .from("vendor_rating")
+      .select(VENDOR_RATING_SELECT, { count: "exact" })
+      .eq("vendor_id", vendorId)
+      .order("id", { ascending: false })
+      .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+
+    if (rater_role) {
+      query = query.eq("rater_role", rater_role);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      console.error("Get vendor ratings error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to fetch vendor ratings",
+        error: error.message,
+      });
+    }
+
+    const summaries = await getVendorRatingSummaries([vendorId]);
+
+    res.json({
+      success: true,
+      data,
+      summary: summaries[vendorId],
+      pagination: {
+        total: count,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: parseInt(offset) + parseInt(limit) < count,
+      },
+    });
+  } catch (error) {
+    console.error("Get vendor ratings error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// UPDATE - Edit own vendor rating (owner or admin, checked by the route)
+controller.updateVendorRating = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { rating_star, review } = req.body;
+
+    const updateData = {};
+
+    if (rating_star !== undefined) {
+      const star = parseRatingStar(rating_star);
+      if (star === null) {
+        return res.status(400).json({
+          success: false,
+          message: "Rating star must be a whole number between 1 and 5",
+        });
+      }
+      updateData.rating_star = star;
+    }
+
+    if (review !== undefined) {
+      updateData.review = review ? review.trim() : null;
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one field is required to update",
+      });
+    }
+
+    const { data, error } = await supabase
+      .from("vendor_rating")
+      .update(updateData)
+      .eq("id", id)
+      .select(VENDOR_RATING_SELECT)
+      .single();
+
+    if (error || !data) {
+      console.error("Update vendor rating error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to update vendor rating",
+        error: error?.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Vendor rating updated successfully",
+      data,
+    });
+  } catch (error) {
+    console.error("Update vendor rating error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// DELETE - Delete a vendor rating (owner or admin, checked by the route)
+controller.deleteVendorRating = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error } = await supabase
+      .from("vendor_rating")
+      .delete()
+      .eq("id", id);
+
+    if (error) {
+      console.error("Delete vendor rating error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to delete vendor rating",
+        error: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Vendor rating deleted successfully",
+      data: {
+        deleted_id: parseInt(id),
+      },
+    });
+  } catch (error) {
+    console.error("Delete vendor rating error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = controller;
@@ -0,0 +1,21 @@
+// db/index.js
+// Picks the data-access adapter. Set DB_DRIVER=local to run against the
+// in-memory store (optionally persisted with LOCAL_DB_FILE) instead of
+// Supabase; both expose the same `from()`, `auth` and `storage` API.
+require("dotenv").config();
+
+const driver = (process.env.DB_DRIVER || "supabase").toLowerCase();
+
+let client;
+if (driver === "local" || driver === "memory") {
+  const { createLocalClient } = require("./local");
+  client = createLocalClient();
+} else if (driver === "supabase") {
+  client = require("./supabase");
+} else {
+  throw new Error(
+    `Unknown DB_DRIVER "${driver}". Use "supabase" or "local".`
+  );
+}
+
+module.exports = client;
@@ -0,0 +1,345 @@
+// db/local/auth.js
+// Minimal stand-in for the Supabase Auth calls used by the controllers.
+// Users and sessions live in LocalStore under internal tables so they are
+// persisted together with the rest of the data.
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+
+const USERS = "__auth_users";
+const SESSIONS = "__auth_sessions";
+const SESSION_TTL_SECONDS = 60 * 60;
+const OTP_TTL_SECONDS = 60 * 60;
+const MIN_PASSWORD_LENGTH = 6;
+
+const authError = (message, status = 400) => ({ message, status });
+
+const isBanned = (user) =>
+  Boolean(user.banned_until) && new Date(user.banned_until) > new Date();
+
+const hashPassword = (password, salt = crypto.randomBytes(16).toString("hex")) =>
+  `${salt}:${crypto.scryptSync(String(password), salt, 64).toString("hex")}`;
+
+const verifyPassword = (password, stored) => {
+  const [salt] = String(stored).split(":");
+  const candidate = Buffer.from(hashPassword(password, salt));
+  const expected = Buffer.from(String(stored));
+  return (
+    candidate.length === expected.length &&
+    crypto.timingSafeEqual(candidate, expected)
+  );
+};
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Strip internal fields before handing a user to callers
+const publicUser = ({
+  password_hash,
+  recovery_token_hash,
+  confirmation_token_hash,
+  email_change_token_hash,
+  ...user
+}) => user;
+
+const createAuth = (store) => {
+  const findUser = (predicate) => store.rows(USERS).find(predicate) || null;
+
+  const createSession = (user) => {
+    const session = {
+      access_token: crypto.randomBytes(32).toString("hex"),
+      refresh_token: crypto.randomBytes(32).toString("hex"),
+      token_type: "bearer",
+      expires_in: SESSION_TTL_SECONDS,
+      expires_at: Math.floor(Date.now() / 1000) + SESSION_TTL_SECONDS,
+      user_id: user.id,
+    };
+    store.insert(SESSIONS, [session]);
+    return { ...session, user: publicUser(user) };
+  };
+
+  // Emails are not sent locally: the link a user would get is logged instead
+  const issueOtp = (user, kind, redirectTo) => {
+    const tokenHash = hashToken(crypto.randomBytes(32).toString("hex"));
+    store.update(USERS, (u) => u.id === user.id, {
+      [`${kind}_token_hash`]: tokenHash,
+      [`${kind}_sent_at`]: new Date().toISOString(),
+    });
+    const type = kind === "recovery" ? "recovery" : "signup";
+    console.log(
+      `[local auth] ${type} link for ${user.email}: ${
+        redirectTo || ""
+      }?token_hash=${tokenHash}&type=${type}`
+    );
+  };
+
+  const findSession = (accessToken) => {
+    const session = store
+      .rows(SESSIONS)
+      .find((s) => s.access_token === accessToken);
+    if (!session || session.expires_at * 1000 < Date.now()) return null;
+    return session;
+  };
+
+  return {
+    async signUp({ email, password }) {
+      if (!email || !password) {
+        return {
+          data: { user: null, session: null },
+          error: authError("Signup requires a valid password"),
+        };
+      }
+      if (findUser((u) => u.email === email.toLowerCase())) {
+        return {
+          data: { user: null, session: null },
+          error: authError("User already registered", 422),
+        };
+      }
+
+      const now = new Date().toISOString();
+      const { rows } = store.insert(USERS, [
+        {
+          id: uuidv4(),
+          aud: "authenticated",
+          role: "authenticated",
+          email: email.toLowerCase(),
+          password_hash: hashPassword(password),
+          email_confirmed_at: now,
+          updated_at: now,
+        },
+      ]);
+      const user = rows[0];
+
+      return {
+        data: { user: publicUser(user), session: createSession(user) },
+        error: null,
+      };
+    },
+
+    async signInWithPassword({ email, password }) {
+      const user = findUser((u) => u.email === String(email).toLowerCase());
+      if (!user || !verifyPassword(password, user.password_hash)) {
+        return {
+          data: { user: null, session: null },
+          error: authError("Invalid login credentials"),
+        };
+      }
+      if (isBanned(user)) {
+        return {
+          data: { user: null, session: null },
+          error: authError("User is banned"),
+        };
+      }
+
+      return {
+        data: { user: publicUser(user), session: createSession(user) },
+        error: null,
+      };
+    },
+
+    async refreshSession({ refresh_token } = {}) {
+      const session = store
+        .rows(SESSIONS)
+        .find((s) => s.refresh_token === refresh_token);
+      const user = session && findUser((u) => u.id === session.user_id);
+      if (!user) {
+        return {
+          data: { user: null, session: null },
+          error: authError("Invalid Refresh Token: Refresh Token Not Found"),
+        };
+      }
+      if (isBanned(user)) {
+        return {
+          data: { user: null, session: null },
+          error: authError("User is banned"),
+        };
+      }
+
+      // Refresh tokens are single use: the session is rotated
+      store.delete(SESSIONS, (s) => s.refresh_token === refresh_token);
+      return {
+        data: { user: publicUser(user), session: createSession(user) },
+        error: null,
+      };
+    },
+
+    async resetPasswordForEmail(email, { redirectTo } = {}) {
+      const user = findUser((u) => u.email === String(email).toLowerCase());
+      if (user) issueOtp(user, "recovery", redirectTo);
+      return { data: {}, error: null };
+    },
+
+    async resend({ type, email, options = {} } = {}) {
+      const user = findUser((u) => u.email === String(email).toLowerCase());
+      if (type === "signup" && user && !user.email_confirmed_at) {
+        issueOtp(user, "confirmation", options.emailRedirectTo);
+      }
+      return { data: { user: null, session: null }, error: null };
+    },
+
+    // `token_hash` comes from the link logged by issueOtp or returned by
+    // admin.generateLink
+    async verifyOtp({ token_hash, type } = {}) {
+      const kind = ["recovery", "email_change"].includes(type)
+        ? type
+        : "confirmation";
+      const user = token_hash
+        ? findUser((u) => u[`${kind}_token_hash`] === token_hash)
+        : null;
+      const sentAt = user && new Date(user[`${kind}_sent_at`]).getTime();
+      if (!user || sentAt + OTP_TTL_SECONDS * 1000 < Date.now()) {
+        return {
+          data: { user: null, session: null },
+          error: authError("Email link is invalid or has expired", 403),
+        };
+      }
+
+      const changes = {
+        [`${kind}_token_hash`]: null,
+        email_confirmed_at: user.email_confirmed_at || new Date().toISOString(),
+      };
+      if (kind === "email_change") {
+        if (findUser((u) => u.email === user.email_change)) {
+          return {
+            data: { user: null, session: null },
+            error: authError("Email address already in use", 422),
+          };
+        }
+        changes.email = user.email_change;
+        changes.email_change = null;
+      }
+
+      const { rows } = store.update(USERS, (u) => u.id === user.id, changes);
+      return {
+        data: { user: publicUser(rows[0]), session: createSession(rows[0]) },
+        error: null,
+      };
+    },
+
+    async getUser(accessToken) {
+      const session = findSession(accessToken);
+      const user = session && findUser((u) => u.id === session.user_id);
+      if (!user) {
+        return {
+          data: { user: null },
+          error: authError("invalid JWT: unable to parse or verify signature", 401),
+        };
+      }
+      return { data: { user: publicUser(user) }, error: null };
+    },
+
+    admin: {
+      // scope: "global" (every session of the user, the default), "local"
+      // (this session) or "others"
+      async signOut(accessToken, scope = "global") {
+        const session = findSession(accessToken);
+        if (!session) {
+          return { data: null, error: authError("Session not found", 404) };
+        }
+
+        store.delete(SESSIONS, (s) => {
+          if (s.user_id !== session.user_id) return false;
+          if (scope === "local") return s.access_token === accessToken;
+          if (scope === "others") return s.access_token !== accessToken;
+          return true;
+        });
+        return { data: null, error: null };
+      },
+
+      async updateUserById(id, attributes = {}) {
+        const user = findUser((u) => u.id === id);
+        if (!user) {
+          return { data: { user: null }, error: authError("User not found", 404) };
+        }
+
+        const changes = { updated_at: new Date().toISOString() };
+        if (attributes.password !== undefined) {
+          if (String(attributes.password).length < MIN_PASSWORD_LENGTH) {
+            return {
+              data: { user: null },
+              error: authError(
+                `Password should be at least ${MIN_PASSWORD_LENGTH} characters`,
+                422
+              ),
+            };
+          }
+          changes.password_hash = hashPassword(attributes.password);
+        }
+        if (attributes.email !== undefined) {
+          changes.email = String(attributes.email).toLowerCase();
+        }
+        // Only whole hours ("24h") or "none", as the controllers send them
+        if (attributes.ban_duration !== undefined) {
+          const hours = parseInt(attributes.ban_duration);
+          changes.banned_until =
+            attributes.ban_duration === "none" || isNaN(hours)
+              ? null
+              : new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+        }
+
+        const { rows } = store.update(USERS, (u) => u.id === id, changes);
+        return { data: { user: publicUser(rows[0]) }, error: null };
+      },
+
+      // Only email changes: the pending address is kept until the link
+      // (returned, not emailed) is verified
+      async generateLink({ type, email, newEmail, options = {} } = {}) {
+        const user = findUser((u) => u.email === String(email).toLowerCase());
+        if (type !== "email_change_new" || !user || !newEmail) {
+          return {
+            data: { user: null, properties: null },
+            error: authError("Unable to generate link"),
+          };
+        }
+        const address = String(newEmail).toLowerCase();
+        if (findUser((u) => u.email === address)) {
+          return {
+            data: { user: null, properties: null },
+            error: authError(
+              "A user with this email address has already been registered",
+              422
+            ),
+          };
+        }
+
+        const tokenHash = hashToken(crypto.randomBytes(32).toString("hex"));
+        const { rows } = store.update(USERS, (u) => u.id === user.id, {
+          email_change: address,
+          email_change_token_hash: tokenHash,
+          email_change_sent_at: new Date().toISOString(),
+        });
+        const redirectTo = options.redirectTo || "";
+        return {
+          data: {
+            user: publicUser(rows[0]),
+            properties: {
+              action_link: `${redirectTo}?token_hash=${tokenHash}&type=email_change`,
+              hashed_token: tokenHash,
+              redirect_to: redirectTo,
+              verification_type: "email_change",
+            },
+          },
+          error: null,
+        };
+      },
+
+      async getUserById(id) {
+        const user = findUser((u) => u.id === id);
+        if (!user) {
+          return { data: { user: null }, error: authError("User not found", 404) };
+        }
+        return { data: { user: publicUser(user) }, error: null };
+      },
+
+      async deleteUser(id) {
+        const { rows } = store.delete(USERS, (u) => u.id === id);
+        if (rows.length === 0) {
+          return { data: null, error: authError("User not found", 404) };
+        }
+        store.delete(SESSIONS, (s) => s.user_id === id);
+        return { data: { user: publicUser(rows[0]) }, error: null };
+      },
+    },
+  };
+};
+
+module.exports = createAuth;
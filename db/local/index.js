@@ -0,0 +1,33 @@
+// db/local/index.js
+// Local (offline) adapter exposing the subset of the Supabase client API the
+// app relies on: `from()` queries, `auth` and `storage`.
+const LocalStore = require("./store");
+const QueryBuilder = require("./query_builder");
+const createAuth = require("./auth");
+const createStorage = require("./storage");
+
+// Buckets that are private in Supabase, only readable through signed URLs
+const PRIVATE_BUCKETS = ["payment-proofs"];
+
+const createLocalClient = ({
+  file = process.env.LOCAL_DB_FILE || null,
+  storageDir = process.env.LOCAL_STORAGE_DIR || null,
+  publicUrl = process.env.LOCAL_STORAGE_URL ||
+    `http://localhost:${process.env.PORT || 8080}/storage/v1/object/public`,
+} = {}) => {
+  const store = new LocalStore({ file });
+
+  return {
+    isLocal: true,
+    store,
+    from: (table) => new QueryBuilder(store, table),
+    auth: createAuth(store),
+    storage: createStorage({
+      dir: storageDir,
+      publicUrl,
+      privateBuckets: PRIVATE_BUCKETS,
+    }),
+  };
+};
+
+module.exports = { createLocalClient };
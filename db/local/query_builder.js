@@ -0,0 +1,577 @@
+// db/local/query_builder.js
+// A small re-implementation of the supabase-js/PostgREST query builder on top
+// of LocalStore. It supports the operations the controllers use: filters,
+// ilike search, `or` strings, ordering, range pagination, exact counts,
+// single rows and embedded relations.
+const { tables: tableSchema, foreignKeys } = require("../schema");
+
+const NOT_SINGLE_ERROR = {
+  code: "PGRST116",
+  message: "JSON object requested, multiple (or no) rows returned",
+  details: null,
+  hint: null,
+};
+
+// ---------- value helpers ----------
+
+const isNumeric = (value) =>
+  value !== null &&
+  value !== "" &&
+  typeof value !== "boolean" &&
+  !isNaN(Number(value));
+
+const compareValues = (a, b) => {
+  if (isNumeric(a) && isNumeric(b)) return Number(a) - Number(b);
+  const left = String(a);
+  const right = String(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+};
+
+const looseEquals = (a, b) => {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return a == b;
+  }
+  if (isNumeric(a) && isNumeric(b)) return Number(a) === Number(b);
+  return String(a) === String(b);
+};
+
+// `%` and `*` match any run of characters, `_` matches a single one
+const likeToRegExp = (pattern, flags) => {
+  const source = [...String(pattern)]
+    .map((char) => {
+      if (char === "%" || char === "*") return ".*";
+      if (char === "_") return ".";
+      return char.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`, flags);
+};
+
+// Parses PostgREST literal values used in `or`/`filter` strings
+const parseLiteral = (value) => {
+  if (value === "null") return null;
+  if (value === "true") return true;
+  if (value === "false") return false;
+  return value;
+};
+
+const parseList = (value) =>
+  String(value)
+    .replace(/^\(|\)$/g, "")
+    .split(",")
+    .map((item) => parseLiteral(item.trim().replace(/^"|"$/g, "")));
+
+const operators = {
+  eq: (cell, value) => looseEquals(cell, value),
+  neq: (cell, value) => !looseEquals(cell, value),
+  gt: (cell, value) => cell != null && compareValues(cell, value) > 0,
+  gte: (cell, value) => cell != null && compareValues(cell, value) >= 0,
+  lt: (cell, value) => cell != null && compareValues(cell, value) < 0,
+  lte: (cell, value) => cell != null && compareValues(cell, value) <= 0,
+  like: (cell, value) => cell != null && likeToRegExp(value).test(String(cell)),
+  ilike: (cell, value) =>
+    cell != null && likeToRegExp(value, "i").test(String(cell)),
+  is: (cell, value) =>
+    value === null ? cell === null || cell === undefined : cell === value,
+  in: (cell, values) => values.some((value) => looseEquals(cell, value)),
+  cs: (cell, values) =>
+    Array.isArray(cell) && values.every((value) => cell.includes(value)),
+};
+
+// Splits on commas that are not nested inside parentheses
+const splitTopLevel = (input) => {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+
+  for (const char of input) {
+    if (char === "(") depth++;
+    if (char === ")") depth--;
+    if (char === "," && depth === 0) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current);
+  return parts.map((part) => part.trim()).filter(Boolean);
+};
+
+// Builds a predicate from a PostgREST condition such as `name.ilike.%foo%`,
+// `status.in.(a,b)`, `not.is.null` or a nested `and(...)`/`or(...)`
+const parseCondition = (condition) => {
+  const group = condition.match(/^(not\.)?(and|or)\((.*)\)$/);
+  if (group) {
+    const predicates = splitTopLevel(group[3]).map(parseCondition);
+    const combined =
+      group[2] === "and"
+        ? (row) => predicates.every((p) => p(row))
+        : (row) => predicates.some((p) => p(row));
+    return group[1] ? (row) => !combined(row) : combined;
+  }
+
+  const [column, ...rest] = condition.split(".");
+  let negate = false;
+  if (rest[0] === "not") {
+    negate = true;
+    rest.shift();
+  }
+  const op = rest.shift();
+  const raw = rest.join(".");
+
+  if (!operators[op]) {
+    throw new Error(`Unsupported filter operator "${op}" in "${condition}"`);
+  }
+
+  const value = op === "in" || op === "cs" ? parseList(raw) : parseLiteral(raw);
+  const predicate = (row) => operators[op](row[column], value);
+  return negate ? (row) => !predicate(row) : predicate;
+};
+
+// ---------- select parsing & embedding ----------
+
+// Parses a select string into a list of column and embed nodes
+const parseSelect = (columns = "*") => {
+  const cleaned = String(columns).replace(/\s+/g, " ").trim() || "*";
+
+  return splitTopLevel(cleaned).map((item) => {
+    const open = item.indexOf("(");
+    if (open === -1) {
+      const [alias, column] = item.includes(":")
+        ? item.split(":").map((s) => s.trim())
+        : [item, item];
+      return { type: "column", alias, column };
+    }
+
+    const head = item.slice(0, open).trim();
+    const inner = item.slice(open + 1, item.lastIndexOf(")"));
+    let alias = null;
+    let target = head;
+    if (head.includes(":")) {
+      [alias, target] = head.split(":").map((s) => s.trim());
+    }
+    let hint = null;
+    if (target.includes("!")) {
+      [target, hint] = target.split("!").map((s) => s.trim());
+    }
+
+    return {
+      type: "embed",
+      alias: alias || target,
+      target,
+      hint,
+      inner: inner.trim() === "count" ? "count" : parseSelect(inner),
+    };
+  });
+};
+
+const relationshipError = (parent, target) => ({
+  code: "PGRST200",
+  message: `Could not find a relationship between '${parent}' and '${target}' in the schema cache`,
+  details: null,
+  hint: null,
+});
+
+// Works out which table an embed points to and in which direction, mirroring
+// how PostgREST resolves `alias:column (...)`, `table (...)` and `table!fkey (...)`
+const resolveEmbed = (parent, node, knownTables) => {
+  const { alias, target, hint } = node;
+
+  if (hint) {
+    const fk = foreignKeys.find(
+      (f) => f.name === hint || (f.table === target && f.column === hint)
+    );
+    if (fk && fk.table === parent && fk.references === target) {
+      return { table: target, fk, many: false };
+    }
+    if (fk && fk.table === target && fk.references === parent) {
+      return { table: target, fk, many: true };
+    }
+    return null;
+  }
+
+  // `alias:fk_column (...)` - many-to-one through a column on the parent
+  const outgoing = foreignKeys.find(
+    (f) => f.table === parent && f.column === target
+  );
+  if (outgoing) return { table: outgoing.references, fk: outgoing, many: false };
+
+  if (knownTables.includes(target)) {
+    const toOne = foreignKeys.find(
+      (f) => f.table === parent && f.references === target
+    );
+    if (toOne) return { table: target, fk: toOne, many: false };
+
+    const toMany = foreignKeys.find(
+      (f) => f.table === target && f.references === parent
+    );
+    if (toMany) return { table: target, fk: toMany, many: true };
+    return null;
+  }
+
+  // `child_table:fk_column (...)` - one-to-many named by its alias
+  const incoming =
+    foreignKeys.find(
+      (f) => f.table === alias && f.column === target && f.references === parent
+    ) ||
+    foreignKeys.find((f) => f.table === alias && f.references === parent);
+  if (incoming) return { table: alias, fk: incoming, many: true };
+
+  return null;
+};
+
+const knownTableNames = () => Object.keys(tableSchema);
+
+// Applies a parsed select to rows of `table`, resolving embedded relations
+const project = (store, table, rows, nodes) => {
+  const tables = knownTableNames();
+
+  for (const node of nodes) {
+    if (node.type === "embed" && !resolveEmbed(table, node, tables)) {
+      return { error: relationshipError(table, node.target) };
+    }
+  }
+
+  const projected = [];
+  for (const row of rows) {
+    const out = {};
+
+    for (const node of nodes) {
+      if (node.type === "column") {
+        if (node.column === "*") Object.assign(out, row);
+        else out[node.alias] = row[node.column] ?? null;
+        continue;
+      }
+
+      const { table: childTable, fk, many } = resolveEmbed(table, node, tables);
+      const related = many
+        ? store.all(childTable).filter((child) => looseEquals(child[fk.column], row.id))
+        : store.all(childTable).filter((child) => looseEquals(child.id, row[fk.column]));
+
+      if (node.inner === "count") {
+        out[node.alias] = [{ count: related.length }];
+        continue;
+      }
+
+      const nested = project(store, childTable, related, node.inner);
+      if (nested.error) return nested;
+      out[node.alias] = many ? nested.rows : nested.rows[0] || null;
+    }
+
+    projected.push(out);
+  }
+
+  return { rows: projected };
+};
+
+// ---------- builder ----------
+
+class QueryBuilder {
+  constructor(store, table) {
+    this.store = store;
+    this.table = table;
+    this.action = "select";
+    this.columns = "*";
+    this.returning = false;
+    this.filters = [];
+    this.orders = [];
+    this.rangeBounds = null;
+    this.maxRows = null;
+    this.countMode = null;
+    this.headOnly = false;
+    this.singleMode = null;
+    this.payload = null;
+    this.upsertOptions = null;
+  }
+
+  select(columns = "*", { count = null, head = false } = {}) {
+    this.columns = columns;
+    if (this.action === "select") {
+      this.countMode = count;
+      this.headOnly = head;
+    } else {
+      this.returning = true;
+    }
+    return this;
+  }
+
+  insert(values) {
+    this.action = "insert";
+    this.payload = Array.isArray(values) ? values : [values];
+    return this;
+  }
+
+  upsert(values, { onConflict } = {}) {
+    this.action = "upsert";
+    this.payload = Array.isArray(values) ? values : [values];
+    this.upsertOptions = {
+      onConflict: onConflict
+        ? onConflict.split(",").map((col) => col.trim())
+        : [this.store.schema(this.table).primaryKey],
+    };
+    return this;
+  }
+
+  update(values) {
+    this.action = "update";
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.action = "delete";
+    return this;
+  }
+
+  // ----- filters -----
+
+  addFilter(column, op, value) {
+    this.filters.push((row) => operators[op](row[column], value));
+    return this;
+  }
+
+  eq(column, value) {
+    return this.addFilter(column, "eq", value);
+  }
+
+  neq(column, value) {
+    return this.addFilter(column, "neq", value);
+  }
+
+  gt(column, value) {
+    return this.addFilter(column, "gt", value);
+  }
+
+  gte(column, value) {
+    return this.addFilter(column, "gte", value);
+  }
+
+  lt(column, value) {
+    return this.addFilter(column, "lt", value);
+  }
+
+  lte(column, value) {
+    return this.addFilter(column, "lte", value);
+  }
+
+  like(column, pattern) {
+    return this.addFilter(column, "like", pattern);
+  }
+
+  ilike(column, pattern) {
+    return this.addFilter(column, "ilike", pattern);
+  }
+
+  is(column, value) {
+    return this.addFilter(column, "is", value);
+  }
+
+  in(column, values) {
+    return this.addFilter(column, "in", values);
+  }
+
+  contains(column, values) {
+    return this.addFilter(column, "cs", values);
+  }
+
+  match(query) {
+    Object.entries(query).forEach(([column, value]) => this.eq(column, value));
+    return this;
+  }
+
+  not(column, op, value) {
+    const parsed =
+      op === "in" && typeof value === "string" ? parseList(value) : value;
+    this.filters.push((row) => !operators[op](row[column], parsed));
+    return this;
+  }
+
+  filter(column, op, value) {
+    this.filters.push(parseCondition(`${column}.${op}.${value}`));
+    return this;
+  }
+
+  or(conditions) {
+    const predicates = splitTopLevel(conditions).map(parseCondition);
+    this.filters.push((row) => predicates.some((p) => p(row)));
+    return this;
+  }
+
+  // ----- modifiers -----
+
+  order(column, { ascending = true, nullsFirst } = {}) {
+    this.orders.push({
+      column,
+      ascending,
+      nullsFirst: nullsFirst === undefined ? !ascending : nullsFirst,
+    });
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeBounds = [Number(from), Number(to)];
+    return this;
+  }
+
+  limit(count) {
+    this.maxRows = Number(count);
+    return this;
+  }
+
+  single() {
+    this.singleMode = "single";
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = "maybeSingle";
+    return this;
+  }
+
+  // ----- execution -----
+
+  then(onFulfilled, onRejected) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .then(onFulfilled, onRejected);
+  }
+
+  matches(row) {
+    return this.filters.every((predicate) => predicate(row));
+  }
+
+  sort(rows) {
+    if (this.orders.length === 0) return rows;
+
+    return [...rows].sort((a, b) => {
+      for (const { column, ascending, nullsFirst } of this.orders) {
+        const left = a[column];
+        const right = b[column];
+        if (left == null && right == null) continue;
+        if (left == null) return nullsFirst ? -1 : 1;
+        if (right == null) return nullsFirst ? 1 : -1;
+
+        const result = compareValues(left, right);
+        if (result !== 0) return ascending ? result : -result;
+      }
+      return 0;
+    });
+  }
+
+  paginate(rows) {
+    let result = rows;
+    if (this.rangeBounds) {
+      const [from, to] = this.rangeBounds;
+      result = result.slice(from, to + 1);
+    }
+    if (this.maxRows !== null) result = result.slice(0, this.maxRows);
+    return result;
+  }
+
+  respond(rows, { count = null, status = 200, withData = true } = {}) {
+    if (!withData) return { data: null, error: null, count, status };
+
+    if (this.singleMode) {
+      if (rows.length > 1 || (rows.length === 0 && this.singleMode === "single")) {
+        return { data: null, error: NOT_SINGLE_ERROR, count, status: 406 };
+      }
+      return { data: rows[0] || null, error: null, count, status };
+    }
+    return { data: rows, error: null, count, status };
+  }
+
+  fail(error, status = 400) {
+    return { data: null, error, count: null, status };
+  }
+
+  execute() {
+    switch (this.action) {
+      case "insert":
+        return this.executeInsert();
+      case "upsert":
+        return this.executeUpsert();
+      case "update":
+        return this.executeUpdate();
+      case "delete":
+        return this.executeDelete();
+      default:
+        return this.executeSelect();
+    }
+  }
+
+  executeSelect() {
+    const matched = this.sort(
+      this.store.all(this.table).filter((row) => this.matches(row))
+    );
+    const count = this.countMode ? matched.length : null;
+
+    if (this.headOnly) return this.respond([], { count, withData: false });
+
+    const { rows, error } = project(
+      this.store,
+      this.table,
+      this.paginate(matched),
+      parseSelect(this.columns)
+    );
+    if (error) return this.fail(error);
+    return this.respond(rows, { count });
+  }
+
+  returnRows(rows, status) {
+    if (!this.returning) return this.respond([], { status, withData: false });
+
+    const projected = project(
+      this.store,
+      this.table,
+      rows,
+      parseSelect(this.columns)
+    );
+    if (projected.error) return this.fail(projected.error);
+    return this.respond(projected.rows, { status });
+  }
+
+  executeInsert() {
+    const { rows, error } = this.store.insert(this.table, this.payload);
+    if (error) return this.fail(error, 409);
+    return this.returnRows(rows, 201);
+  }
+
+  executeUpsert() {
+    const { onConflict } = this.upsertOptions;
+    const written = [];
+
+    for (const value of this.payload) {
+      const existing = this.store
+        .rows(this.table)
+        .find((row) =>
+          onConflict.every((col) => looseEquals(row[col], value[col]))
+        );
+
+      const result = existing
+        ? this.store.update(this.table, (row) => row === existing, value)
+        : this.store.insert(this.table, [value]);
+      if (result.error) return this.fail(result.error, 409);
+      written.push(...result.rows);
+    }
+
+    return this.returnRows(written, 201);
+  }
+
+  executeUpdate() {
+    const { rows, error } = this.store.update(
+      this.table,
+      (row) => this.matches(row),
+      this.payload
+    );
+    if (error) return this.fail(error, 409);
+    return this.returnRows(rows, 200);
+  }
+
+  executeDelete() {
+    const { rows } = this.store.delete(this.table, (row) => this.matches(row));
+    return this.returnRows(rows, 200);
+  }
+}
+
+module.exports = QueryBuilder;
@@ -0,0 +1,184 @@
+// db/local/storage.js
+// Stand-in for Supabase Storage. Objects are kept in memory, or written to
+// LOCAL_STORAGE_DIR when set, and served by index.js under the same
+// `/storage/v1/object/public/<bucket>/<path>` layout Supabase uses. Private
+// buckets are only served through signed URLs
+// (`/storage/v1/object/sign/<bucket>/<path>?token=...`).
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const storageError = (message, statusCode = "400") => ({ message, statusCode });
+
+const createStorage = ({ dir = null, publicUrl, privateBuckets = [] }) => {
+  const memory = new Map(); // `${bucket}/${path}` -> { buffer, contentType }
+  const rootDir = dir ? path.resolve(dir) : null;
+  const signingKey = crypto.randomBytes(32);
+  const signUrl = publicUrl.replace(/\/public$/, "/sign");
+
+  const signature = (bucket, filePath, expiresAt) =>
+    crypto
+      .createHmac("sha256", signingKey)
+      .update(`${bucket}/${filePath}:${expiresAt}`)
+      .digest("base64url");
+
+  const diskPath = (bucket, filePath) => {
+    const resolved = path.resolve(rootDir, bucket, filePath);
+    if (!resolved.startsWith(path.resolve(rootDir, bucket) + path.sep)) {
+      throw new Error("Invalid object path");
+    }
+    return resolved;
+  };
+
+  const exists = (bucket, filePath) =>
+    rootDir
+      ? fs.existsSync(diskPath(bucket, filePath))
+      : memory.has(`${bucket}/${filePath}`);
+
+  const read = (bucket, filePath) => {
+    if (!exists(bucket, filePath)) return null;
+    if (rootDir) return { buffer: fs.readFileSync(diskPath(bucket, filePath)) };
+    return memory.get(`${bucket}/${filePath}`);
+  };
+
+  const write = (bucket, filePath, buffer, contentType) => {
+    if (rootDir) {
+      const target = diskPath(bucket, filePath);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, buffer);
+    } else {
+      memory.set(`${bucket}/${filePath}`, { buffer, contentType });
+    }
+  };
+
+  const remove = (bucket, filePath) => {
+    if (!exists(bucket, filePath)) return false;
+    if (rootDir) fs.unlinkSync(diskPath(bucket, filePath));
+    else memory.delete(`${bucket}/${filePath}`);
+    return true;
+  };
+
+  const listKeys = (bucket) => {
+    if (!rootDir) {
+      return [...memory.keys()]
+        .filter((key) => key.startsWith(`${bucket}/`))
+        .map((key) => key.slice(bucket.length + 1));
+    }
+
+    const bucketDir = path.join(rootDir, bucket);
+    if (!fs.existsSync(bucketDir)) return [];
+    const walk = (current) =>
+      fs.readdirSync(current, { withFileTypes: true }).flatMap((entry) => {
+        const full = path.join(current, entry.name);
+        return entry.isDirectory() ? walk(full) : [path.relative(bucketDir, full)];
+      });
+    return walk(bucketDir).map((key) => key.split(path.sep).join("/"));
+  };
+
+  const bucketApi = (bucket) => ({
+    async upload(filePath, buffer, { contentType, upsert = false } = {}) {
+      if (!upsert && exists(bucket, filePath)) {
+        return {
+          data: null,
+          error: storageError("The resource already exists", "409"),
+        };
+      }
+      write(bucket, filePath, Buffer.from(buffer), contentType);
+      return {
+        data: { path: filePath, fullPath: `${bucket}/${filePath}` },
+        error: null,
+      };
+    },
+
+    async download(filePath) {
+      const object = read(bucket, filePath);
+      if (!object) {
+        return { data: null, error: storageError("Object not found", "404") };
+      }
+      return { data: object.buffer, error: null };
+    },
+
+    async remove(paths) {
+      const removed = paths
+        .filter((filePath) => remove(bucket, filePath))
+        .map((filePath) => ({ name: filePath, bucket_id: bucket }));
+      return { data: removed, error: null };
+    },
+
+    // Lists the direct children of a folder, like Supabase does
+    async list(prefix = "", { limit = 100, offset = 0 } = {}) {
+      const folder = prefix ? `${prefix.replace(/\/$/, "")}/` : "";
+      const entries = new Map();
+
+      listKeys(bucket)
+        .filter((key) => key.startsWith(folder))
+        .forEach((key) => {
+          const [name, ...rest] = key.slice(folder.length).split("/");
+          entries.set(name, rest.length > 0 ? { name, id: null } : { name, id: key });
+        });
+
+      const data = [...entries.values()]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .slice(offset, offset + limit);
+      return { data, error: null };
+    },
+
+    getPublicUrl(filePath) {
+      return { data: { publicUrl: `${publicUrl}/${bucket}/${filePath}` } };
+    },
+
+    async createSignedUrl(filePath, expiresIn) {
+      if (!exists(bucket, filePath)) {
+        return { data: null, error: storageError("Object not found", "404") };
+      }
+      const expiresAt = Math.floor(Date.now() / 1000) + expiresIn;
+      const token = `${expiresAt}.${signature(bucket, filePath, expiresAt)}`;
+      return {
+        data: { signedUrl: `${signUrl}/${bucket}/${filePath}?token=${token}` },
+        error: null,
+      };
+    },
+  });
+
+  const sendObject = (res, bucket, filePath) => {
+    let object;
+    try {
+      object = read(bucket, filePath);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (!object) return res.status(404).json({ error: "Object not found" });
+    if (object.contentType) res.type(object.contentType);
+    else res.type(path.extname(filePath));
+    res.send(object.buffer);
+  };
+
+  return {
+    from: bucketApi,
+
+    // Express handler for GET /storage/v1/object/public/:bucket/*path
+    serve(req, res) {
+      if (privateBuckets.includes(req.params.bucket)) {
+        return res.status(400).json({ error: "Bucket not found" });
+      }
+      sendObject(res, req.params.bucket, [].concat(req.params.path).join("/"));
+    },
+
+    // Express handler for GET /storage/v1/object/sign/:bucket/*path
+    serveSigned(req, res) {
+      const filePath = [].concat(req.params.path).join("/");
+      const [expiresAt, given = ""] = String(req.query.token || "").split(".");
+      const expected = signature(req.params.bucket, filePath, expiresAt);
+      const valid =
+        given.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+
+      if (!valid || Number(expiresAt) < Date.now() / 1000) {
+        return res.status(400).json({ error: "Invalid or expired token" });
+      }
+      sendObject(res, req.params.bucket, filePath);
+    },
+  };
+};
+
+module.exports = createStorage;
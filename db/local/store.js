@@ -0,0 +1,133 @@
+// db/local/store.js
+// In-memory table storage for the local adapter. Optionally loads from and
+// persists to a JSON file (LOCAL_DB_FILE) so data survives restarts.
+const fs = require("fs");
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+const { tables: tableSchema } = require("../schema");
+
+const clone = (value) => (value === undefined ? value : structuredClone(value));
+
+class LocalStore {
+  constructor({ file = null } = {}) {
+    this.file = file ? path.resolve(file) : null;
+    this.tables = {};
+    this.sequences = {};
+
+    if (this.file && fs.existsSync(this.file)) {
+      const snapshot = JSON.parse(fs.readFileSync(this.file, "utf8"));
+      this.tables = snapshot.tables || {};
+      this.sequences = snapshot.sequences || {};
+    }
+  }
+
+  rows(table) {
+    if (!this.tables[table]) this.tables[table] = [];
+    return this.tables[table];
+  }
+
+  // Returns copies so callers can't mutate stored rows by accident
+  all(table) {
+    return this.rows(table).map(clone);
+  }
+
+  schema(table) {
+    return tableSchema[table] || { primaryKey: "id" };
+  }
+
+  nextId(table) {
+    const { idType } = this.schema(table);
+    if (idType === "uuid") return uuidv4();
+
+    if (this.sequences[table] === undefined) {
+      this.sequences[table] = this.rows(table).reduce(
+        (max, row) => (typeof row.id === "number" && row.id > max ? row.id : max),
+        0
+      );
+    }
+    this.sequences[table] += 1;
+    return this.sequences[table];
+  }
+
+  // Returns the name of the violated unique constraint, if any
+  findUniqueViolation(table, candidate, ignoreRows = []) {
+    const { primaryKey, unique = [] } = this.schema(table);
+    const constraints = [[primaryKey], ...unique];
+
+    for (const columns of constraints) {
+      if (columns.some((col) => candidate[col] == null)) continue;
+
+      const clash = this.rows(table).find(
+        (row) =>
+          !ignoreRows.includes(row) &&
+          columns.every((col) => String(row[col]) === String(candidate[col]))
+      );
+      if (clash) return `${table}_${columns.join("_")}_key`;
+    }
+    return null;
+  }
+
+  insert(table, values) {
+    const { primaryKey } = this.schema(table);
+    const now = new Date().toISOString();
+    const inserted = [];
+
+    for (const value of values) {
+      const row = { created_at: now, ...clone(value) };
+      if (row[primaryKey] === undefined || row[primaryKey] === null) {
+        row[primaryKey] = this.nextId(table);
+      }
+
+      const violation = this.findUniqueViolation(table, row);
+      if (violation) return { error: uniqueError(violation) };
+      inserted.push(row);
+    }
+
+    this.rows(table).push(...inserted);
+    this.persist();
+    return { rows: inserted.map(clone) };
+  }
+
+  update(table, predicate, values) {
+    const targets = this.rows(table).filter(predicate);
+
+    for (const row of targets) {
+      const violation = this.findUniqueViolation(
+        table,
+        { ...row, ...values },
+        [row]
+      );
+      if (violation) return { error: uniqueError(violation) };
+    }
+
+    targets.forEach((row) => Object.assign(row, clone(values)));
+    this.persist();
+    return { rows: targets.map(clone) };
+  }
+
+  delete(table, predicate) {
+    const rows = this.rows(table);
+    const removed = rows.filter(predicate);
+    this.tables[table] = rows.filter((row) => !removed.includes(row));
+    this.persist();
+    return { rows: removed.map(clone) };
+  }
+
+  persist() {
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(
+      this.file,
+      JSON.stringify({ tables: this.tables, sequences: this.sequences }, null, 2)
+    );
+  }
+}
+
+const uniqueError = (constraint) => ({
+  code: "23505",
+  message: `duplicate key value violates unique constraint "${constraint}"`,
+  details: null,
+  hint: null,
+});
+
+module.exports = LocalStore;
@@ -0,0 +1,109 @@
+// db/schema.js
+// Table metadata used by the local adapter to emulate what Postgres/PostgREST
+// gives us for free on Supabase: id generation, foreign keys for embedded
+// selects (e.g. `event_category:event_category_id (id, name)`) and unique
+// constraints.
+
+const tables = {
+  user: { primaryKey: "id", idType: "uuid" },
+  vendor: { primaryKey: "id", idType: "uuid", unique: [["user_id"]] },
+  area: { primaryKey: "id" },
+  event_category: { primaryKey: "id" },
+  event: { primaryKey: "id" },
+  booth: { primaryKey: "id" },
+  rating: { primaryKey: "id", unique: [["event_id", "user_id"]] },
+  rental: { primaryKey: "id" },
+  rental_products: { primaryKey: "id" },
+  banner_home: { primaryKey: "id" },
+  rental_booking: { primaryKey: "id" },
+  booth_status_history: { primaryKey: "id" },
+  invoice: { primaryKey: "id", unique: [["invoice_number"]] },
+  payment: { primaryKey: "id" },
+  vendor_application: { primaryKey: "id" },
+  event_attendance: { primaryKey: "id", unique: [["event_id", "user_id"]] },
+  vendor_rating: {
+    primaryKey: "id",
+    unique: [["rater_id", "vendor_id", "event_id"]],
+  },
+  notification_preference: { primaryKey: "id", unique: [["user_id"]] },
+  notification: { primaryKey: "id" },
+  job_run: { primaryKey: "id" },
+  event_media: { primaryKey: "id" },
+  vendor_media: { primaryKey: "id" },
+  rental_product_media: { primaryKey: "id" },
+  banner_event: { primaryKey: "id" },
+  audit_log: { primaryKey: "id" },
+  user_session: { primaryKey: "id" },
+  stream_ticket: { primaryKey: "id" },
+};
+
+// Foreign keys follow the Postgres default naming: <table>_<column>_fkey
+const foreignKeys = [
+  { table: "vendor", column: "user_id", references: "user" },
+  { table: "event", column: "event_category_id", references: "event_category" },
+  { table: "event", column: "area_id", references: "area" },
+  { table: "event", column: "vendor_id", references: "vendor" },
+  { table: "event", column: "reviewed_by", references: "user" },
+  { table: "booth", column: "event_id", references: "event" },
+  { table: "booth", column: "user_id", references: "user" },
+  { table: "rating", column: "event_id", references: "event" },
+  { table: "rating", column: "user_id", references: "user" },
+  { table: "rental_products", column: "rental_id", references: "rental" },
+  {
+    table: "rental_booking",
+    column: "rental_product_id",
+    references: "rental_products",
+  },
+  { table: "rental_booking", column: "user_id", references: "user" },
+  { table: "rental_booking", column: "vendor_id", references: "vendor" },
+  { table: "rental_booking", column: "event_id", references: "event" },
+  { table: "rental_booking", column: "booth_id", references: "booth" },
+  { table: "booth_status_history", column: "booth_id", references: "booth" },
+  { table: "booth_status_history", column: "actor_id", references: "user" },
+  { table: "invoice", column: "booth_id", references: "booth" },
+  { table: "invoice", column: "event_id", references: "event" },
+  { table: "invoice", column: "user_id", references: "user" },
+  { table: "payment", column: "invoice_id", references: "invoice" },
+  { table: "payment", column: "user_id", references: "user" },
+  { table: "payment", column: "confirmed_by", references: "user" },
+  { table: "vendor_application", column: "user_id", references: "user" },
+  { table: "vendor_application", column: "reviewed_by", references: "user" },
+  { table: "vendor_application", column: "vendor_id", references: "vendor" },
+  { table: "event_attendance", column: "event_id", references: "event" },
+  { table: "event_attendance", column: "user_id", references: "user" },
+  { table: "event_attendance", column: "checked_in_by", references: "user" },
+  { table: "vendor_rating", column: "rater_id", references: "user" },
+  { table: "vendor_rating", column: "vendor_id", references: "vendor" },
+  { table: "vendor_rating", column: "event_id", references: "event" },
+  { table: "notification_preference", column: "user_id", references: "user" },
+  { table: "notification", column: "user_id", references: "user" },
+  { table: "job_run", column: "triggered_by", references: "user" },
+  { table: "banner_home", column: "area_id", references: "area" },
+  {
+    table: "banner_home",
+    column: "event_category_id",
+    references: "event_category",
+  },
+  { table: "banner_home", column: "event_id", references: "event" },
+  { table: "banner_home", column: "vendor_id", references: "vendor" },
+  { table: "banner_event", column: "banner_id", references: "banner_home" },
+  { table: "event_media", column: "event_id", references: "event" },
+  { table: "event_media", column: "uploaded_by", references: "user" },
+  { table: "vendor_media", column: "vendor_id", references: "vendor" },
+  { table: "vendor_media", column: "uploaded_by", references: "user" },
+  {
+    table: "rental_product_media",
+    column: "rental_product_id",
+    references: "rental_products",
+  },
+  { table: "rental_product_media", column: "uploaded_by", references: "user" },
+  { table: "user_session", column: "user_id", references: "user" },
+  { table: "stream_ticket", column: "user_id", references: "user" },
+  { table: "event", column: "deleted_by", references: "user" },
+  { table: "vendor", column: "deleted_by", references: "user" },
+  { table: "area", column: "deleted_by", references: "user" },
+  { table: "event_category", column: "deleted_by", references: "user" },
+  { table: "rental_products", column: "deleted_by", references: "user" },
+].map((fk) => ({ name: `${fk.table}_${fk.column}_fkey`, ...fk }));
+
+module.exports = { tables, foreignKeys };
@@ -5,9 +5,9 @@ require("dotenv").config();
 if (!process.env.SUPABASE_URL || !process.env.SUPABASE_ANON_KEY) {
   console.error("Missing Supabase environment variables!");
   console.error(
-    "Please set SUPABASE_URL and SUPABASE_ANON_KEY in your .env file"
+    "Please set SUPABASE_URL and SUPABASE_ANON_KEY in your .env file, or set DB_DRIVER=local to use the local store"
   );
-  process.exit(1);
+  throw new Error("Missing Supabase environment variables");
 }
 
 const supabase = createClient(
@@ -1,14 +1,22 @@
 const express = require("express");
 const dotenv = require("dotenv");
-const supabase = require("./db/supabase");
+const supabase = require("./db");
 const cors = require("cors");
 const path = require("path");
+const { isOutboxEnabled } = require("./services/mail_transports");
 
 dotenv.config();
 const app = express();
 
-// Increase payload limits
-app.use(express.json({ limit: "50mb" }));
+// Increase payload limits (raw body kept for webhook signature checks)
+app.use(
+  express.json({
+    limit: "50mb",
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ limit: "50mb", extended: true }));
 
 // CORS configuration - MUST BE BEFORE ROUTES
@@ -40,6 +48,15 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
 app.use(express.static(path.join(__dirname, "public")));
 
+// Serve uploaded files when running against the local store
+if (supabase.isLocal) {
+  app.get("/storage/v1/object/public/:bucket/*path", supabase.storage.serve);
+  app.get(
+    "/storage/v1/object/sign/:bucket/*path",
+    supabase.storage.serveSigned
+  );
+}
+
 // Route imports
 const authRoute = require("./routes/auth_route.js");
 const rentalRoute = require("./routes/rental_route.js");
@@ -50,6 +67,19 @@ const vendorRoute = require("./routes/vendor_route.js");
 const boothRoute = require("./routes/booth_route.js");
 const eventRoute = require("./routes/event_route.js");
 const ratingRoute = require("./routes/rating_route.js");
+const rentalBookingRoute = require("./routes/rental_booking_route.js");
+const paymentRoute = require("./routes/payment_route.js");
+const vendorApplicationRoute = require("./routes/vendor_application_route.js");
+const attendanceRoute = require("./routes/attendance_route.js");
+const vendorRatingRoute = require("./routes/vendor_rating_route.js");
+const searchRoute = require("./routes/search_route.js");
+const notificationRoute = require("./routes/notification_route.js");
+const jobRoute = require("./routes/job_route.js");
+const storageRoute = require("./routes/storage_route.js");
+const galleryRoute = require("./routes/gallery_route.js");
+const auditLogRoute = require("./routes/audit_log_route.js");
+const trashRoute = require("./routes/trash_route.js");
+const profileRoute = require("./routes/profile_route.js");
 
 // Apply routes AFTER CORS
 app.use(authRoute);
@@ -61,6 +91,19 @@ app.use(vendorRoute);
 app.use(boothRoute);
 app.use(eventRoute);
 app.use(ratingRoute);
+app.use(rentalBookingRoute);
+app.use(paymentRoute);
+app.use(vendorApplicationRoute);
+app.use(attendanceRoute);
+app.use(vendorRatingRoute);
+app.use(searchRoute);
+app.use(notificationRoute);
+app.use(jobRoute);
+app.use(storageRoute);
+app.use(galleryRoute);
+app.use(auditLogRoute);
+app.use(trashRoute);
+app.use(profileRoute);
 
 // Test database connection
 const testConnection = async () => {
@@ -70,7 +113,11 @@ const testConnection = async () => {
       console.log("Supabase connection failed:", error.message);
       console.log("Full error details:", error);
     } else {
-      console.log("Connected to Supabase database!");
+      console.log(
+        supabase.isLocal
+          ? "Connected to local database!"
+          : "Connected to Supabase database!"
+      );
     }
   } catch (error) {
     console.log("Connection failed:", error.message);
@@ -78,6 +125,11 @@ const testConnection = async () => {
 };
 testConnection();
 
+// Without a transport every email fails, so say so at startup
+if (!process.env.MAIL_TRANSPORT && !isOutboxEnabled()) {
+  console.error("MAIL_TRANSPORT is not set: emails will not be sent");
+}
+
 // Basic routes
 app.get("/api/hello", (req, res) => {
   res.json({ message: "Hello World" });
@@ -100,5 +152,11 @@ if (require.main === module) {
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Allowed origins: ${allowedOrigins.join(", ")}`);
+
+    // Scheduled jobs can run here or in their own worker (npm run jobs)
+    if (process.env.JOBS_ENABLED === "true") {
+      const { startScheduler } = require("./services/jobs");
+      console.log(`Scheduled jobs: ${startScheduler().join(", ")}`);
+    }
   });
 }
@@ -0,0 +1,79 @@
+// middleware/audit.js
+// Writes an audit log entry (services/audit_log.js) for every successful
+// mutating request of an admin or vendor. `authenticate` runs it once the
+// token checked out, so unauthenticated requests never read or write
+// anything here. The row is read before the route runs and the entry is
+// written when the route answers with res.json, before the response is sent,
+// so it is not lost on serverless hosting.
+const {
+  AUDITED_ROLES,
+  resolveAuditTarget,
+  getSnapshot,
+  describeRequest,
+  recordAuditEntry,
+} = require("../services/audit_log");
+
+const MUTATING_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+const snapshotOrNull = (target) =>
+  getSnapshot(target).catch((error) => {
+    console.error("Audit snapshot error:", error);
+    return null;
+  });
+
+async function auditTrail(req, res, next) {
+  if (
+    !MUTATING_METHODS.includes(req.method) ||
+    !req.user ||
+    !AUDITED_ROLES.includes(req.user.role)
+  ) {
+    return next();
+  }
+
+  const target = resolveAuditTarget(req);
+  if (!target) return next();
+
+  // Read before the route runs so the change cannot race the snapshot
+  const before = await snapshotOrNull(target);
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    const status = res.statusCode;
+    if (status >= 400) {
+      return json(body);
+    }
+
+    const request = describeRequest(req, status);
+
+    // Created rows have no id in the URL; they come back in the response
+    const created = !target.id && !target.ids && body && body.data;
+    const entityId =
+      target.id || (created && !Array.isArray(created) ? created.id : null);
+
+    (async () => {
+      // Null once the row is really gone (soft deletes keep it, see
+      // services/trash.js)
+      const after = created || (await snapshotOrNull(target));
+
+      await recordAuditEntry({
+        actor_id: req.user.id,
+        actor_email: req.user.email || null,
+        actor_role: req.user.role,
+        action: `${req.method} ${request.route || req.path}`,
+        entity_type: target.entity,
+        entity_id: entityId != null ? String(entityId) : null,
+        before,
+        after,
+        request,
+      });
+    })()
+      .catch((error) => console.error("Audit log error:", error))
+      .finally(() => json(body));
+
+    return res;
+  };
+
+  next();
+}
+
+module.exports = { auditTrail };
@@ -1,4 +1,42 @@
-const supabase = require("../db/supabase");
+const supabase = require("../db");
+const { getSuspension } = require("../services/user_suspension");
+const { redeemStreamTicket } = require("../services/auth_session");
+const { auditTrail } = require("./audit");
+
+// Loads the profile of a Supabase auth user and signs the request in, unless
+// the profile is missing or suspended. Signed-in requests then go through the
+// audit trail (middleware/audit.js).
+async function signIn(req, res, next, authUser, token) {
+  // Get user profile with role
+  const { data: profile, error: profileError } = await supabase
+    .from("user")
+    .select("*")
+    .eq("id", authUser.id)
+    .single();
+
+  if (profileError || !profile) {
+    return res.status(401).json({ error: "User profile not found" });
+  }
+
+  // Suspended accounts are refused even with a token that has not expired
+  const suspension = getSuspension(profile);
+  if (suspension) {
+    return res.status(403).json({
+      error: suspension.until ? "Account suspended" : "Account banned",
+      message: suspension.reason,
+      suspended_until: suspension.until,
+    });
+  }
+
+  req.user = {
+    ...authUser,
+    role: profile.role,
+    profile: profile,
+  };
+  req.accessToken = token;
+
+  return auditTrail(req, res, next);
+}
 
 async function authenticate(req, res, next) {
   const authHeader = req.headers["authorization"];
@@ -20,24 +58,41 @@ async function authenticate(req, res, next) {
       return res.status(401).json({ error: "Invalid token" });
     }
 
-    // Get user profile with role
-    const { data: profile, error: profileError } = await supabase
-      .from("user")
-      .select("*")
-      .eq("id", userData.user.id)
-      .single();
+    return await signIn(req, res, next, userData.user, token);
+  } catch (error) {
+    return res.status(401).json({ error: "Authentication failed" });
+  }
+}
+
+// Public routes that show more to signed-in users: authenticates when a token
+// is sent and carries on anonymously otherwise
+function optionalAuthenticate(req, res, next) {
+  if (!req.headers["authorization"]) return next();
+  return authenticate(req, res, next);
+}
 
-    if (profileError || !profile) {
-      return res.status(401).json({ error: "User profile not found" });
+// EventSource can't send headers, so event streams may pass a stream ticket
+// (see services/auth_session.js) as `?ticket=` instead. Access tokens are not
+// accepted in the URL, where they would end up in logs.
+async function authenticateStream(req, res, next) {
+  if (req.headers["authorization"] || !req.query.ticket) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const userId = await redeemStreamTicket(String(req.query.ticket));
+    if (!userId) {
+      return res.status(401).json({ error: "Invalid or expired ticket" });
     }
 
-    req.user = {
-      ...userData.user,
-      role: profile.role,
-      profile: profile,
-    };
+    const { data: userData, error: userError } =
+      await supabase.auth.admin.getUserById(userId);
 
-    next();
+    if (userError || !userData.user) {
+      return res.status(401).json({ error: "Invalid ticket" });
+    }
+
+    return await signIn(req, res, next, userData.user, null);
   } catch (error) {
     return res.status(401).json({ error: "Authentication failed" });
   }
@@ -69,6 +124,131 @@ function authorize(roles = []) {
   };
 }
 
+// How to find the owner of each resource type. `isOwner` receives the
+// authenticated user and the row selected with `select`.
+const ownershipRules = {
+  booth: {
+    table: "booth",
+    label: "Booth",
+    select: "id, user_id",
+    isOwner: (user, booth) => booth.user_id === user.id,
+  },
+  rating: {
+    table: "rating",
+    label: "Rating",
+    select: "id, user_id",
+    isOwner: (user, rating) => rating.user_id === user.id,
+  },
+  vendor: {
+    table: "vendor",
+    label: "Vendor",
+    select: "id, user_id",
+    isOwner: (user, vendor) => vendor.user_id === user.id,
+    softDelete: true,
+  },
+  event: {
+    table: "event",
+    label: "Event",
+    select: "id, vendor_id, vendor:vendor_id (id, user_id)",
+    isOwner: (user, event) => event.vendor?.user_id === user.id,
+    softDelete: true,
+  },
+  invoice: {
+    table: "invoice",
+    label: "Invoice",
+    select: "id, user_id",
+    isOwner: (user, invoice) => invoice.user_id === user.id,
+  },
+  rentalBooking: {
+    table: "rental_booking",
+    label: "Rental booking",
+    select: "id, user_id",
+    isOwner: (user, booking) => booking.user_id === user.id,
+  },
+  vendorApplication: {
+    table: "vendor_application",
+    label: "Vendor application",
+    select: "id, user_id",
+    isOwner: (user, application) => application.user_id === user.id,
+  },
+  vendorRating: {
+    table: "vendor_rating",
+    label: "Vendor rating",
+    select: "id, rater_id",
+    isOwner: (user, rating) => rating.rater_id === user.id,
+  },
+};
+
+// Resource ownership middleware: lets admins through, otherwise requires the
+// authenticated user to own the resource identified by `req.params[param]`
+function requireOwnerOrAdmin(resource, { param = "id" } = {}) {
+  const rule = ownershipRules[resource];
+  if (!rule) {
+    throw new Error(`Unknown resource for ownership check: ${resource}`);
+  }
+
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    if (req.user.role === "admin") {
+      return next();
+    }
+
+    try {
+      let query = supabase
+        .from(rule.table)
+        .select(rule.select)
+        .eq("id", req.params[param]);
+
+      // Rows in the trash (services/trash.js) are gone for their owners
+      if (rule.softDelete) {
+        query = query.is("deleted_at", null);
+      }
+
+      const { data, error } = await query.maybeSingle();
+
+      if (error) {
+        return res.status(500).json({ error: "Failed to check ownership" });
+      }
+
+      if (!data) {
+        return res.status(404).json({ error: `${rule.label} not found` });
+      }
+
+      if (!rule.isOwner(req.user, data)) {
+        return res.status(403).json({
+          error: "Access forbidden",
+          message: `You can only manage your own ${rule.label.toLowerCase()}`,
+        });
+      }
+
+      next();
+    } catch (error) {
+      return res.status(500).json({ error: "Failed to check ownership" });
+    }
+  };
+}
+
+// Routes keyed by a user id (e.g. /booths/user/:user_id): self or admin
+function requireSelfOrAdmin(param = "user_id") {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    if (req.user.role !== "admin" && req.params[param] !== req.user.id) {
+      return res.status(403).json({
+        error: "Access forbidden",
+        message: "You can only access your own data",
+      });
+    }
+
+    next();
+  };
+}
+
 // Specific role middlewares
 const requireAdmin = authorize(["admin"]);
 const requireVendor = authorize(["vendor", "admin"]);
@@ -77,9 +257,13 @@ const requireVendorOrAdmin = authorize(["vendor", "admin"]);
 
 module.exports = {
   authenticate,
+  optionalAuthenticate,
+  authenticateStream,
   authorize,
   requireAdmin,
   requireVendor,
   requireUser,
   requireVendorOrAdmin,
+  requireOwnerOrAdmin,
+  requireSelfOrAdmin,
 };
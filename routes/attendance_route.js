@@ -0,0 +1,38 @@
+const express = require("express");
+const router = express.Router();
+const controller = require("../controllers/attendance_controller.js");
+const {
+  authenticate,
+  requireUser,
+  requireOwnerOrAdmin,
+} = require("../middleware/auth.js");
+
+// User routes - register to attend an event (lets attendees rate it later)
+router.post(
+  "/events/:id/attendance",
+  authenticate,
+  requireUser,
+  controller.registerAttendance
+);
+router.delete(
+  "/events/:id/attendance",
+  authenticate,
+  requireUser,
+  controller.cancelAttendance
+);
+
+// Event owner or admin - attendee list
+router.get(
+  "/events/:id/attendance",
+  authenticate,
+  requireOwnerOrAdmin("event"),
+  controller.getEventAttendance
+);
+router.put(
+  "/events/:id/attendance/:userId/check-in",
+  authenticate,
+  requireOwnerOrAdmin("event"),
+  controller.checkInAttendee
+);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require("express");
+const router = express.Router();
+const controller = require("../controllers/audit_log_controller");
+const { authenticate, requireAdmin } = require("../middleware/auth.js");
+
+// Admin routes
+router.get("/audit-logs", authenticate, requireAdmin, controller.getAuditLogs);
+router.get(
+  "/audit-logs/export",
+  authenticate,
+  requireAdmin,
+  controller.exportAuditLogs
+);
+
+module.exports = router;
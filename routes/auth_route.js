@@ -8,7 +8,7 @@ const {
   requireVendorOrAdmin,
 } = require("../middleware/auth.js");
 
-router.get("/profile", controller.auth.getProfile);
+router.get("/profile", authenticate, controller.auth.getProfile);
 // Signup
 router.get("/signup", controller.auth.testingauth);
 router.post("/signup", controller.auth.signup);
@@ -19,6 +19,26 @@ router.post("/login", controller.auth.login);
 // Logout
 router.post("/logout", authenticate, controller.auth.logout);
 
+// Sessions and passwords
+router.post("/auth/refresh", controller.auth.refresh);
+router.post("/auth/forgot-password", controller.auth.forgotPassword);
+router.post("/auth/reset-password", controller.auth.resetPassword);
+router.post(
+  "/auth/change-password",
+  authenticate,
+  controller.auth.changePassword
+);
+router.post(
+  "/auth/verify-email/resend",
+  controller.auth.resendVerificationEmail
+);
+router.get("/auth/sessions", authenticate, controller.auth.getSessions);
+router.delete(
+  "/auth/sessions/others",
+  authenticate,
+  controller.auth.revokeOtherSessions
+);
+
 // Admin only routes
 router.get(
   "/admin/users",
@@ -27,6 +47,13 @@ router.get(
   controller.auth.GetAdminAllUsers
 );
 
+router.get(
+  "/admin/users/:userId",
+  authenticate,
+  requireAdmin,
+  controller.auth.AdminGetUser
+);
+
 // Admin route to change user roles
 router.put(
   "/admin/users/:userId",
@@ -35,6 +62,19 @@ router.put(
   controller.auth.AdminChangeUserRole
 );
 
+router.post(
+  "/admin/users/:userId/suspend",
+  authenticate,
+  requireAdmin,
+  controller.auth.AdminSuspendUser
+);
+router.post(
+  "/admin/users/:userId/unsuspend",
+  authenticate,
+  requireAdmin,
+  controller.auth.AdminUnsuspendUser
+);
+
 router.delete(
   "/admin/users/:userId",
   authenticate,
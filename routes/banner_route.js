@@ -8,10 +8,19 @@ const {
   requireVendorOrAdmin,
 } = require("../middleware/auth.js");
 
+// Admin routes - impressions and clicks (before /banners/:id)
+router.get(
+  "/banners/analytics",
+  authenticate,
+  requireAdmin,
+  controller.getBannerAnalytics
+);
+
 // Public routes
 router.get("/banners/active", controller.getActiveBanners);
 router.get("/banners", controller.getAllBanners);
 router.get("/banners/:id", controller.getBannerById);
+router.get("/banners/:id/click", controller.clickBanner);
 
 // Protected routes (Admin only)
 router.post(
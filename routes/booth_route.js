@@ -5,19 +5,64 @@ const {
   authenticate,
   requireAdmin,
   requireVendor,
+  requireUser,
   requireVendorOrAdmin,
+  requireOwnerOrAdmin,
+  requireSelfOrAdmin,
 } = require("../middleware/auth.js");
 
 // Public routes
 router.get("/booths/event/:event_id", controller.booth.getBoothsByEventId);
 
+// Registered before /booths/:id so "statistics" is not read as an id
+router.get(
+  "/booths/statistics",
+  authenticate,
+  requireAdmin,
+  controller.booth.getBoothStatistics
+);
+
 // Protected routes - Applicants can manage their applications
-router.post("/booths", controller.booth.createBooth);
+router.post("/booths", authenticate, requireUser, controller.booth.createBooth);
 router.get("/booths/:id", controller.booth.getBoothById);
-router.put("/booths/:id", controller.booth.updateBooth);
-router.delete("/booths/:id", controller.booth.deleteBooth);
+router.put(
+  "/booths/:id",
+  authenticate,
+  requireOwnerOrAdmin("booth"),
+  controller.booth.updateBooth
+);
+router.delete(
+  "/booths/:id",
+  authenticate,
+  requireOwnerOrAdmin("booth"),
+  controller.booth.deleteBooth
+);
 
-router.get("/booths/user/:user_id", controller.booth.getBoothsByUserId);
+router.get(
+  "/booths/user/:user_id",
+  authenticate,
+  requireSelfOrAdmin("user_id"),
+  controller.booth.getBoothsByUserId
+);
+
+router.put(
+  "/booths/:id/submit",
+  authenticate,
+  requireOwnerOrAdmin("booth"),
+  controller.booth.submitBooth
+);
+router.put(
+  "/booths/:id/withdraw",
+  authenticate,
+  requireOwnerOrAdmin("booth"),
+  controller.booth.withdrawBooth
+);
+router.get(
+  "/booths/:id/history",
+  authenticate,
+  requireOwnerOrAdmin("booth"),
+  controller.booth.getBoothStatusHistory
+);
 
 // Admin routes - Booth management and approval
 router.get(
@@ -26,11 +71,12 @@ router.get(
   requireVendorOrAdmin,
   controller.booth.getAllBooths
 );
-router.get(
-  "/booths/statistics",
+// Registered before /booths/:id/status so "bulk" is not read as an id
+router.put(
+  "/booths/bulk/status",
   authenticate,
   requireAdmin,
-  controller.booth.getBoothStatistics
+  controller.booth.bulkUpdateBoothStatus
 );
 router.put(
   "/booths/:id/status",
@@ -38,11 +84,5 @@ router.put(
   requireAdmin,
   controller.booth.updateBoothStatus
 );
-router.put(
-  "/booths/bulk/status",
-  authenticate,
-  requireAdmin,
-  controller.booth.bulkUpdateBoothStatus
-);
 
 module.exports = router;
@@ -3,9 +3,11 @@ const router = express.Router();
 const { controller, upload } = require("../controllers/event_controller");
 const {
   authenticate,
+  optionalAuthenticate,
   requireAdmin,
   requireVendor,
   requireVendorOrAdmin,
+  requireOwnerOrAdmin,
 } = require("../middleware/auth.js");
 
 // Public routes
@@ -13,10 +15,42 @@ router.get("/events", controller.getAllEvents);
 router.get("/event-data", controller.getEventData);
 // router.get("/events/user", controller.getAllEventsUser);
 router.get("/events/statistics", controller.getEventStatistics);
-router.get("/events/:id", controller.getEventById);
+router.get(
+  "/events/statistics/revenue",
+  authenticate,
+  requireAdmin,
+  controller.getEventRevenue
+);
+
+// Admin routes - event review queue
+router.get(
+  "/events/review",
+  authenticate,
+  requireAdmin,
+  controller.getReviewQueue
+);
+router.put(
+  "/events/:id/approve",
+  authenticate,
+  requireAdmin,
+  controller.approveEvent
+);
+router.put(
+  "/events/:id/reject",
+  authenticate,
+  requireAdmin,
+  controller.rejectEvent
+);
+
+// Unapproved events are only shown to their vendor and admins
+router.get("/events/:id", optionalAuthenticate, controller.getEventById);
 
 // Vendor routes
-router.get("/events/vendor/:vendor_id", controller.getEventsByVendorId);
+router.get(
+  "/events/vendor/:vendor_id",
+  optionalAuthenticate,
+  controller.getEventsByVendorId
+);
 
 // Protected routes
 router.post(
@@ -34,6 +68,7 @@ router.put(
   "/events/:id",
   authenticate,
   requireVendorOrAdmin,
+  requireOwnerOrAdmin("event"),
   upload.fields([
     { name: "banner_image", maxCount: 1 },
     { name: "permit_img", maxCount: 1 },
@@ -45,6 +80,7 @@ router.delete(
   "/events/:id",
   authenticate,
   requireVendorOrAdmin,
+  requireOwnerOrAdmin("event"),
   controller.deleteEvent
 );
 
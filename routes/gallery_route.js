@@ -0,0 +1,46 @@
+const express = require("express");
+const router = express.Router();
+const { controller, upload } = require("../controllers/gallery_controller");
+const {
+  authenticate,
+  optionalAuthenticate,
+  requireAdmin,
+  requireVendorOrAdmin,
+  requireOwnerOrAdmin,
+} = require("../middleware/auth.js");
+
+// Owner path -> gallery type and who may manage it
+const galleries = [
+  {
+    path: "/events/:id/media",
+    type: "event",
+    manage: [authenticate, requireVendorOrAdmin, requireOwnerOrAdmin("event")],
+  },
+  {
+    path: "/vendors/:id/media",
+    type: "vendor",
+    manage: [authenticate, requireVendorOrAdmin, requireOwnerOrAdmin("vendor")],
+  },
+  {
+    path: "/rental-products/:id/media",
+    type: "rental_product",
+    manage: [authenticate, requireAdmin],
+  },
+];
+
+galleries.forEach(({ path, type, manage }) => {
+  // Public; galleries of unapproved events only for their vendor and admins
+  router.get(path, optionalAuthenticate, controller.getMedia(type));
+
+  router.post(path, ...manage, upload, controller.addMedia(type));
+
+  // Body: { ids: [...] } with every image id in the new order
+  router.put(`${path}/order`, ...manage, controller.reorderMedia(type));
+
+  // Body: { caption, is_cover }
+  router.put(`${path}/:mediaId`, ...manage, controller.updateMedia(type));
+
+  router.delete(`${path}/:mediaId`, ...manage, controller.deleteMedia(type));
+});
+
+module.exports = router;
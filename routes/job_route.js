@@ -0,0 +1,10 @@
+const express = require("express");
+const router = express.Router();
+const controller = require("../controllers/job_controller.js");
+const { authenticate, requireAdmin } = require("../middleware/auth.js");
+
+// Admin routes - scheduled jobs
+router.get("/jobs", authenticate, requireAdmin, controller.getJobs);
+router.post("/jobs/:name/run", authenticate, requireAdmin, controller.runJob);
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require("express");
+const router = express.Router();
+const controller = require("../controllers/notification_controller.js");
+const {
+  authenticate,
+  authenticateStream,
+  requireAdmin,
+} = require("../middleware/auth.js");
+
+// User routes - in-app inbox
+router.get("/notifications", authenticate, controller.getMyNotifications);
+router.get(
+  "/notifications/unread-count",
+  authenticate,
+  controller.getUnreadCount
+);
+router.put("/notifications/read-all", authenticate, controller.markAllAsRead);
+router.put("/notifications/:id/read", authenticate, controller.markAsRead);
+
+// Real-time inbox over Server-Sent Events (EventSource passes a ?ticket=)
+router.post(
+  "/notifications/stream/ticket",
+  authenticate,
+  controller.createStreamTicket
+);
+router.get(
+  "/notifications/stream",
+  authenticateStream,
+  controller.streamNotifications
+);
+
+// User routes - own notification preferences
+router.get(
+  "/notifications/preferences",
+  authenticate,
+  controller.getMyPreferences
+);
+router.put(
+  "/notifications/preferences",
+  authenticate,
+  controller.updateMyPreferences
+);
+
+// Admin routes - send reminders for events starting soon
+router.post(
+  "/notifications/event-reminders",
+  authenticate,
+  requireAdmin,
+  controller.sendEventReminders
+);
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require("express");
+const router = express.Router();
+const { controller, upload } = require("../controllers/payment_controller");
+const { isMockEnabled } = require("../services/payment_gateways");
+const {
+  authenticate,
+  requireAdmin,
+  requireUser,
+  requireOwnerOrAdmin,
+} = require("../middleware/auth.js");
+
+// Public routes - signed gateway notifications
+router.post("/payments/webhook/:provider", controller.handleWebhook);
+
+// Owner routes - invoices and payments
+router.get("/invoices/me", authenticate, requireUser, controller.getMyInvoices);
+router.get(
+  "/invoices/:id",
+  authenticate,
+  requireOwnerOrAdmin("invoice"),
+  controller.getInvoiceById
+);
+router.post(
+  "/invoices/:id/payments",
+  authenticate,
+  requireOwnerOrAdmin("invoice"),
+  upload.single("proof"),
+  controller.submitPaymentProof
+);
+router.post(
+  "/invoices/:id/checkout",
+  authenticate,
+  requireOwnerOrAdmin("invoice"),
+  controller.createCheckout
+);
+// Mock gateway only - never mounted in production unless enabled
+if (isMockEnabled()) {
+  router.post(
+    "/payments/mock/:reference",
+    authenticate,
+    requireUser,
+    controller.simulateMockPayment
+  );
+}
+
+// Admin routes - payment review and refunds
+router.get("/invoices", authenticate, requireAdmin, controller.getAllInvoices);
+router.put(
+  "/payments/:id/confirm",
+  authenticate,
+  requireAdmin,
+  controller.confirmPayment
+);
+router.put(
+  "/payments/:id/reject",
+  authenticate,
+  requireAdmin,
+  controller.rejectPayment
+);
+router.put(
+  "/invoices/:id/refund",
+  authenticate,
+  requireAdmin,
+  controller.refundInvoice
+);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require("express");
+const router = express.Router();
+const { controller, upload } = require("../controllers/profile_controller");
+const { authenticate } = require("../middleware/auth.js");
+
+router.get("/me", authenticate, controller.getMe);
+router.put("/me", authenticate, upload.single("avatar"), controller.updateMe);
+router.delete("/me", authenticate, controller.deleteMe);
+
+// Email change: requested signed in, confirmed from the emailed link
+router.put("/me/email", authenticate, controller.requestEmailChange);
+router.post("/me/email/verify", controller.verifyEmailChange);
+
+module.exports = router;
@@ -5,23 +5,51 @@ const {
   authenticate,
   requireAdmin,
   requireVendor,
+  requireUser,
   requireVendorOrAdmin,
+  requireOwnerOrAdmin,
 } = require("../middleware/auth.js");
 
 // Public routes (anyone can view ratings)
 router.get("/rating", ratingController.getRatings);
 router.get("/rating/:id", ratingController.getRatingById);
 router.get("/rating/event/:event_id", ratingController.getRatingsByEventId);
+router.get(
+  "/rating/event/:event_id/me",
+  authenticate,
+  requireUser,
+  ratingController.getMyEventRating
+);
 router.get("/rating/:event_id/stats", ratingController.getEventRatingStats);
 
 // Protected routes (authenticated users can create ratings)
-router.post("/rating", ratingController.createRating);
+router.post(
+  "/rating",
+  authenticate,
+  requireUser,
+  ratingController.createRating
+);
 
-// Admin/Vendor routes (can update/delete ratings)
-router.put("/rating/:id", ratingController.updateRating);
-router.delete("/rating/:id", ratingController.deleteRating);
+// Owner or admin routes (can update/delete ratings)
+router.put(
+  "/rating/:id",
+  authenticate,
+  requireOwnerOrAdmin("rating"),
+  ratingController.updateRating
+);
+router.delete(
+  "/rating/:id",
+  authenticate,
+  requireOwnerOrAdmin("rating"),
+  ratingController.deleteRating
+);
 
-// Admin only routes
-router.delete("/rating/:event_id", ratingController.deleteEventRatings);
+// Admin only routes (/rating/:event_id was shadowed by /rating/:id)
+router.delete(
+  "/rating/event/:event_id",
+  authenticate,
+  requireAdmin,
+  ratingController.deleteEventRatings
+);
 
 module.exports = router;
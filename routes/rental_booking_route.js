@@ -0,0 +1,59 @@
+const express = require("express");
+const router = express.Router();
+const controller = require("../controllers/index.js");
+const {
+  authenticate,
+  requireAdmin,
+  requireUser,
+  requireVendorOrAdmin,
+  requireOwnerOrAdmin,
+} = require("../middleware/auth.js");
+
+// Public routes - availability and price quote for a date range
+router.get(
+  "/rental-products/:id/availability",
+  controller.rentalBooking.getProductAvailability
+);
+
+// Vendor routes - request and manage own bookings
+router.post(
+  "/rental-bookings",
+  authenticate,
+  requireVendorOrAdmin,
+  controller.rentalBooking.createBooking
+);
+router.get(
+  "/rental-bookings/me",
+  authenticate,
+  requireUser,
+  controller.rentalBooking.getMyBookings
+);
+router.put(
+  "/rental-bookings/:id/cancel",
+  authenticate,
+  requireOwnerOrAdmin("rentalBooking"),
+  controller.rentalBooking.cancelBooking
+);
+
+// Admin routes - booking review
+router.get(
+  "/rental-bookings",
+  authenticate,
+  requireAdmin,
+  controller.rentalBooking.getAllBookings
+);
+router.put(
+  "/rental-bookings/:id/status",
+  authenticate,
+  requireAdmin,
+  controller.rentalBooking.updateBookingStatus
+);
+
+router.get(
+  "/rental-bookings/:id",
+  authenticate,
+  requireOwnerOrAdmin("rentalBooking"),
+  controller.rentalBooking.getBookingById
+);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require("express");
+const router = express.Router();
+const controller = require("../controllers/search_controller.js");
+
+// Public routes - event search with facets
+router.get("/search/events", controller.searchEvents);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require("express");
+const router = express.Router();
+const controller = require("../controllers/storage_controller.js");
+const { authenticate, requireAdmin } = require("../middleware/auth.js");
+
+// Admin routes - storage reconciliation
+router.get(
+  "/storage/reconciliation",
+  authenticate,
+  requireAdmin,
+  controller.getReconciliation
+);
+router.delete(
+  "/storage/orphans",
+  authenticate,
+  requireAdmin,
+  controller.purgeOrphans
+);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require("express");
+const router = express.Router();
+const controller = require("../controllers/trash_controller");
+const { authenticate, requireAdmin } = require("../middleware/auth.js");
+
+// Trash path -> type (see services/trash.js)
+const trashes = [
+  { path: "/admin/trash/events", type: "event" },
+  { path: "/admin/trash/vendors", type: "vendor" },
+  { path: "/admin/trash/areas", type: "area" },
+  { path: "/admin/trash/event-categories", type: "event_category" },
+  { path: "/admin/trash/rental-products", type: "rental_product" },
+];
+
+trashes.forEach(({ path, type }) => {
+  router.get(path, authenticate, requireAdmin, controller.getTrash(type));
+
+  router.post(
+    `${path}/:id/restore`,
+    authenticate,
+    requireAdmin,
+    controller.restoreItem(type)
+  );
+
+  router.delete(
+    `${path}/:id`,
+    authenticate,
+    requireAdmin,
+    controller.purgeItem(type)
+  );
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const express = require("express");
+const router = express.Router();
+const {
+  controller,
+  upload,
+} = require("../controllers/vendor_application_controller");
+const {
+  authenticate,
+  requireAdmin,
+  requireUser,
+  requireOwnerOrAdmin,
+} = require("../middleware/auth.js");
+
+// User routes - apply to become a vendor and follow the review
+router.post(
+  "/vendor-applications",
+  authenticate,
+  requireUser,
+  upload.single("banner_image"),
+  controller.createApplication
+);
+router.get(
+  "/vendor-applications/me",
+  authenticate,
+  requireUser,
+  controller.getMyApplications
+);
+
+// Admin routes - application review
+router.get(
+  "/vendor-applications",
+  authenticate,
+  requireAdmin,
+  controller.getAllApplications
+);
+router.put(
+  "/vendor-applications/:id/approve",
+  authenticate,
+  requireAdmin,
+  controller.approveApplication
+);
+router.put(
+  "/vendor-applications/:id/reject",
+  authenticate,
+  requireAdmin,
+  controller.rejectApplication
+);
+
+router.get(
+  "/vendor-applications/:id",
+  authenticate,
+  requireOwnerOrAdmin("vendorApplication"),
+  controller.getApplicationById
+);
+
+module.exports = router;
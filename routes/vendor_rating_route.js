@@ -0,0 +1,35 @@
+const express = require("express");
+const router = express.Router();
+const controller = require("../controllers/vendor_rating_controller.js");
+const {
+  authenticate,
+  requireUser,
+  requireOwnerOrAdmin,
+} = require("../middleware/auth.js");
+
+// Public routes (anyone can view a vendor's reputation)
+router.get("/vendors/:id/ratings", controller.getVendorRatings);
+
+// Event organizers and their booth vendors rate each other
+router.post(
+  "/vendors/:id/ratings",
+  authenticate,
+  requireUser,
+  controller.createVendorRating
+);
+
+// Owner or admin routes
+router.put(
+  "/vendor-ratings/:id",
+  authenticate,
+  requireOwnerOrAdmin("vendorRating"),
+  controller.updateVendorRating
+);
+router.delete(
+  "/vendor-ratings/:id",
+  authenticate,
+  requireOwnerOrAdmin("vendorRating"),
+  controller.deleteVendorRating
+);
+
+module.exports = router;
@@ -6,6 +6,7 @@ const {
   requireAdmin,
   requireVendor,
   requireVendorOrAdmin,
+  requireOwnerOrAdmin,
 } = require("../middleware/auth.js");
 
 // Public routes
@@ -18,7 +19,7 @@ router.get("/vendors/:id", controller.getVendorById);
 // Get vendor by user ID (vendor can see their own, admin can see any)
 router.get("/vendors/user/:user_id", controller.getVendorByUserId);
 
-// Create vendor (admin or the user themselves if they have vendor role)
+// Create vendor (admin only; users apply through /vendor-applications)
 router.post(
   "/vendors",
   authenticate,
@@ -32,6 +33,7 @@ router.put(
   "/vendors/:id",
   authenticate,
   requireVendorOrAdmin,
+  requireOwnerOrAdmin("vendor"),
   upload.single("banner_image"),
   controller.updateVendor
 );
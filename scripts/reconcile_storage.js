@@ -0,0 +1,50 @@
+// scripts/reconcile_storage.js
+// Compares the storage buckets with the URLs stored in the database.
+//   node scripts/reconcile_storage.js           prints the report
+//   node scripts/reconcile_storage.js --delete  also deletes old orphans
+//   node scripts/reconcile_storage.js --json    prints the full report as JSON
+const { reconcileStorage } = require("../services/storage_gc");
+
+const args = process.argv.slice(2);
+
+const main = async () => {
+  const report = await reconcileStorage({
+    deleteOrphans: args.includes("--delete"),
+  });
+
+  if (args.includes("--json")) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  for (const bucket of report.buckets) {
+    const { orphans, missing } = bucket;
+    console.log(
+      `${bucket.bucket}: ${bucket.files} file(s), ` +
+        `${bucket.references} reference(s), ` +
+        `${orphans.length} orphan(s), ${missing.length} missing`
+    );
+    orphans.forEach((file) => console.log(`  orphan   ${file.path}`));
+    missing.forEach((reference) =>
+      console.log(
+        `  missing  ${reference.path} ` +
+          `(${reference.table} ${reference.id}.${reference.column})`
+      )
+    );
+  }
+
+  if (report.purge) {
+    const { deleted, kept_recent, failed } = report.purge;
+    console.log(
+      `Deleted ${deleted.length} orphan(s), kept ${kept_recent} recent, ` +
+        `${failed.length} bucket(s) failed`
+    );
+  }
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Storage reconciliation error:", error);
+    process.exit(1);
+  });
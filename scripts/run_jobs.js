@@ -0,0 +1,60 @@
+// scripts/run_jobs.js
+// Standalone job worker, for running the scheduler outside the API process.
+//   node scripts/run_jobs.js             runs every enabled job on its interval
+//   node scripts/run_jobs.js --once      runs every enabled job once and exits
+//   node scripts/run_jobs.js <job> ...   runs the named jobs once and exits
+const {
+  JOB_RUN_STATUS,
+  jobs,
+  getDisabledJobs,
+  runJob,
+  startScheduler,
+  stopScheduler,
+} = require("../services/jobs");
+
+const args = process.argv.slice(2);
+const once = args.includes("--once");
+const names = args.filter((arg) => !arg.startsWith("--"));
+
+const runOnce = async (jobNames) => {
+  let failed = false;
+  for (const name of jobNames) {
+    const run = await runJob(name);
+    failed = failed || run.status === JOB_RUN_STATUS.FAILED;
+    console.log(`${name}: ${run.status}`, JSON.stringify(run.result));
+  }
+  return failed ? 1 : 0;
+};
+
+const main = async () => {
+  const unknown = names.filter((name) => !jobs[name]);
+  if (unknown.length > 0) {
+    console.error(`Unknown job(s): ${unknown.join(", ")}`);
+    console.error(`Available jobs: ${Object.keys(jobs).join(", ")}`);
+    process.exit(1);
+  }
+
+  if (names.length > 0 || once) {
+    const disabled = getDisabledJobs();
+    const jobNames =
+      names.length > 0
+        ? names
+        : Object.keys(jobs).filter((name) => !disabled.includes(name));
+    process.exit(await runOnce(jobNames));
+  }
+
+  const started = startScheduler({ unref: false });
+  console.log(`Job worker running: ${started.join(", ")}`);
+
+  const shutdown = () => {
+    stopScheduler();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+};
+
+main().catch((error) => {
+  console.error("Job worker error:", error);
+  process.exit(1);
+});
@@ -0,0 +1,167 @@
+// services/account.js
+// Account level operations shared by the profile endpoints (users managing
+// their own account) and the admin user endpoints: checking a password and
+// deleting an account with everything that belongs to it.
+const supabase = require("../db");
+const { deleteImage } = require("./media");
+const { softDelete } = require("./trash");
+const { deleteSessions } = require("./auth_session");
+const { disconnect } = require("./notification_stream");
+const { validatePhone } = require("./vendor_profile");
+
+const AVATAR_BUCKET = "avatars";
+const NAME_MAX_LENGTH = 50;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isBlank = (value) => value === null || value === "" || value === "null";
+
+// Turns the profile fields of a request body into column values. Only fields
+// present in `body` are returned; a blank phone clears it. Returns
+// { valid, data } or { valid: false, message }.
+const parseProfileUpdate = (body) => {
+  const data = {};
+
+  for (const column of ["first_name", "last_name"]) {
+    if (body[column] === undefined) continue;
+
+    const name = String(body[column] ?? "").trim();
+    if (!name) {
+      return { valid: false, message: `${column} cannot be empty` };
+    }
+    if (name.length > NAME_MAX_LENGTH) {
+      return {
+        valid: false,
+        message: `${column} can be at most ${NAME_MAX_LENGTH} characters`,
+      };
+    }
+    data[column] = name;
+  }
+
+  if (body.phone !== undefined) {
+    const phone = isBlank(body.phone) ? null : String(body.phone).trim();
+    if (phone && !validatePhone(phone)) {
+      return { valid: false, message: "phone must be 10 to 15 digits" };
+    }
+    data.phone = phone || null;
+  }
+
+  return { valid: true, data };
+};
+
+// Lower-cased address, or null when `email` is not one
+const normalizeEmail = (email) => {
+  const address = typeof email === "string" ? email.trim().toLowerCase() : "";
+  return EMAIL_PATTERN.test(address) ? address : null;
+};
+
+const createAccountError = (message, status, details = null) => {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+};
+
+// Whether `password` is the one of the account `email` belongs to. Checking
+// signs in once more; that session is signed out right away.
+const checkPassword = async (email, password) => {
+  const { data, error } = await supabase.auth.signInWithPassword({
+    email,
+    password,
+  });
+  if (error || !data.session) return false;
+
+  await supabase.auth.admin.signOut(data.session.access_token, "local");
+  return true;
+};
+
+// Deletes the account of a profile row: the auth user (when there is one),
+// its tracked sessions, the profile and its avatar. The user's vendor goes to
+// the trash (services/trash.js) instead of being deleted outright, so its
+// events and files can be reviewed; `deletedBy` is recorded as who trashed
+// it. Resolves to { deletedFromAuth, trashedVendorId }.
+const deleteAccount = async (user, { deletedBy = null } = {}) => {
+  // A profile may exist without its auth user; that is not an error
+  let authUserExists = false;
+  try {
+    const { data: authUser, error: authFetchError } =
+      await supabase.auth.admin.getUserById(user.id);
+    authUserExists = !authFetchError && Boolean(authUser?.user);
+  } catch (authError) {
+    console.log("Error checking auth user:", authError.message);
+  }
+
+  if (authUserExists) {
+    const { error: authDeleteError } = await supabase.auth.admin.deleteUser(
+      user.id
+    );
+
+    if (authDeleteError) {
+      console.error("Auth delete error:", authDeleteError);
+      throw createAccountError(
+        "Failed to delete user from authentication system",
+        500,
+        authDeleteError.message
+      );
+    }
+  }
+
+  disconnect(user.id, "account_deleted");
+
+  try {
+    await deleteSessions(user.id);
+  } catch (sessionError) {
+    console.error("Session cleanup error:", sessionError);
+  }
+
+  const { error: deleteError } = await supabase
+    .from("user")
+    .delete()
+    .eq("id", user.id);
+
+  if (deleteError) {
+    console.error("Profile delete error:", deleteError);
+    throw createAccountError(
+      authUserExists
+        ? "Auth user deleted but failed to delete profile"
+        : "Failed to delete user profile",
+      500,
+      deleteError.message
+    );
+  }
+
+  // Clean up that must not fail the deletion
+  let trashedVendorId = null;
+  try {
+    const { data: vendor, error: vendorFetchError } = await supabase
+      .from("vendor")
+      .select("id")
+      .eq("user_id", user.id)
+      .is("deleted_at", null)
+      .maybeSingle();
+
+    if (vendorFetchError) {
+      console.error("Vendor cleanup error:", vendorFetchError);
+    } else if (vendor) {
+      await softDelete("vendor", vendor.id, deletedBy);
+      trashedVendorId = vendor.id;
+    }
+  } catch (cleanupError) {
+    console.error("Cleanup error:", cleanupError);
+  }
+
+  try {
+    await deleteImage(AVATAR_BUCKET, user.avatar, user.avatar_sizes);
+  } catch (cleanupError) {
+    console.error("Avatar cleanup error:", cleanupError);
+  }
+
+  return { deletedFromAuth: authUserExists, trashedVendorId };
+};
+
+module.exports = {
+  AVATAR_BUCKET,
+  parseProfileUpdate,
+  normalizeEmail,
+  checkPassword,
+  deleteAccount,
+};
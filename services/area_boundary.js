@@ -0,0 +1,133 @@
+// services/area_boundary.js
+// Area boundaries, either a GeoJSON Polygon in `boundary` or a circle given
+// by `center_latitude`/`center_longitude` and `radius_km`. Used to work out
+// which area a pair of coordinates falls in.
+const supabase = require("../db");
+const { parseCoordinates, distanceKm } = require("./geo");
+
+// Reads boundary fields from a request body. `boundary` may arrive as a JSON
+// string from form posts. Only the fields present are returned.
+const parseAreaBoundary = (body) => {
+  const data = {};
+
+  if (body.boundary !== undefined) {
+    let boundary = body.boundary;
+    if (typeof boundary === "string") {
+      try {
+        boundary = boundary.trim() ? JSON.parse(boundary) : null;
+      } catch (error) {
+        return { valid: false, message: "boundary must be valid JSON" };
+      }
+    }
+
+    const ring = boundary?.coordinates?.[0];
+    if (
+      boundary !== null &&
+      (boundary.type !== "Polygon" ||
+        !Array.isArray(ring) ||
+        ring.length < 4 ||
+        ring.some(
+          (point) =>
+            !Array.isArray(point) ||
+            !parseCoordinates(point[1], point[0]).valid
+        ))
+    ) {
+      return {
+        valid: false,
+        message:
+          "boundary must be a GeoJSON Polygon with [longitude, latitude] points",
+      };
+    }
+    data.boundary = boundary;
+  }
+
+  if (
+    body.center_latitude !== undefined ||
+    body.center_longitude !== undefined
+  ) {
+    const center = parseCoordinates(
+      body.center_latitude,
+      body.center_longitude
+    );
+    if (!center.valid) {
+      return { valid: false, message: center.message };
+    }
+    data.center_latitude = center.latitude;
+    data.center_longitude = center.longitude;
+  }
+
+  if (body.radius_km !== undefined) {
+    const radius =
+      body.radius_km === null || body.radius_km === ""
+        ? null
+        : parseFloat(body.radius_km);
+    if (radius !== null && (isNaN(radius) || radius <= 0)) {
+      return { valid: false, message: "radius_km must be a positive number" };
+    }
+    data.radius_km = radius;
+  }
+
+  return { valid: true, data };
+};
+
+// Ray casting over the outer ring of a GeoJSON polygon
+const isPointInPolygon = (point, polygon) => {
+  const ring = polygon.coordinates[0];
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [lngI, latI] = ring[i];
+    const [lngJ, latJ] = ring[j];
+    const crosses =
+      latI > point.latitude !== latJ > point.latitude &&
+      point.longitude <
+        ((lngJ - lngI) * (point.latitude - latI)) / (latJ - latI) + lngI;
+    if (crosses) inside = !inside;
+  }
+
+  return inside;
+};
+
+const hasCircle = (area) =>
+  area.center_latitude != null &&
+  area.center_longitude != null &&
+  area.radius_km != null;
+
+const isPointInArea = (point, area) => {
+  if (area.boundary) return isPointInPolygon(point, area.boundary);
+  if (hasCircle(area)) {
+    const center = {
+      latitude: area.center_latitude,
+      longitude: area.center_longitude,
+    };
+    return distanceKm(point, center) <= area.radius_km;
+  }
+  return false;
+};
+
+// The area containing `point`, preferring polygons over circles and smaller
+// circles over larger ones; null when none matches
+const findAreaForPoint = async (point) => {
+  const { data: areas, error } = await supabase
+    .from("area")
+    .select("id, name, boundary, center_latitude, center_longitude, radius_km")
+    .is("deleted_at", null);
+
+  if (error) throw error;
+
+  const matches = areas
+    .filter((area) => isPointInArea(point, area))
+    .sort(
+      (a, b) =>
+        (a.boundary ? 0 : 1) - (b.boundary ? 0 : 1) ||
+        (a.radius_km || 0) - (b.radius_km || 0)
+    );
+
+  return matches[0] || null;
+};
+
+module.exports = {
+  parseAreaBoundary,
+  isPointInArea,
+  findAreaForPoint,
+};
@@ -0,0 +1,261 @@
+// services/audit_log.js
+// Persistent record of what admins and vendors change. middleware/audit.js
+// calls in here for every successful POST/PUT/PATCH/DELETE: the entity is
+// worked out from the URL (AUDIT_ENTITIES), its row is read before and after
+// the change and one `audit_log` row keeps actor, action, entity, both
+// snapshots and request metadata. The actor's email is copied so entries
+// outlive deleted users.
+const supabase = require("../db");
+
+const AUDITED_ROLES = ["admin", "vendor"];
+
+// First path segment(s) -> entity. `table` enables snapshots, `keywords` are
+// segments in the id position that are not ids and `bulkIds` reads the ids a
+// bulk request changes from its body.
+const AUDIT_ENTITIES = [
+  { path: "admin/trash/events", entity: "event", table: "event" },
+  { path: "admin/trash/vendors", entity: "vendor", table: "vendor" },
+  { path: "admin/trash/areas", entity: "area", table: "area" },
+  {
+    path: "admin/trash/event-categories",
+    entity: "event_category",
+    table: "event_category",
+  },
+  {
+    path: "admin/trash/rental-products",
+    entity: "rental_product",
+    table: "rental_products",
+  },
+  { path: "admin/users", entity: "user", table: "user" },
+  { path: "areas", entity: "area", table: "area", keywords: ["bulk"] },
+  { path: "banners", entity: "banner", table: "banner_home" },
+  {
+    path: "booths",
+    entity: "booth",
+    table: "booth",
+    keywords: ["bulk"],
+    bulkIds: (body) => body.booth_ids,
+  },
+  {
+    path: "event-categories",
+    entity: "event_category",
+    table: "event_category",
+    keywords: ["bulk"],
+  },
+  { path: "events", entity: "event", table: "event" },
+  { path: "invoices", entity: "invoice", table: "invoice" },
+  { path: "jobs", entity: "job" },
+  {
+    path: "notifications",
+    entity: "notification",
+    keywords: ["read-all", "preferences", "event-reminders"],
+  },
+  {
+    path: "payments",
+    entity: "payment",
+    table: "payment",
+    keywords: ["mock", "webhook"],
+  },
+  { path: "rating", entity: "rating", table: "rating", keywords: ["event"] },
+  {
+    path: "rental-bookings",
+    entity: "rental_booking",
+    table: "rental_booking",
+  },
+  {
+    path: "rental-products",
+    entity: "rental_product",
+    table: "rental_products",
+  },
+  { path: "rentals", entity: "rental", table: "rental" },
+  { path: "storage", entity: "storage", keywords: ["orphans"] },
+  {
+    path: "vendor-applications",
+    entity: "vendor_application",
+    table: "vendor_application",
+  },
+  { path: "vendor-ratings", entity: "vendor_rating", table: "vendor_rating" },
+  { path: "vendors", entity: "vendor", table: "vendor" },
+];
+
+// Request body fields never written to the log
+const SECRET_FIELD = /password|token|secret/i;
+
+const EXPORT_MAX_ROWS = 10000;
+const EXPORT_PAGE_SIZE = 1000;
+
+const CSV_COLUMNS = [
+  "id",
+  "created_at",
+  "actor_id",
+  "actor_email",
+  "actor_role",
+  "action",
+  "entity_type",
+  "entity_id",
+  "before",
+  "after",
+  "request",
+];
+
+// The entity a request changes, from its path:
+// { entity, table, id, ids } or null for paths that are not audited
+const resolveAuditTarget = (req) => {
+  const path = req.path.replace(/^\/+|\/+$/g, "");
+  const config = AUDIT_ENTITIES.find(
+    (entity) => path === entity.path || path.startsWith(`${entity.path}/`)
+  );
+  if (!config) return null;
+
+  const [segment] = path.slice(config.path.length + 1).split("/");
+  const id =
+    segment && !(config.keywords || []).includes(segment) ? segment : null;
+  const bulkIds = config.bulkIds && req.body ? config.bulkIds(req.body) : null;
+
+  return {
+    entity: config.entity,
+    table: config.table || null,
+    id,
+    ids: Array.isArray(bulkIds) ? bulkIds : null,
+  };
+};
+
+// Current row(s) of the target, null when there is nothing to read
+const getSnapshot = async (target) => {
+  if (!target.table || (!target.id && !target.ids)) return null;
+
+  const query = supabase.from(target.table).select("*");
+  const { data, error } = target.ids
+    ? await query.in("id", target.ids)
+    : await query.eq("id", target.id).maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const sanitizeBody = (body) => {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return body;
+
+  return Object.fromEntries(
+    Object.entries(body).map(([key, value]) =>
+      SECRET_FIELD.test(key) ? [key, "[redacted]"] : [key, value]
+    )
+  );
+};
+
+// Request metadata stored with an entry
+const describeRequest = (req, status) => ({
+  method: req.method,
+  path: req.originalUrl,
+  route: req.route ? `${req.baseUrl}${req.route.path}` : null,
+  status,
+  ip: req.ip,
+  user_agent: req.headers["user-agent"] || null,
+  body: sanitizeBody(req.body),
+});
+
+// Writes one entry. Logging never fails the request it belongs to.
+const recordAuditEntry = async (entry) => {
+  const { error } = await supabase.from("audit_log").insert({
+    ...entry,
+    created_at: new Date().toISOString(),
+  });
+
+  if (error) {
+    console.error("Record audit log error:", error);
+  }
+};
+
+// Reads the query string filters of the admin endpoints. `from` / `to` are
+// dates or timestamps; a plain `to` date includes that whole day. Returns
+// { valid, filters } or { valid: false, message }.
+const parseAuditFilters = (query) => {
+  const filters = {};
+
+  ["actor_id", "entity_type", "entity_id", "action"].forEach((key) => {
+    if (query[key]) filters[key] = String(query[key]);
+  });
+
+  for (const key of ["from", "to"]) {
+    if (!query[key]) continue;
+
+    const date = new Date(query[key]);
+    if (isNaN(date.getTime())) {
+      return { valid: false, message: `${key} must be a valid date` };
+    }
+    filters[key] = date;
+  }
+
+  if (filters.to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+    filters.to.setUTCDate(filters.to.getUTCDate() + 1);
+  } else if (filters.to) {
+    filters.to.setTime(filters.to.getTime() + 1);
+  }
+
+  return { valid: true, filters };
+};
+
+const applyAuditFilters = (query, filters) => {
+  ["actor_id", "entity_type", "entity_id", "action"].forEach((key) => {
+    if (filters[key]) query = query.eq(key, filters[key]);
+  });
+  if (filters.from) {
+    query = query.gte("created_at", filters.from.toISOString());
+  }
+  // `to` is already moved past the last included moment
+  if (filters.to) query = query.lt("created_at", filters.to.toISOString());
+  return query;
+};
+
+// Entries for the CSV export, newest first, at most EXPORT_MAX_ROWS
+const listAuditEntries = async (filters) => {
+  const entries = [];
+
+  for (let offset = 0; offset < EXPORT_MAX_ROWS; offset += EXPORT_PAGE_SIZE) {
+    const query = supabase
+      .from("audit_log")
+      .select("*")
+      .order("created_at", { ascending: false })
+      .order("id", { ascending: false })
+      .range(offset, offset + EXPORT_PAGE_SIZE - 1);
+
+    const { data, error } = await applyAuditFilters(query, filters);
+    if (error) throw error;
+
+    entries.push(...data);
+    if (data.length < EXPORT_PAGE_SIZE) break;
+  }
+
+  return entries;
+};
+
+// Spreadsheets run a cell starting with one of these as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  const raw = typeof value === "object" ? JSON.stringify(value) : String(value);
+  const text = FORMULA_START.test(raw) ? `'${raw}` : raw;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (entries) =>
+  [
+    CSV_COLUMNS.join(","),
+    ...entries.map((entry) =>
+      CSV_COLUMNS.map((column) => toCsvValue(entry[column])).join(",")
+    ),
+  ].join("\n");
+
+module.exports = {
+  AUDITED_ROLES,
+  EXPORT_MAX_ROWS,
+  resolveAuditTarget,
+  getSnapshot,
+  describeRequest,
+  recordAuditEntry,
+  parseAuditFilters,
+  applyAuditFilters,
+  listAuditEntries,
+  toCsv,
+};
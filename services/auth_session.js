@@ -0,0 +1,183 @@
+// services/auth_session.js
+// Signed-in devices of a user. Supabase Auth owns the sessions but has no
+// call to list them, so every session handed out by login or refresh is
+// mirrored in `user_session` with the device it came from. Tokens are only
+// stored as SHA-256 hashes: the access token hash tells which row is the
+// caller's, the refresh token hash follows the session through rotations.
+//
+// Event streams are opened with a stream ticket instead of the access token,
+// since EventSource can only send it in the URL, where it would be logged. A
+// ticket is stored as a hash too, works once and expires after
+// STREAM_TICKET_TTL_SECONDS.
+const crypto = require("crypto");
+const supabase = require("../db");
+
+const DEFAULT_STREAM_TICKET_TTL_SECONDS = 60;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const describeDevice = (req) => ({
+  user_agent: req.headers["user-agent"] || null,
+  ip: req.ip || null,
+});
+
+// Records a session Supabase just created. Tracking never fails the sign in
+// it belongs to.
+const recordSession = async (req, userId, session) => {
+  const now = new Date().toISOString();
+  const { error } = await supabase.from("user_session").insert({
+    user_id: userId,
+    access_token_hash: hashToken(session.access_token),
+    refresh_token_hash: hashToken(session.refresh_token),
+    ...describeDevice(req),
+    created_at: now,
+    last_active_at: now,
+  });
+
+  if (error) {
+    console.error("Record session error:", error);
+  }
+};
+
+// Moves the row of a refreshed session to its new tokens, or records it when
+// it was started before sessions were tracked
+const rotateSession = async (req, userId, refreshToken, session) => {
+  const { data, error } = await supabase
+    .from("user_session")
+    .update({
+      access_token_hash: hashToken(session.access_token),
+      refresh_token_hash: hashToken(session.refresh_token),
+      ...describeDevice(req),
+      last_active_at: new Date().toISOString(),
+    })
+    .eq("refresh_token_hash", hashToken(refreshToken))
+    .is("revoked_at", null)
+    .select("id");
+
+  if (error) {
+    console.error("Rotate session error:", error);
+    return;
+  }
+  if (data.length === 0) {
+    await recordSession(req, userId, session);
+  }
+};
+
+// Open sessions of a user, most recently active first; `current` marks the
+// one `accessToken` belongs to
+const listSessions = async (userId, accessToken) => {
+  const { data, error } = await supabase
+    .from("user_session")
+    .select("*")
+    .eq("user_id", userId)
+    .is("revoked_at", null)
+    .order("last_active_at", { ascending: false });
+
+  if (error) throw error;
+
+  const currentHash = hashToken(accessToken);
+  return data.map(
+    ({ access_token_hash, refresh_token_hash, revoked_at, ...session }) => ({
+      ...session,
+      current: access_token_hash === currentHash,
+    })
+  );
+};
+
+// Marks sessions of a user as signed out, all of them or only the one of
+// `accessToken` (`only`) or all but that one (`except`). Resolves to the
+// number of sessions revoked.
+const revokeSessions = async (userId, { only = null, except = null } = {}) => {
+  let query = supabase
+    .from("user_session")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("user_id", userId)
+    .is("revoked_at", null);
+
+  if (only) {
+    query = query.eq("access_token_hash", hashToken(only));
+  }
+  if (except) {
+    query = query.neq("access_token_hash", hashToken(except));
+  }
+
+  const { data, error } = await query.select("id");
+  if (error) throw error;
+  return data.length;
+};
+
+// Forgets every session and stream ticket of a user, for accounts being
+// deleted
+const deleteSessions = async (userId) => {
+  const { error } = await supabase
+    .from("user_session")
+    .delete()
+    .eq("user_id", userId);
+
+  if (error) throw error;
+
+  const { error: ticketError } = await supabase
+    .from("stream_ticket")
+    .delete()
+    .eq("user_id", userId);
+
+  if (ticketError) throw ticketError;
+};
+
+const getStreamTicketTtl = () =>
+  parseInt(process.env.STREAM_TICKET_TTL_SECONDS) ||
+  DEFAULT_STREAM_TICKET_TTL_SECONDS;
+
+// Hands out a ticket for `userId`, clearing expired ones on the way.
+// Resolves to { ticket, expires_at }.
+const issueStreamTicket = async (userId) => {
+  const now = new Date();
+  const ticket = crypto.randomBytes(32).toString("hex");
+  const expires_at = new Date(
+    now.getTime() + getStreamTicketTtl() * 1000
+  ).toISOString();
+
+  const { error: purgeError } = await supabase
+    .from("stream_ticket")
+    .delete()
+    .lt("expires_at", now.toISOString());
+
+  if (purgeError) throw purgeError;
+
+  const { error } = await supabase.from("stream_ticket").insert({
+    user_id: userId,
+    ticket_hash: hashToken(ticket),
+    created_at: now.toISOString(),
+    expires_at,
+  });
+
+  if (error) throw error;
+  return { ticket, expires_at };
+};
+
+// Uses up a ticket. Resolves to the id of its user, or null when the ticket
+// is unknown, already used or expired.
+const redeemStreamTicket = async (ticket) => {
+  const { data, error } = await supabase
+    .from("stream_ticket")
+    .delete()
+    .eq("ticket_hash", hashToken(ticket))
+    .select("user_id, expires_at");
+
+  if (error) throw error;
+
+  const row = data[0];
+  if (!row || new Date(row.expires_at) <= new Date()) return null;
+  return row.user_id;
+};
+
+module.exports = {
+  recordSession,
+  rotateSession,
+  listSessions,
+  revokeSessions,
+  deleteSessions,
+  issueStreamTicket,
+  redeemStreamTicket,
+};
@@ -0,0 +1,218 @@
+// services/banner_schedule.js
+// When and where homepage banners show. A banner is live while `is_active` is
+// set and now falls inside its optional `starts_at` / `ends_at` window; live
+// banners are shown by `sort_order`. Banners targeted at an area or event
+// category only show where the page asks for that area or category, the
+// others show everywhere. `event_id` / `vendor_id` link a banner to a page of
+// the app instead of the external `link`.
+const supabase = require("../db");
+
+const BANNER_STATUS = {
+  INACTIVE: "inactive",
+  SCHEDULED: "scheduled",
+  LIVE: "live",
+  EXPIRED: "expired",
+};
+
+// Columns pointing at other rows, checked to exist before saving
+// (vendor ids are uuids, the others integers)
+const BANNER_REFERENCES = {
+  area_id: { table: "area", label: "Area", integer: true },
+  event_category_id: {
+    table: "event_category",
+    label: "Event category",
+    integer: true,
+  },
+  event_id: { table: "event", label: "Event", integer: true },
+  vendor_id: { table: "vendor", label: "Vendor" },
+};
+
+// Linked event and vendor, for rendering internal links
+const BANNER_SELECT = `
+  *,
+  event:event_id (id, name, start_date),
+  vendor:vendor_id (id, name)
+`;
+
+// Banners saved before scheduling existed have no `is_active` and count as
+// active
+const getBannerStatus = (banner, now = new Date()) => {
+  if (banner.is_active === false) return BANNER_STATUS.INACTIVE;
+  if (banner.starts_at && new Date(banner.starts_at) > now) {
+    return BANNER_STATUS.SCHEDULED;
+  }
+  if (banner.ends_at && new Date(banner.ends_at) <= now) {
+    return BANNER_STATUS.EXPIRED;
+  }
+  return BANNER_STATUS.LIVE;
+};
+
+const withBannerStatus = (banner, now = new Date()) => ({
+  ...banner,
+  status: getBannerStatus(banner, now),
+});
+
+// Limits a banner_home query to banners live at `now`
+const applyLiveFilter = (query, now = new Date()) => {
+  const at = now.toISOString();
+  return query
+    .not("is_active", "is", false)
+    .or(`starts_at.is.null,starts_at.lte.${at}`)
+    .or(`ends_at.is.null,ends_at.gt.${at}`);
+};
+
+// Limits a banner_home query to banners meant for a page about
+// `targets.area_id` and/or `targets.event_category_id` (validated integers);
+// without one, banners targeted by that column are left out
+const applyTargetFilter = (query, targets) =>
+  ["area_id", "event_category_id"].reduce(
+    (filtered, column) =>
+      targets[column]
+        ? filtered.or(`${column}.is.null,${column}.eq.${targets[column]}`)
+        : filtered.is(column, null),
+    query
+  );
+
+const isBlank = (value) => value === null || value === "" || value === "null";
+
+const parseBoolean = (value) => {
+  if (value === true || value === "true") return true;
+  if (value === false || value === "false") return false;
+  return undefined;
+};
+
+// Turns the scheduling fields of a request body into column values. Only
+// fields present in `body` are returned; "" or "null" clear optional ones.
+// Returns { valid, data } or { valid: false, message }.
+const parseBannerSchedule = (body, existing = {}) => {
+  const data = {};
+
+  if (body.is_active !== undefined) {
+    const isActive = parseBoolean(body.is_active);
+    if (isActive === undefined) {
+      return { valid: false, message: "is_active must be true or false" };
+    }
+    data.is_active = isActive;
+  }
+
+  for (const column of ["starts_at", "ends_at"]) {
+    if (body[column] === undefined) continue;
+    if (isBlank(body[column])) {
+      data[column] = null;
+      continue;
+    }
+
+    const date = new Date(body[column]);
+    if (isNaN(date.getTime())) {
+      return { valid: false, message: `${column} must be a valid date` };
+    }
+    data[column] = date.toISOString();
+  }
+
+  const startsAt =
+    data.starts_at !== undefined ? data.starts_at : existing.starts_at;
+  const endsAt = data.ends_at !== undefined ? data.ends_at : existing.ends_at;
+  if (startsAt && endsAt && new Date(endsAt) <= new Date(startsAt)) {
+    return { valid: false, message: "ends_at must be after starts_at" };
+  }
+
+  if (body.sort_order !== undefined) {
+    const sortOrder = Number(body.sort_order);
+    if (!Number.isInteger(sortOrder) || sortOrder < 0) {
+      return {
+        valid: false,
+        message: "sort_order must be a non-negative integer",
+      };
+    }
+    data.sort_order = sortOrder;
+  }
+
+  for (const [column, { integer }] of Object.entries(BANNER_REFERENCES)) {
+    if (body[column] === undefined) continue;
+    if (isBlank(body[column])) {
+      data[column] = null;
+      continue;
+    }
+
+    const value = String(body[column]).trim();
+    if (integer && !/^\d+$/.test(value)) {
+      return { valid: false, message: `${column} must be an integer id` };
+    }
+    data[column] = integer ? parseInt(value) : value;
+  }
+
+  const eventId =
+    data.event_id !== undefined ? data.event_id : existing.event_id;
+  const vendorId =
+    data.vendor_id !== undefined ? data.vendor_id : existing.vendor_id;
+  if (eventId && vendorId) {
+    return {
+      valid: false,
+      message: "A banner can link to an event or a vendor, not both",
+    };
+  }
+
+  return { valid: true, data };
+};
+
+// Checks that the rows referenced in `data` exist and are not in the trash
+// (services/trash.js). Resolves to an error message, or null when they all
+// do.
+const validateBannerReferences = async (data) => {
+  for (const [column, { table, label }] of Object.entries(BANNER_REFERENCES)) {
+    if (!data[column]) continue;
+
+    const { data: row, error } = await supabase
+      .from(table)
+      .select("id")
+      .eq("id", data[column])
+      .is("deleted_at", null)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!row) return `${label} ${data[column]} not found`;
+  }
+
+  return null;
+};
+
+// Called before deleting a row banners may point at (`column` is one of
+// BANNER_REFERENCES): such banners are switched off for an admin to review,
+// rather than left showing everywhere or linking nowhere
+const detachBanners = async (column, id) => {
+  const { data, error } = await supabase
+    .from("banner_home")
+    .update({ [column]: null, is_active: false })
+    .eq(column, id)
+    .select("id");
+
+  if (error) throw error;
+  return data.length;
+};
+
+// Called when a row banners may point at goes to the trash: such banners are
+// switched off but keep the reference, so they can be switched back on if the
+// row is restored
+const deactivateBanners = async (column, id) => {
+  const { data, error } = await supabase
+    .from("banner_home")
+    .update({ is_active: false })
+    .eq(column, id)
+    .select("id");
+
+  if (error) throw error;
+  return data.length;
+};
+
+module.exports = {
+  BANNER_STATUS,
+  BANNER_SELECT,
+  getBannerStatus,
+  withBannerStatus,
+  applyLiveFilter,
+  applyTargetFilter,
+  parseBannerSchedule,
+  validateBannerReferences,
+  detachBanners,
+  deactivateBanners,
+};
@@ -0,0 +1,240 @@
+// services/banner_tracking.js
+// Banner impressions and clicks. Every banner served by /banners/active logs
+// an impression and links go through /banners/:id/click, which logs a click
+// before redirecting. Requests from crawlers, link previews and scripts (by
+// user agent) are not logged. Events are stored one row each in
+// `banner_event` and summed per banner and day (UTC) for the analytics.
+const supabase = require("../db");
+
+const BANNER_EVENT = {
+  IMPRESSION: "impression",
+  CLICK: "click",
+};
+
+// Parts of user agents that are not people looking at the page: crawlers,
+// link previews, monitoring and HTTP libraries
+const BOT_USER_AGENTS = [
+  "bot",
+  "crawl",
+  "spider",
+  "slurp",
+  "mediapartners",
+  "facebookexternalhit",
+  "embedly",
+  "preview",
+  "headless",
+  "lighthouse",
+  "pingdom",
+  "monitor",
+  "curl",
+  "wget",
+  "python",
+  "java/",
+  "go-http-client",
+  "okhttp",
+  "axios",
+  "node-fetch",
+  "postman",
+  "insomnia",
+];
+const BOT_USER_AGENT = new RegExp(BOT_USER_AGENTS.join("|"), "i");
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const MAX_RANGE_DAYS = 366;
+const EVENT_PAGE_SIZE = 1000;
+
+// Requests without a user agent are scripts too
+const isBot = (req) => {
+  const userAgent = req.headers["user-agent"];
+  return !userAgent || BOT_USER_AGENT.test(userAgent);
+};
+
+const getApiUrl = () =>
+  process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 8080}`;
+
+// Frontend the internal banner links point to
+const getAppUrl = () => process.env.APP_URL || "http://localhost:3000";
+
+// Tracked link the frontend should use for a banner
+const getClickUrl = (banner) => `${getApiUrl()}/banners/${banner.id}/click`;
+
+// Where a banner click leads: its `link`, else the linked event or vendor
+// page. Only http(s) targets are returned, null when there is none.
+const getBannerTarget = (banner) => {
+  let target = null;
+  if (banner.link) {
+    target = banner.link;
+  } else if (banner.event_id) {
+    target = `/events/${banner.event_id}`;
+  } else if (banner.vendor_id) {
+    target = `/vendors/${banner.vendor_id}`;
+  }
+  if (!target) return null;
+
+  try {
+    const url = new URL(target, getAppUrl());
+    return ["http:", "https:"].includes(url.protocol) ? url.toString() : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Logs one event per banner for a request, unless it comes from a bot.
+// Tracking never fails the request it belongs to; resolves to the number of
+// events logged.
+const trackBannerEvents = async (req, type, bannerIds) => {
+  if (bannerIds.length === 0 || isBot(req)) return 0;
+
+  const createdAt = new Date().toISOString();
+  const { error } = await supabase.from("banner_event").insert(
+    bannerIds.map((bannerId) => ({
+      banner_id: bannerId,
+      type,
+      created_at: createdAt,
+    }))
+  );
+
+  if (error) {
+    console.error(`Track banner ${type} error:`, error);
+    return 0;
+  }
+  return bannerIds.length;
+};
+
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+// `from` / `to` as YYYY-MM-DD (inclusive, UTC), defaulting to the last 30
+// days. Returns { valid, from, to, days } or { valid: false, message }.
+const parseAnalyticsRange = ({ from, to }, now = new Date()) => {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value !== undefined && !datePattern.test(value)) {
+      return { valid: false, message: `${name} must be a YYYY-MM-DD date` };
+    }
+  }
+
+  const end = new Date(`${to || toDay(now)}T00:00:00.000Z`);
+  const start = from
+    ? new Date(`${from}T00:00:00.000Z`)
+    : new Date(end.getTime() - 29 * DAY_MS);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return { valid: false, message: "from and to must be valid dates" };
+  }
+  if (start > end) {
+    return { valid: false, message: "from must not be after to" };
+  }
+
+  const count = Math.round((end - start) / DAY_MS) + 1;
+  if (count > MAX_RANGE_DAYS) {
+    return {
+      valid: false,
+      message: `The range can span at most ${MAX_RANGE_DAYS} days`,
+    };
+  }
+
+  const days = Array.from({ length: count }, (_, index) =>
+    toDay(new Date(start.getTime() + index * DAY_MS))
+  );
+  return { valid: true, from: days[0], to: days[days.length - 1], days };
+};
+
+// Every event of the range, read page by page
+const listBannerEvents = async ({ from, to, bannerId }) => {
+  const events = [];
+  const before = new Date(new Date(`${to}T00:00:00.000Z`).getTime() + DAY_MS);
+
+  for (let offset = 0; ; offset += EVENT_PAGE_SIZE) {
+    let query = supabase
+      .from("banner_event")
+      .select("banner_id, type, created_at")
+      .gte("created_at", `${from}T00:00:00.000Z`)
+      .lt("created_at", before.toISOString())
+      .order("id", { ascending: true })
+      .range(offset, offset + EVENT_PAGE_SIZE - 1);
+
+    if (bannerId) {
+      query = query.eq("banner_id", bannerId);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    events.push(...data);
+    if (data.length < EVENT_PAGE_SIZE) break;
+  }
+
+  return events;
+};
+
+// Click-through rate in percent, two decimals
+const getCtr = (impressions, clicks) =>
+  impressions > 0 ? Math.round((clicks / impressions) * 10000) / 100 : 0;
+
+const withCtr = (counts) => ({
+  ...counts,
+  ctr: getCtr(counts.impressions, counts.clicks),
+});
+
+// Impressions, clicks and CTR per banner and day over a parsed range
+const getBannerAnalytics = async (range, { bannerId = null } = {}) => {
+  let bannerQuery = supabase
+    .from("banner_home")
+    .select("id, name")
+    .order("id", { ascending: true });
+  if (bannerId) {
+    bannerQuery = bannerQuery.eq("id", bannerId);
+  }
+
+  const { data: banners, error } = await bannerQuery;
+  if (error) throw error;
+
+  const events = await listBannerEvents({ ...range, bannerId });
+
+  // banner id -> day -> { impressions, clicks }
+  const counts = new Map(banners.map((banner) => [String(banner.id), {}]));
+  events.forEach((event) => {
+    const byDay = counts.get(String(event.banner_id));
+    if (!byDay) return;
+
+    const day = event.created_at.slice(0, 10);
+    byDay[day] = byDay[day] || { impressions: 0, clicks: 0 };
+    if (event.type === BANNER_EVENT.IMPRESSION) byDay[day].impressions++;
+    if (event.type === BANNER_EVENT.CLICK) byDay[day].clicks++;
+  });
+
+  const totals = { impressions: 0, clicks: 0 };
+  const report = banners.map((banner) => {
+    const byDay = counts.get(String(banner.id));
+    const daily = range.days.map((date) =>
+      withCtr({ date, impressions: 0, clicks: 0, ...byDay[date] })
+    );
+    const impressions = daily.reduce((sum, day) => sum + day.impressions, 0);
+    const clicks = daily.reduce((sum, day) => sum + day.clicks, 0);
+
+    totals.impressions += impressions;
+    totals.clicks += clicks;
+    return {
+      banner_id: banner.id,
+      name: banner.name,
+      ...withCtr({ impressions, clicks }),
+      daily,
+    };
+  });
+
+  return {
+    from: range.from,
+    to: range.to,
+    totals: withCtr(totals),
+    banners: report,
+  };
+};
+
+module.exports = {
+  BANNER_EVENT,
+  getClickUrl,
+  getBannerTarget,
+  trackBannerEvents,
+  parseAnalyticsRange,
+  getBannerAnalytics,
+};
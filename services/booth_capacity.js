@@ -0,0 +1,124 @@
+// services/booth_capacity.js
+// Keeps accepted booths within `event.booth_slot`. Applications that overflow
+// the event get a `waitlist_position`, and the head of the waitlist is
+// promoted automatically whenever an accepted booth frees its slot.
+const supabase = require("../db");
+const {
+  BOOTH_STATUS,
+  SLOT_STATUSES,
+  normalizeStatus,
+  withLegacyStatuses,
+  transitionBooth,
+} = require("./booth_status");
+
+// Stored values that occupy a slot, legacy spellings included
+const ACCEPTED_STATUSES = withLegacyStatuses(SLOT_STATUSES);
+
+const isAccepted = (status) => SLOT_STATUSES.includes(normalizeStatus(status));
+
+const getEventCapacity = async (eventId) => {
+  const { data: event, error: eventError } = await supabase
+    .from("event")
+    .select("id, name, booth_slot")
+    .eq("id", eventId)
+    .single();
+
+  if (eventError || !event) return null;
+
+  const { data: booths, error } = await supabase
+    .from("booth")
+    .select("id, is_acc, waitlist_position")
+    .eq("event_id", eventId);
+
+  if (error) throw error;
+
+  const total = parseInt(event.booth_slot) || 0;
+  const accepted = booths.filter((b) => isAccepted(b.is_acc)).length;
+  const waitlisted = booths.filter((b) => b.waitlist_position != null).length;
+
+  return {
+    event,
+    total,
+    accepted,
+    remaining: Math.max(total - accepted, 0),
+    waitlisted,
+  };
+};
+
+// Shape reported by the booth and event endpoints
+const formatSlots = ({ total, accepted, remaining, waitlisted }) => ({
+  total,
+  accepted,
+  remaining,
+  waitlisted,
+  is_full: remaining === 0,
+});
+
+const getWaitlist = async (eventId) => {
+  const { data, error } = await supabase
+    .from("booth")
+    .select("*")
+    .eq("event_id", eventId)
+    .not("waitlist_position", "is", null)
+    .order("waitlist_position", { ascending: true })
+    .order("id", { ascending: true });
+
+  if (error) throw error;
+  return data;
+};
+
+const nextWaitlistPosition = async (eventId) => {
+  const waitlist = await getWaitlist(eventId);
+  return waitlist.length + 1;
+};
+
+// Renumbers the waitlist 1..n after entries leave it
+const compactWaitlist = async (eventId) => {
+  const waitlist = await getWaitlist(eventId);
+
+  for (const [index, booth] of waitlist.entries()) {
+    if (booth.waitlist_position !== index + 1) {
+      const { error } = await supabase
+        .from("booth")
+        .update({ waitlist_position: index + 1 })
+        .eq("id", booth.id);
+      if (error) throw error;
+    }
+  }
+};
+
+// Accepts waitlisted applications in order until the event is full again
+const promoteFromWaitlist = async (eventId) => {
+  const capacity = await getEventCapacity(eventId);
+  if (!capacity || capacity.remaining === 0) return [];
+
+  const waitlist = await getWaitlist(eventId);
+  const promoted = [];
+
+  for (const booth of waitlist.slice(0, capacity.remaining)) {
+    const data = await transitionBooth(booth, BOOTH_STATUS.ACCEPTED, {
+      reason: "Promoted from waitlist",
+      changes: { waitlist_position: null },
+    });
+    promoted.push(data);
+  }
+
+  if (promoted.length > 0) {
+    console.log(
+      `Promoted ${promoted.length} waitlisted booth(s) for event ${eventId}`
+    );
+    await compactWaitlist(eventId);
+  }
+
+  return promoted;
+};
+
+module.exports = {
+  ACCEPTED_STATUSES,
+  isAccepted,
+  getEventCapacity,
+  formatSlots,
+  nextWaitlistPosition,
+  compactWaitlist,
+  promoteFromWaitlist,
+};
@@ -0,0 +1,184 @@
+// services/booth_status.js
+// Booth application lifecycle. Every status change goes through
+// `transitionBooth`, which enforces the allowed transitions, writes a
+// `booth_status_history` row for it, issues or voids the booth fee invoice
+// and emails the applicant.
+const supabase = require("../db");
+const {
+  createInvoiceForBooth,
+  cancelOpenInvoicesForBooth,
+} = require("./invoice");
+const { notifyBoothStatus } = require("./notifications");
+
+const BOOTH_STATUS = {
+  DRAFT: "DRAFT",
+  SUBMITTED: "SUBMITTED",
+  UNDER_REVIEW: "UNDER_REVIEW",
+  ACCEPTED: "ACCEPTED",
+  REJECTED: "REJECTED",
+  WITHDRAWN: "WITHDRAWN",
+  CANCELLED: "CANCELLED",
+  CHECKED_IN: "CHECKED_IN",
+};
+
+const {
+  DRAFT,
+  SUBMITTED,
+  UNDER_REVIEW,
+  ACCEPTED,
+  REJECTED,
+  WITHDRAWN,
+  CANCELLED,
+  CHECKED_IN,
+} = BOOTH_STATUS;
+
+// Allowed next statuses for each status
+const TRANSITIONS = {
+  [DRAFT]: [SUBMITTED, WITHDRAWN],
+  [SUBMITTED]: [UNDER_REVIEW, ACCEPTED, REJECTED, WITHDRAWN],
+  [UNDER_REVIEW]: [ACCEPTED, REJECTED, WITHDRAWN],
+  [ACCEPTED]: [CHECKED_IN, REJECTED, CANCELLED, WITHDRAWN],
+  [REJECTED]: [],
+  [WITHDRAWN]: [],
+  [CANCELLED]: [],
+  [CHECKED_IN]: [],
+};
+
+// Statuses written before the lifecycle existed
+const LEGACY_STATUS = {
+  PENDING: SUBMITTED,
+  APPROVED: ACCEPTED,
+  ACCEPT: ACCEPTED,
+  REJECT: REJECTED,
+};
+
+// Statuses still waiting for a decision
+const OPEN_STATUSES = [SUBMITTED, UNDER_REVIEW];
+
+// Statuses that occupy one of the event's booth slots
+const SLOT_STATUSES = [ACCEPTED, CHECKED_IN];
+
+// Maps any known spelling (including legacy ones) to the canonical status
+const normalizeStatus = (status) => {
+  if (!status) return null;
+  const value = String(status).trim().toUpperCase().replace(/[\s-]+/g, "_");
+  if (BOOTH_STATUS[value]) return value;
+  return LEGACY_STATUS[value] || null;
+};
+
+// Canonical statuses plus their legacy spellings, for filtering stored rows
+const withLegacyStatuses = (statuses) => [
+  ...statuses,
+  ...Object.keys(LEGACY_STATUS).filter((legacy) =>
+    statuses.includes(LEGACY_STATUS[legacy])
+  ),
+];
+
+const canTransition = (from, to) =>
+  (TRANSITIONS[normalizeStatus(from)] || []).includes(to);
+
+const isEditable = (status) =>
+  [DRAFT, SUBMITTED].includes(normalizeStatus(status));
+
+const createTransitionError = (message, status, details = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, details);
+  return error;
+};
+
+const recordStatusHistory = async ({
+  booth_id,
+  from_status,
+  to_status,
+  actor,
+  reason,
+}) => {
+  const { error } = await supabase.from("booth_status_history").insert({
+    booth_id,
+    from_status,
+    to_status,
+    actor_id: actor?.id || null,
+    actor_role: actor?.role || null,
+    reason: reason ? String(reason).trim() : null,
+  });
+
+  if (error) throw error;
+};
+
+// Moves a booth to `to`. Throws an error with `status` 409 when the
+// transition is not allowed. `changes` are extra columns written with it.
+const transitionBooth = async (
+  booth,
+  to,
+  { actor = null, reason = null, changes = {} } = {}
+) => {
+  const from = normalizeStatus(booth.is_acc);
+  const target = normalizeStatus(to);
+
+  if (!target) {
+    throw createTransitionError(`Unknown booth status: ${to}`, 400);
+  }
+  if (!canTransition(from, target)) {
+    throw createTransitionError(
+      `Cannot change booth status from ${from} to ${target}`,
+      409,
+      { allowed_transitions: TRANSITIONS[from] || [] }
+    );
+  }
+
+  const { data, error } = await supabase
+    .from("booth")
+    .update({ ...changes, is_acc: target })
+    .eq("id", booth.id)
+    .select("*")
+    .single();
+
+  if (error) throw error;
+
+  await recordStatusHistory({
+    booth_id: booth.id,
+    from_status: from,
+    to_status: target,
+    actor,
+    reason,
+  });
+
+  // Accepted booths owe the event's booth fee until they lose their slot
+  if (target === ACCEPTED) {
+    await createInvoiceForBooth(data);
+  } else if (SLOT_STATUSES.includes(from) && !SLOT_STATUSES.includes(target)) {
+    await cancelOpenInvoicesForBooth(booth.id);
+  }
+
+  await notifyBoothStatus(data, target, { reason });
+
+  return data;
+};
+
+const getStatusHistory = async (boothId) => {
+  const { data, error } = await supabase
+    .from("booth_status_history")
+    .select("*, actor:actor_id (id, first_name, last_name, email)")
+    .eq("booth_id", boothId)
+    .order("created_at", { ascending: true })
+    .order("id", { ascending: true });
+
+  if (error) throw error;
+  return data;
+};
+
+module.exports = {
+  BOOTH_STATUS,
+  TRANSITIONS,
+  OPEN_STATUSES,
+  SLOT_STATUSES,
+  normalizeStatus,
+  withLegacyStatuses,
+  canTransition,
+  isEditable,
+  createTransitionError,
+  recordStatusHistory,
+  transitionBooth,
+  getStatusHistory,
+};
@@ -0,0 +1,93 @@
+// services/event_lifecycle.js
+// What happens to an event over time: booth applications close
+// BOOTH_APPLICATIONS_CLOSE_DAYS (3 by default) before it starts, and once it
+// has ended it is marked completed and its participants are invited to rate
+// it. The scheduled jobs in services/jobs apply these transitions; the
+// helpers here also answer the same questions on demand.
+const supabase = require("../db");
+const { APPROVED_FILTER } = require("./event_review");
+const { getRaterIds } = require("./rating_eligibility");
+const { notifyUsers } = require("./notifications");
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const getCloseDays = () => {
+  const days = parseInt(process.env.BOOTH_APPLICATIONS_CLOSE_DAYS);
+  return isNaN(days) || days < 0 ? 3 : days;
+};
+
+// When an event stops taking booth applications
+const getApplicationsCloseDate = (event) =>
+  new Date(new Date(event.start_date).getTime() - getCloseDays() * DAY_MS);
+
+const areApplicationsOpen = (event, now = new Date()) =>
+  !event.booth_applications_closed_at &&
+  getApplicationsCloseDate(event) > now;
+
+// upcoming / ongoing / completed; a completed mark from the job wins
+const getEventStatus = (event, now = new Date()) => {
+  if (event.completed_at || new Date(event.end_date) < now) {
+    return "completed";
+  }
+  return new Date(event.start_date) <= now ? "ongoing" : "upcoming";
+};
+
+// Marks approved events that reached their close date as closed for
+// applications. Returns the ids of the events closed.
+const closeBoothApplications = async (now = new Date()) => {
+  const closesBefore = new Date(now.getTime() + getCloseDays() * DAY_MS);
+
+  const { data, error } = await supabase
+    .from("event")
+    .update({ booth_applications_closed_at: now.toISOString() })
+    .or(APPROVED_FILTER)
+    .is("deleted_at", null)
+    .is("booth_applications_closed_at", null)
+    .lte("start_date", closesBefore.toISOString())
+    .select("id");
+
+  if (error) throw error;
+  return data.map((event) => event.id);
+};
+
+// Marks events that have ended as completed and tells their participants
+// that ratings are open
+const completeEvents = async (now = new Date()) => {
+  const { data: events, error } = await supabase
+    .from("event")
+    .select("id, name, start_date, end_date, location")
+    .or(APPROVED_FILTER)
+    .is("deleted_at", null)
+    .is("completed_at", null)
+    .lt("end_date", now.toISOString());
+
+  if (error) throw error;
+
+  const results = [];
+  for (const event of events) {
+    const { error: updateError } = await supabase
+      .from("event")
+      .update({ completed_at: now.toISOString() })
+      .eq("id", event.id);
+
+    if (updateError) throw updateError;
+
+    const raters = await getRaterIds(event.id);
+    const sent = await notifyUsers([...raters], "rating_open", {
+      event_id: event.id,
+      event_name: event.name,
+    });
+
+    results.push({ event_id: event.id, notified: sent.length });
+  }
+
+  return results;
+};
+
+module.exports = {
+  getApplicationsCloseDate,
+  areApplicationsOpen,
+  getEventStatus,
+  closeBoothApplications,
+  completeEvents,
+};
@@ -0,0 +1,100 @@
+// services/event_notifications.js
+// Notifications about an event to the people taking part in it (accepted
+// booths and registered attendees): changes to its schedule or venue, and a
+// reminder shortly before it starts.
+const supabase = require("../db");
+const { notifyUsers } = require("./notifications");
+const { getParticipantIds } = require("./rating_eligibility");
+const { APPROVED_FILTER } = require("./event_review");
+
+// Changed fields worth telling participants about
+const NOTIFIED_FIELDS = [
+  "start_date",
+  "end_date",
+  "location",
+  "address",
+  "city",
+  "province",
+  "postal_code",
+  "price",
+];
+
+const HOUR_MS = 1000 * 60 * 60;
+
+const eventDetails = (event) => ({
+  event_id: event.id,
+  event_name: event.name,
+  start_date: event.start_date,
+  end_date: event.end_date,
+  location: event.location,
+});
+
+// Notifies participants and the organizing vendor (except whoever made the
+// edit) when `changedFields` include something they need to know
+const notifyEventUpdated = async (event, changedFields, { editorId } = {}) => {
+  const changes = changedFields.filter((field) =>
+    NOTIFIED_FIELDS.includes(field)
+  );
+  if (changes.length === 0) return [];
+
+  try {
+    const participants = await getParticipantIds(event.id);
+    const recipients = [...participants, event.vendor?.user_id].filter(
+      (userId) => userId && userId !== editorId
+    );
+
+    return notifyUsers(recipients, "event_updated", {
+      ...eventDetails(event),
+      changes,
+    });
+  } catch (error) {
+    console.error("Notify event updated error:", error);
+    return [];
+  }
+};
+
+// Reminds participants of approved events starting within the next
+// EVENT_REMINDER_HOURS (24 by default). Each event is reminded once, tracked
+// with `reminder_sent_at`.
+const sendEventReminders = async (now = new Date()) => {
+  const hours = parseInt(process.env.EVENT_REMINDER_HOURS) || 24;
+  const until = new Date(now.getTime() + hours * HOUR_MS);
+
+  const { data: events, error } = await supabase
+    .from("event")
+    .select("id, name, start_date, end_date, location")
+    .or(APPROVED_FILTER)
+    .is("deleted_at", null)
+    .is("reminder_sent_at", null)
+    .gt("start_date", now.toISOString())
+    .lte("start_date", until.toISOString());
+
+  if (error) throw error;
+
+  const results = [];
+  for (const event of events) {
+    const participants = await getParticipantIds(event.id);
+    const sent = await notifyUsers(
+      [...participants],
+      "event_reminder",
+      eventDetails(event)
+    );
+
+    const { error: updateError } = await supabase
+      .from("event")
+      .update({ reminder_sent_at: now.toISOString() })
+      .eq("id", event.id);
+
+    if (updateError) throw updateError;
+
+    results.push({
+      event_id: event.id,
+      recipients: sent.length,
+      sent: sent.filter((result) => result.sent).length,
+    });
+  }
+
+  return results;
+};
+
+module.exports = { NOTIFIED_FIELDS, notifyEventUpdated, sendEventReminders };
@@ -0,0 +1,87 @@
+// services/event_review.js
+// Event moderation. Events created by vendors wait for an admin to check the
+// uploaded permit before they are listed publicly, and go back to the queue
+// when a vendor changes any of the fields the approval was based on.
+
+const REVIEW_STATUS = {
+  PENDING: "PENDING",
+  APPROVED: "APPROVED",
+  REJECTED: "REJECTED",
+};
+
+// Fields an approval covers; changing them requires a new review
+const REVIEWED_FIELDS = [
+  "start_date",
+  "end_date",
+  "location",
+  "address",
+  "city",
+  "province",
+  "postal_code",
+  "latitude",
+  "longitude",
+  "area_id",
+  "price",
+  "permit_img",
+];
+
+// Events created before moderation existed have no review_status and count
+// as approved
+const isApproved = (event) =>
+  event.review_status == null ||
+  event.review_status === REVIEW_STATUS.APPROVED;
+
+// `.or()` filter limiting an event query to approved events, as isApproved
+const APPROVED_FILTER = `review_status.is.null,review_status.eq.${REVIEW_STATUS.APPROVED}`;
+
+// Events waiting for or failing review are only visible to admins and the
+// vendor who owns them (`event.vendor` holds the vendor's user_id)
+const canViewUnapproved = (user, event) =>
+  !!user &&
+  (user.role === "admin" || event.vendor?.user_id === user.id);
+
+// Dates are compared by instant so "2026-12-01" and an ISO timestamp of the
+// same moment don't count as a change
+const sameValue = (field, before, after) => {
+  if (before == null || after == null) return before == after;
+  if (field.endsWith("_date")) {
+    return new Date(before).getTime() === new Date(after).getTime();
+  }
+  return String(before) === String(after);
+};
+
+// Reviewed fields that `updateData` actually changes on `event`
+const getReviewedChanges = (event, updateData) =>
+  REVIEWED_FIELDS.filter(
+    (field) =>
+      updateData[field] !== undefined &&
+      !sameValue(field, event[field], updateData[field])
+  );
+
+// Review columns for a (re-)submitted event
+const pendingReview = () => ({
+  review_status: REVIEW_STATUS.PENDING,
+  review_reason: null,
+  reviewed_by: null,
+  reviewed_at: null,
+  submitted_at: new Date().toISOString(),
+});
+
+// Review columns for a decision made by `reviewerId`
+const reviewDecision = (status, reviewerId, reason = null) => ({
+  review_status: status,
+  review_reason: reason,
+  reviewed_by: reviewerId,
+  reviewed_at: new Date().toISOString(),
+});
+
+module.exports = {
+  REVIEW_STATUS,
+  REVIEWED_FIELDS,
+  APPROVED_FILTER,
+  isApproved,
+  canViewUnapproved,
+  getReviewedChanges,
+  pendingReview,
+  reviewDecision,
+};
@@ -0,0 +1,369 @@
+// services/event_search.js
+// Event search: which events match is decided by the database (`ilike` on the
+// event's text columns and on category, area and vendor names, with one typo
+// per word allowed through `_` wildcards, so "bazar" or "kulinr" still find
+// it), while relevance, distance and facet counts are worked out here on the
+// matches. Each facet counts the results with every other filter applied.
+const supabase = require("../db");
+const { hasCoordinates, distanceKm } = require("./geo");
+const { getEventStatus } = require("./event_lifecycle");
+
+// Where a query word can match, and how much a match there is worth
+const SEARCH_FIELDS = [
+  { key: "name", weight: 5, get: (event) => event.name },
+  {
+    key: "category",
+    weight: 3,
+    get: (event) => [event.event_category?.name, event.category].join(" "),
+  },
+  { key: "vendor", weight: 2, get: (event) => event.vendor?.name },
+  { key: "area", weight: 2, get: (event) => event.area?.name },
+  {
+    key: "location",
+    weight: 1,
+    get: (event) => [event.location, event.address, event.city].join(" "),
+  },
+  { key: "description", weight: 1, get: (event) => event.description },
+];
+
+// Event columns query words are matched against in the database
+const TEXT_COLUMNS = [
+  "name",
+  "category",
+  "location",
+  "address",
+  "city",
+  "description",
+];
+
+// Related names query words are matched against: table -> event column
+const RELATED_NAMES = [
+  { table: "event_category", column: "event_category_id" },
+  { table: "area", column: "area_id" },
+  { table: "vendor", column: "vendor_id" },
+];
+
+// Only the first words of a long query are matched
+const MAX_QUERY_WORDS = 5;
+
+// Price buckets in rupiah; `max` is inclusive
+const PRICE_BUCKETS = [
+  { key: "free", min: 0, max: 0 },
+  { key: "under_50k", min: 1, max: 50000 },
+  { key: "50k_100k", min: 50001, max: 100000 },
+  { key: "100k_250k", min: 100001, max: 250000 },
+  { key: "over_250k", min: 250001, max: Infinity },
+];
+
+const EVENT_STATUSES = ["upcoming", "ongoing", "completed"];
+
+const normalizeText = (text) =>
+  (text || "")
+    .toString()
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+const tokenize = (text) => normalizeText(text).split(" ").filter(Boolean);
+
+// Edit distance, giving up once it exceeds `max`
+const levenshtein = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos allowed for a query word of this length
+const allowedTypos = (length) => (length <= 3 ? 0 : 1);
+
+// `ilike` patterns for a query word: the word itself and, for longer words,
+// every spelling one letter off (`_` stands for any one character)
+const wordPatterns = (word) => {
+  const patterns = new Set([word]);
+  if (allowedTypos(word.length) === 0) return [...patterns];
+
+  for (let i = 0; i < word.length; i++) {
+    patterns.add(`${word.slice(0, i)}_${word.slice(i + 1)}`);
+    patterns.add(`${word.slice(0, i)}${word.slice(i + 1)}`);
+    if (i > 0) patterns.add(`${word.slice(0, i)}_${word.slice(i)}`);
+  }
+  return [...patterns];
+};
+
+const anyNameMatches = (patterns) =>
+  patterns.map((pattern) => `name.ilike.%${pattern}%`).join(",");
+
+// One PostgREST `or` filter per query word: the word (or a spelling one typo
+// off) appears in a text column or in the name of the event's category, area
+// or vendor. Apply each with `.or()` so every word has to match.
+const buildTextFilters = async (query) => {
+  const words = tokenize(query).slice(0, MAX_QUERY_WORDS);
+  const filters = [];
+
+  for (const word of words) {
+    const patterns = wordPatterns(word);
+    const conditions = TEXT_COLUMNS.flatMap((column) =>
+      patterns.map((pattern) => `${column}.ilike.%${pattern}%`)
+    );
+
+    for (const related of RELATED_NAMES) {
+      const { data, error } = await supabase
+        .from(related.table)
+        .select("id")
+        .is("deleted_at", null)
+        .or(anyNameMatches(patterns));
+      if (error) throw error;
+      if (data.length > 0) {
+        conditions.push(
+          `${related.column}.in.(${data.map((row) => row.id).join(",")})`
+        );
+      }
+    }
+
+    filters.push(conditions.join(","));
+  }
+  return filters;
+};
+
+// How well one query word matches a field (0 = no match here)
+const matchQuality = (queryWord, field) => {
+  let best = 0;
+  const maxTypos = allowedTypos(queryWord.length);
+
+  for (const word of field.words) {
+    if (word === queryWord) return 1;
+    if (word.startsWith(queryWord)) {
+      best = Math.max(best, 0.8);
+    } else if (
+      maxTypos > 0 &&
+      levenshtein(queryWord, word, maxTypos) <= maxTypos
+    ) {
+      best = Math.max(best, 0.6);
+    }
+  }
+  if (best === 0 && field.text.includes(queryWord)) best = 0.5;
+  return best;
+};
+
+// Relevance of an event for the query words; words the database matched
+// some other way (e.g. a typo inside a longer word) add nothing
+const scoreEvent = (event, queryWords, phrase) => {
+  const fields = SEARCH_FIELDS.map((field) => ({
+    ...field,
+    text: normalizeText(field.get(event)),
+  })).map((field) => ({ ...field, words: field.text.split(" ") }));
+
+  let score = 0;
+  const matchedFields = new Set();
+
+  for (const queryWord of queryWords) {
+    let best = 0;
+    let bestField = null;
+    for (const field of fields) {
+      const quality = matchQuality(queryWord, field) * field.weight;
+      if (quality > best) {
+        best = quality;
+        bestField = field.key;
+      }
+    }
+    if (best === 0) continue;
+    score += best;
+    matchedFields.add(bestField);
+  }
+
+  // The whole query appearing as typed in the name ranks first
+  const name = fields.find((field) => field.key === "name");
+  if (queryWords.length > 1 && name.text.includes(phrase)) {
+    score += 5;
+  }
+
+  return {
+    score: parseFloat(score.toFixed(2)),
+    matchedFields: [...matchedFields],
+  };
+};
+
+const getPriceBucket = (price) =>
+  PRICE_BUCKETS.find(
+    (bucket) => (price || 0) >= bucket.min && (price || 0) <= bucket.max
+  )?.key;
+
+// Facet dimensions: how to read an event's value and how to label it
+const FACETS = {
+  category: {
+    value: (event) => event.event_category_id,
+    label: (event) => event.event_category?.name || null,
+  },
+  area: {
+    value: (event) => event.area_id,
+    label: (event) => event.area?.name || null,
+  },
+  price: { value: (event) => getPriceBucket(event.price) },
+  status: { value: (event) => getEventStatus(event) },
+};
+
+const priceCondition = (bucket) => {
+  if (bucket.max === 0) return "price.is.null,price.eq.0";
+  if (bucket.max === Infinity) return `price.gte.${bucket.min}`;
+  return `and(price.gte.${bucket.min},price.lte.${bucket.max})`;
+};
+
+const statusCondition = (status, now) => {
+  const open = `completed_at.is.null,end_date.gte.${now}`;
+  if (status === "upcoming") return `and(${open},start_date.gt.${now})`;
+  if (status === "ongoing") return `and(${open},start_date.lte.${now})`;
+  return `completed_at.not.is.null,end_date.lt.${now}`;
+};
+
+const isId = (value) => /^\d+$/.test(value);
+
+// Applies the facet `filters` (as for `matchesFacets`) to an event query.
+// Unknown values match nothing.
+const applyFacetFilters = (query, filters, now = new Date()) => {
+  const { category, area, price, status } = filters;
+
+  if (category?.length) {
+    query = query.in("event_category_id", category.filter(isId));
+  }
+  if (area?.length) {
+    query = query.in("area_id", area.filter(isId));
+  }
+  if (price?.length) {
+    const buckets = PRICE_BUCKETS.filter((b) => price.includes(b.key));
+    query =
+      buckets.length > 0
+        ? query.or(buckets.map(priceCondition).join(","))
+        : query.in("id", []);
+  }
+  if (status?.length) {
+    const statuses = EVENT_STATUSES.filter((s) => status.includes(s));
+    query =
+      statuses.length > 0
+        ? query.or(
+            statuses
+              .map((s) => statusCondition(s, now.toISOString()))
+              .join(",")
+          )
+        : query.in("id", []);
+  }
+  return query;
+};
+
+// `filters` maps a facet name to the accepted values (strings), if any
+const matchesFacets = (event, filters, skip = null) =>
+  Object.entries(filters).every(
+    ([name, values]) =>
+      name === skip ||
+      !values ||
+      values.length === 0 ||
+      values.includes(String(FACETS[name].value(event)))
+  );
+
+// Counts per facet value; each facet ignores its own filter so the frontend
+// can show how many results picking another value would give
+const buildFacets = (events, filters) => {
+  const facets = {};
+
+  for (const [name, facet] of Object.entries(FACETS)) {
+    const counts = new Map();
+    events
+      .filter((event) => matchesFacets(event, filters, name))
+      .forEach((event) => {
+        const value = facet.value(event);
+        if (value === null || value === undefined) return;
+        const entry = counts.get(value) || {
+          value,
+          label: facet.label ? facet.label(event) : value,
+          count: 0,
+        };
+        entry.count++;
+        counts.set(value, entry);
+      });
+    facets[name] = [...counts.values()].sort((a, b) => b.count - a.count);
+  }
+
+  // Keep every price bucket and status so the filter list doesn't jump around
+  facets.price = PRICE_BUCKETS.map((bucket) => ({
+    value: bucket.key,
+    label: bucket.key,
+    min: bucket.min,
+    max: bucket.max === Infinity ? null : bucket.max,
+    count:
+      facets.price.find((entry) => entry.value === bucket.key)?.count || 0,
+  }));
+  facets.status = EVENT_STATUSES.map((status) => ({
+    value: status,
+    label: status,
+    count: facets.status.find((entry) => entry.value === status)?.count || 0,
+  }));
+
+  return facets;
+};
+
+// Ranks `events` (already matched by the database) for `query` and optional
+// `near` = { latitude, longitude, radius_km }, dropping events outside the
+// radius. Returns them with `relevance`, `matched_fields`, `distance_km` and
+// `status` added.
+const rankEvents = (events, { query, near }) => {
+  const queryWords = tokenize(query).slice(0, MAX_QUERY_WORDS);
+  const phrase = queryWords.join(" ");
+
+  return events.reduce((results, event) => {
+    let relevance = 0;
+    let matchedFields = [];
+
+    if (queryWords.length > 0) {
+      const match = scoreEvent(event, queryWords, phrase);
+      relevance = match.score;
+      matchedFields = match.matchedFields;
+    }
+
+    let distance = null;
+    if (near) {
+      if (!hasCoordinates(event)) return results;
+      distance = distanceKm(near, event);
+      if (distance > near.radius_km) return results;
+    }
+
+    results.push({
+      ...event,
+      relevance,
+      matched_fields: matchedFields,
+      distance_km: distance === null ? null : parseFloat(distance.toFixed(2)),
+      status: getEventStatus(event),
+    });
+    return results;
+  }, []);
+};
+
+module.exports = {
+  PRICE_BUCKETS,
+  EVENT_STATUSES,
+  FACETS,
+  normalizeText,
+  tokenize,
+  wordPatterns,
+  buildTextFilters,
+  applyFacetFilters,
+  rankEvents,
+  matchesFacets,
+  buildFacets,
+};
@@ -0,0 +1,315 @@
+// services/gallery.js
+// Ordered image galleries for events, vendors and rental products. Each owner
+// type has its own table (`event_media`, ...) holding the image and its sizes
+// (see services/media.js), an optional caption, its `position` and whether it
+// is the cover. The first image added becomes the cover; when the cover is
+// removed the next image takes over.
+const supabase = require("../db");
+const {
+  uploadImage,
+  deleteUpload,
+  deleteImage,
+  withThumbnail,
+} = require("./media");
+const { isApproved, canViewUnapproved } = require("./event_review");
+
+const GALLERY_MAX_IMAGES = 20;
+const CAPTION_MAX_LENGTH = 200;
+
+// Owner type -> where its rows and files live. `select` is what
+// `isVisible(user, owner)` needs; owners without it are public.
+const GALLERIES = {
+  event: {
+    label: "Event",
+    table: "event",
+    mediaTable: "event_media",
+    ownerColumn: "event_id",
+    bucket: "events",
+    folder: "events/gallery",
+    select: "id, review_status, vendor:vendor_id (id, user_id)",
+    isVisible: (user, event) =>
+      isApproved(event) || canViewUnapproved(user, event),
+  },
+  vendor: {
+    label: "Vendor",
+    table: "vendor",
+    mediaTable: "vendor_media",
+    ownerColumn: "vendor_id",
+    bucket: "vendors",
+    folder: "vendors/gallery",
+    select: "id",
+  },
+  rental_product: {
+    label: "Rental product",
+    table: "rental_products",
+    mediaTable: "rental_product_media",
+    ownerColumn: "rental_product_id",
+    bucket: "rental-products",
+    folder: "rental-products/gallery",
+    select: "id",
+  },
+};
+
+const createGalleryError = (message, status, details = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, details);
+  return error;
+};
+
+const getGalleryConfig = (type) => {
+  const config = GALLERIES[type];
+  if (!config) {
+    throw new Error(`Unknown gallery type: ${type}`);
+  }
+  return config;
+};
+
+const validateCaption = (caption) => {
+  if (caption === undefined || caption === null || caption === "") {
+    return null;
+  }
+  if (typeof caption !== "string" || caption.length > CAPTION_MAX_LENGTH) {
+    throw createGalleryError(
+      `caption must be text of at most ${CAPTION_MAX_LENGTH} characters`,
+      400
+    );
+  }
+  return caption.trim();
+};
+
+// The owner row when it exists, is not in the trash and `user` may see it,
+// otherwise null
+const getOwner = async (type, ownerId, user = null) => {
+  const config = getGalleryConfig(type);
+
+  const { data, error } = await supabase
+    .from(config.table)
+    .select(config.select)
+    .eq("id", ownerId)
+    .is("deleted_at", null)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data || (config.isVisible && !config.isVisible(user, data))) {
+    return null;
+  }
+  return data;
+};
+
+// Gallery of an owner in display order, each image with its `thumbnail`
+const getGallery = async (type, ownerId) => {
+  const config = getGalleryConfig(type);
+
+  const { data, error } = await supabase
+    .from(config.mediaTable)
+    .select("*")
+    .eq(config.ownerColumn, ownerId)
+    .order("position", { ascending: true });
+
+  if (error) throw error;
+  return data.map((image) => withThumbnail(image, "image"));
+};
+
+const findImage = async (type, ownerId, mediaId) => {
+  const config = getGalleryConfig(type);
+
+  const { data, error } = await supabase
+    .from(config.mediaTable)
+    .select("*")
+    .eq("id", mediaId)
+    .eq(config.ownerColumn, ownerId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw createGalleryError("Image not found", 404);
+  return data;
+};
+
+// Writes `position` 0..n-1 in the order of the stored `images` and makes
+// `coverId` (by default the current cover, else the first image) the only
+// cover
+const saveOrder = async (type, images, coverId = null) => {
+  const config = getGalleryConfig(type);
+  if (!coverId) {
+    coverId = (images.find((image) => image.is_cover) || images[0])?.id;
+  }
+
+  for (const [position, image] of images.entries()) {
+    const isCover = image.id === coverId;
+    if (image.position === position && !!image.is_cover === isCover) {
+      continue;
+    }
+
+    const { error } = await supabase
+      .from(config.mediaTable)
+      .update({ position, is_cover: isCover })
+      .eq("id", image.id);
+
+    if (error) throw error;
+  }
+};
+
+// Uploads `files` to the end of the gallery. `captions[i]` goes with
+// `files[i]`. Resolves to the whole gallery.
+const addImages = async (
+  type,
+  ownerId,
+  files,
+  { captions = [], userId = null } = {}
+) => {
+  const config = getGalleryConfig(type);
+  const gallery = await getGallery(type, ownerId);
+
+  if (gallery.length + files.length > GALLERY_MAX_IMAGES) {
+    throw createGalleryError(
+      `A gallery holds at most ${GALLERY_MAX_IMAGES} images`,
+      400,
+      { current_count: gallery.length }
+    );
+  }
+
+  const rowCaptions = files.map((file, index) =>
+    validateCaption(captions[index])
+  );
+
+  const uploads = [];
+  const cleanUp = async () => {
+    for (const upload of uploads) {
+      await deleteUpload(config.bucket, upload);
+    }
+  };
+
+  for (const file of files) {
+    const upload = await uploadImage(
+      file,
+      config.bucket,
+      `${config.folder}/${ownerId}`
+    );
+    if (!upload.success) {
+      await cleanUp();
+      throw createGalleryError("Failed to upload image", 500, {
+        details: upload.error,
+      });
+    }
+    uploads.push(upload);
+  }
+
+  const now = new Date().toISOString();
+  const { error } = await supabase.from(config.mediaTable).insert(
+    uploads.map((upload, index) => ({
+      [config.ownerColumn]: ownerId,
+      image: upload.publicUrl,
+      image_sizes: upload.sizes,
+      caption: rowCaptions[index],
+      position: gallery.length + index,
+      is_cover: gallery.length === 0 && index === 0,
+      uploaded_by: userId,
+      created_at: now,
+    }))
+  );
+
+  if (error) {
+    await cleanUp();
+    throw error;
+  }
+
+  return getGallery(type, ownerId);
+};
+
+// Changes the caption of an image and/or makes it the cover
+const updateImage = async (type, ownerId, mediaId, { caption, is_cover }) => {
+  const config = getGalleryConfig(type);
+  const image = await findImage(type, ownerId, mediaId);
+
+  if (caption !== undefined) {
+    const { error } = await supabase
+      .from(config.mediaTable)
+      .update({ caption: validateCaption(caption) })
+      .eq("id", image.id);
+
+    if (error) throw error;
+  }
+
+  // The cover can only be moved, not unset: another image has to become it
+  if (is_cover === true || is_cover === "true") {
+    const gallery = await getGallery(type, ownerId);
+    await saveOrder(type, gallery, image.id);
+  }
+
+  return findImage(type, ownerId, mediaId);
+};
+
+// Puts the gallery in the order of `ids`, which must list every image once
+const reorderGallery = async (type, ownerId, ids) => {
+  const gallery = await getGallery(type, ownerId);
+  const order = Array.isArray(ids) ? ids.map((id) => String(id)) : [];
+  const current = gallery.map((image) => String(image.id));
+
+  if (
+    order.length !== current.length ||
+    new Set(order).size !== order.length ||
+    !current.every((id) => order.includes(id))
+  ) {
+    throw createGalleryError(
+      "ids must list every image of the gallery exactly once",
+      400,
+      { current_ids: gallery.map((image) => image.id) }
+    );
+  }
+
+  const byId = new Map(gallery.map((image) => [String(image.id), image]));
+  await saveOrder(type, order.map((id) => byId.get(id)));
+
+  return getGallery(type, ownerId);
+};
+
+// Removes one image and its files. Resolves to the remaining gallery.
+const removeImage = async (type, ownerId, mediaId) => {
+  const config = getGalleryConfig(type);
+  const image = await findImage(type, ownerId, mediaId);
+
+  const { error } = await supabase
+    .from(config.mediaTable)
+    .delete()
+    .eq("id", image.id);
+
+  if (error) throw error;
+
+  await deleteImage(config.bucket, image.image, image.image_sizes);
+
+  const gallery = await getGallery(type, ownerId);
+  await saveOrder(type, gallery);
+  return getGallery(type, ownerId);
+};
+
+// Removes a whole gallery with its files, before its owner is deleted.
+// Resolves to the number of images removed.
+const deleteGallery = async (type, ownerId) => {
+  const config = getGalleryConfig(type);
+
+  const { data, error } = await supabase
+    .from(config.mediaTable)
+    .delete()
+    .eq(config.ownerColumn, ownerId)
+    .select("*");
+
+  if (error) throw error;
+
+  for (const image of data) {
+    await deleteImage(config.bucket, image.image, image.image_sizes);
+  }
+  return data.length;
+};
+
+module.exports = {
+  GALLERIES,
+  GALLERY_MAX_IMAGES,
+  getOwner,
+  getGallery,
+  addImages,
+  updateImage,
+  reorderGallery,
+  removeImage,
+  deleteGallery,
+};
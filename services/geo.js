@@ -0,0 +1,154 @@
+// services/geo.js
+// Coordinate and address helpers. Coordinates are stored as plain
+// `latitude`/`longitude` numbers (WGS84 degrees) so they work the same on
+// Supabase and locally.
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Validates a latitude/longitude pair from a request. Both must be given, or
+// neither (`{ valid: true, latitude: null, longitude: null }`).
+const parseCoordinates = (latitude, longitude) => {
+  const hasLat = latitude !== undefined && latitude !== null && latitude !== "";
+  const hasLng =
+    longitude !== undefined && longitude !== null && longitude !== "";
+
+  if (!hasLat && !hasLng) {
+    return { valid: true, latitude: null, longitude: null };
+  }
+
+  if (hasLat !== hasLng) {
+    return {
+      valid: false,
+      message: "Latitude and longitude must be provided together",
+    };
+  }
+
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+
+  if (isNaN(lat) || lat < -90 || lat > 90) {
+    return { valid: false, message: "Latitude must be between -90 and 90" };
+  }
+  if (isNaN(lng) || lng < -180 || lng > 180) {
+    return { valid: false, message: "Longitude must be between -180 and 180" };
+  }
+
+  return { valid: true, latitude: lat, longitude: lng };
+};
+
+const hasCoordinates = (row) =>
+  row.latitude !== null &&
+  row.latitude !== undefined &&
+  row.longitude !== null &&
+  row.longitude !== undefined;
+
+// Structured address columns shared by events, vendors and rental products
+const ADDRESS_FIELDS = ["address", "city", "province", "postal_code"];
+
+// Reads the address columns and coordinates from a request body. With
+// `partial` only the fields present in the body are returned (for updates).
+const parseLocationFields = (body, { partial = false } = {}) => {
+  const data = {};
+
+  ADDRESS_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      const value = body[field] === null ? "" : body[field].toString().trim();
+      data[field] = value || null;
+    } else if (!partial) {
+      data[field] = null;
+    }
+  });
+
+  if (!partial || body.latitude !== undefined || body.longitude !== undefined) {
+    const coordinates = parseCoordinates(body.latitude, body.longitude);
+    if (!coordinates.valid) {
+      return { valid: false, message: coordinates.message };
+    }
+    data.latitude = coordinates.latitude;
+    data.longitude = coordinates.longitude;
+  }
+
+  return { valid: true, data };
+};
+
+// Map bounds as "minLng,minLat,maxLng,maxLat" (GeoJSON bbox order)
+const parseBbox = (bbox) => {
+  const parts = bbox.toString().split(",").map(parseFloat);
+  if (parts.length !== 4 || parts.some(isNaN)) {
+    return {
+      valid: false,
+      message: "bbox must be minLng,minLat,maxLng,maxLat",
+    };
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLat > maxLat || minLng > maxLng) {
+    return {
+      valid: false,
+      message: "bbox minimums must not exceed its maximums",
+    };
+  }
+
+  return { valid: true, bounds: { minLng, minLat, maxLng, maxLat } };
+};
+
+// Limits an event/vendor query to rows inside `bounds` (from parseBbox)
+const withinBounds = (query, bounds) =>
+  bounds
+    ? query
+        .gte("latitude", bounds.minLat)
+        .lte("latitude", bounds.maxLat)
+        .gte("longitude", bounds.minLng)
+        .lte("longitude", bounds.maxLng)
+    : query;
+
+// Smallest bounds holding every point within `radiusKm` of `origin`, to
+// narrow a radius search down in the database before measuring distances
+const boundsAround = (origin, radiusKm) => {
+  const latDelta = (radiusKm / EARTH_RADIUS_KM) * (180 / Math.PI);
+  const lngDelta =
+    latDelta / Math.max(Math.cos(toRadians(origin.latitude)), 0.01);
+
+  return {
+    minLat: origin.latitude - latDelta,
+    maxLat: origin.latitude + latDelta,
+    minLng: origin.longitude - lngDelta,
+    maxLng: origin.longitude + lngDelta,
+  };
+};
+
+// Great-circle (haversine) distance in kilometres
+const distanceKm = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) *
+      Math.cos(toRadians(to.latitude)) *
+      Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Adds `distance_km` from `origin` to each row (null without coordinates)
+const withDistance = (rows, origin) =>
+  rows.map((row) => ({
+    ...row,
+    distance_km: hasCoordinates(row)
+      ? parseFloat(distanceKm(origin, row).toFixed(2))
+      : null,
+  }));
+
+module.exports = {
+  ADDRESS_FIELDS,
+  parseCoordinates,
+  parseLocationFields,
+  parseBbox,
+  withinBounds,
+  boundsAround,
+  hasCoordinates,
+  distanceKm,
+  withDistance,
+};
@@ -0,0 +1,50 @@
+// services/inbox.js
+// In-app notifications. Every notification sent through `notify` is stored
+// here in the recipient's locale and pushed to their open event streams.
+const supabase = require("../db");
+const { renderInbox } = require("./notification_templates");
+const { publish, isConnected } = require("./notification_stream");
+
+const getUnreadCount = async (userId) => {
+  const { count, error } = await supabase
+    .from("notification")
+    .select("id", { count: "exact", head: true })
+    .eq("user_id", userId)
+    .is("read_at", null);
+
+  if (error) throw error;
+  return count || 0;
+};
+
+// Tells the user's open streams how many notifications are unread
+const publishUnreadCount = async (userId) => {
+  if (!isConnected(userId)) return;
+  publish(userId, "unread_count", { count: await getUnreadCount(userId) });
+};
+
+// Stores a notification for `userId` and pushes it to their streams.
+// `data` keeps the ids the app needs to link it (event_id, booth_id, ...).
+const addToInbox = async (userId, type, locale, data = {}) => {
+  const { title, body } = renderInbox(type, locale, data);
+
+  const { data: notification, error } = await supabase
+    .from("notification")
+    .insert({
+      user_id: userId,
+      type,
+      title,
+      body,
+      data,
+      read_at: null,
+    })
+    .select("*")
+    .single();
+
+  if (error) throw error;
+
+  publish(userId, "notification", notification);
+  await publishUnreadCount(userId);
+  return notification;
+};
+
+module.exports = { getUnreadCount, publishUnreadCount, addToInbox };
@@ -0,0 +1,200 @@
+// services/invoice.js
+// Booth fee invoices. An invoice is issued when a booth is accepted, for the
+// event's `price`, and is settled by a confirmed payment (manual transfer or
+// payment gateway).
+const supabase = require("../db");
+
+const INVOICE_STATUS = {
+  UNPAID: "UNPAID",
+  PAID: "PAID",
+  OVERDUE: "OVERDUE",
+  REFUNDED: "REFUNDED",
+  CANCELLED: "CANCELLED",
+};
+
+const PAYMENT_STATUS = {
+  PENDING: "PENDING",
+  CONFIRMED: "CONFIRMED",
+  REJECTED: "REJECTED",
+  FAILED: "FAILED",
+  REFUNDED: "REFUNDED",
+};
+
+const PAYMENT_METHOD = {
+  MANUAL_TRANSFER: "MANUAL_TRANSFER",
+  GATEWAY: "GATEWAY",
+};
+
+// Invoices that still expect a payment
+const OPEN_INVOICE_STATUSES = [INVOICE_STATUS.UNPAID, INVOICE_STATUS.OVERDUE];
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const toDateString = (date) => date.toISOString().split("T")[0];
+
+// Due in INVOICE_DUE_DAYS (7 by default), but never after the event starts
+const calculateDueDate = (event, now = new Date()) => {
+  const dueDays = parseInt(process.env.INVOICE_DUE_DAYS) || 7;
+  const dueDate = new Date(now.getTime() + dueDays * DAY_MS);
+  const eventStart = new Date(event.start_date);
+
+  if (!isNaN(eventStart.getTime()) && eventStart < dueDate) {
+    return toDateString(eventStart > now ? eventStart : now);
+  }
+  return toDateString(dueDate);
+};
+
+const generateInvoiceNumber = (booth) =>
+  `INV-${toDateString(new Date()).replace(/-/g, "")}-${booth.event_id}-${
+    booth.id
+  }`;
+
+// Issues the booth fee invoice, unless the booth already has one or the event
+// is free
+const createInvoiceForBooth = async (booth) => {
+  // Older data may hold more than one, any of them will do
+  const { data: existing, error: existingError } = await supabase
+    .from("invoice")
+    .select("*")
+    .eq("booth_id", booth.id)
+    .in("status", [...OPEN_INVOICE_STATUSES, INVOICE_STATUS.PAID])
+    .order("id", { ascending: true })
+    .limit(1);
+
+  if (existingError) throw existingError;
+  if (existing.length > 0) return existing[0];
+
+  const { data: event, error: eventError } = await supabase
+    .from("event")
+    .select("id, name, price, start_date")
+    .eq("id", booth.event_id)
+    .single();
+
+  if (eventError) throw eventError;
+
+  const amount = parseInt(event.price) || 0;
+  if (amount <= 0) return null;
+
+  const { data, error } = await supabase
+    .from("invoice")
+    .insert({
+      invoice_number: generateInvoiceNumber(booth),
+      booth_id: booth.id,
+      event_id: booth.event_id,
+      user_id: booth.user_id || null,
+      amount,
+      due_date: calculateDueDate(event),
+      status: INVOICE_STATUS.UNPAID,
+    })
+    .select("*")
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+// Voids unpaid invoices of a booth that no longer holds its slot
+const cancelOpenInvoicesForBooth = async (boothId) => {
+  const { data, error } = await supabase
+    .from("invoice")
+    .update({ status: INVOICE_STATUS.CANCELLED })
+    .eq("booth_id", boothId)
+    .in("status", OPEN_INVOICE_STATUSES)
+    .select("*");
+
+  if (error) throw error;
+  return data;
+};
+
+// Unlinks the invoices of a booth that is being deleted so they (and their
+// payments) stay on record
+const detachInvoicesFromBooth = async (boothId) => {
+  const { error } = await supabase
+    .from("invoice")
+    .update({ booth_id: null })
+    .eq("booth_id", boothId);
+
+  if (error) throw error;
+};
+
+const markOverdueInvoices = async (now = new Date()) => {
+  const { data, error } = await supabase
+    .from("invoice")
+    .update({ status: INVOICE_STATUS.OVERDUE })
+    .eq("status", INVOICE_STATUS.UNPAID)
+    .lt("due_date", toDateString(now))
+    .select("id");
+
+  if (error) throw error;
+  return data;
+};
+
+// Confirms a payment and settles its invoice
+const settlePayment = async (payment, { confirmed_by = null } = {}) => {
+  const now = new Date().toISOString();
+
+  const { data: confirmedPayment, error: paymentError } = await supabase
+    .from("payment")
+    .update({
+      status: PAYMENT_STATUS.CONFIRMED,
+      confirmed_by,
+      confirmed_at: now,
+    })
+    .eq("id", payment.id)
+    .select("*")
+    .single();
+
+  if (paymentError) throw paymentError;
+
+  const { data: invoice, error: invoiceError } = await supabase
+    .from("invoice")
+    .update({ status: INVOICE_STATUS.PAID, paid_at: now })
+    .eq("id", payment.invoice_id)
+    .select("*")
+    .single();
+
+  if (invoiceError) throw invoiceError;
+
+  return { payment: confirmedPayment, invoice };
+};
+
+// Collected, refunded and outstanding amounts from actual invoices
+const getRevenueSummary = async ({ eventIds } = {}) => {
+  let query = supabase.from("invoice").select("event_id, amount, status");
+
+  if (eventIds) {
+    query = query.in("event_id", eventIds);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const sumBy = (statuses) =>
+    data
+      .filter((invoice) => statuses.includes(invoice.status))
+      .reduce((sum, invoice) => sum + (Number(invoice.amount) || 0), 0);
+
+  const collected = sumBy([INVOICE_STATUS.PAID]);
+  const refunded = sumBy([INVOICE_STATUS.REFUNDED]);
+
+  return {
+    collected,
+    refunded,
+    outstanding: sumBy(OPEN_INVOICE_STATUSES),
+    overdue: sumBy([INVOICE_STATUS.OVERDUE]),
+    paid_invoices: data.filter((i) => i.status === INVOICE_STATUS.PAID).length,
+  };
+};
+
+module.exports = {
+  INVOICE_STATUS,
+  PAYMENT_STATUS,
+  PAYMENT_METHOD,
+  OPEN_INVOICE_STATUSES,
+  createInvoiceForBooth,
+  cancelOpenInvoicesForBooth,
+  detachInvoicesFromBooth,
+  markOverdueInvoices,
+  settlePayment,
+  getRevenueSummary,
+};
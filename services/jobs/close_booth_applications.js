@@ -0,0 +1,13 @@
+// services/jobs/close_booth_applications.js
+const { closeBoothApplications } = require("../event_lifecycle");
+
+module.exports = {
+  name: "close_booth_applications",
+  description:
+    "Stops booth applications BOOTH_APPLICATIONS_CLOSE_DAYS before an event starts",
+  intervalMinutes: 60,
+  run: async (now) => {
+    const eventIds = await closeBoothApplications(now);
+    return { closed: eventIds.length, event_ids: eventIds };
+  },
+};
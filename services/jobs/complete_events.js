@@ -0,0 +1,12 @@
+// services/jobs/complete_events.js
+const { completeEvents } = require("../event_lifecycle");
+
+module.exports = {
+  name: "complete_events",
+  description: "Marks ended events completed and opens their ratings",
+  intervalMinutes: 60,
+  run: async (now) => {
+    const events = await completeEvents(now);
+    return { completed: events.length, events };
+  },
+};
@@ -0,0 +1,12 @@
+// services/jobs/event_reminders.js
+const { sendEventReminders } = require("../event_notifications");
+
+module.exports = {
+  name: "event_reminders",
+  description: "Reminds participants of events starting within a day",
+  intervalMinutes: 60,
+  run: async (now) => {
+    const events = await sendEventReminders(now);
+    return { reminded: events.length, events };
+  },
+};
@@ -0,0 +1,15 @@
+// services/jobs/expire_invoices.js
+const { markOverdueInvoices } = require("../invoice");
+
+module.exports = {
+  name: "expire_invoices",
+  description: "Marks unpaid booth invoices past their due date overdue",
+  intervalMinutes: 60,
+  run: async (now) => {
+    const invoices = await markOverdueInvoices(now);
+    return {
+      overdue: invoices.length,
+      invoice_ids: invoices.map((invoice) => invoice.id),
+    };
+  },
+};
@@ -0,0 +1,170 @@
+// services/jobs/index.js
+// Scheduled jobs are plain modules implementing:
+//   name
+//   description
+//   intervalMinutes - how often the scheduler runs it
+//   run(now) -> summary of what it did (stored with the run)
+// Every run is recorded in `job_run`. The scheduler runs in-process when
+// JOBS_ENABLED=true, or standalone with `npm run jobs` (scripts/run_jobs.js).
+// Jobs are idempotent, so an extra run (or two schedulers) does no harm.
+const supabase = require("../../db");
+const closeBoothApplications = require("./close_booth_applications");
+const eventReminders = require("./event_reminders");
+const completeEvents = require("./complete_events");
+const expireInvoices = require("./expire_invoices");
+const purgeOrphanedFiles = require("./purge_orphaned_files");
+const purgeTrash = require("./purge_trash");
+
+const JOB_RUN_STATUS = {
+  RUNNING: "RUNNING",
+  SUCCEEDED: "SUCCEEDED",
+  FAILED: "FAILED",
+};
+
+const jobs = {
+  [closeBoothApplications.name]: closeBoothApplications,
+  [eventReminders.name]: eventReminders,
+  [completeEvents.name]: completeEvents,
+  [expireInvoices.name]: expireInvoices,
+  [purgeOrphanedFiles.name]: purgeOrphanedFiles,
+  [purgeTrash.name]: purgeTrash,
+};
+
+// Jobs listed in JOBS_DISABLED (comma separated) are never scheduled
+const getDisabledJobs = () =>
+  (process.env.JOBS_DISABLED || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+const getJob = (name) => {
+  const job = jobs[name];
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+  return job;
+};
+
+// Runs one job now and records the run (`triggeredBy` is the admin who asked
+// for it, null for the scheduler). Resolves to the `job_run` row; a failing
+// job is recorded as FAILED rather than thrown.
+const runJob = async (name, { now = new Date(), triggeredBy = null } = {}) => {
+  const job = getJob(name);
+
+  const { data: run, error } = await supabase
+    .from("job_run")
+    .insert({
+      job: job.name,
+      status: JOB_RUN_STATUS.RUNNING,
+      started_at: new Date().toISOString(),
+      triggered_by: triggeredBy,
+    })
+    .select("*")
+    .single();
+
+  if (error) throw error;
+
+  let outcome;
+  try {
+    const result = await job.run(now);
+    outcome = { status: JOB_RUN_STATUS.SUCCEEDED, result, error: null };
+  } catch (jobError) {
+    console.error(`Job ${job.name} failed:`, jobError);
+    outcome = {
+      status: JOB_RUN_STATUS.FAILED,
+      result: null,
+      error: jobError.message,
+    };
+  }
+
+  const { data, error: updateError } = await supabase
+    .from("job_run")
+    .update({ ...outcome, finished_at: new Date().toISOString() })
+    .eq("id", run.id)
+    .select("*")
+    .single();
+
+  if (updateError) throw updateError;
+  return data;
+};
+
+const getLastRun = async (name) => {
+  const { data, error } = await supabase
+    .from("job_run")
+    .select("*")
+    .eq("job", name)
+    .order("started_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Every job with its schedule and latest run
+const listJobs = async () => {
+  const disabled = getDisabledJobs();
+
+  return Promise.all(
+    Object.values(jobs).map(async (job) => ({
+      name: job.name,
+      description: job.description,
+      interval_minutes: job.intervalMinutes,
+      enabled: !disabled.includes(job.name),
+      last_run: await getLastRun(job.name),
+    }))
+  );
+};
+
+// job name -> interval timer while the scheduler runs
+const timers = new Map();
+const running = new Set();
+
+// Runs a scheduled job unless its previous run is still going
+const tick = async (name) => {
+  if (running.has(name)) return;
+  running.add(name);
+  try {
+    await runJob(name);
+  } catch (error) {
+    console.error(`Scheduled job ${name} error:`, error);
+  } finally {
+    running.delete(name);
+  }
+};
+
+// Starts every enabled job on its interval, running each once right away.
+// In-process timers are unref'd so they never keep the server alive.
+const startScheduler = ({ runImmediately = true, unref = true } = {}) => {
+  const disabled = getDisabledJobs();
+
+  Object.values(jobs)
+    .filter((job) => !disabled.includes(job.name) && !timers.has(job.name))
+    .forEach((job) => {
+      const timer = setInterval(
+        () => tick(job.name),
+        job.intervalMinutes * 60 * 1000
+      );
+      if (unref) timer.unref();
+      timers.set(job.name, timer);
+      if (runImmediately) tick(job.name);
+    });
+
+  return [...timers.keys()];
+};
+
+const stopScheduler = () => {
+  timers.forEach((timer) => clearInterval(timer));
+  timers.clear();
+};
+
+module.exports = {
+  JOB_RUN_STATUS,
+  jobs,
+  getDisabledJobs,
+  getJob,
+  runJob,
+  listJobs,
+  startScheduler,
+  stopScheduler,
+};
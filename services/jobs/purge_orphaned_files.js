@@ -0,0 +1,9 @@
+// services/jobs/purge_orphaned_files.js
+const { purgeOrphanedFiles } = require("../storage_gc");
+
+module.exports = {
+  name: "purge_orphaned_files",
+  description: "Deletes stored uploads no database row points to any more",
+  intervalMinutes: 24 * 60,
+  run: async (now) => purgeOrphanedFiles({ now }),
+};
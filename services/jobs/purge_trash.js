@@ -0,0 +1,9 @@
+// services/jobs/purge_trash.js
+const { purgeExpired } = require("../trash");
+
+module.exports = {
+  name: "purge_trash",
+  description: "Deletes rows and their files once their trash period is over",
+  intervalMinutes: 24 * 60,
+  run: async (now) => purgeExpired({ now }),
+};
@@ -0,0 +1,34 @@
+// services/mail_transports/index.js
+// Mail transports are plain modules implementing:
+//   name
+//   send({ from, to, subject, text, html }) -> { id }
+// The active one is picked with MAIL_TRANSPORT (defaults to the outbox where
+// the outbox is enabled).
+const outbox = require("./outbox");
+const smtp = require("./smtp");
+
+// The outbox only writes messages to disk, so it only exists outside
+// production unless MAIL_OUTBOX_ENABLED=true
+const isOutboxEnabled = () =>
+  process.env.MAIL_OUTBOX_ENABLED === "true" ||
+  process.env.NODE_ENV !== "production";
+
+const getTransports = () => ({
+  ...(isOutboxEnabled() ? { outbox } : {}),
+  smtp,
+});
+
+const getTransport = (
+  name = process.env.MAIL_TRANSPORT || (isOutboxEnabled() ? "outbox" : null)
+) => {
+  if (!name) {
+    throw new Error("No mail transport configured (MAIL_TRANSPORT)");
+  }
+  const transport = getTransports()[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+};
+
+module.exports = { isOutboxEnabled, getTransports, getTransport };
@@ -0,0 +1,51 @@
+// services/mail_transports/outbox.js
+// Local stand-in for a mail server. Every message is written as a JSON file
+// to MAIL_OUTBOX_DIR (.local_data/outbox by default) so it can be inspected
+// without sending anything.
+const fs = require("fs/promises");
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+
+const getOutboxDir = () =>
+  path.resolve(process.env.MAIL_OUTBOX_DIR || ".local_data/outbox");
+
+const send = async (message) => {
+  const id = uuidv4();
+  const createdAt = new Date().toISOString();
+  const dir = getOutboxDir();
+
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(
+    path.join(dir, `${createdAt.replace(/[:.]/g, "-")}_${id}.json`),
+    JSON.stringify({ id, created_at: createdAt, ...message }, null, 2)
+  );
+
+  return { id };
+};
+
+// Messages in the outbox, oldest first
+const listMessages = async () => {
+  const dir = getOutboxDir();
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  return Promise.all(
+    files
+      .filter((file) => file.endsWith(".json"))
+      .sort()
+      .map(async (file) =>
+        JSON.parse(await fs.readFile(path.join(dir, file), "utf8"))
+      )
+  );
+};
+
+module.exports = {
+  name: "outbox",
+  send,
+  listMessages,
+};
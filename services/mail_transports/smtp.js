@@ -0,0 +1,34 @@
+// services/mail_transports/smtp.js
+// Sends through an SMTP server configured with SMTP_HOST, SMTP_PORT,
+// SMTP_SECURE ("true" for implicit TLS), SMTP_USER and SMTP_PASS.
+const nodemailer = require("nodemailer");
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (transporter) return transporter;
+
+  if (!process.env.SMTP_HOST) {
+    throw new Error("SMTP_HOST is required for the smtp mail transport");
+  }
+
+  transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+  return transporter;
+};
+
+const send = async (message) => {
+  const info = await getTransporter().sendMail(message);
+  return { id: info.messageId };
+};
+
+module.exports = {
+  name: "smtp",
+  send,
+};
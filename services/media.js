@@ -0,0 +1,262 @@
+// services/media.js
+// One upload pipeline for every route that accepts files:
+//   createUpload(fields) - multer middleware that only takes the listed
+//     fields, checks each file's real content (magic bytes) and answers 400
+//     instead of storing anything it can't use
+//   uploadImage() - strips metadata (EXIF, GPS, ...), re-encodes to WebP and
+//     stores every size in IMAGE_SIZES; rows keep the hero URL in their usual
+//     column and all sizes in `<column>_sizes`
+//   uploadDocument() - images are cleaned the same way without resizing,
+//     PDFs are stored as they are
+const multer = require("multer");
+const sharp = require("sharp");
+const { v4: uuidv4 } = require("uuid");
+const {
+  uploadFileToStorage,
+  uploadBufferToStorage,
+  deleteFileFromStorage,
+  deleteFileByUrl,
+} = require("./storage_upload");
+
+// Widths (px) of the generated image sizes; smaller images are not enlarged
+const IMAGE_SIZES = {
+  thumbnail: 320,
+  card: 800,
+  hero: 1920,
+};
+
+const WEBP_QUALITY = 80;
+
+// Content types recognised from the first bytes of a file
+const SIGNATURES = [
+  { type: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  {
+    type: "image/png",
+    bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  },
+  { type: "image/gif", bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: "application/pdf", bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+];
+
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/gif", "image/webp"];
+const DOCUMENT_TYPES = [...IMAGE_TYPES, "application/pdf"];
+
+const getMaxUploadBytes = () => {
+  const megabytes = parseInt(process.env.MEDIA_MAX_UPLOAD_MB);
+  return (isNaN(megabytes) || megabytes <= 0 ? 10 : megabytes) * 1024 * 1024;
+};
+
+// Content type of a buffer from its magic bytes, null when unknown
+const detectFileType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+
+  // WebP is a RIFF container: "RIFF" <size> "WEBP"
+  if (
+    buffer.toString("ascii", 0, 4) === "RIFF" &&
+    buffer.toString("ascii", 8, 12) === "WEBP"
+  ) {
+    return "image/webp";
+  }
+
+  const match = SIGNATURES.find(({ bytes }) =>
+    bytes.every((byte, index) => buffer[index] === byte)
+  );
+  return match ? match.type : null;
+};
+
+const describeTypes = (types) =>
+  types.map((type) => type.split("/")[1].toUpperCase()).join(", ");
+
+// Every uploaded file of the request, whether from single() or fields()
+const getRequestFiles = (req) => {
+  if (req.file) return [req.file];
+  if (!req.files) return [];
+  return Array.isArray(req.files) ? req.files : Object.values(req.files).flat();
+};
+
+// Checks uploaded files against the content types accepted per field. The
+// detected type replaces the client supplied mimetype.
+const validateFiles = (fields) => async (req, res, next) => {
+  for (const file of getRequestFiles(req)) {
+    const accepted = fields[file.fieldname];
+    const type = detectFileType(file.buffer);
+
+    if (!type || !accepted.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `${file.fieldname} must be a ${describeTypes(accepted)} file`,
+      });
+    }
+
+    if (type.startsWith("image/")) {
+      try {
+        await sharp(file.buffer).metadata();
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: `${file.fieldname} is not a readable image`,
+        });
+      }
+    }
+
+    file.mimetype = type;
+  }
+
+  next();
+};
+
+// Runs a multer middleware, answering 400 for upload errors (too large,
+// unexpected field, ...) instead of passing them to the error handler
+const handleUploadErrors = (middleware, maxBytes) => (req, res, next) =>
+  middleware(req, res, (error) => {
+    if (!error) return next();
+
+    let message = error.message;
+    if (error.code === "LIMIT_FILE_SIZE") {
+      message = `File is too large (max ${maxBytes / 1024 / 1024}MB)`;
+    } else if (error.code === "LIMIT_UNEXPECTED_FILE") {
+      message = `Unexpected file field: ${error.field}`;
+    }
+    res.status(400).json({ success: false, message });
+  });
+
+// Upload middleware for `fields` (field name -> accepted content types).
+// Mirrors multer's single() / fields(), returning middleware arrays that
+// routes use the same way.
+const createUpload = (fields) => {
+  const maxBytes = getMaxUploadBytes();
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes },
+    fileFilter: (req, file, cb) => {
+      if (fields[file.fieldname]) {
+        cb(null, true);
+      } else {
+        cb(new Error(`Unknown file field: ${file.fieldname}`), false);
+      }
+    },
+  });
+
+  return {
+    single: (name) => [
+      handleUploadErrors(upload.single(name), maxBytes),
+      validateFiles(fields),
+    ],
+    fields: (list) => [
+      handleUploadErrors(upload.fields(list), maxBytes),
+      validateFiles(fields),
+    ],
+  };
+};
+
+// Re-encodes an image to WebP: applies the EXIF orientation, then drops all
+// metadata (sharp only keeps it when asked to)
+const toWebp = (buffer, width = null) => {
+  let image = sharp(buffer).rotate();
+  if (width) {
+    image = image.resize({ width, withoutEnlargement: true });
+  }
+  return image.webp({ quality: WEBP_QUALITY }).toBuffer();
+};
+
+const deletePaths = async (bucket, filePaths) => {
+  for (const filePath of filePaths) {
+    await deleteFileFromStorage(bucket, filePath);
+  }
+};
+
+// Stores every size of an image. Resolves to `{ success, publicUrl, sizes,
+// filePath, filePaths }` where publicUrl (and filePath) are the hero size,
+// or `{ success: false, error }` with nothing left in storage.
+const uploadImage = async (file, bucket, folder) => {
+  const id = uuidv4();
+  const sizes = {};
+  const filePaths = [];
+
+  try {
+    for (const [size, width] of Object.entries(IMAGE_SIZES)) {
+      const result = await uploadBufferToStorage(
+        await toWebp(file.buffer, width),
+        bucket,
+        `${folder}/${id}-${size}.webp`,
+        "image/webp"
+      );
+      if (!result.success) throw new Error(result.error);
+
+      sizes[size] = result.publicUrl;
+      filePaths.push(result.filePath);
+    }
+  } catch (error) {
+    console.error("Image upload error:", error);
+    await deletePaths(bucket, filePaths);
+    return { success: false, error: error.message };
+  }
+
+  return {
+    success: true,
+    publicUrl: sizes.hero,
+    sizes,
+    filePath: filePaths[filePaths.length - 1],
+    filePaths,
+  };
+};
+
+// Stores a document (permit, proof of payment). Images lose their metadata
+// but keep their resolution so they stay legible.
+const uploadDocument = async (file, bucket, folder) => {
+  try {
+    const result =
+      file.mimetype === "application/pdf"
+        ? await uploadFileToStorage(file, bucket, folder)
+        : await uploadBufferToStorage(
+            await toWebp(file.buffer),
+            bucket,
+            `${folder}/${uuidv4()}.webp`,
+            "image/webp"
+          );
+    if (!result.success) return result;
+    return { ...result, filePaths: [result.filePath] };
+  } catch (error) {
+    console.error("Document upload error:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Removes what an upload stored, e.g. when the row insert fails afterwards
+const deleteUpload = async (bucket, upload) => {
+  if (upload && upload.success) {
+    await deletePaths(bucket, upload.filePaths || [upload.filePath]);
+  }
+};
+
+// Deletes a stored image and its generated sizes by their URLs
+const deleteImage = async (bucket, url, sizes = null) => {
+  const urls = new Set([url, ...Object.values(sizes || {})].filter(Boolean));
+  for (const imageUrl of urls) {
+    await deleteFileByUrl(bucket, imageUrl);
+  }
+};
+
+// URL of the requested size, falling back to the original for images
+// uploaded before sizes were generated
+const getImageUrl = (url, sizes, size) => (sizes && sizes[size]) || url;
+
+// Adds `thumbnail` for listings, from an image column and its sizes
+const withThumbnail = (row, column = "banner") => ({
+  ...row,
+  thumbnail: getImageUrl(row[column], row[`${column}_sizes`], "thumbnail"),
+});
+
+module.exports = {
+  IMAGE_SIZES,
+  IMAGE_TYPES,
+  DOCUMENT_TYPES,
+  detectFileType,
+  createUpload,
+  uploadImage,
+  uploadDocument,
+  deleteUpload,
+  deleteImage,
+  getImageUrl,
+  withThumbnail,
+};
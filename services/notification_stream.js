@@ -0,0 +1,69 @@
+// services/notification_stream.js
+// Server-Sent Events for the in-app inbox. Each open connection is kept per
+// user in memory, so only clients connected to this process receive events;
+// everyone else picks new notifications up on their next fetch. Streams are
+// therefore only live when the API runs as a single long-lived instance; on
+// serverless hosts (Vercel) clients should poll `GET /notifications`.
+// Signing out or suspending a user ends their streams on this process.
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// user id -> Set of open responses
+const clients = new Map();
+
+const writeEvent = (res, event, payload) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+};
+
+// Keeps `res` open as an event stream for `userId` until the client leaves
+const subscribe = (userId, req, res) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 5000\n\n");
+
+  if (!clients.has(userId)) clients.set(userId, new Set());
+  clients.get(userId).add(res);
+
+  // Comments keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+  // Fires when the client leaves and when the server ends the stream
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    const connections = clients.get(userId);
+    if (!connections) return;
+    connections.delete(res);
+    if (connections.size === 0) clients.delete(userId);
+  });
+};
+
+// Sends `event` to every open connection of `userId`
+const publish = (userId, event, payload) => {
+  const connections = clients.get(userId);
+  if (!connections) return 0;
+
+  connections.forEach((res) => writeEvent(res, event, payload));
+  return connections.size;
+};
+
+// Ends every open connection of `userId`, telling the client why first so it
+// does not reconnect with stale credentials
+const disconnect = (userId, reason) => {
+  const connections = clients.get(userId);
+  if (!connections) return 0;
+
+  clients.delete(userId);
+  connections.forEach((res) => {
+    writeEvent(res, "signed_out", { reason });
+    res.end();
+  });
+  return connections.size;
+};
+
+const isConnected = (userId) => clients.has(userId);
+
+module.exports = { subscribe, publish, writeEvent, disconnect, isConnected };
@@ -0,0 +1,282 @@
+// services/notification_templates.js
+// Notification templates in Indonesian ("id") and English ("en"), used for
+// emails and the in-app inbox. Each template belongs to an email preference
+// category (null = always sent) and returns the subject and body paragraphs
+// for the data it is given.
+
+const LOCALES = ["id", "en"];
+
+const formatDate = (date, locale) =>
+  date
+    ? new Date(date).toLocaleDateString(locale === "en" ? "en-GB" : "id-ID", {
+        day: "numeric",
+        month: "long",
+        year: "numeric",
+      })
+    : "-";
+
+// Names of the event fields listed in "event updated" emails
+const FIELD_LABELS = {
+  id: {
+    start_date: "tanggal mulai",
+    end_date: "tanggal selesai",
+    location: "lokasi",
+    address: "alamat",
+    city: "kota",
+    province: "provinsi",
+    postal_code: "kode pos",
+    price: "harga",
+  },
+  en: {
+    start_date: "start date",
+    end_date: "end date",
+    location: "location",
+    address: "address",
+    city: "city",
+    province: "province",
+    postal_code: "postal code",
+    price: "price",
+  },
+};
+
+const formatChanges = (changes, locale) =>
+  changes.map((field) => FIELD_LABELS[locale][field] || field).join(", ");
+
+const TEMPLATES = {
+  welcome: {
+    category: null,
+    id: () => ({
+      subject: "Selamat datang!",
+      lines: [
+        "Akun kamu sudah dibuat. Sekarang kamu bisa mencari event, mendaftar booth, dan memberi rating.",
+      ],
+    }),
+    en: () => ({
+      subject: "Welcome!",
+      lines: [
+        "Your account is ready. You can now browse events, apply for booths and leave ratings.",
+      ],
+    }),
+  },
+  booth_submitted: {
+    category: "booth_updates",
+    id: (d) => ({
+      subject: `Pendaftaran booth untuk ${d.event_name} diterima`,
+      lines: [
+        `Pendaftaran booth "${d.booth_name}" untuk ${d.event_name} sudah kami terima dan akan ditinjau oleh penyelenggara.`,
+      ],
+    }),
+    en: (d) => ({
+      subject: `Booth application for ${d.event_name} received`,
+      lines: [
+        `We received your booth application "${d.booth_name}" for ${d.event_name}. The organizer will review it soon.`,
+      ],
+    }),
+  },
+  booth_accepted: {
+    category: "booth_updates",
+    id: (d) => ({
+      subject: `Booth kamu di ${d.event_name} disetujui`,
+      lines: [
+        `Selamat! Booth "${d.booth_name}" disetujui untuk ${d.event_name} (${formatDate(d.start_date, "id")}).`,
+        "Jika event ini berbayar, tagihan booth bisa dilihat di halaman pembayaran.",
+      ],
+    }),
+    en: (d) => ({
+      subject: `Your booth at ${d.event_name} was accepted`,
+      lines: [
+        `Good news! Your booth "${d.booth_name}" was accepted for ${d.event_name} (${formatDate(d.start_date, "en")}).`,
+        "If the event charges a booth fee, the invoice is on your payments page.",
+      ],
+    }),
+  },
+  booth_rejected: {
+    category: "booth_updates",
+    id: (d) => ({
+      subject: `Booth kamu di ${d.event_name} tidak disetujui`,
+      lines: [
+        `Maaf, booth "${d.booth_name}" untuk ${d.event_name} tidak disetujui.`,
+        ...(d.reason ? [`Alasan: ${d.reason}`] : []),
+      ],
+    }),
+    en: (d) => ({
+      subject: `Your booth at ${d.event_name} was not accepted`,
+      lines: [
+        `Sorry, your booth "${d.booth_name}" for ${d.event_name} was not accepted.`,
+        ...(d.reason ? [`Reason: ${d.reason}`] : []),
+      ],
+    }),
+  },
+  event_updated: {
+    category: "event_updates",
+    id: (d) => ({
+      subject: `${d.event_name} telah diperbarui`,
+      lines: [
+        `Detail ${d.event_name} telah diubah: ${formatChanges(d.changes, "id")}.`,
+        `Jadwal saat ini: ${formatDate(d.start_date, "id")} - ${formatDate(d.end_date, "id")}, ${d.location || "-"}.`,
+      ],
+    }),
+    en: (d) => ({
+      subject: `${d.event_name} was updated`,
+      lines: [
+        `The details of ${d.event_name} changed: ${formatChanges(d.changes, "en")}.`,
+        `It now runs ${formatDate(d.start_date, "en")} - ${formatDate(d.end_date, "en")} at ${d.location || "-"}.`,
+      ],
+    }),
+  },
+  event_reminder: {
+    category: "event_updates",
+    id: (d) => ({
+      subject: `Pengingat: ${d.event_name} dimulai ${formatDate(d.start_date, "id")}`,
+      lines: [
+        `${d.event_name} akan dimulai pada ${formatDate(d.start_date, "id")} di ${d.location || "-"}. Sampai jumpa di sana!`,
+      ],
+    }),
+    en: (d) => ({
+      subject: `Reminder: ${d.event_name} starts ${formatDate(d.start_date, "en")}`,
+      lines: [
+        `${d.event_name} starts on ${formatDate(d.start_date, "en")} at ${d.location || "-"}. See you there!`,
+      ],
+    }),
+  },
+  rating_open: {
+    category: "event_updates",
+    id: (d) => ({
+      subject: `Bagaimana ${d.event_name}?`,
+      lines: [
+        `${d.event_name} sudah selesai. Terima kasih sudah ikut! Beri rating dan ulasan untuk event ini di aplikasi.`,
+      ],
+    }),
+    en: (d) => ({
+      subject: `How was ${d.event_name}?`,
+      lines: [
+        `${d.event_name} has ended. Thanks for taking part! You can now rate and review it in the app.`,
+      ],
+    }),
+  },
+  vendor_approved: {
+    category: "vendor_updates",
+    id: (d) => ({
+      subject: "Pengajuan vendor kamu disetujui",
+      lines: [
+        `Profil vendor "${d.vendor_name}" sudah aktif. Kamu sekarang bisa membuat event.`,
+      ],
+    }),
+    en: (d) => ({
+      subject: "Your vendor application was approved",
+      lines: [
+        `Your vendor profile "${d.vendor_name}" is live. You can now create events.`,
+      ],
+    }),
+  },
+  vendor_rejected: {
+    category: "vendor_updates",
+    id: (d) => ({
+      subject: "Pengajuan vendor kamu tidak disetujui",
+      lines: [
+        `Maaf, pengajuan vendor "${d.vendor_name}" tidak disetujui.`,
+        ...(d.reason ? [`Catatan: ${d.reason}`] : []),
+      ],
+    }),
+    en: (d) => ({
+      subject: "Your vendor application was not approved",
+      lines: [
+        `Sorry, the vendor application "${d.vendor_name}" was not approved.`,
+        ...(d.reason ? [`Notes: ${d.reason}`] : []),
+      ],
+    }),
+  },
+  rating_received: {
+    category: "rating_updates",
+    id: (d) => ({
+      subject: `Rating baru untuk ${d.subject_name}`,
+      lines: [
+        `${d.subject_name} mendapat rating ${d.rating_star}/5.`,
+        ...(d.review ? [`"${d.review}"`] : []),
+      ],
+    }),
+    en: (d) => ({
+      subject: `New rating for ${d.subject_name}`,
+      lines: [
+        `${d.subject_name} received a ${d.rating_star}/5 rating.`,
+        ...(d.review ? [`"${d.review}"`] : []),
+      ],
+    }),
+  },
+  // Sent to the new address only, never stored in the inbox
+  email_change: {
+    category: null,
+    id: (d) => ({
+      subject: "Konfirmasi alamat email baru",
+      lines: [
+        `Buka tautan ini untuk memakai ${d.email} sebagai email akun kamu: ${d.link}`,
+        "Abaikan email ini jika kamu tidak meminta perubahan ini.",
+      ],
+    }),
+    en: (d) => ({
+      subject: "Confirm your new email address",
+      lines: [
+        `Open this link to use ${d.email} as your account email: ${d.link}`,
+        "If you did not ask for this change, ignore this email.",
+      ],
+    }),
+  },
+};
+
+const GREETING = {
+  id: (name) => (name ? `Halo ${name},` : "Halo,"),
+  en: (name) => (name ? `Hi ${name},` : "Hi,"),
+};
+
+const SIGN_OFF = {
+  id: (team) => `Salam,\n${team}`,
+  en: (team) => `Regards,\n${team}`,
+};
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Subject and paragraphs of `type` in `locale`, falling back to Indonesian
+const getContent = (type, locale, data) => {
+  const template = TEMPLATES[type];
+  if (!template) {
+    throw new Error(`Unknown notification template: ${type}`);
+  }
+
+  const lang = LOCALES.includes(locale) ? locale : "id";
+  return { lang, ...template[lang](data) };
+};
+
+// Renders the email for `type` into { subject, text, html }. `data.name` is
+// used in the greeting.
+const renderTemplate = (type, locale, data = {}) => {
+  const { lang, subject, lines } = getContent(type, locale, data);
+  const team = process.env.MAIL_FROM_NAME || "Tim Event";
+  const paragraphs = [
+    GREETING[lang](data.name),
+    ...lines,
+    SIGN_OFF[lang](team),
+  ];
+
+  return {
+    subject,
+    text: paragraphs.join("\n\n"),
+    html: paragraphs
+      .map((paragraph) => escapeHtml(paragraph).replace(/\n/g, "<br>"))
+      .map((paragraph) => `<p>${paragraph}</p>`)
+      .join("\n"),
+  };
+};
+
+// Title and body for the in-app inbox: the email without greeting and
+// sign-off
+const renderInbox = (type, locale, data = {}) => {
+  const { subject, lines } = getContent(type, locale, data);
+  return { title: subject, body: lines.join("\n") };
+};
+
+module.exports = { LOCALES, TEMPLATES, renderTemplate, renderInbox };
@@ -0,0 +1,166 @@
+// services/notifications.js
+// Notifies users: every notification goes to the in-app inbox, and is emailed
+// through the configured mail transport unless the user's
+// `notification_preference` row (locale, a global switch and one switch per
+// category) turns it off. Sending never throws: a failure is logged and must
+// not fail the request that triggered it.
+const supabase = require("../db");
+const { getTransport } = require("./mail_transports");
+const { addToInbox } = require("./inbox");
+const {
+  LOCALES,
+  TEMPLATES,
+  renderTemplate,
+} = require("./notification_templates");
+
+// One switch per template category
+const PREFERENCE_CATEGORIES = [
+  "booth_updates",
+  "event_updates",
+  "vendor_updates",
+  "rating_updates",
+];
+
+const getDefaultPreferences = () => ({
+  locale: LOCALES.includes(process.env.MAIL_DEFAULT_LOCALE)
+    ? process.env.MAIL_DEFAULT_LOCALE
+    : "id",
+  email_enabled: true,
+  ...Object.fromEntries(PREFERENCE_CATEGORIES.map((key) => [key, true])),
+});
+
+// Stored preferences merged over the defaults (users start opted in)
+const getPreferences = async (userId) => {
+  const { data, error } = await supabase
+    .from("notification_preference")
+    .select("*")
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return { ...getDefaultPreferences(), ...(data || {}) };
+};
+
+const canSend = (preferences, category) =>
+  preferences.email_enabled !== false &&
+  (!category || preferences[category] !== false);
+
+// Stores `type` in the user's inbox and emails it. Resolves to
+// { sent, reason, notification } where `sent` is about the email.
+const notify = async (userId, type, data = {}) => {
+  if (!userId) return { sent: false, reason: "No recipient" };
+
+  let notification = null;
+  try {
+    const { data: user, error } = await supabase
+      .from("user")
+      .select("id, email, first_name")
+      .eq("id", userId)
+      .single();
+
+    if (error || !user) return { sent: false, reason: "Recipient not found" };
+
+    const preferences = await getPreferences(userId);
+
+    try {
+      notification = await addToInbox(userId, type, preferences.locale, data);
+    } catch (inboxError) {
+      console.error(`Store ${type} notification error:`, inboxError);
+    }
+
+    if (!user.email) {
+      return {
+        sent: false,
+        reason: "Recipient has no email address",
+        notification,
+      };
+    }
+    if (!canSend(preferences, TEMPLATES[type]?.category)) {
+      return {
+        sent: false,
+        reason: "Disabled in notification preferences",
+        notification,
+      };
+    }
+
+    const message = renderTemplate(type, preferences.locale, {
+      name: user.first_name,
+      ...data,
+    });
+    await getTransport().send({
+      from: process.env.MAIL_FROM || "no-reply@localhost",
+      to: user.email,
+      ...message,
+    });
+
+    return { sent: true, reason: null, notification };
+  } catch (error) {
+    console.error(`Send ${type} notification error:`, error);
+    return { sent: false, reason: error.message, notification };
+  }
+};
+
+// Emails `type` to an address that is not a user's (yet), e.g. a new address
+// waiting to be confirmed; nothing goes to the inbox. Resolves to
+// { sent, reason }.
+const sendEmail = async (to, type, data = {}, { locale } = {}) => {
+  try {
+    const message = renderTemplate(
+      type,
+      locale || getDefaultPreferences().locale,
+      data
+    );
+    await getTransport().send({
+      from: process.env.MAIL_FROM || "no-reply@localhost",
+      to,
+      ...message,
+    });
+    return { sent: true, reason: null };
+  } catch (error) {
+    console.error(`Send ${type} email error:`, error);
+    return { sent: false, reason: error.message };
+  }
+};
+
+// Same email to several users, each in their own locale
+const notifyUsers = async (userIds, type, data = {}) => {
+  const recipients = [...new Set(userIds.filter(Boolean))];
+  return Promise.all(recipients.map((userId) => notify(userId, type, data)));
+};
+
+const BOOTH_STATUS_TEMPLATES = {
+  SUBMITTED: "booth_submitted",
+  ACCEPTED: "booth_accepted",
+  REJECTED: "booth_rejected",
+};
+
+// Tells the applicant about a booth status they need to know about
+const notifyBoothStatus = async (booth, status, { reason = null } = {}) => {
+  const type = BOOTH_STATUS_TEMPLATES[status];
+  if (!type) return { sent: false, reason: "No template for this status" };
+
+  const { data: event } = await supabase
+    .from("event")
+    .select("id, name, start_date")
+    .eq("id", booth.event_id)
+    .maybeSingle();
+
+  return notify(booth.user_id, type, {
+    booth_id: booth.id,
+    event_id: booth.event_id,
+    booth_name: booth.name,
+    event_name: event?.name || "",
+    start_date: event?.start_date,
+    reason,
+  });
+};
+
+module.exports = {
+  PREFERENCE_CATEGORIES,
+  getDefaultPreferences,
+  getPreferences,
+  notify,
+  sendEmail,
+  notifyUsers,
+  notifyBoothStatus,
+};
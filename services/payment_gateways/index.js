@@ -0,0 +1,35 @@
+// services/payment_gateways/index.js
+// Payment providers are plain modules implementing:
+//   name
+//   createCharge({ invoice, payment }) -> { reference, checkout_url, amount }
+//   verifyWebhook(req) -> boolean (req.rawBody holds the unparsed body)
+//   parseWebhook(req) -> { reference, status: "PAID" | "FAILED", amount }
+//   refund({ reference, amount }) -> { reference, amount }
+// The active one is picked with PAYMENT_GATEWAY (defaults to the mock where
+// the mock is enabled).
+const mock = require("./mock");
+
+// The mock settles payments without collecting any money, so it only exists
+// outside production unless PAYMENT_MOCK_ENABLED=true
+const isMockEnabled = () =>
+  process.env.PAYMENT_MOCK_ENABLED === "true" ||
+  process.env.NODE_ENV !== "production";
+
+const getGateways = () => ({
+  ...(isMockEnabled() ? { mock } : {}),
+});
+
+const getGateway = (
+  name = process.env.PAYMENT_GATEWAY || (isMockEnabled() ? "mock" : null)
+) => {
+  if (!name) {
+    throw new Error("No payment gateway configured (PAYMENT_GATEWAY)");
+  }
+  const gateway = getGateways()[name];
+  if (!gateway) {
+    throw new Error(`Unknown payment gateway: ${name}`);
+  }
+  return gateway;
+};
+
+module.exports = { isMockEnabled, getGateways, getGateway };
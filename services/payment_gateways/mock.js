@@ -0,0 +1,79 @@
+// services/payment_gateways/mock.js
+// Local stand-in for a real payment provider. Charges are never collected:
+// a payment is settled by sending the webhook that `simulateWebhook` builds,
+// signed the same way a real provider would sign it. Without
+// MOCK_GATEWAY_SECRET no webhook is accepted, since a known default secret
+// would let anyone sign one.
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+
+const SIGNATURE_HEADER = "x-mock-signature";
+
+const getSecret = () => process.env.MOCK_GATEWAY_SECRET || null;
+
+const sign = (payload, secret) =>
+  crypto.createHmac("sha256", secret).update(payload).digest("hex");
+
+const createCharge = async ({ invoice }) => {
+  const reference = `mock_${uuidv4()}`;
+  const baseUrl =
+    process.env.PUBLIC_API_URL ||
+    `http://localhost:${process.env.PORT || 8080}`;
+
+  return {
+    reference,
+    checkout_url: `${baseUrl}/payments/mock/${reference}`,
+    amount: invoice.amount,
+  };
+};
+
+const verifyWebhook = (req) => {
+  const secret = getSecret();
+  const signature = req.headers[SIGNATURE_HEADER];
+  if (!secret || !signature || !req.rawBody) return false;
+
+  const expected = sign(req.rawBody, secret);
+  return (
+    signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  );
+};
+
+// Normalizes the provider payload: status is PAID or FAILED
+const parseWebhook = (req) => ({
+  reference: req.body.reference,
+  status: req.body.status === "paid" ? "PAID" : "FAILED",
+  amount: Number(req.body.amount),
+});
+
+const refund = async ({ reference, amount }) => ({
+  reference: `${reference}_refund`,
+  amount,
+});
+
+// Body and headers of the webhook the provider would send for a charge
+const simulateWebhook = ({ reference, amount, status = "paid" }) => {
+  const secret = getSecret();
+  if (!secret) {
+    throw new Error("MOCK_GATEWAY_SECRET is not set");
+  }
+
+  const body = JSON.stringify({ reference, amount, status });
+  return {
+    body,
+    headers: {
+      "Content-Type": "application/json",
+      [SIGNATURE_HEADER]: sign(body, secret),
+    },
+  };
+};
+
+module.exports = {
+  name: "mock",
+  getSecret,
+  createCharge,
+  verifyWebhook,
+  parseWebhook,
+  refund,
+  simulateWebhook,
+};
@@ -0,0 +1,109 @@
+// services/rating_eligibility.js
+// Who may rate an event: people who were there, i.e. had an accepted booth or
+// were checked in by the organizer or an admin, once the event has ended.
+// Registering attendance alone is not enough, and the organizer never rates
+// their own event. Ratings from those users are shown as verified.
+const supabase = require("../db");
+const { ACCEPTED_STATUSES } = require("./booth_capacity");
+
+const hasEnded = (event) => new Date(event.end_date) < new Date();
+
+// Ids of the users who take part in the event (accepted booths and
+// registered attendees), e.g. to notify them
+const getParticipantIds = async (eventId) => {
+  const { data: booths, error: boothError } = await supabase
+    .from("booth")
+    .select("user_id")
+    .eq("event_id", eventId)
+    .in("is_acc", ACCEPTED_STATUSES);
+
+  if (boothError) throw boothError;
+
+  const { data: attendees, error: attendanceError } = await supabase
+    .from("event_attendance")
+    .select("user_id")
+    .eq("event_id", eventId);
+
+  if (attendanceError) throw attendanceError;
+
+  return new Set(
+    [...booths, ...attendees].map((row) => row.user_id).filter(Boolean)
+  );
+};
+
+// Ids of the users who may rate the event: accepted booths and checked-in
+// attendees, without the organizer
+const getRaterIds = async (eventId) => {
+  const { data: event, error: eventError } = await supabase
+    .from("event")
+    .select("id, vendor:vendor_id (user_id)")
+    .eq("id", eventId)
+    .maybeSingle();
+
+  if (eventError) throw eventError;
+
+  const { data: booths, error: boothError } = await supabase
+    .from("booth")
+    .select("user_id")
+    .eq("event_id", eventId)
+    .in("is_acc", ACCEPTED_STATUSES);
+
+  if (boothError) throw boothError;
+
+  const { data: attendees, error: attendanceError } = await supabase
+    .from("event_attendance")
+    .select("user_id")
+    .eq("event_id", eventId)
+    .not("checked_in_at", "is", null);
+
+  if (attendanceError) throw attendanceError;
+
+  const organizerId = event?.vendor?.user_id;
+  return new Set(
+    [...booths, ...attendees]
+      .map((row) => row.user_id)
+      .filter((userId) => userId && userId !== organizerId)
+  );
+};
+
+// Whether `userId` may rate `event`; `reason` explains a refusal
+const getRatingEligibility = async (event, userId) => {
+  if (!hasEnded(event)) {
+    return {
+      eligible: false,
+      reason: "Ratings open after the event has ended",
+    };
+  }
+
+  const raters = await getRaterIds(event.id);
+  if (!raters.has(userId)) {
+    return {
+      eligible: false,
+      reason:
+        "Only users with an accepted booth or a checked-in attendance can rate this event, and not its organizer",
+    };
+  }
+
+  return { eligible: true, reason: null };
+};
+
+// Adds `verified` to ratings written by raters after the event ended
+const markVerified = async (event, ratings) => {
+  const raters = await getRaterIds(event.id);
+  const endDate = new Date(event.end_date);
+
+  return ratings.map((rating) => ({
+    ...rating,
+    verified:
+      raters.has(rating.user_id) &&
+      (!rating.created_at || new Date(rating.created_at) >= endDate),
+  }));
+};
+
+module.exports = {
+  hasEnded,
+  getParticipantIds,
+  getRaterIds,
+  getRatingEligibility,
+  markVerified,
+};
@@ -0,0 +1,43 @@
+// services/rating_stats.js
+// Aggregates 1-5 star ratings the same way for events and vendors.
+
+const emptyDistribution = () => ({ 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 });
+
+// A whole number of stars from 1 to 5 (JSON number or digits in a form
+// field), null for anything else
+const parseRatingStar = (value) => {
+  const star =
+    typeof value === "string" && /^\d+$/.test(value.trim())
+      ? Number(value)
+      : value;
+  return Number.isInteger(star) && star >= 1 && star <= 5 ? star : null;
+};
+
+// `ratings` only need a `rating_star`
+const summarizeRatings = (ratings = []) => {
+  const distribution = emptyDistribution();
+
+  if (ratings.length === 0) {
+    return {
+      total_ratings: 0,
+      average_rating: 0,
+      rating_distribution: distribution,
+    };
+  }
+
+  const totalRatings = ratings.length;
+  const sum = ratings.reduce((acc, rating) => acc + rating.rating_star, 0);
+  const averageRating = (sum / totalRatings).toFixed(2);
+
+  ratings.forEach((rating) => {
+    distribution[rating.rating_star]++;
+  });
+
+  return {
+    total_ratings: totalRatings,
+    average_rating: parseFloat(averageRating),
+    rating_distribution: distribution,
+  };
+};
+
+module.exports = { parseRatingStar, summarizeRatings };
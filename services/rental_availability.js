@@ -0,0 +1,92 @@
+// services/rental_availability.js
+// Availability of rental products is derived from confirmed bookings instead
+// of the old manual `is_ready` flag: a product is ready for a date range when
+// no confirmed booking overlaps it.
+const supabase = require("../db");
+
+const BOOKING_STATUS = {
+  PENDING: "PENDING",
+  CONFIRMED: "CONFIRMED",
+  DECLINED: "DECLINED",
+  CANCELLED: "CANCELLED",
+};
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const toDateString = (date) => date.toISOString().split("T")[0];
+
+// Normalizes a requested range, defaulting to today
+const parseDateRange = (start_date, end_date) => {
+  const today = toDateString(new Date());
+  const start = start_date || end_date || today;
+  const end = end_date || start;
+
+  const startDate = new Date(start);
+  const endDate = new Date(end);
+
+  if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+    return { valid: false, message: "Invalid date format" };
+  }
+  if (endDate < startDate) {
+    return { valid: false, message: "End date must be after start date" };
+  }
+
+  return {
+    valid: true,
+    start_date: toDateString(startDate),
+    end_date: toDateString(endDate),
+  };
+};
+
+// Inclusive number of rental days, same convention as event duration_days
+const calculateRentalDays = (start_date, end_date) =>
+  Math.ceil((new Date(end_date) - new Date(start_date)) / DAY_MS) + 1;
+
+const calculateRentalPrice = (price, start_date, end_date) =>
+  Number(price) * calculateRentalDays(start_date, end_date);
+
+// Bookings that overlap the range (inclusive on both ends)
+const getOverlappingBookings = async (
+  { start_date, end_date },
+  { productIds = null, statuses = [BOOKING_STATUS.CONFIRMED], excludeId } = {}
+) => {
+  let query = supabase
+    .from("rental_booking")
+    .select("id, rental_product_id, start_date, end_date, status")
+    .in("status", statuses)
+    .lte("start_date", end_date)
+    .gte("end_date", start_date);
+
+  if (productIds) {
+    query = query.in("rental_product_id", productIds);
+  }
+  if (excludeId) {
+    query = query.neq("id", excludeId);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+};
+
+const getBookedProductIds = async (range, productIds = null) => {
+  const bookings = await getOverlappingBookings(range, { productIds });
+  return new Set(bookings.map((booking) => booking.rental_product_id));
+};
+
+// Replaces the stored `is_ready` value with availability for the range
+const applyAvailability = (products, bookedIds) =>
+  products.map((product) => ({
+    ...product,
+    is_ready: !bookedIds.has(product.id),
+  }));
+
+module.exports = {
+  BOOKING_STATUS,
+  parseDateRange,
+  calculateRentalDays,
+  calculateRentalPrice,
+  getOverlappingBookings,
+  getBookedProductIds,
+  applyAvailability,
+};
@@ -0,0 +1,182 @@
+// services/storage_gc.js
+// Reconciles storage with the database. Finds uploads no row points to any
+// more (a replaced banner whose delete failed, an upload whose insert was
+// rolled back, ...) and rows pointing to files that are gone. Files are
+// matched to rows by the public URL (or, for private buckets, the path)
+// stored in the columns listed in STORAGE_REFERENCES.
+const supabase = require("../db");
+const { getPathFromPublicUrl } = require("./storage_upload");
+
+// Bucket -> tables and columns holding public URLs of its files
+// (`*_sizes` columns hold an object of URLs, one per generated size), or
+// `paths` columns holding storage paths
+const STORAGE_REFERENCES = {
+  banners: [{ table: "banner_home", columns: ["banner", "banner_sizes"] }],
+  events: [
+    { table: "event", columns: ["banner", "banner_sizes", "permit_img"] },
+    { table: "event_media", columns: ["image", "image_sizes"] },
+  ],
+  vendors: [
+    { table: "vendor", columns: ["banner", "banner_sizes"] },
+    { table: "vendor_application", columns: ["banner", "banner_sizes"] },
+    { table: "vendor_media", columns: ["image", "image_sizes"] },
+  ],
+  "rental-category": [{ table: "rental", columns: ["banner", "banner_sizes"] }],
+  "rental-products": [
+    { table: "rental_products", columns: ["banner", "banner_sizes"] },
+    { table: "rental_product_media", columns: ["image", "image_sizes"] },
+  ],
+  payments: [{ table: "payment", columns: ["proof_url"] }],
+  "payment-proofs": [{ table: "payment", columns: [], paths: ["proof_path"] }],
+  avatars: [{ table: "user", columns: ["avatar", "avatar_sizes"] }],
+};
+
+const LIST_PAGE_SIZE = 100;
+const HOUR_MS = 1000 * 60 * 60;
+
+// Every file in a bucket as { path, created_at }, walking into folders
+const listBucketFiles = async (bucket, prefix = "") => {
+  const files = [];
+
+  for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+    const { data, error } = await supabase.storage
+      .from(bucket)
+      .list(prefix, { limit: LIST_PAGE_SIZE, offset });
+
+    if (error) throw error;
+
+    for (const entry of data) {
+      const path = prefix ? `${prefix}/${entry.name}` : entry.name;
+      // Folders come back without an id
+      if (entry.id === null || entry.id === undefined) {
+        files.push(...(await listBucketFiles(bucket, path)));
+      } else {
+        files.push({ path, created_at: entry.created_at || null });
+      }
+    }
+
+    if (data.length < LIST_PAGE_SIZE) break;
+  }
+
+  return files;
+};
+
+// Rows pointing at a file of `bucket`, as { table, id, column, path }
+const getReferences = async (bucket) => {
+  const references = [];
+
+  for (const { table, columns, paths = [] } of STORAGE_REFERENCES[bucket]) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(["id", ...columns, ...paths].join(", "));
+
+    if (error) throw error;
+
+    data.forEach((row) =>
+      paths.forEach((column) => {
+        if (row[column]) {
+          references.push({ table, id: row.id, column, path: row[column] });
+        }
+      })
+    );
+
+    data.forEach((row) =>
+      columns.forEach((column) => {
+        const value = row[column];
+        const urls =
+          value && typeof value === "object" ? Object.values(value) : [value];
+
+        urls.forEach((url) => {
+          const path = getPathFromPublicUrl(bucket, url);
+          if (path) references.push({ table, id: row.id, column, path });
+        });
+      })
+    );
+  }
+
+  return references;
+};
+
+// Compares one bucket with the rows pointing into it: `orphans` are files
+// no row refers to, `missing` are rows whose file is gone
+const reconcileBucket = async (bucket) => {
+  const files = await listBucketFiles(bucket);
+  const references = await getReferences(bucket);
+
+  const stored = new Set(files.map((file) => file.path));
+  const referenced = new Set(references.map((reference) => reference.path));
+
+  return {
+    bucket,
+    files: files.length,
+    references: references.length,
+    orphans: files.filter((file) => !referenced.has(file.path)),
+    missing: references.filter((reference) => !stored.has(reference.path)),
+  };
+};
+
+// Deletes the orphans of a reconcile report older than
+// STORAGE_GC_MIN_AGE_HOURS (24 by default), so uploads whose row is still
+// being written are left alone. Files without a known age count as old
+// enough.
+const removeOrphans = async (buckets, now) => {
+  const minAgeHours = parseInt(process.env.STORAGE_GC_MIN_AGE_HOURS);
+  const cutoff = new Date(
+    now.getTime() - (isNaN(minAgeHours) ? 24 : minAgeHours) * HOUR_MS
+  );
+  const summary = { deleted: [], kept_recent: 0, failed: [] };
+
+  for (const { bucket, orphans } of buckets) {
+    const expired = orphans.filter(
+      (file) => !file.created_at || new Date(file.created_at) <= cutoff
+    );
+    summary.kept_recent += orphans.length - expired.length;
+    if (expired.length === 0) continue;
+
+    const paths = expired.map((file) => file.path);
+    const { error } = await supabase.storage.from(bucket).remove(paths);
+
+    if (error) {
+      console.error(`Purge orphaned files in ${bucket} error:`, error);
+      summary.failed.push({ bucket, paths, error: error.message });
+    } else {
+      summary.deleted.push(...paths.map((path) => `${bucket}/${path}`));
+    }
+  }
+
+  return summary;
+};
+
+// Reconciles every bucket in STORAGE_REFERENCES. With `deleteOrphans` the
+// old enough orphans are deleted too and `purge` says what happened.
+const reconcileStorage = async ({
+  deleteOrphans = false,
+  now = new Date(),
+} = {}) => {
+  const buckets = [];
+  for (const bucket of Object.keys(STORAGE_REFERENCES)) {
+    buckets.push(await reconcileBucket(bucket));
+  }
+
+  return {
+    checked_at: now.toISOString(),
+    orphans: buckets.reduce((sum, bucket) => sum + bucket.orphans.length, 0),
+    missing: buckets.reduce((sum, bucket) => sum + bucket.missing.length, 0),
+    buckets,
+    purge: deleteOrphans ? await removeOrphans(buckets, now) : null,
+  };
+};
+
+// Scheduled clean up: deletes old enough orphans in every bucket
+const purgeOrphanedFiles = async ({ now = new Date() } = {}) => {
+  const { purge } = await reconcileStorage({ deleteOrphans: true, now });
+  return purge;
+};
+
+module.exports = {
+  STORAGE_REFERENCES,
+  listBucketFiles,
+  getReferences,
+  reconcileStorage,
+  purgeOrphanedFiles,
+};
@@ -0,0 +1,117 @@
+// services/storage_upload.js
+// Storage helpers shared by every controller that accepts file uploads.
+// Uploads resolve to `{ success, filePath, publicUrl }` on success and
+// `{ success: false, error }` on failure. Rows store the public URL; deletes
+// work from that URL so paths are never rebuilt by hand. Files in private
+// buckets are stored by path instead and handed out as signed URLs.
+const supabase = require("../db");
+const { v4: uuidv4 } = require("uuid");
+
+// Helper function to upload file to Supabase Storage
+const uploadFileToStorage = async (file, bucket, folder) => {
+  // Generate unique filename
+  const fileExt = file.originalname.split(".").pop();
+  const fileName = `${uuidv4()}.${fileExt}`;
+
+  return uploadBufferToStorage(
+    file.buffer,
+    bucket,
+    `${folder}/${fileName}`,
+    file.mimetype
+  );
+};
+
+// Uploads content under an exact path (e.g. generated image sizes)
+const uploadBufferToStorage = async (buffer, bucket, filePath, contentType) => {
+  try {
+    const { data, error } = await supabase.storage
+      .from(bucket)
+      .upload(filePath, buffer, { contentType, upsert: false });
+
+    if (error) {
+      throw error;
+    }
+
+    // Get public URL
+    const {
+      data: { publicUrl },
+    } = supabase.storage.from(bucket).getPublicUrl(filePath);
+
+    return {
+      success: true,
+      filePath: data.path,
+      publicUrl: publicUrl,
+    };
+  } catch (error) {
+    console.error("Upload error:", error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+// Helper function to delete file from storage
+const deleteFileFromStorage = async (bucket, filePath) => {
+  try {
+    const { error } = await supabase.storage.from(bucket).remove([filePath]);
+
+    if (error) {
+      console.error("Delete file error:", error);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error("Delete file error:", error);
+    return false;
+  }
+};
+
+// Temporary link to a file of a private bucket, null when it cannot be
+// signed (e.g. the file is gone)
+const getSignedUrl = async (bucket, filePath, expiresIn) => {
+  const { data, error } = await supabase.storage
+    .from(bucket)
+    .createSignedUrl(filePath, expiresIn);
+
+  if (error) {
+    console.error(`Sign ${bucket}/${filePath} error:`, error);
+    return null;
+  }
+  return data.signedUrl;
+};
+
+// Path of an object inside its bucket, from its public URL. Null for empty
+// values and for URLs of other buckets or hosts.
+const getPathFromPublicUrl = (bucket, publicUrl) => {
+  if (!publicUrl || typeof publicUrl !== "string") return null;
+  const marker = `/object/public/${bucket}/`;
+  const index = publicUrl.indexOf(marker);
+  if (index === -1) return null;
+  return decodeURIComponent(
+    publicUrl.slice(index + marker.length).split("?")[0]
+  );
+};
+
+// Deletes the object a stored public URL points to. Nothing to delete counts
+// as success; a failed delete leaves an orphan for the storage garbage
+// collector (services/storage_gc.js) to pick up.
+const deleteFileByUrl = async (bucket, publicUrl) => {
+  const filePath = getPathFromPublicUrl(bucket, publicUrl);
+  if (!filePath) return true;
+
+  const deleted = await deleteFileFromStorage(bucket, filePath);
+  if (!deleted) {
+    console.warn(`Failed to delete ${bucket}/${filePath}, left for storage GC`);
+  }
+  return deleted;
+};
+
+module.exports = {
+  uploadFileToStorage,
+  uploadBufferToStorage,
+  deleteFileFromStorage,
+  deleteFileByUrl,
+  getSignedUrl,
+  getPathFromPublicUrl,
+};
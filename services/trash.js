@@ -0,0 +1,375 @@
+// services/trash.js
+// Soft deletion for events, vendors, areas, event categories and rental
+// products. Deleting one of them only sets `deleted_at` / `deleted_by`: the
+// row disappears from listings and lookups (they filter on
+// `.is("deleted_at", null)`) but keeps its files, gallery and references, so
+// an admin can restore it from the trash.
+// Rows stay in the trash for TRASH_RETENTION_DAYS (30 by default); the
+// `purge_trash` job then deletes them for good together with their files.
+// Rows that only belong to them (galleries, ratings, ...) go too, but a row
+// that bookings, invoices or other rows still point at is never purged.
+const supabase = require("../db");
+const { deleteImage } = require("./media");
+const { deleteFileByUrl } = require("./storage_upload");
+const { deleteGallery } = require("./gallery");
+const { deactivateBanners, detachBanners } = require("./banner_schedule");
+const { cancelOpenInvoicesForBooth } = require("./invoice");
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const PURGE_BATCH_SIZE = 100;
+
+const deleteWhere = async (table, column, value) => {
+  const { error } = await supabase.from(table).delete().eq(column, value);
+  if (error) throw error;
+};
+
+// Type -> table and how to get rid of a row for good. `banners` is the
+// banner_home column pointing at the type, `summary` what the trash lists.
+// `dependents` are rows that keep a trashed row from being purged,
+// `cascade` deletes the rows that go with it (before the row itself) and
+// `purge` its files (after). `onDelete` runs when a row is moved to the trash.
+const TRASH = {
+  event: {
+    label: "Event",
+    table: "event",
+    banners: "event_id",
+    summary: "id, name, start_date, end_date, vendor_id",
+    dependents: [
+      { table: "invoice", column: "event_id", label: "invoices" },
+      { table: "rental_booking", column: "event_id", label: "rental bookings" },
+    ],
+    // Unpaid booth fees of a trashed event are void; restoring the event
+    // doesn't reopen them
+    onDelete: async (event) => {
+      const { data: booths, error } = await supabase
+        .from("booth")
+        .select("id")
+        .eq("event_id", event.id);
+      if (error) throw error;
+
+      for (const booth of booths) {
+        await cancelOpenInvoicesForBooth(booth.id);
+      }
+    },
+    // Booths (without invoices, see `dependents`), ratings and attendance go
+    // with the event
+    cascade: async (event) => {
+      const { data: booths, error } = await supabase
+        .from("booth")
+        .select("id")
+        .eq("event_id", event.id);
+      if (error) throw error;
+
+      for (const booth of booths) {
+        await deleteWhere("booth_status_history", "booth_id", booth.id);
+      }
+      await deleteWhere("booth", "event_id", event.id);
+      await deleteWhere("rating", "event_id", event.id);
+      await deleteWhere("vendor_rating", "event_id", event.id);
+      await deleteWhere("event_attendance", "event_id", event.id);
+      await deleteGallery("event", event.id);
+    },
+    purge: async (event) => {
+      await deleteImage("events", event.banner, event.banner_sizes);
+      await deleteFileByUrl("events", event.permit_img);
+    },
+  },
+  vendor: {
+    label: "Vendor",
+    table: "vendor",
+    banners: "vendor_id",
+    summary: "id, name, user_id",
+    dependents: [
+      { table: "event", column: "vendor_id", label: "events" },
+      {
+        table: "rental_booking",
+        column: "vendor_id",
+        label: "rental bookings",
+      },
+    ],
+    // Ratings received by the vendor go with it; its application stays on
+    // record without the link
+    cascade: async (vendor) => {
+      await deleteWhere("vendor_rating", "vendor_id", vendor.id);
+
+      const { error } = await supabase
+        .from("vendor_application")
+        .update({ vendor_id: null })
+        .eq("vendor_id", vendor.id);
+      if (error) throw error;
+
+      await deleteGallery("vendor", vendor.id);
+    },
+    purge: async (vendor) => {
+      await deleteImage("vendors", vendor.banner, vendor.banner_sizes);
+    },
+  },
+  area: {
+    label: "Area",
+    table: "area",
+    banners: "area_id",
+    summary: "id, name",
+    dependents: [{ table: "event", column: "area_id", label: "events" }],
+  },
+  event_category: {
+    label: "Event category",
+    table: "event_category",
+    banners: "event_category_id",
+    summary: "id, name",
+    dependents: [
+      { table: "event", column: "event_category_id", label: "events" },
+    ],
+  },
+  rental_product: {
+    label: "Rental product",
+    table: "rental_products",
+    summary: "id, name, rental_id",
+    dependents: [
+      {
+        table: "rental_booking",
+        column: "rental_product_id",
+        label: "rental bookings",
+      },
+    ],
+    cascade: async (product) => {
+      await deleteGallery("rental_product", product.id);
+    },
+    purge: async (product) => {
+      await deleteImage(
+        "rental-products",
+        product.banner,
+        product.banner_sizes
+      );
+    },
+  },
+};
+
+const createTrashError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const getTrashConfig = (type) => {
+  const config = TRASH[type];
+  if (!config) {
+    throw new Error(`Unknown trash type: ${type}`);
+  }
+  return config;
+};
+
+const getRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS);
+  return isNaN(days) || days < 0 ? 30 : days;
+};
+
+// When a row deleted at `deletedAt` is purged
+const getPurgeDate = (deletedAt) =>
+  new Date(new Date(deletedAt).getTime() + getRetentionDays() * DAY_MS);
+
+// Moves a row to the trash. Banners pointing at it are switched off (their
+// reference is kept until the row is purged). Resolves to the updated row.
+const softDelete = async (type, id, userId = null) => {
+  const config = getTrashConfig(type);
+
+  const { data, error } = await supabase
+    .from(config.table)
+    .update({ deleted_at: new Date().toISOString(), deleted_by: userId })
+    .eq("id", id)
+    .is("deleted_at", null)
+    .select("*")
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw createTrashError(`${config.label} not found`, 404);
+
+  if (config.banners) {
+    await deactivateBanners(config.banners, data.id);
+  }
+  if (config.onDelete) {
+    await config.onDelete(data);
+  }
+  return data;
+};
+
+const findTrashed = async (type, id) => {
+  const config = getTrashConfig(type);
+
+  const { data, error } = await supabase
+    .from(config.table)
+    .select("*")
+    .eq("id", id)
+    .not("deleted_at", "is", null)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw createTrashError(`${config.label} not found in trash`, 404);
+  return data;
+};
+
+// Trashed rows of a type, most recently deleted first, each with who deleted
+// it and when it will be purged
+const listTrash = async (type, { page = 1, limit = 10 } = {}) => {
+  const config = getTrashConfig(type);
+  const offset = (page - 1) * limit;
+
+  const { data, error, count } = await supabase
+    .from(config.table)
+    .select(
+      `${config.summary}, deleted_at, deleted_by,
+      deleter:deleted_by (id, first_name, last_name, email)`,
+      { count: "exact" }
+    )
+    .not("deleted_at", "is", null)
+    .order("deleted_at", { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) throw error;
+
+  return {
+    data: data.map((row) => ({
+      ...row,
+      purge_at: getPurgeDate(row.deleted_at).toISOString(),
+    })),
+    count,
+  };
+};
+
+// Takes a row out of the trash. A vendor whose account was deleted meanwhile
+// cannot come back. Banners switched off by the deletion stay off.
+const restore = async (type, id) => {
+  const config = getTrashConfig(type);
+  const row = await findTrashed(type, id);
+
+  if (type === "vendor" && row.user_id) {
+    const { data: owner, error } = await supabase
+      .from("user")
+      .select("id")
+      .eq("id", row.user_id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!owner) {
+      throw createTrashError(
+        "The account of this vendor no longer exists",
+        409
+      );
+    }
+  }
+
+  const { data, error } = await supabase
+    .from(config.table)
+    .update({ deleted_at: null, deleted_by: null })
+    .eq("id", row.id)
+    .select("*")
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+// Refuses to purge a row other rows still point at (trashed ones included)
+const checkDependents = async (config, row) => {
+  for (const dependent of config.dependents || []) {
+    const { count, error } = await supabase
+      .from(dependent.table)
+      .select("id", { count: "exact", head: true })
+      .eq(dependent.column, row.id);
+
+    if (error) throw error;
+    if (count > 0) {
+      throw createTrashError(
+        `${config.label} still has ${count} ${dependent.label}`,
+        409
+      );
+    }
+  }
+};
+
+// Deletes a trashed row for good: banners lose their reference, rows that
+// belong to it go, then the row and its files
+const purgeRow = async (type, row) => {
+  const config = getTrashConfig(type);
+
+  await checkDependents(config, row);
+
+  if (config.banners) {
+    await detachBanners(config.banners, row.id);
+  }
+  if (config.cascade) {
+    await config.cascade(row);
+  }
+
+  const { error } = await supabase
+    .from(config.table)
+    .delete()
+    .eq("id", row.id);
+
+  if (error) throw error;
+
+  if (config.purge) {
+    await config.purge(row);
+  }
+};
+
+// Purges one row from the trash right away
+const purge = async (type, id) => {
+  const row = await findTrashed(type, id);
+  await purgeRow(type, row);
+  return row;
+};
+
+// Scheduled clean up: purges every row trashed more than
+// TRASH_RETENTION_DAYS ago. A row that fails is reported and left for the
+// next run.
+const purgeExpired = async ({ now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - getRetentionDays() * DAY_MS);
+  const summary = { purged: {}, failed: [] };
+
+  for (const [type, config] of Object.entries(TRASH)) {
+    summary.purged[type] = 0;
+    const failedIds = [];
+
+    for (;;) {
+      let query = supabase
+        .from(config.table)
+        .select("*")
+        .not("deleted_at", "is", null)
+        .lte("deleted_at", cutoff.toISOString())
+        .order("id", { ascending: true })
+        .limit(PURGE_BATCH_SIZE);
+
+      if (failedIds.length > 0) {
+        query = query.not("id", "in", `(${failedIds.join(",")})`);
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      for (const row of data) {
+        try {
+          await purgeRow(type, row);
+          summary.purged[type]++;
+        } catch (purgeError) {
+          console.error(`Purge ${type} ${row.id} error:`, purgeError);
+          failedIds.push(row.id);
+          summary.failed.push({ type, id: row.id, error: purgeError.message });
+        }
+      }
+
+      if (data.length < PURGE_BATCH_SIZE) break;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  TRASH,
+  getRetentionDays,
+  softDelete,
+  listTrash,
+  restore,
+  purge,
+  purgeExpired,
+};
@@ -0,0 +1,158 @@
+// services/user_suspension.js
+// Admins can suspend an account for a while (`suspended_until`) or ban it
+// (no end). The profile row keeps who suspended it, when and why; a
+// suspension whose end has passed no longer counts and needs no clean up.
+// Supabase Auth gets a matching `ban_duration` so the account cannot sign in
+// or refresh, and `authenticate` refuses every request of the account while
+// the suspension is in force, whenever its token was issued.
+const supabase = require("../db");
+const { revokeSessions } = require("./auth_session");
+const { disconnect } = require("./notification_stream");
+
+const USER_STATUS = {
+  ACTIVE: "active",
+  SUSPENDED: "suspended",
+  BANNED: "banned",
+};
+
+const REASON_MAX_LENGTH = 500;
+const HOUR_MS = 1000 * 60 * 60;
+// Supabase has no permanent ban; a hundred years will do
+const BAN_FOREVER = "876000h";
+
+const getUserStatus = (user, now = new Date()) => {
+  if (!user.suspended_at) return USER_STATUS.ACTIVE;
+  if (!user.suspended_until) return USER_STATUS.BANNED;
+  return new Date(user.suspended_until) > now
+    ? USER_STATUS.SUSPENDED
+    : USER_STATUS.ACTIVE;
+};
+
+const withUserStatus = (user, now = new Date()) => ({
+  ...user,
+  status: getUserStatus(user, now),
+});
+
+// { reason, until } of the suspension in force, null for active accounts
+const getSuspension = (user, now = new Date()) =>
+  getUserStatus(user, now) === USER_STATUS.ACTIVE
+    ? null
+    : {
+        reason: user.suspension_reason || null,
+        until: user.suspended_until || null,
+      };
+
+// Limits a user query to accounts with `status` (one of USER_STATUS) at `now`
+const applyStatusFilter = (query, status, now = new Date()) => {
+  const at = now.toISOString();
+  if (status === USER_STATUS.SUSPENDED) {
+    return query.not("suspended_at", "is", null).gt("suspended_until", at);
+  }
+  if (status === USER_STATUS.BANNED) {
+    return query.not("suspended_at", "is", null).is("suspended_until", null);
+  }
+  return query.or(`suspended_at.is.null,suspended_until.lte.${at}`);
+};
+
+// Reads `reason` (required) and `until` (optional, in the future; without it
+// the account is banned). Returns { valid, data } or { valid: false, message }.
+const parseSuspension = (body, now = new Date()) => {
+  const reason = typeof body.reason === "string" ? body.reason.trim() : "";
+  if (!reason) {
+    return { valid: false, message: "reason is required" };
+  }
+  if (reason.length > REASON_MAX_LENGTH) {
+    return {
+      valid: false,
+      message: `reason can be at most ${REASON_MAX_LENGTH} characters`,
+    };
+  }
+
+  let until = null;
+  if (body.until !== undefined && body.until !== null && body.until !== "") {
+    until = new Date(body.until);
+    if (isNaN(until.getTime())) {
+      return { valid: false, message: "until must be a valid date" };
+    }
+    if (until <= now) {
+      return { valid: false, message: "until must be in the future" };
+    }
+  }
+
+  return {
+    valid: true,
+    data: {
+      suspension_reason: reason,
+      suspended_until: until ? until.toISOString() : null,
+    },
+  };
+};
+
+// Bans or unbans the auth user. The profile row is what `authenticate`
+// checks, so a failure here is logged rather than failing the request.
+const setAuthBan = async (userId, banDuration) => {
+  const { error } = await supabase.auth.admin.updateUserById(userId, {
+    ban_duration: banDuration,
+  });
+  if (error) {
+    console.error("Set auth ban error:", error);
+  }
+};
+
+// Suspends a user with parsed `suspension` data and signs them out. Resolves
+// to the updated profile row.
+const suspendUser = async (userId, suspension, adminId) => {
+  const now = new Date();
+  const { data, error } = await supabase
+    .from("user")
+    .update({
+      ...suspension,
+      suspended_at: now.toISOString(),
+      suspended_by: adminId,
+    })
+    .eq("id", userId)
+    .select("*")
+    .single();
+
+  if (error) throw error;
+
+  const hours = suspension.suspended_until
+    ? Math.ceil((new Date(suspension.suspended_until) - now) / HOUR_MS)
+    : null;
+  await setAuthBan(userId, hours ? `${hours}h` : BAN_FOREVER);
+  await revokeSessions(userId);
+  disconnect(userId, "suspended");
+
+  return data;
+};
+
+// Lifts a suspension or ban right away. Resolves to the updated profile row.
+const unsuspendUser = async (userId) => {
+  const { data, error } = await supabase
+    .from("user")
+    .update({
+      suspended_at: null,
+      suspended_until: null,
+      suspension_reason: null,
+      suspended_by: null,
+    })
+    .eq("id", userId)
+    .select("*")
+    .single();
+
+  if (error) throw error;
+
+  await setAuthBan(userId, "none");
+  return data;
+};
+
+module.exports = {
+  USER_STATUS,
+  getUserStatus,
+  withUserStatus,
+  getSuspension,
+  applyStatusFilter,
+  parseSuspension,
+  suspendUser,
+  unsuspendUser,
+};
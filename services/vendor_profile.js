@@ -0,0 +1,35 @@
+// services/vendor_profile.js
+// Validation and formatting of vendor profile fields, shared by the vendor
+// controller and vendor applications.
+
+// Helper function to validate phone number
+const validatePhone = (phone) => {
+  // Indonesian phone number validation (basic)
+  const phoneStr = phone.toString();
+  return (
+    phoneStr.length >= 10 && phoneStr.length <= 15 && /^\d+$/.test(phoneStr)
+  );
+};
+
+// Helper function to validate Instagram URL/username
+const validateInstagram = (insta) => {
+  if (!insta) return false;
+
+  // Allow both username and full URL
+  const instagramRegex =
+    /^(?:https?:\/\/)?(?:www\.)?instagram\.com\/([a-zA-Z0-9._]{1,30})\/?$|^@?([a-zA-Z0-9._]{1,30})$/;
+  return instagramRegex.test(insta);
+};
+
+// Store Instagram handles without the URL or leading "@"
+const formatInstagram = (insta) => {
+  if (insta.includes("instagram.com/")) {
+    return insta.split("instagram.com/")[1].replace("/", "");
+  }
+  if (insta.startsWith("@")) {
+    return insta.substring(1);
+  }
+  return insta;
+};
+
+module.exports = { validatePhone, validateInstagram, formatInstagram };
@@ -0,0 +1,94 @@
+// services/vendor_rating.js
+// Vendor reputation. After an event, its organizer can rate the vendors that
+// ran an accepted booth there, and those vendors can rate the organizer.
+const supabase = require("../db");
+const { ACCEPTED_STATUSES } = require("./booth_capacity");
+const { hasEnded } = require("./rating_eligibility");
+const { summarizeRatings } = require("./rating_stats");
+
+const RATER_ROLE = {
+  ORGANIZER: "organizer",
+  BOOTH_VENDOR: "booth_vendor",
+};
+
+const hadAcceptedBooth = async (eventId, userId) => {
+  const { count, error } = await supabase
+    .from("booth")
+    .select("id", { count: "exact", head: true })
+    .eq("event_id", eventId)
+    .eq("user_id", userId)
+    .in("is_acc", ACCEPTED_STATUSES);
+
+  if (error) throw error;
+  return (count ?? 0) > 0;
+};
+
+// Whether `userId` may rate `vendor` for `event`. `event.vendor` must hold
+// the organizer's `user_id`. Returns the role the rating is written in.
+const getVendorRatingEligibility = async (event, vendor, userId) => {
+  if (vendor.user_id === userId) {
+    return { eligible: false, reason: "You cannot rate your own vendor" };
+  }
+
+  if (!hasEnded(event)) {
+    return {
+      eligible: false,
+      reason: "Vendor ratings open after the event has ended",
+    };
+  }
+
+  // Booth vendors rate the organizer
+  if (event.vendor_id === vendor.id) {
+    if (await hadAcceptedBooth(event.id, userId)) {
+      return { eligible: true, rater_role: RATER_ROLE.BOOTH_VENDOR };
+    }
+    return {
+      eligible: false,
+      reason: "Only vendors with an accepted booth can rate the organizer",
+    };
+  }
+
+  // The organizer rates the booth vendors
+  if (event.vendor?.user_id !== userId) {
+    return {
+      eligible: false,
+      reason: "Only the event organizer can rate its booth vendors",
+    };
+  }
+
+  if (!(await hadAcceptedBooth(event.id, vendor.user_id))) {
+    return {
+      eligible: false,
+      reason: "This vendor did not have an accepted booth at the event",
+    };
+  }
+
+  return { eligible: true, rater_role: RATER_ROLE.ORGANIZER };
+};
+
+// Rating summary per vendor id, for every id in `vendorIds`
+const getVendorRatingSummaries = async (vendorIds) => {
+  const summaries = {};
+  if (vendorIds.length === 0) return summaries;
+
+  const { data, error } = await supabase
+    .from("vendor_rating")
+    .select("vendor_id, rating_star")
+    .in("vendor_id", vendorIds);
+
+  if (error) throw error;
+
+  vendorIds.forEach((id) => {
+    summaries[id] = summarizeRatings(
+      data.filter((rating) => rating.vendor_id === id)
+    );
+  });
+
+  return summaries;
+};
+
+module.exports = {
+  RATER_ROLE,
+  getVendorRatingEligibility,
+  getVendorRatingSummaries,
+};
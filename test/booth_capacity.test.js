@@ -0,0 +1,91 @@
+// test/booth_capacity.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  supabase,
+  startServer,
+  createUser,
+  insertRow,
+  createEvent,
+} = require("./helpers");
+
+let server;
+let admin;
+let organizer;
+let event;
+
+before(async () => {
+  server = await startServer();
+  admin = await createUser(server.request, "admin@test.local", "admin");
+  organizer = await createUser(server.request, "org@test.local", "vendor");
+  const vendor = await insertRow("vendor", {
+    id: "vendor-organizer",
+    name: "Organizer",
+    user_id: organizer.id,
+  });
+  event = await createEvent(vendor.id, { booth_slot: 1 });
+});
+
+after(() => server.close());
+
+const apply = async (user, name) => {
+  const { status, body } = await server.request("POST", "/booths", {
+    token: user.token,
+    body: { name, phone: "081234567890", event_id: event.id, desc: "Food" },
+  });
+  assert.equal(status, 201);
+  return body.data;
+};
+
+const setStatus = (booth, status) =>
+  server.request("PUT", `/booths/${booth.id}/status`, {
+    token: admin.token,
+    body: { status },
+  });
+
+test("a full event waitlists accepted booths and promotes them in order", async () => {
+  const first = await apply(
+    await createUser(server.request, "first@test.local"),
+    "First"
+  );
+  const second = await apply(
+    await createUser(server.request, "second@test.local"),
+    "Second"
+  );
+
+  const accepted = await setStatus(first, "accepted");
+  assert.equal(accepted.status, 200);
+  assert.equal(accepted.body.data.is_acc, "ACCEPTED");
+
+  const overflow = await setStatus(second, "accepted");
+  assert.equal(overflow.status, 200);
+  assert.equal(overflow.body.waitlisted, true);
+  assert.equal(overflow.body.data.is_acc, "SUBMITTED");
+  assert.equal(overflow.body.data.waitlist_position, 1);
+
+  // Freeing the only slot hands it to the head of the waitlist
+  const cancelled = await setStatus(first, "cancelled");
+  assert.equal(cancelled.status, 200);
+  assert.deepEqual(
+    cancelled.body.promoted.map((booth) => booth.id),
+    [second.id]
+  );
+
+  const { data: promoted } = await supabase
+    .from("booth")
+    .select("is_acc, waitlist_position")
+    .eq("id", second.id)
+    .single();
+  assert.equal(promoted.is_acc, "ACCEPTED");
+  assert.equal(promoted.waitlist_position, null);
+});
+
+test("applications to a full event start on the waitlist", async () => {
+  const late = await apply(
+    await createUser(server.request, "late@test.local"),
+    "Late"
+  );
+
+  assert.equal(late.is_acc, "SUBMITTED");
+  assert.equal(late.waitlist_position, 1);
+});
@@ -0,0 +1,110 @@
+// test/helpers.js
+// Runs the API against the local store (DB_DRIVER=local) for a test file.
+// `node --test` starts every file in its own process, so each file begins
+// with an empty store and nothing reaches Supabase or a mail server.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.DB_DRIVER = "local";
+process.env.LOCAL_DB_FILE = "";
+process.env.LOCAL_STORAGE_DIR = "";
+process.env.JOBS_ENABLED = "false";
+process.env.MAIL_OUTBOX_DIR = fs.mkdtempSync(
+  path.join(os.tmpdir(), "outbox-")
+);
+
+const app = require("../index");
+const supabase = require("../db");
+
+const PASSWORD = "password123";
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// YYYY-MM-DD `days` from today, negative for the past
+const daysFromNow = (days) =>
+  new Date(Date.now() + days * DAY_MS).toISOString().slice(0, 10);
+
+// Starts the app on a free port. Resolves to { request, close } where
+// request(method, url, { token, body }) resolves to { status, body }.
+const startServer = () =>
+  new Promise((resolve) => {
+    const server = app.listen(0, () => {
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+      const request = async (method, url, { token, body } = {}) => {
+        const headers = {};
+        if (token) headers.Authorization = `Bearer ${token}`;
+        if (body) headers["Content-Type"] = "application/json";
+
+        const response = await fetch(baseUrl + url, {
+          method,
+          headers,
+          body: body ? JSON.stringify(body) : undefined,
+        });
+        const text = await response.text();
+        return {
+          status: response.status,
+          body: text ? JSON.parse(text) : null,
+        };
+      };
+
+      resolve({
+        request,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+
+// Signs up and logs in a user, then gives them `role`. Resolves to
+// { id, email, token }.
+const createUser = async (request, email, role = "user") => {
+  await request("POST", "/signup", {
+    body: { email, password: PASSWORD, first_name: "Test", last_name: "User" },
+  });
+  const { body } = await request("POST", "/login", {
+    body: { email, password: PASSWORD },
+  });
+
+  if (role !== "user") {
+    const { error } = await supabase
+      .from("user")
+      .update({ role })
+      .eq("id", body.user_id);
+    if (error) throw error;
+  }
+
+  return { id: body.user_id, email, token: body.session };
+};
+
+// Inserts a row straight into the store and resolves to it
+const insertRow = async (table, row) => {
+  const { data, error } = await supabase
+    .from(table)
+    .insert(row)
+    .select("*")
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+// An approved event owned by `vendorId`, a month away unless overridden
+const createEvent = (vendorId, fields = {}) =>
+  insertRow("event", {
+    name: "Test Fair",
+    start_date: daysFromNow(30),
+    end_date: daysFromNow(32),
+    booth_slot: 5,
+    price: 0,
+    vendor_id: vendorId,
+    ...fields,
+  });
+
+module.exports = {
+  supabase,
+  daysFromNow,
+  startServer,
+  createUser,
+  insertRow,
+  createEvent,
+};
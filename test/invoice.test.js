@@ -0,0 +1,112 @@
+// test/invoice.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  supabase,
+  startServer,
+  createUser,
+  insertRow,
+  createEvent,
+} = require("./helpers");
+
+let server;
+let admin;
+let vendor;
+
+before(async () => {
+  server = await startServer();
+  admin = await createUser(server.request, "admin@test.local", "admin");
+  const organizer = await createUser(
+    server.request,
+    "org@test.local",
+    "vendor"
+  );
+  vendor = await insertRow("vendor", {
+    id: "vendor-organizer",
+    name: "Organizer",
+    user_id: organizer.id,
+  });
+});
+
+after(() => server.close());
+
+// A booth of a new user on `event`, accepted by the admin
+const acceptBooth = async (event, email) => {
+  const user = await createUser(server.request, email);
+  const { body } = await server.request("POST", "/booths", {
+    token: user.token,
+    body: {
+      name: "Stand",
+      phone: "081234567890",
+      event_id: event.id,
+      desc: "Food",
+    },
+  });
+
+  const accepted = await server.request(
+    "PUT",
+    `/booths/${body.data.id}/status`,
+    { token: admin.token, body: { status: "accepted" } }
+  );
+  assert.equal(accepted.status, 200);
+  return { user, booth: accepted.body.data };
+};
+
+const getBoothInvoices = async (boothId) => {
+  const { data, error } = await supabase
+    .from("invoice")
+    .select("*")
+    .eq("booth_id", boothId);
+  if (error) throw error;
+  return data;
+};
+
+test("accepting a booth issues one unpaid invoice for the event price", async () => {
+  const event = await createEvent(vendor.id, { price: 150000 });
+  const { user, booth } = await acceptBooth(event, "paid@test.local");
+
+  const { status, body } = await server.request("GET", "/invoices/me", {
+    token: user.token,
+  });
+  assert.equal(status, 200);
+  assert.equal(body.data.length, 1);
+  assert.equal(body.data[0].booth_id, booth.id);
+  assert.equal(body.data[0].status, "UNPAID");
+  assert.equal(body.data[0].amount, 150000);
+
+  // Checking in keeps the booth accepted, so no second invoice
+  await supabase
+    .from("event")
+    .update({ start_date: new Date().toISOString().slice(0, 10) })
+    .eq("id", event.id);
+  const checkedIn = await server.request(
+    "PUT",
+    `/booths/${booth.id}/status`,
+    { token: admin.token, body: { status: "checked_in" } }
+  );
+  assert.equal(checkedIn.status, 200);
+  assert.equal((await getBoothInvoices(booth.id)).length, 1);
+});
+
+test("free events do not issue invoices", async () => {
+  const event = await createEvent(vendor.id, { price: 0 });
+  const { booth } = await acceptBooth(event, "free@test.local");
+
+  assert.deepEqual(await getBoothInvoices(booth.id), []);
+});
+
+test("cancelling a booth cancels its unpaid invoice", async () => {
+  const event = await createEvent(vendor.id, { price: 75000 });
+  const { booth } = await acceptBooth(event, "cancel@test.local");
+
+  const { status } = await server.request(
+    "PUT",
+    `/booths/${booth.id}/status`,
+    { token: admin.token, body: { status: "cancelled" } }
+  );
+  assert.equal(status, 200);
+
+  const invoices = await getBoothInvoices(booth.id);
+  assert.equal(invoices.length, 1);
+  assert.equal(invoices[0].status, "CANCELLED");
+});
@@ -0,0 +1,113 @@
+// test/rating_eligibility.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  supabase,
+  daysFromNow,
+  startServer,
+  createUser,
+  insertRow,
+  createEvent,
+} = require("./helpers");
+
+let server;
+let organizer;
+let attendee;
+let guest;
+let exhibitor;
+let event;
+
+before(async () => {
+  server = await startServer();
+  const { request } = server;
+  const admin = await createUser(request, "admin@test.local", "admin");
+  organizer = await createUser(request, "org@test.local", "vendor");
+  attendee = await createUser(request, "attendee@test.local");
+  guest = await createUser(request, "guest@test.local");
+  exhibitor = await createUser(request, "exhibitor@test.local");
+
+  const vendor = await insertRow("vendor", {
+    id: "vendor-organizer",
+    name: "Organizer",
+    user_id: organizer.id,
+  });
+  event = await createEvent(vendor.id);
+
+  // Everyone signs up while the event is still ahead
+  for (const user of [organizer, attendee, guest]) {
+    await request("POST", `/events/${event.id}/attendance`, {
+      token: user.token,
+    });
+  }
+  const { body } = await request("POST", "/booths", {
+    token: exhibitor.token,
+    body: {
+      name: "Stand",
+      phone: "081234567890",
+      event_id: event.id,
+      desc: "Food",
+    },
+  });
+  await request("PUT", `/booths/${body.data.id}/status`, {
+    token: admin.token,
+    body: { status: "accepted" },
+  });
+
+  // ...and it took place last week
+  await supabase
+    .from("event")
+    .update({ start_date: daysFromNow(-7), end_date: daysFromNow(-6) })
+    .eq("id", event.id);
+
+  const checkIn = await request(
+    "PUT",
+    `/events/${event.id}/attendance/${attendee.id}/check-in`,
+    { token: organizer.token }
+  );
+  assert.equal(checkIn.status, 200);
+});
+
+after(() => server.close());
+
+const rate = (user) =>
+  server.request("POST", "/rating", {
+    token: user.token,
+    body: { event_id: event.id, rating_star: 4 },
+  });
+
+test("attendees cannot check themselves in", async () => {
+  const { status } = await server.request(
+    "PUT",
+    `/events/${event.id}/attendance/${guest.id}/check-in`,
+    { token: guest.token }
+  );
+  assert.equal(status, 403);
+});
+
+test("registered attendees who were not checked in cannot rate", async () => {
+  const { status } = await rate(guest);
+  assert.equal(status, 403);
+});
+
+test("the organizer cannot rate their own event", async () => {
+  const { status } = await rate(organizer);
+  assert.equal(status, 403);
+});
+
+test("checked-in attendees and accepted booths can rate", async () => {
+  assert.equal((await rate(attendee)).status, 201);
+  assert.equal((await rate(exhibitor)).status, 201);
+
+  const { body } = await server.request("GET", `/rating/event/${event.id}`);
+  assert.equal(body.data.length, 2);
+});
+
+test("ratings must be a whole number of stars from 1 to 5", async () => {
+  for (const rating_star of ["abc", 4.5, 0, 6]) {
+    const { status } = await server.request("POST", "/rating", {
+      token: guest.token,
+      body: { event_id: event.id, rating_star },
+    });
+    assert.equal(status, 400);
+  }
+});
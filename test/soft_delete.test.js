@@ -0,0 +1,118 @@
+// test/soft_delete.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  supabase,
+  startServer,
+  createUser,
+  insertRow,
+  createEvent,
+} = require("./helpers");
+
+let server;
+let admin;
+let vendor;
+
+before(async () => {
+  server = await startServer();
+  admin = await createUser(server.request, "admin@test.local", "admin");
+  const organizer = await createUser(
+    server.request,
+    "org@test.local",
+    "vendor"
+  );
+  vendor = await insertRow("vendor", {
+    id: "vendor-organizer",
+    name: "Organizer",
+    user_id: organizer.id,
+  });
+});
+
+after(() => server.close());
+
+const listedEventIds = async () => {
+  const { body } = await server.request("GET", "/events");
+  return body.data.map((event) => event.id);
+};
+
+const vendorEventIds = async () => {
+  const { body } = await server.request("GET", `/vendors/${vendor.id}`);
+  return body.data.event.map((event) => event.id);
+};
+
+test("trashed events disappear from listings until restored", async () => {
+  const event = await createEvent(vendor.id, { name: "Trashed Fair" });
+  assert.ok((await listedEventIds()).includes(event.id));
+
+  const deleted = await server.request("DELETE", `/events/${event.id}`, {
+    token: admin.token,
+  });
+  assert.equal(deleted.status, 200);
+
+  assert.ok(!(await listedEventIds()).includes(event.id));
+  assert.ok(!(await vendorEventIds()).includes(event.id));
+  const lookup = await server.request("GET", `/events/${event.id}`);
+  assert.equal(lookup.status, 404);
+
+  const trash = await server.request("GET", "/admin/trash/events", {
+    token: admin.token,
+  });
+  assert.deepEqual(
+    trash.body.data.map((row) => row.id),
+    [event.id]
+  );
+
+  const restored = await server.request(
+    "POST",
+    `/admin/trash/events/${event.id}/restore`,
+    { token: admin.token }
+  );
+  assert.equal(restored.status, 200);
+  assert.ok((await listedEventIds()).includes(event.id));
+  assert.equal(
+    (await server.request("GET", `/events/${event.id}`)).status,
+    200
+  );
+});
+
+test("trashing an event cancels the unpaid invoices of its booths", async () => {
+  const event = await createEvent(vendor.id, { price: 50000 });
+  const user = await createUser(server.request, "booth@test.local");
+  const { body } = await server.request("POST", "/booths", {
+    token: user.token,
+    body: {
+      name: "Stand",
+      phone: "081234567890",
+      event_id: event.id,
+      desc: "Food",
+    },
+  });
+  await server.request("PUT", `/booths/${body.data.id}/status`, {
+    token: admin.token,
+    body: { status: "accepted" },
+  });
+
+  const deleted = await server.request(
+    "DELETE",
+    `/events/${event.id}?force=true`,
+    { token: admin.token }
+  );
+  assert.equal(deleted.status, 200);
+
+  const { data: invoices } = await supabase
+    .from("invoice")
+    .select("status")
+    .eq("event_id", event.id);
+  assert.deepEqual(
+    invoices.map((invoice) => invoice.status),
+    ["CANCELLED"]
+  );
+
+  // Purging is refused while invoices still point at the event
+  const purge = await server.request(
+    "DELETE",
+    `/admin/trash/events/${event.id}`,
+    { token: admin.token }
+  );
+  assert.equal(purge.status, 409);
+});